@@ -52,7 +52,7 @@ class AIKeywordExtractor {
                 school: {
                     patterns: [
                         /([^。\n]*?(?:大学|学院|学校|University|College)[^。\n]*)/gi,
-                        /(20\d{2}[年\-\.]*20\d{2}|20\d{2}[年\-\.]*).*?([^。\n]*?(?:大学|学院)[^。\n]*)/gi,
+                        /(?:20\d{2}[年\-\.]*20\d{2}|20\d{2}[年\-\.]*).*?([^。\n]*?(?:大学|学院)[^。\n]*)/gi,
                         /就读于([^。\n]*?(?:大学|学院|学校)[^。\n]*)/gi
                     ],
                     contextWords: ['就读', '毕业于', '学校', '大学', '学院', '教育背景']
@@ -223,8 +223,10 @@ class AIKeywordExtractor {
         }
     }
     
-    // 主要提取方法
-    extractKeywords(text) {
+    // 主要提取方法，可传入纯文本或结构化文档模型
+    extractKeywords(input) {
+        const text = input && typeof input === 'object' ? (input.text || '') : input;
+        
         if (!this.isEnabled) {
             return this.fallbackExtraction(text);
         }
@@ -286,11 +288,11 @@ class AIKeywordExtractor {
         if (!text || typeof text !== 'string') return '';
         
         return text
-            // 标准化换行和空格
+            // 标准化换行和空格，保留换行：按行匹配的模式和分句都依赖行结构
             .replace(/\r\n/g, '\n')
             .replace(/\r/g, '\n')
-            .replace(/\t/g, ' ')
-            .replace(/\s+/g, ' ')
+            .replace(/[^\S\n]+/g, ' ')
+            .replace(/ ?\n ?/g, '\n')
             // 标准化标点符号
             .replace(/：/g, ':')
             .replace(/；/g, ';')
@@ -0,0 +1,103 @@
+// 经历描述分析器 - 逐条识别量化成果、行为动词和 STAR（情境/任务/行动/结果）结构
+class BulletAnalyzer {
+    // 量化成果：百分比、前后对比（QPS 2k→10k）、倍数、用户规模、金额、数量和耗时
+    static get metricPatterns() {
+        const number = '\\d+(?:\\.\\d+)?\\s*(?:[kKwWmM万千亿]|ms|毫秒|秒|s)?';
+        return {
+            percent: /\d+(?:\.\d+)?\s*[%％]|百分之[\d一二三四五六七八九十]+/,
+            transition: new RegExp(`${number}\\s*(?:→|->|=>|➝|到|至|降至|降到|降低到|提升至|提升到|增至|增长到|to)\\s*${number}`, 'i'),
+            multiple: /\d+(?:\.\d+)?\s*倍|\d+(?:\.\d+)?x\b/i,
+            users: /\d+(?:\.\d+)?\s*[万千亿kKwW]?\+?\s*(?:名|位)?(?:用户|人次|人|客户|访问量|UV|PV|DAU|MAU|日活|月活|下载量?|粉丝|学员|users|customers)/i,
+            money: /(?:¥|￥|\$|RMB|USD)\s*\d[\d,.]*\s*[万亿kKmM]?|\d[\d,.]*\s*[万亿千]?\s*(?:元|美元|人民币)/i,
+            count: /\d+\s*(?:篇|项|个(?!月)|次|场|家|条|行代码|台|套)|\d+(?:\.\d+)?\s*(?:ms|毫秒|秒|分钟|小时)/
+        };
+    }
+    
+    // 行为动词：强动词体现主导作用，弱动词只说明参与
+    static get actionVerbs() {
+        return {
+            strong: [
+                '主导', '带领', '牵头', '独立', '设计', '搭建', '构建', '开发', '实现', '重构', '优化', '推动', '策划', '创建', '制定', '落地',
+                'led', 'built', 'designed', 'developed', 'implemented', 'architected', 'optimized', 'launched', 'created', 'drove', 'owned'
+            ],
+            weak: [
+                '参与', '协助', '负责', '配合', '帮助', '跟进', '学习', '了解', '整理',
+                'assisted', 'helped', 'participated', 'supported', 'responsible'
+            ]
+        };
+    }
+    
+    static get starPatterns() {
+        return {
+            situation: /背景|针对|由于|面对|为解决|为了解决|为了|在.{0,15}(?:情况|背景|场景|阶段)下|when|faced|due to/i,
+            task: /目标|任务|需求|旨在|要求|负责|goal|task|responsible for|in order to/i,
+            result: /最终|结果|使得|从而|实现了|带来|取得|上线后|提升|提高|降低|减少|节省|获得|resulting|achiev|improv|reduc|increas/i
+        };
+    }
+    
+    // 把条目拆成要点：列表符号、编号行或分号分隔的句子；第一行是条目标题，不参与分析
+    static splitBullets(entryText) {
+        const lines = (entryText || '').split('\n').slice(1);
+        return lines
+            .flatMap(line => line.split(/[；;]/))
+            .map(line => line.replace(/^\s*(?:[•·●▪◆■★\-*>]|\d{1,2}[.、)）](?!\d))\s*/, '').trim())
+            .filter(line => line.length >= 4);
+    }
+    
+    static analyzeBullet(text) {
+        // 日期区间（2022.07-2022.09）也是“数字到数字”，先去掉以免被当作前后对比
+        const body = text.replace(new RegExp(DateParser.rangePattern.source, 'gi'), ' ');
+        const metrics = Object.entries(this.metricPatterns)
+            .filter(([, pattern]) => pattern.test(body))
+            .map(([type]) => type);
+        
+        // 以最先出现的动词为准：“参与后台开发”是参与，“主导设计并参与测试”是主导
+        const lower = body.toLowerCase();
+        const verbs = [
+            ...this.actionVerbs.strong.map(verb => ({ verb, strong: true })),
+            ...this.actionVerbs.weak.map(verb => ({ verb, strong: false }))
+        ]
+            .map(item => ({ ...item, index: lower.indexOf(item.verb.toLowerCase()) }))
+            .filter(item => item.index !== -1)
+            .sort((a, b) => a.index - b.index);
+        const firstVerb = verbs[0] || null;
+        
+        const star = {
+            situation: this.starPatterns.situation.test(body),
+            task: this.starPatterns.task.test(body),
+            action: Boolean(firstVerb),
+            result: metrics.length > 0 || this.starPatterns.result.test(body)
+        };
+        
+        return {
+            text: text,
+            quantified: metrics.length > 0,
+            metrics: metrics,
+            actionVerb: firstVerb ? firstVerb.verb : null,
+            strongAction: Boolean(firstVerb && firstVerb.strong),
+            star: star,
+            // 行动和结果都写到、且交代了情境或任务，视为完整的 STAR 描述
+            starComplete: star.action && star.result && (star.situation || star.task)
+        };
+    }
+    
+    // 分析整个条目；没有要点时只能分析标题行
+    static analyzeEntry(entryText) {
+        let bullets = this.splitBullets(entryText);
+        if (bullets.length === 0 && entryText) bullets = [entryText.split('\n')[0]];
+        
+        const results = bullets.map(bullet => this.analyzeBullet(bullet));
+        return {
+            bullets: results,
+            bulletCount: results.length,
+            quantifiedCount: results.filter(result => result.quantified).length,
+            strongActionCount: results.filter(result => result.strongAction).length,
+            weakActionCount: results.filter(result => result.actionVerb && !result.strongAction).length,
+            starCount: results.filter(result => result.starComplete).length,
+            hasResult: results.some(result => result.star.result)
+        };
+    }
+}
+
+// 导出
+window.BulletAnalyzer = BulletAnalyzer;
@@ -0,0 +1,136 @@
+// 日期解析器 - 识别简历中的日期和时间段，计算持续时长
+class DateParser {
+    static get monthNames() {
+        return {
+            jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6,
+            jul: 7, aug: 8, sep: 9, oct: 10, nov: 11, dec: 12
+        };
+    }
+    
+    // 单个日期：Jul 2023、2022.07、2021年9月、07/2023、2020；带日的写法（2023.07.01、2021/09/01、2023-07-01）日会被忽略
+    static get pointSource() {
+        const monthName = '(?:jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)';
+        const month = '(?:1[0-2]|0?[1-9])(?!\\d)';
+        const day = '(?:3[01]|[12]\\d|0?[1-9])(?!\\d)';
+        return `(?:\\b${monthName}\\.?\\s*,?\\s*(?:19|20)\\d{2}(?!\\d)` +
+            `|(?<!\\d)(?:19|20)\\d{2}\\s*(?:年\\s*${month}\\s*月?(?:\\s*\\d{1,2}\\s*日)?|\\.\\s*${month}(?:\\.${day})?|\\/\\s*${month}(?:\\/${day})?|-\\s*${month}(?:-${day})?)` +
+            '|(?<!\\d)(?:1[0-2]|0?[1-9])\\s*\\/\\s*(?:19|20)\\d{2}(?!\\d)' +
+            '|(?<!\\d)(?:19|20)\\d{2}(?!\\d)\\s*年?)';
+    }
+    
+    static get presentSource() {
+        return '(?:至今|今|现在|目前|present|now|current|today)';
+    }
+    
+    // 时间段：起始日期 + 分隔符 + 结束日期或“至今”
+    static get rangePattern() {
+        const separator = '\\s*(?:[-–—~～]+|至|到|to|until)\\s*';
+        return new RegExp(`(${this.pointSource})${separator}(${this.pointSource}|${this.presentSource})`, 'i');
+    }
+    
+    // 同一年内的简写：2023.6-9、2023年6-9月（结束月份须晚于开始月份）
+    static get shortRangePattern() {
+        return /(?<!\d)((?:19|20)\d{2})\s*[年./]\s*(1[0-2]|0?[1-9])\s*月?\s*(?:[-–—~～]+|至|到)\s*(1[0-2]|0?[1-9])(?![\d./])\s*月?/;
+    }
+    
+    // 精确到月的单个日期（只有年份的数字太常见，不单独作为日期）
+    static get monthPointPattern() {
+        return new RegExp(this.pointSource, 'gi');
+    }
+    
+    // 解析单个日期，返回 { year, month }（month 可能为 null）；“至今”返回 { present: true }
+    static parsePoint(text) {
+        const value = (text || '').trim();
+        if (!value) return null;
+        if (new RegExp(`^${this.presentSource}$`, 'i').test(value)) return { present: true };
+        
+        const named = value.match(/([a-z]{3,})\.?\s*,?\s*((?:19|20)\d{2})/i);
+        if (named && this.monthNames[named[1].slice(0, 3).toLowerCase()]) {
+            return { year: Number(named[2]), month: this.monthNames[named[1].slice(0, 3).toLowerCase()] };
+        }
+        
+        const yearMonth = value.match(/((?:19|20)\d{2})\s*[年./-]\s*(\d{1,2})(?!\d)/);
+        if (yearMonth && Number(yearMonth[2]) >= 1 && Number(yearMonth[2]) <= 12) {
+            return { year: Number(yearMonth[1]), month: Number(yearMonth[2]) };
+        }
+        
+        const monthYear = value.match(/(\d{1,2})\s*\/\s*((?:19|20)\d{2})/);
+        if (monthYear && Number(monthYear[1]) >= 1 && Number(monthYear[1]) <= 12) {
+            return { year: Number(monthYear[2]), month: Number(monthYear[1]) };
+        }
+        
+        const year = value.match(/(?:19|20)\d{2}/);
+        return year ? { year: Number(year[0]), month: null } : null;
+    }
+    
+    // 在文本中找出第一个时间段；没有时间段时取第一个精确到月的日期
+    // 返回 { start, end, ongoing, months, text }，start/end 为 YYYY-MM 或 YYYY 格式
+    static parseRange(text, now = new Date()) {
+        if (!text) return null;
+        
+        const range = text.match(this.rangePattern);
+        if (range) {
+            const start = this.parsePoint(range[1]);
+            const end = this.parsePoint(range[2]);
+            if (start && end) return this.buildRange(start, end, range[0], now);
+        }
+        
+        const short = text.match(this.shortRangePattern);
+        if (short && Number(short[3]) > Number(short[2])) {
+            const year = Number(short[1]);
+            return this.buildRange({ year, month: Number(short[2]) }, { year, month: Number(short[3]) }, short[0], now);
+        }
+        
+        const point = (text.match(this.monthPointPattern) || [])
+            .map(match => ({ match, parsed: this.parsePoint(match) }))
+            .find(item => item.parsed && item.parsed.month);
+        return point ? this.buildRange(point.parsed, point.parsed, point.match, now) : null;
+    }
+    
+    static buildRange(start, end, matchedText, now) {
+        const ongoing = Boolean(end.present);
+        const endPoint = ongoing ? { year: now.getFullYear(), month: now.getMonth() + 1 } : end;
+        
+        return {
+            start: this.format(start),
+            end: ongoing ? null : this.format(end),
+            ongoing: ongoing,
+            months: this.durationMonths(start, endPoint),
+            text: matchedText.trim()
+        };
+    }
+    
+    // 持续月数，首尾月份都计入；只有年份时按整年计算。结束早于开始时返回 null
+    static durationMonths(start, end) {
+        if (!start || !end || !start.year || !end.year) return null;
+        
+        const months = start.month && end.month
+            ? (end.year - start.year) * 12 + (end.month - start.month) + 1
+            : (end.year - start.year) * 12 || 12;
+        return months > 0 ? months : null;
+    }
+    
+    static format(point) {
+        if (!point || !point.year) return null;
+        return point.month ? `${point.year}-${String(point.month).padStart(2, '0')}` : String(point.year);
+    }
+    
+    // 日期换算为月序号，便于比较先后；只有年份时 fallbackMonth 决定取年初还是年末
+    static toMonthIndex(value, fallbackMonth = 1) {
+        const point = typeof value === 'string' ? this.parsePoint(value) : value;
+        if (!point || !point.year) return null;
+        return point.year * 12 + ((point.month || fallbackMonth) - 1);
+    }
+    
+    // 时长的中文描述，如“1年3个月”
+    static describeDuration(months) {
+        if (!months) return '';
+        
+        const years = Math.floor(months / 12);
+        const rest = months % 12;
+        return [years ? `${years}年` : '', rest ? `${rest}个月` : ''].join('');
+    }
+}
+
+// 导出
+window.DateParser = DateParser;
@@ -0,0 +1,210 @@
+// 学科专业目录 - 按教育部《普通高等学校本科专业目录》的学科门类和专业类归类，附英文名称
+class DisciplineTaxonomy {
+    // 学科门类（代码为目录中的两位门类代码）
+    static get categories() {
+        return {
+            philosophy: { code: '01', name: '哲学', en: 'Philosophy' },
+            economics: { code: '02', name: '经济学', en: 'Economics' },
+            law: { code: '03', name: '法学', en: 'Law' },
+            education: { code: '04', name: '教育学', en: 'Education' },
+            literature: { code: '05', name: '文学', en: 'Literature' },
+            history: { code: '06', name: '历史学', en: 'History' },
+            science: { code: '07', name: '理学', en: 'Science' },
+            engineering: { code: '08', name: '工学', en: 'Engineering' },
+            agriculture: { code: '09', name: '农学', en: 'Agriculture' },
+            medicine: { code: '10', name: '医学', en: 'Medicine' },
+            management: { code: '12', name: '管理学', en: 'Management' },
+            arts: { code: '13', name: '艺术学', en: 'Arts' }
+        };
+    }
+    
+    // 专业类：skills 为与该专业对口的技能类别（对应 ResumeScorer.skillKeywords），jobs 为典型去向
+    // majors 为 [中文名, 英文名]，aliases 为常见简称和英文写法
+    static get disciplines() {
+        return [
+            { id: 'philosophy', code: '0101', name: '哲学类', category: 'philosophy', skills: [], jobs: ['行政/文字编辑'],
+                majors: [['哲学', 'Philosophy'], ['逻辑学', 'Logic'], ['宗教学', 'Religious Studies']], aliases: [] },
+            { id: 'economics', code: '0201', name: '经济学类', category: 'economics', skills: ['data', 'business'], jobs: ['经济研究/行业分析'],
+                majors: [['经济学', 'Economics'], ['经济统计学', 'Economic Statistics'], ['国民经济管理', 'National Economy Management'], ['数字经济', 'Digital Economy']], aliases: ['econ'] },
+            { id: 'finance', code: '0203', name: '金融学类', category: 'economics', skills: ['data', 'business'], jobs: ['金融分析师'],
+                majors: [['金融学', 'Finance'], ['金融工程', 'Financial Engineering'], ['保险学', 'Insurance'], ['投资学', 'Investment'], ['金融数学', 'Financial Mathematics'], ['金融科技', 'Financial Technology']], aliases: ['fintech', '金融'] },
+            { id: 'trade', code: '0204', name: '经济与贸易类', category: 'economics', skills: ['business', 'languages'], jobs: ['国际贸易专员'],
+                majors: [['国际经济与贸易', 'International Economics and Trade'], ['贸易经济', 'Trade Economics']], aliases: ['国贸', 'international trade'] },
+            { id: 'fiscal', code: '0202', name: '财政学类', category: 'economics', skills: ['data', 'business'], jobs: ['财税专员'],
+                majors: [['财政学', 'Public Finance'], ['税收学', 'Taxation']], aliases: [] },
+            { id: 'law', code: '0301', name: '法学类', category: 'law', skills: ['languages'], jobs: ['法务/律师助理'],
+                majors: [['法学', 'Law'], ['知识产权', 'Intellectual Property'], ['国际经贸规则', 'International Economic and Trade Rules']], aliases: ['LLB', 'LLM', 'JD', 'laws', '法律'] },
+            { id: 'politics', code: '0302', name: '政治学类', category: 'law', skills: ['languages'], jobs: ['公共事务/政策研究'],
+                majors: [['政治学与行政学', 'Political Science and Public Administration'], ['国际政治', 'International Politics'], ['外交学', 'Diplomacy'], ['国际事务与国际关系', 'International Affairs and International Relations']], aliases: ['political science', '国际关系'] },
+            { id: 'sociology', code: '0303', name: '社会学类', category: 'law', skills: ['data'], jobs: ['社会调研/用户研究'],
+                majors: [['社会学', 'Sociology'], ['社会工作', 'Social Work'], ['人类学', 'Anthropology']], aliases: [] },
+            { id: 'education', code: '0401', name: '教育学类', category: 'education', skills: [], jobs: ['教师/教研'],
+                majors: [['教育学', 'Education'], ['教育技术学', 'Educational Technology'], ['学前教育', 'Preschool Education'], ['小学教育', 'Primary Education'], ['特殊教育', 'Special Education']], aliases: [] },
+            { id: 'sports', code: '0402', name: '体育学类', category: 'education', skills: ['arts'], jobs: ['体育教练/教师'],
+                majors: [['体育教育', 'Physical Education'], ['运动训练', 'Sports Training'], ['社会体育指导与管理', 'Social Sports Guidance and Management'], ['运动康复', 'Sports Rehabilitation']], aliases: [] },
+            { id: 'chinese', code: '0501', name: '中国语言文学类', category: 'literature', skills: ['languages'], jobs: ['编辑/内容运营'],
+                majors: [['汉语言文学', 'Chinese Language and Literature'], ['汉语言', 'Chinese Language'], ['汉语国际教育', 'Teaching Chinese to Speakers of Other Languages'], ['古典文献学', 'Classical Philology'], ['秘书学', 'Secretarial Studies']], aliases: ['中文系', 'TCSOL', 'chinese literature'] },
+            { id: 'foreign-languages', code: '0502', name: '外国语言文学类', category: 'literature', skills: ['languages'], jobs: ['翻译/外事专员'],
+                majors: [['英语', 'English'], ['翻译', 'Translation'], ['商务英语', 'Business English'], ['日语', 'Japanese'], ['法语', 'French'], ['德语', 'German'], ['俄语', 'Russian'], ['西班牙语', 'Spanish'], ['朝鲜语', 'Korean']], aliases: ['english literature', '英语语言文学'] },
+            { id: 'journalism', code: '0503', name: '新闻传播学类', category: 'literature', skills: ['design', 'business'], jobs: ['新媒体运营'],
+                majors: [['新闻学', 'Journalism'], ['广播电视学', 'Radio and Television'], ['广告学', 'Advertising'], ['传播学', 'Communication'], ['网络与新媒体', 'Network and New Media']], aliases: ['新闻传播', 'media studies'] },
+            { id: 'history', code: '0601', name: '历史学类', category: 'history', skills: [], jobs: ['文博/编辑'],
+                majors: [['历史学', 'History'], ['世界史', 'World History'], ['考古学', 'Archaeology'], ['文物与博物馆学', 'Cultural Heritage and Museology']], aliases: [] },
+            { id: 'mathematics', code: '0701', name: '数学类', category: 'science', skills: ['data', 'programming'], jobs: ['算法/量化研究'],
+                majors: [['数学与应用数学', 'Mathematics and Applied Mathematics'], ['信息与计算科学', 'Information and Computing Science'], ['数理基础科学', 'Fundamental Mathematics and Physics'], ['数据计算及应用', 'Data Computing and Applications']], aliases: ['mathematics', 'applied mathematics', '应用数学', '数学'] },
+            { id: 'physics', code: '0702', name: '物理学类', category: 'science', skills: ['data', 'engineering'], jobs: ['研发工程师'],
+                majors: [['物理学', 'Physics'], ['应用物理学', 'Applied Physics'], ['核物理', 'Nuclear Physics']], aliases: ['物理'] },
+            { id: 'chemistry', code: '0703', name: '化学类', category: 'science', skills: ['engineering'], jobs: ['化学研发/检测'],
+                majors: [['化学', 'Chemistry'], ['应用化学', 'Applied Chemistry'], ['化学生物学', 'Chemical Biology']], aliases: [] },
+            { id: 'geography', code: '0705', name: '地理科学类', category: 'science', skills: ['data'], jobs: ['GIS/规划分析'],
+                majors: [['地理科学', 'Geographical Science'], ['自然地理与资源环境', 'Physical Geography and Resources Environment'], ['人文地理与城乡规划', 'Human Geography and Urban-Rural Planning'], ['地理信息科学', 'Geographic Information Science']], aliases: ['GIS'] },
+            { id: 'biology', code: '0710', name: '生物科学类', category: 'science', skills: ['data'], jobs: ['生物医药研发'],
+                majors: [['生物科学', 'Biological Science'], ['生物技术', 'Biotechnology'], ['生物信息学', 'Bioinformatics'], ['生态学', 'Ecology']], aliases: ['biology', '生物'] },
+            { id: 'psychology', code: '0711', name: '心理学类', category: 'science', skills: ['data'], jobs: ['用户研究/心理咨询'],
+                majors: [['心理学', 'Psychology'], ['应用心理学', 'Applied Psychology']], aliases: [] },
+            { id: 'statistics', code: '0712', name: '统计学类', category: 'science', skills: ['data', 'programming'], jobs: ['数据分析师'],
+                majors: [['统计学', 'Statistics'], ['应用统计学', 'Applied Statistics'], ['数据科学', 'Data Science'], ['生物统计学', 'Biostatistics']], aliases: ['统计'] },
+            { id: 'mechanical', code: '0802', name: '机械类', category: 'engineering', skills: ['engineering', 'design'], jobs: ['机械工程师'],
+                majors: [['机械工程', 'Mechanical Engineering'], ['机械设计制造及其自动化', 'Mechanical Design, Manufacturing and Automation'], ['车辆工程', 'Vehicle Engineering'], ['工业设计', 'Industrial Design'], ['智能制造工程', 'Intelligent Manufacturing Engineering'], ['机器人工程', 'Robotics Engineering']], aliases: ['机械', 'ME'] },
+            { id: 'instrument', code: '0803', name: '仪器类', category: 'engineering', skills: ['engineering'], jobs: ['测控工程师'],
+                majors: [['测控技术与仪器', 'Measurement and Control Technology and Instruments']], aliases: [] },
+            { id: 'materials', code: '0804', name: '材料类', category: 'engineering', skills: ['engineering'], jobs: ['材料研发工程师'],
+                majors: [['材料科学与工程', 'Materials Science and Engineering'], ['材料物理', 'Materials Physics'], ['高分子材料与工程', 'Polymer Materials and Engineering'], ['新能源材料与器件', 'New Energy Materials and Devices']], aliases: ['materials science', '材料'] },
+            { id: 'energy', code: '0805', name: '能源动力类', category: 'engineering', skills: ['engineering'], jobs: ['能源动力工程师'],
+                majors: [['能源与动力工程', 'Energy and Power Engineering'], ['新能源科学与工程', 'New Energy Science and Engineering']], aliases: [] },
+            { id: 'electrical', code: '0806', name: '电气类', category: 'engineering', skills: ['engineering', 'programming'], jobs: ['电气工程师'],
+                majors: [['电气工程及其自动化', 'Electrical Engineering and Automation'], ['智能电网信息工程', 'Smart Grid Information Engineering']], aliases: ['electrical engineering', '电气工程', 'EE'] },
+            { id: 'electronics', code: '0807', name: '电子信息类', category: 'engineering', skills: ['engineering', 'programming'], jobs: ['嵌入式/硬件工程师'],
+                majors: [['电子信息工程', 'Electronic Information Engineering'], ['电子科学与技术', 'Electronic Science and Technology'], ['通信工程', 'Communication Engineering'], ['微电子科学与工程', 'Microelectronics Science and Engineering'], ['光电信息科学与工程', 'Optoelectronic Information Science and Engineering'], ['信息工程', 'Information Engineering'], ['集成电路设计与集成系统', 'Integrated Circuit Design and Integrated Systems']], aliases: ['电子信息', '通信', 'electronic engineering', 'ECE'] },
+            { id: 'automation', code: '0808', name: '自动化类', category: 'engineering', skills: ['engineering', 'programming'], jobs: ['自动化/控制工程师'],
+                majors: [['自动化', 'Automation'], ['智能装备与系统', 'Intelligent Equipment and Systems']], aliases: ['control engineering', '控制工程'] },
+            { id: 'computer', code: '0809', name: '计算机类', category: 'engineering', skills: ['programming', 'data', 'engineering'], jobs: ['软件开发工程师'],
+                majors: [['计算机科学与技术', 'Computer Science and Technology'], ['软件工程', 'Software Engineering'], ['网络工程', 'Network Engineering'], ['信息安全', 'Information Security'], ['物联网工程', 'Internet of Things Engineering'], ['数字媒体技术', 'Digital Media Technology'], ['智能科学与技术', 'Intelligence Science and Technology'], ['数据科学与大数据技术', 'Data Science and Big Data Technology'], ['网络空间安全', 'Cyberspace Security'], ['人工智能', 'Artificial Intelligence']], aliases: ['computer science', '计算机', 'CS', 'software', '软件'] },
+            { id: 'civil', code: '0810', name: '土木类', category: 'engineering', skills: ['engineering', 'design'], jobs: ['土木/结构工程师'],
+                majors: [['土木工程', 'Civil Engineering'], ['建筑环境与能源应用工程', 'Building Environment and Energy Engineering'], ['给排水科学与工程', 'Water Supply and Drainage Science and Engineering'], ['智能建造', 'Intelligent Construction']], aliases: ['土木'] },
+            { id: 'chemical', code: '0813', name: '化工与制药类', category: 'engineering', skills: ['engineering'], jobs: ['化工工艺工程师'],
+                majors: [['化学工程与工艺', 'Chemical Engineering and Technology'], ['制药工程', 'Pharmaceutical Engineering']], aliases: ['chemical engineering', '化工'] },
+            { id: 'transportation', code: '0818', name: '交通运输类', category: 'engineering', skills: ['engineering', 'data'], jobs: ['交通规划/物流工程师'],
+                majors: [['交通运输', 'Transportation'], ['交通工程', 'Traffic Engineering'], ['飞行技术', 'Flight Technology']], aliases: [] },
+            { id: 'aerospace', code: '0820', name: '航空航天类', category: 'engineering', skills: ['engineering'], jobs: ['航空航天工程师'],
+                majors: [['航空航天工程', 'Aerospace Engineering'], ['飞行器设计与工程', 'Aircraft Design and Engineering'], ['飞行器动力工程', 'Aircraft Power Engineering']], aliases: ['航空航天', 'aeronautics'] },
+            { id: 'environment', code: '0825', name: '环境科学与工程类', category: 'engineering', skills: ['engineering', 'data'], jobs: ['环境工程师'],
+                majors: [['环境科学与工程', 'Environmental Science and Engineering'], ['环境工程', 'Environmental Engineering'], ['环境科学', 'Environmental Science']], aliases: [] },
+            { id: 'biomedical-engineering', code: '0826', name: '生物医学工程类', category: 'engineering', skills: ['engineering', 'programming'], jobs: ['医疗器械研发'],
+                majors: [['生物医学工程', 'Biomedical Engineering']], aliases: ['BME'] },
+            { id: 'architecture', code: '0828', name: '建筑类', category: 'engineering', skills: ['design', 'engineering'], jobs: ['建筑/规划设计师'],
+                majors: [['建筑学', 'Architecture'], ['城乡规划', 'Urban and Rural Planning'], ['风景园林', 'Landscape Architecture']], aliases: [] },
+            { id: 'agriculture', code: '0901', name: '植物生产类', category: 'agriculture', skills: [], jobs: ['农业技术员'],
+                majors: [['农学', 'Agronomy'], ['园艺', 'Horticulture'], ['植物保护', 'Plant Protection'], ['智慧农业', 'Smart Agriculture']], aliases: [] },
+            { id: 'clinical', code: '1002', name: '临床医学类', category: 'medicine', skills: [], jobs: ['临床医生'],
+                majors: [['临床医学', 'Clinical Medicine'], ['麻醉学', 'Anesthesiology'], ['医学影像学', 'Medical Imaging']], aliases: ['MBBS', 'medicine'] },
+            { id: 'public-health', code: '1004', name: '公共卫生与预防医学类', category: 'medicine', skills: ['data'], jobs: ['公共卫生/流行病学研究'],
+                majors: [['预防医学', 'Preventive Medicine'], ['公共卫生', 'Public Health']], aliases: [] },
+            { id: 'pharmacy', code: '1007', name: '药学类', category: 'medicine', skills: [], jobs: ['药物研发/医药代表'],
+                majors: [['药学', 'Pharmacy'], ['临床药学', 'Clinical Pharmacy'], ['药物制剂', 'Pharmaceutics']], aliases: [] },
+            { id: 'nursing', code: '1011', name: '护理学类', category: 'medicine', skills: [], jobs: ['护理'],
+                majors: [['护理学', 'Nursing']], aliases: [] },
+            { id: 'management-science', code: '1201', name: '管理科学与工程类', category: 'management', skills: ['data', 'programming', 'business'], jobs: ['产品经理/咨询分析'],
+                majors: [['管理科学', 'Management Science'], ['信息管理与信息系统', 'Information Management and Information Systems'], ['工程管理', 'Engineering Management'], ['工程造价', 'Construction Cost Management'], ['大数据管理与应用', 'Big Data Management and Application']], aliases: ['信管', 'information systems'] },
+            { id: 'business-administration', code: '1202', name: '工商管理类', category: 'management', skills: ['business', 'data'], jobs: ['管理培训生'],
+                majors: [['工商管理', 'Business Administration'], ['市场营销', 'Marketing'], ['会计学', 'Accounting'], ['财务管理', 'Financial Management'], ['人力资源管理', 'Human Resource Management'], ['审计学', 'Auditing'], ['国际商务', 'International Business']], aliases: ['MBA', 'BBA', 'business', '会计', '工商'] },
+            { id: 'public-administration', code: '1204', name: '公共管理类', category: 'management', skills: ['business'], jobs: ['公共事务/行政管理'],
+                majors: [['公共事业管理', 'Public Affairs Management'], ['行政管理', 'Administrative Management'], ['劳动与社会保障', 'Labor and Social Security'], ['城市管理', 'Urban Management']], aliases: ['MPA', 'public administration'] },
+            { id: 'logistics', code: '1206', name: '物流管理与工程类', category: 'management', skills: ['business', 'data'], jobs: ['供应链/物流专员'],
+                majors: [['物流管理', 'Logistics Management'], ['物流工程', 'Logistics Engineering'], ['供应链管理', 'Supply Chain Management']], aliases: [] },
+            { id: 'ecommerce', code: '1208', name: '电子商务类', category: 'management', skills: ['business', 'data'], jobs: ['电商运营'],
+                majors: [['电子商务', 'E-Commerce']], aliases: ['电商'] },
+            { id: 'tourism', code: '1209', name: '旅游管理类', category: 'management', skills: ['business', 'languages'], jobs: ['酒店/旅游管理'],
+                majors: [['旅游管理', 'Tourism Management'], ['酒店管理', 'Hotel Management'], ['会展经济与管理', 'Convention and Exhibition Economy and Management']], aliases: [] },
+            { id: 'music-dance', code: '1302', name: '音乐与舞蹈学类', category: 'arts', skills: ['arts'], jobs: ['文体艺术相关岗位'],
+                majors: [['音乐表演', 'Music Performance'], ['音乐学', 'Musicology'], ['舞蹈学', 'Dance'], ['舞蹈表演', 'Dance Performance']], aliases: ['音乐'] },
+            { id: 'drama-film', code: '1303', name: '戏剧与影视学类', category: 'arts', skills: ['arts', 'design'], jobs: ['影视编导/内容制作'],
+                majors: [['表演', 'Performance'], ['戏剧影视文学', 'Drama, Film and Television Literature'], ['广播电视编导', 'Radio and Television Directing'], ['播音与主持艺术', 'Broadcasting and Hosting'], ['动画', 'Animation'], ['影视摄影与制作', 'Film and Television Photography and Production']], aliases: ['编导'] },
+            { id: 'fine-arts', code: '1304', name: '美术学类', category: 'arts', skills: ['design', 'arts'], jobs: ['美术/插画师'],
+                majors: [['美术学', 'Fine Arts'], ['绘画', 'Painting'], ['雕塑', 'Sculpture'], ['摄影', 'Photography']], aliases: ['美术'] },
+            { id: 'design', code: '1305', name: '设计学类', category: 'arts', skills: ['design'], jobs: ['产品设计师'],
+                majors: [['视觉传达设计', 'Visual Communication Design'], ['环境设计', 'Environmental Design'], ['产品设计', 'Product Design'], ['服装与服饰设计', 'Fashion and Costume Design'], ['数字媒体艺术', 'Digital Media Art'], ['艺术与科技', 'Art and Technology']], aliases: ['视觉传达', 'graphic design', 'interaction design', '交互设计'] }
+        ];
+    }
+    
+    // 从教育经历文本中取专业名称：“专业：xxx”“Major in xxx”“汉语言文学专业”，否则在文本里找已知的专业名称
+    // “专业”“主修”后面有冒号才是标签，“汉语言文学专业 本科”取的是“专业”前面的词
+    static extractMajor(text) {
+        if (!text) return '';
+        
+        const labelled = text.match(/(?:(?:专业|主修|major)\s*[：:]|major\s+in\s)\s*([^\s\n，,;；|/（(]{2,20})/i);
+        if (labelled) return labelled[1];
+        
+        const suffixed = text.match(/(?:^|[\s，,;；|/（(])([^\s\n，,;；|/（()]{2,20}?)专业(?![：:])/);
+        if (suffixed && !/大学|学院|学校/.test(suffixed[1])) return suffixed[1];
+        
+        const english = text.match(/(?:B\.?S\.?c?|B\.?A\.?|B\.?Eng|M\.?S\.?c?|M\.?A\.?|M\.?Eng|Ph\.?D\.?|Bachelor|Master|Doctor)[^,\n]*?\b(?:in|of)\s+([A-Za-z&,\- ]{3,60}?)(?=\s*(?:[,;|(（\n]|\d|$))/i);
+        if (english) return english[1].trim();
+        
+        const found = this.findName(text);
+        return found ? found.text : '';
+    }
+    
+    // 在文本中找最长的已知专业名称或别名；英文名称按整词匹配，CS、EE 这类大写缩写区分大小写
+    static findName(text) {
+        const lower = text.toLowerCase();
+        let best = null;
+        
+        this.disciplines.forEach(discipline => {
+            const names = [
+                ...discipline.majors.flatMap(([zh, en]) => [{ text: zh, major: zh }, { text: en, major: zh }]),
+                ...discipline.aliases.map(alias => ({ text: alias, major: null }))
+            ];
+            names.forEach(name => {
+                const ascii = /^[\x20-\x7e]+$/.test(name.text);
+                const found = ascii
+                    ? new RegExp(`(?:^|[^A-Za-z])${name.text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?![A-Za-z])`, /^[A-Z]{2,4}$/.test(name.text) ? '' : 'i').test(text)
+                    : lower.includes(name.text.toLowerCase());
+                if (!found) return;
+                
+                // 正式专业名优先于别名，同类时取更长的名称
+                const rank = (name.major ? 1000 : 0) + name.text.length;
+                if (!best || rank > best.rank) best = { ...name, discipline: discipline, rank: rank };
+            });
+        });
+        return best;
+    }
+    
+    // 专业名称映射到专业类和学科门类；识别不出时返回 null
+    static match(majorText) {
+        if (!majorText) return null;
+        
+        const found = this.findName(majorText);
+        if (!found) return null;
+        
+        const discipline = found.discipline;
+        const category = this.categories[discipline.category];
+        const major = found.major ? discipline.majors.find(([zh]) => zh === found.major) : null;
+        return {
+            id: discipline.id,
+            code: discipline.code,
+            name: discipline.name,
+            category: discipline.category,
+            categoryName: category.name,
+            categoryEn: category.en,
+            major: major ? major[0] : majorText.trim(),
+            majorEn: major ? major[1] : '',
+            skills: discipline.skills,
+            jobs: discipline.jobs
+        };
+    }
+    
+    // 专业与技能的匹配：对口的技能类别、以及与专业无关的技能类别
+    static skillAlignment(discipline, skills) {
+        const present = Object.keys(skills || {}).filter(key => Array.isArray(skills[key]) && skills[key].length > 0);
+        if (!discipline) return { aligned: [], unrelated: present };
+        
+        return {
+            aligned: present.filter(key => discipline.skills.includes(key)),
+            unrelated: present.filter(key => !discipline.skills.includes(key))
+        };
+    }
+}
+
+// 导出
+window.DisciplineTaxonomy = DisciplineTaxonomy;
@@ -0,0 +1,120 @@
+// 错误类型 - 解析和分析失败时抛出带稳定错误码的错误，提示文字通过 I18n 本地化
+const ErrorCodes = {
+    UNSUPPORTED_FORMAT: 'UNSUPPORTED_FORMAT',
+    EMPTY_CONTENT: 'EMPTY_CONTENT',
+    ENCRYPTED: 'ENCRYPTED',
+    TOO_LARGE: 'TOO_LARGE',
+    LIB_NOT_LOADED: 'LIB_NOT_LOADED',
+    EXTRACTION_FAILED: 'EXTRACTION_FAILED',
+    ANALYSIS_FAILED: 'ANALYSIS_FAILED'
+};
+
+class ResumeError extends Error {
+    constructor(code, messageKey, params = {}, cause = null) {
+        super(i18n.t(messageKey, params));
+        this.name = 'ResumeError';
+        this.code = code;
+        this.messageKey = messageKey;
+        this.params = params;
+        this.cause = cause;
+    }
+    
+    // 按当前界面语言重新生成提示（错误可能在切换语言前创建）
+    get localizedMessage() {
+        return i18n.t(this.messageKey, this.params);
+    }
+    
+    // 将第三方库或运行时抛出的错误按类型归类为带错误码的错误，提示文字随浏览器和库版本变化，不作为依据
+    static from(error, fallbackKey = 'error-parse-failed', params = {}) {
+        if (error instanceof ResumeError) return error;
+        
+        const name = (error && error.name) || '';
+        const message = (error && error.message) || String(error || '');
+        
+        if (this.encryptedErrorNames.includes(name)) {
+            return new EncryptedFileError('error-encrypted', {}, error);
+        }
+        if (this.damagedErrorNames.includes(name)) {
+            return new ExtractionFailedError('error-file-damaged', {}, error);
+        }
+        if (this.resourceErrorNames.includes(name)) {
+            return new FileTooLargeError('error-too-complex', {}, error);
+        }
+        
+        return new ExtractionFailedError(fallbackKey, { detail: message, ...params }, error);
+    }
+    
+    // pdf.js 的异常类型
+    static get encryptedErrorNames() {
+        return ['PasswordException'];
+    }
+    
+    static get damagedErrorNames() {
+        return ['InvalidPDFException', 'FormatError'];
+    }
+    
+    // 内存不足、数组分配失败（Firefox 为 InternalError）
+    static get resourceErrorNames() {
+        return ['RangeError', 'InternalError'];
+    }
+}
+
+class UnsupportedFormatError extends ResumeError {
+    constructor(messageKey = 'error-unsupported-format', params = {}, cause = null) {
+        super(ErrorCodes.UNSUPPORTED_FORMAT, messageKey, params, cause);
+        this.name = 'UnsupportedFormatError';
+    }
+}
+
+class EmptyContentError extends ResumeError {
+    constructor(messageKey = 'error-no-content', params = {}, cause = null) {
+        super(ErrorCodes.EMPTY_CONTENT, messageKey, params, cause);
+        this.name = 'EmptyContentError';
+    }
+}
+
+class EncryptedFileError extends ResumeError {
+    constructor(messageKey = 'error-encrypted', params = {}, cause = null) {
+        super(ErrorCodes.ENCRYPTED, messageKey, params, cause);
+        this.name = 'EncryptedFileError';
+    }
+}
+
+class FileTooLargeError extends ResumeError {
+    constructor(messageKey = 'error-file-too-large', params = {}, cause = null) {
+        super(ErrorCodes.TOO_LARGE, messageKey, params, cause);
+        this.name = 'FileTooLargeError';
+    }
+}
+
+class LibraryNotLoadedError extends ResumeError {
+    constructor(messageKey = 'error-lib-not-loaded', params = {}, cause = null) {
+        super(ErrorCodes.LIB_NOT_LOADED, messageKey, params, cause);
+        this.name = 'LibraryNotLoadedError';
+    }
+}
+
+class ExtractionFailedError extends ResumeError {
+    constructor(messageKey = 'error-parse-failed', params = {}, cause = null) {
+        super(ErrorCodes.EXTRACTION_FAILED, messageKey, params, cause);
+        this.name = 'ExtractionFailedError';
+    }
+}
+
+class AnalysisFailedError extends ResumeError {
+    constructor(messageKey = 'error-analysis-failed', params = {}, cause = null) {
+        super(ErrorCodes.ANALYSIS_FAILED, messageKey, params, cause);
+        this.name = 'AnalysisFailedError';
+    }
+}
+
+// 导出
+window.ErrorCodes = ErrorCodes;
+window.ResumeError = ResumeError;
+window.UnsupportedFormatError = UnsupportedFormatError;
+window.EmptyContentError = EmptyContentError;
+window.EncryptedFileError = EncryptedFileError;
+window.FileTooLargeError = FileTooLargeError;
+window.LibraryNotLoadedError = LibraryNotLoadedError;
+window.ExtractionFailedError = ExtractionFailedError;
+window.AnalysisFailedError = AnalysisFailedError;
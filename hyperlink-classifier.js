@@ -0,0 +1,97 @@
+// 超链接分类器 - 识别简历中链接的类型（GitHub、LinkedIn、个人网站、作品集、论文DOI等）
+class HyperlinkClassifier {
+    static get rules() {
+        return [
+            { type: 'email', pattern: /^mailto:/i },
+            { type: 'phone', pattern: /^tel:/i },
+            { type: 'doi', pattern: /^(doi:|https?:\/\/(dx\.)?doi\.org\/)/i },
+            { type: 'github', pattern: /^https?:\/\/([\w-]+\.)*(github\.com|github\.io|gitee\.com|gitee\.io|gitlab\.com)(\/|$)/i },
+            { type: 'linkedin', pattern: /^https?:\/\/([\w-]+\.)*linkedin\.com(\/|$)/i },
+            { type: 'portfolio', pattern: /^https?:\/\/([\w-]+\.)*(behance\.net|dribbble\.com|zcool\.com\.cn|artstation\.com|ui\.cn|huaban\.com|figma\.com|notion\.site|canva\.site)(\/|$)/i },
+            { type: 'paper', pattern: /^https?:\/\/([\w-]+\.)*(arxiv\.org|ieeexplore\.ieee\.org|dl\.acm\.org|link\.springer\.com|sciencedirect\.com|scholar\.google\.[a-z.]+|researchgate\.net|orcid\.org|cnki\.net|openreview\.net)(\/|$)/i },
+            { type: 'social', pattern: /^https?:\/\/([\w-]+\.)*(weibo\.com|weibo\.cn|zhihu\.com|twitter\.com|x\.com|xiaohongshu\.com|bilibili\.com|douyin\.com|facebook\.com|instagram\.com)(\/|$)/i },
+            { type: 'blog', pattern: /^https?:\/\/([\w-]+\.)*(csdn\.net|juejin\.cn|cnblogs\.com|jianshu\.com|medium\.com|segmentfault\.com|dev\.to)(\/|$)/i }
+        ];
+    }
+    
+    // 类型对应的显示名称
+    static get labels() {
+        return {
+            email: '邮箱',
+            phone: '电话',
+            doi: '论文DOI',
+            paper: '学术主页/论文',
+            github: 'GitHub/代码仓库',
+            linkedin: 'LinkedIn',
+            portfolio: '作品集',
+            social: '社交媒体',
+            blog: '技术博客',
+            website: '个人网站'
+        };
+    }
+    
+    // 补全协议、去除首尾标点，无法识别为链接时返回空字符串
+    static normalizeUrl(url) {
+        let value = (url || '').trim().replace(/[)\]）】。，,;；]+$/, '');
+        if (!value) return '';
+        
+        if (/^(mailto|tel):/i.test(value)) return value;
+        if (/^doi:/i.test(value)) return `https://doi.org/${value.replace(/^doi:\s*/i, '')}`;
+        if (/^10\.\d{4,9}\/\S+$/.test(value)) return `https://doi.org/${value}`;
+        if (/^[\w.+-]+@[\w-]+(\.[\w-]+)+$/.test(value)) return `mailto:${value}`;
+        if (/^www\./i.test(value) || (/^[\w-]+(\.[\w-]+)+\/?/.test(value) && !/^https?:/i.test(value))) {
+            value = `https://${value}`;
+        }
+        
+        return /^https?:\/\/[^\s/$.?#].[^\s]*$/i.test(value) ? value : '';
+    }
+    
+    static classify(url) {
+        const rule = this.rules.find(item => item.pattern.test(url));
+        return rule ? rule.type : 'website';
+    }
+    
+    static decodeDOI(url) {
+        const doi = url.replace(/^https?:\/\/(dx\.)?doi\.org\//i, '');
+        try {
+            return decodeURIComponent(doi);
+        } catch (error) {
+            return doi;
+        }
+    }
+    
+    // 规范化、去重并分类；输入项为 { url, text, pageNum? }
+    static classifyAll(links = []) {
+        const seen = new Map();
+        
+        links.forEach(link => {
+            const url = this.normalizeUrl(link.url);
+            if (!url) return;
+            
+            const key = url.toLowerCase().replace(/\/+$/, '').replace(/^https?:\/\/(www\.)?/, '');
+            const existing = seen.get(key);
+            if (existing) {
+                if (!existing.text && link.text) existing.text = link.text.trim();
+                return;
+            }
+            
+            const type = this.classify(url);
+            const entry = {
+                url: url,
+                text: (link.text || '').trim(),
+                type: type,
+                label: this.labels[type]
+            };
+            
+            if (link.pageNum) entry.pageNum = link.pageNum;
+            if (type === 'doi') entry.doi = this.decodeDOI(url);
+            
+            seen.set(key, entry);
+        });
+        
+        return Array.from(seen.values());
+    }
+}
+
+// 导出
+window.HyperlinkClassifier = HyperlinkClassifier;
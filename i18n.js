@@ -8,7 +8,7 @@ class I18n {
                 'subtitle': '专业评估 • 岗位推荐 • 提升建议',
                 'upload-title': '📄 上传简历',
                 'upload-hint': '拖拽文件到此处，或点击选择文件',
-                'file-types': '支持 PDF、Word 格式，最大 10MB',
+                'file-types': '支持 PDF、Word、ODT、RTF、TXT、Markdown、HTML、JSON Resume 格式及简历截图/照片（JPG、PNG），最大 10MB',
                 'select-file': '选择文件',
                 'or': '或',
                 'paste-title': '📝 直接粘贴简历内容',
@@ -18,11 +18,14 @@ class I18n {
                 'evaluating': '评估中...',
                 'analyzing': '正在分析您的简历...',
                 'export': '📥 导出报告',
+                'export-json': '🧾 导出 JSON Resume',
                 'share': '🔗 分享结果',
                 'analyze-again': '🔄 重新分析',
                 'detailed-scores': '📊 详细评分',
                 'job-recommendations': '🎯 岗位推荐',
                 'suggestions': '💡 改进建议',
+                'consistency-checks': '🕒 时间线检查',
+                'consistency-none': '未发现时间线问题',
                 'footer': 'Made with ❤️ for 应届毕业生',
                 'loading': '正在处理中...',
                 'score-suffix': '分',
@@ -36,14 +39,68 @@ class I18n {
                 'ai-analysis-complete': 'AI关键词提取完成',
                 'ai-confidence': 'AI置信度',
                 'ai-keyword-extract': 'AI关键词提取已启用',
-                'ai-traditional-mode': '使用传统识别方法'
+                'ai-traditional-mode': '使用传统识别方法',
+                // Word 97-2003 (.doc) 解析相关
+                'doc-protected': '该Word文档已设置密码保护，无法读取。请在Word中取消保护并另存为 .docx 或 PDF 后重新上传',
+                'doc-legacy-version': '该文件是 Word 95 或更早版本的格式，暂不支持。请在Word或WPS中另存为 .docx 或 PDF 后重新上传',
+                'doc-not-word': '该 .doc 文件不是Word文档（可能是其他Office文件改了扩展名），请确认后重新上传',
+                'doc-parse-failed': '无法读取该 Word 97-2003 (.doc) 文件，建议在Word或WPS中另存为 .docx 或 PDF 后重新上传',
+                'doc-unknown-format': '无法识别该Word文件的格式，请在Word或WPS中另存为 .docx 或 PDF 后重新上传',
+                // 解析进度
+                'pdf-progress-page': '正在解析第 {page}/{total} 页...',
+                'pdf-progress-done': '页面解析完成，正在整理文本...',
+                'ocr-progress-page': '正在OCR识别第 {page}/{total} 页...',
+                'ocr-progress-preprocess': '正在预处理图片（校正倾斜、增强对比度）...',
+                'ocr-progress-image': '正在OCR识别图片...',
+                'ocr-progress-done': 'OCR识别完成，正在整理文本...',
+                // PDF 页数上限
+                'page-limit': 'PDF最多解析页数',
+                'page-limit-all': '不限制',
+                'pages-skipped': 'PDF共 {total} 页，已解析前 {parsed} 页，第 {from}-{to} 页未参与评分。可在上传区域调高页数上限后重新上传',
+                // OCR 识别质量
+                'ocr-low-confidence': '有 {count} 行文字识别置信度较低，所在章节的得分已按置信度降权。建议上传更清晰、光线均匀的图片或文字版简历',
+                // 加密PDF
+                'pdf-password-title': '🔒 该PDF已加密',
+                'pdf-password-prompt': '请输入打开该PDF的密码，密码仅用于本次解析，不会被保存',
+                'pdf-password-incorrect': '密码错误，请重新输入（还可尝试 {remaining} 次）',
+                'pdf-password-placeholder': '输入PDF密码',
+                'pdf-password-required': '该PDF已加密，需要输入密码才能解析',
+                'pdf-password-cancelled': '未输入密码，无法解析加密的PDF',
+                'pdf-password-limit': '密码错误次数过多，已停止解析。请确认密码后重新上传',
+                'cancel': '取消',
+                'confirm': '确定',
+                // 解析和分析错误
+                'error-invalid-file': '无效的文件',
+                'error-empty-file': '文件为空，请重新选择',
+                'error-file-too-large': '文件过大，请选择小于{limit}的文件',
+                'error-file-too-small': '文件太小，可能不是有效的简历文件',
+                'error-unsupported-format': '不支持的文件格式。支持 PDF、Word (.doc, .docx)、ODT、RTF、TXT、Markdown、HTML、JSON Resume 和图片（JPG、PNG）格式',
+                'error-no-content': '无法从文件中提取有效内容，请检查文件是否正确或尝试其他格式',
+                'error-content-too-short': '文件内容过少，请检查文件是否正确',
+                'error-encrypted': '文件已加密，请上传未加密的文件',
+                'error-file-damaged': '文件已损坏，请尝试重新保存后上传',
+                'error-too-complex': '文件过大或复杂，请尝试简化文件内容后重新上传',
+                'error-lib-not-loaded': '{library}未加载，请刷新页面重试',
+                'error-parse-failed': '文件解析失败：{detail}',
+                'error-format-parse-failed': '{format}文件解析失败：{detail}',
+                'error-analysis-failed': '简历分析失败，请重试',
+                'error-unknown': '发生了一个错误，请重试',
+                'error-network': '网络连接问题，请检查网络后重试',
+                'error-data': '数据处理错误，请刷新页面重试',
+                'ocr-unavailable-pdf': '该PDF为扫描件或图片，OCR识别组件未加载，请刷新页面重试或上传文字版PDF',
+                'ocr-unavailable-image': 'OCR识别组件未加载，无法识别图片简历，请刷新页面重试或上传PDF、Word格式的简历',
+                'image-unreadable': '无法读取图片内容',
+                'image-unsupported': '图片格式不受支持或文件已损坏',
+                'json-syntax-error': 'JSON文件格式错误，无法解析',
+                'json-not-resume': '该JSON文件不是JSON Resume格式（需包含 basics、work、education 等字段）',
+                'odt-missing-content': 'ODT文件缺少正文内容，请尝试另存为 .docx 或 PDF'
             },
             en: {
                 'title': '🎓 Graduate Resume Scorer',
                 'subtitle': 'Professional Assessment • Job Recommendations • Improvement Tips',
                 'upload-title': '📄 Upload Resume',
                 'upload-hint': 'Drag files here or click to select',
-                'file-types': 'Support PDF, Word formats, max 10MB',
+                'file-types': 'Supports PDF, Word, ODT, RTF, TXT, Markdown, HTML, JSON Resume and resume screenshots/photos (JPG, PNG), max 10MB',
                 'select-file': 'Select File',
                 'or': 'or',
                 'paste-title': '📝 Paste Resume Content',
@@ -53,11 +110,14 @@ class I18n {
                 'evaluating': 'Evaluating...',
                 'analyzing': 'Analyzing your resume...',
                 'export': '📥 Export Report',
+                'export-json': '🧾 Export JSON Resume',
                 'share': '🔗 Share Results',
                 'analyze-again': '🔄 Analyze Again',
                 'detailed-scores': '📊 Detailed Scores',
                 'job-recommendations': '🎯 Job Recommendations',
                 'suggestions': '💡 Suggestions',
+                'consistency-checks': '🕒 Timeline Checks',
+                'consistency-none': 'No timeline issues found',
                 'footer': 'Made with ❤️ for Graduates',
                 'loading': 'Processing...',
                 'score-suffix': 'pts',
@@ -71,13 +131,69 @@ class I18n {
                 'ai-analysis-complete': 'AI keyword extraction completed',
                 'ai-confidence': 'AI Confidence',
                 'ai-keyword-extract': 'AI keyword extraction enabled',
-                'ai-traditional-mode': 'Using traditional recognition'
+                'ai-traditional-mode': 'Using traditional recognition',
+                // Word 97-2003 (.doc) parsing related
+                'doc-protected': 'This Word document is protected and cannot be read. Remove the protection in Word, save it as .docx or PDF, then upload again.',
+                'doc-legacy-version': 'This file uses the Word 95 (or older) format, which is not supported. Save it as .docx or PDF in Word or WPS, then upload again.',
+                'doc-not-word': 'This .doc file is not a Word document (it may be another Office file with a renamed extension). Please check and upload again.',
+                'doc-parse-failed': 'Unable to read this Word 97-2003 (.doc) file. Save it as .docx or PDF in Word or WPS, then upload again.',
+                'doc-unknown-format': 'Unable to recognize the format of this Word file. Save it as .docx or PDF in Word or WPS, then upload again.',
+                // Parsing progress
+                'pdf-progress-page': 'Parsing page {page}/{total}...',
+                'pdf-progress-done': 'Pages parsed, organizing text...',
+                'ocr-progress-page': 'Running OCR on page {page}/{total}...',
+                'ocr-progress-preprocess': 'Preprocessing the image (deskewing, enhancing contrast)...',
+                'ocr-progress-image': 'Running OCR on the image...',
+                'ocr-progress-done': 'OCR finished, organizing text...',
+                // PDF page limit
+                'page-limit': 'Max PDF pages to parse',
+                'page-limit-all': 'No limit',
+                'pages-skipped': 'The PDF has {total} pages; only the first {parsed} were parsed, so pages {from}-{to} are not scored. Raise the page limit in the upload area and upload again.',
+                // OCR recognition quality
+                'ocr-low-confidence': '{count} line(s) were recognized with low confidence; scores for their sections are weighted down. Upload a sharper, evenly lit image or a text-based resume.',
+                // Password-protected PDF
+                'pdf-password-title': '🔒 This PDF is password-protected',
+                'pdf-password-prompt': 'Enter the password to open this PDF. It is only used for this parse and is never saved.',
+                'pdf-password-incorrect': 'Incorrect password, please try again ({remaining} attempt(s) left)',
+                'pdf-password-placeholder': 'PDF password',
+                'pdf-password-required': 'This PDF is password-protected and needs a password to be parsed',
+                'pdf-password-cancelled': 'No password entered, so the protected PDF cannot be parsed',
+                'pdf-password-limit': 'Too many incorrect attempts, parsing stopped. Check the password and upload again.',
+                'cancel': 'Cancel',
+                'confirm': 'OK',
+                // Parsing and analysis errors
+                'error-invalid-file': 'Invalid file',
+                'error-empty-file': 'The file is empty, please choose another one',
+                'error-file-too-large': 'The file is too large, please choose a file smaller than {limit}',
+                'error-file-too-small': 'The file is too small to be a valid resume',
+                'error-unsupported-format': 'Unsupported file format. Supported: PDF, Word (.doc, .docx), ODT, RTF, TXT, Markdown, HTML, JSON Resume and images (JPG, PNG)',
+                'error-no-content': 'No usable content could be extracted. Check the file or try another format.',
+                'error-content-too-short': 'The file has too little content, please check it',
+                'error-encrypted': 'The file is password-protected, please upload an unprotected file',
+                'error-file-damaged': 'The file is damaged, please save it again and re-upload',
+                'error-too-complex': 'The file is too large or complex, please simplify it and upload again',
+                'error-lib-not-loaded': '{library} failed to load, please refresh the page',
+                'error-parse-failed': 'Failed to parse the file: {detail}',
+                'error-format-parse-failed': 'Failed to parse the {format} file: {detail}',
+                'error-analysis-failed': 'Resume analysis failed, please try again',
+                'error-unknown': 'Something went wrong, please try again',
+                'error-network': 'Network problem, please check your connection and retry',
+                'error-data': 'Data processing error, please refresh the page',
+                'ocr-unavailable-pdf': 'This PDF is a scan or image and the OCR component is not loaded. Refresh the page or upload a text-based PDF.',
+                'ocr-unavailable-image': 'The OCR component is not loaded, so image resumes cannot be recognized. Refresh the page or upload a PDF or Word resume.',
+                'image-unreadable': 'Unable to read the image',
+                'image-unsupported': 'The image format is not supported or the file is damaged',
+                'json-syntax-error': 'The JSON file is malformed and cannot be parsed',
+                'json-not-resume': 'This JSON file is not in JSON Resume format (it needs fields such as basics, work, education)',
+                'odt-missing-content': 'The ODT file has no body content. Save it as .docx or PDF and try again.'
             }
         };
     }
     
-    t(key) {
-        return this.translations[this.currentLang]?.[key] || key;
+    // params 用于替换文案中的 {name} 占位符
+    t(key, params = {}) {
+        const text = this.translations[this.currentLang]?.[key] || key;
+        return text.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
     }
     
     switchLanguage(lang) {
@@ -0,0 +1,464 @@
+// 境外高校数据 - 港澳台及海外高校的中英文名称、简称和排名区间
+// 排名按区间收录（QS 世界大学排名快照），区间映射到与内地高校相同的分档
+class InternationalUniversityData {
+    static get source() {
+        return { name: 'QS 世界大学排名', short: 'QS', year: 2025 };
+    }
+    
+    // 排名区间 → 分档：前20与清北同档，依次递减
+    static get bands() {
+        return {
+            '1-20': 'topTier',
+            '21-50': 'tier1A',
+            '51-100': 'tier1B',
+            '101-200': 'tier2A',
+            '201-350': 'tier2B',
+            '351-500': 'tier3'
+        };
+    }
+    
+    static get regionNames() {
+        return {
+            HK: '中国香港', MO: '中国澳门', TW: '中国台湾',
+            US: '美国', UK: '英国', CA: '加拿大', AU: '澳大利亚', NZ: '新西兰',
+            SG: '新加坡', JP: '日本', KR: '韩国', MY: '马来西亚', TH: '泰国', IN: '印度',
+            CH: '瑞士', DE: '德国', FR: '法国', NL: '荷兰', BE: '比利时', IE: '爱尔兰',
+            SE: '瑞典', DK: '丹麦', NO: '挪威', FI: '芬兰', AT: '奥地利', IT: '意大利', ES: '西班牙',
+            PT: '葡萄牙', PL: '波兰', CZ: '捷克', GR: '希腊', RU: '俄罗斯', TR: '土耳其', KZ: '哈萨克斯坦',
+            IL: '以色列', SA: '沙特阿拉伯', AE: '阿联酋', QA: '卡塔尔', LB: '黎巴嫩', OM: '阿曼', EG: '埃及',
+            PK: '巴基斯坦', ID: '印度尼西亚', PH: '菲律宾', ZA: '南非',
+            BR: '巴西', MX: '墨西哥', CL: '智利', AR: '阿根廷', CO: '哥伦比亚'
+        };
+    }
+    
+    // name 为通用中文译名，与内地高校重名的加上国家（美国西北大学、日本东北大学）
+    // 简称只收录没有歧义的写法：NTU（南洋理工/台湾大学）、UW、UM、USC 以及与城市同名的 Oxford、Cambridge 等不收录
+    static get universities() {
+        return [
+            { name: '麻省理工学院', en: 'Massachusetts Institute of Technology', aliases: ['MIT', '麻省理工'], region: 'US', band: '1-20' },
+            { name: '帝国理工学院', en: 'Imperial College London', aliases: ['帝国理工', 'Imperial College'], region: 'UK', band: '1-20' },
+            { name: '牛津大学', en: 'University of Oxford', aliases: ['牛津'], region: 'UK', band: '1-20' },
+            { name: '哈佛大学', en: 'Harvard University', aliases: ['哈佛', 'Harvard'], region: 'US', band: '1-20' },
+            { name: '剑桥大学', en: 'University of Cambridge', aliases: ['剑桥'], region: 'UK', band: '1-20' },
+            { name: '斯坦福大学', en: 'Stanford University', aliases: ['斯坦福', 'Stanford'], region: 'US', band: '1-20' },
+            { name: '苏黎世联邦理工学院', en: 'ETH Zurich', aliases: ['苏黎世联邦理工', 'ETH'], region: 'CH', band: '1-20' },
+            { name: '新加坡国立大学', en: 'National University of Singapore', aliases: ['新国立', 'NUS'], region: 'SG', band: '1-20' },
+            { name: '伦敦大学学院', en: 'University College London', aliases: ['UCL'], region: 'UK', band: '1-20' },
+            { name: '加州理工学院', en: 'California Institute of Technology', aliases: ['加州理工', 'Caltech'], region: 'US', band: '1-20' },
+            { name: '香港大学', en: 'The University of Hong Kong', aliases: ['港大', 'HKU', 'University of Hong Kong'], region: 'HK', band: '1-20' },
+            { name: '芝加哥大学', en: 'University of Chicago', aliases: ['UChicago'], region: 'US', band: '1-20' },
+            { name: '宾夕法尼亚大学', en: 'University of Pennsylvania', aliases: ['宾大', 'UPenn'], region: 'US', band: '1-20' },
+            { name: '康奈尔大学', en: 'Cornell University', aliases: ['康奈尔', 'Cornell'], region: 'US', band: '1-20' },
+            { name: '墨尔本大学', en: 'The University of Melbourne', aliases: ['墨大', 'University of Melbourne'], region: 'AU', band: '1-20' },
+            { name: '南洋理工大学', en: 'Nanyang Technological University', aliases: ['南洋理工', 'NTU Singapore'], region: 'SG', band: '1-20' },
+            { name: '加州大学伯克利分校', en: 'University of California, Berkeley', aliases: ['伯克利', 'UC Berkeley', 'UCB'], region: 'US', band: '1-20' },
+            { name: '悉尼大学', en: 'The University of Sydney', aliases: ['University of Sydney', 'USYD'], region: 'AU', band: '1-20' },
+            { name: '新南威尔士大学', en: 'UNSW Sydney', aliases: ['UNSW', 'University of New South Wales'], region: 'AU', band: '1-20' },
+            
+            { name: '普林斯顿大学', en: 'Princeton University', aliases: ['普林斯顿'], region: 'US', band: '21-50' },
+            { name: '耶鲁大学', en: 'Yale University', aliases: ['耶鲁', 'Yale'], region: 'US', band: '21-50' },
+            { name: '哥伦比亚大学', en: 'Columbia University', aliases: [], region: 'US', band: '21-50' },
+            { name: '约翰霍普金斯大学', en: 'Johns Hopkins University', aliases: ['JHU'], region: 'US', band: '21-50' },
+            { name: '洛桑联邦理工学院', en: 'EPFL', aliases: ['École Polytechnique Fédérale de Lausanne'], region: 'CH', band: '21-50' },
+            { name: '慕尼黑工业大学', en: 'Technical University of Munich', aliases: ['TUM'], region: 'DE', band: '21-50' },
+            { name: '麦吉尔大学', en: 'McGill University', aliases: ['McGill'], region: 'CA', band: '21-50' },
+            { name: '多伦多大学', en: 'University of Toronto', aliases: ['UofT'], region: 'CA', band: '21-50' },
+            { name: '澳大利亚国立大学', en: 'The Australian National University', aliases: ['澳国立', 'ANU', 'Australian National University'], region: 'AU', band: '21-50' },
+            { name: '东京大学', en: 'The University of Tokyo', aliases: ['University of Tokyo', 'UTokyo'], region: 'JP', band: '21-50' },
+            { name: '爱丁堡大学', en: 'The University of Edinburgh', aliases: ['University of Edinburgh'], region: 'UK', band: '21-50' },
+            { name: '伦敦国王学院', en: "King's College London", aliases: ['KCL'], region: 'UK', band: '21-50' },
+            { name: '莫纳什大学', en: 'Monash University', aliases: ['Monash'], region: 'AU', band: '21-50' },
+            { name: '密歇根大学', en: 'University of Michigan', aliases: ['UMich'], region: 'US', band: '21-50' },
+            { name: '香港中文大学', en: 'The Chinese University of Hong Kong', aliases: ['港中文', 'CUHK', 'Chinese University of Hong Kong'], region: 'HK', band: '21-50' },
+            { name: '香港科技大学', en: 'The Hong Kong University of Science and Technology', aliases: ['港科大', 'HKUST', 'Hong Kong University of Science and Technology'], region: 'HK', band: '21-50' },
+            { name: '曼彻斯特大学', en: 'The University of Manchester', aliases: ['曼大', 'University of Manchester'], region: 'UK', band: '21-50' },
+            { name: '美国西北大学', en: 'Northwestern University', aliases: [], region: 'US', band: '21-50' },
+            { name: '昆士兰大学', en: 'The University of Queensland', aliases: ['University of Queensland', 'UQ'], region: 'AU', band: '21-50' },
+            { name: '加州大学洛杉矶分校', en: 'University of California, Los Angeles', aliases: ['UCLA'], region: 'US', band: '21-50' },
+            { name: '纽约大学', en: 'New York University', aliases: ['NYU'], region: 'US', band: '21-50' },
+            { name: '首尔大学', en: 'Seoul National University', aliases: ['SNU'], region: 'KR', band: '21-50' },
+            { name: '英属哥伦比亚大学', en: 'University of British Columbia', aliases: ['UBC'], region: 'CA', band: '21-50' },
+            { name: '京都大学', en: 'Kyoto University', aliases: [], region: 'JP', band: '21-50' },
+            { name: '伦敦政治经济学院', en: 'London School of Economics and Political Science', aliases: ['伦敦政经', 'LSE', 'London School of Economics'], region: 'UK', band: '21-50' },
+            { name: '巴黎综合理工学院', en: 'Institut Polytechnique de Paris', aliases: ['École Polytechnique'], region: 'FR', band: '21-50' },
+            { name: '巴黎文理研究大学', en: 'Université PSL', aliases: ['PSL University'], region: 'FR', band: '21-50' },
+            { name: '卡内基梅隆大学', en: 'Carnegie Mellon University', aliases: ['卡梅', 'CMU'], region: 'US', band: '21-50' },
+            { name: '杜克大学', en: 'Duke University', aliases: [], region: 'US', band: '21-50' },
+            { name: '韩国科学技术院', en: 'KAIST', aliases: ['Korea Advanced Institute of Science and Technology'], region: 'KR', band: '21-50' },
+            { name: '代尔夫特理工大学', en: 'Delft University of Technology', aliases: ['TU Delft'], region: 'NL', band: '21-50' },
+            { name: '布里斯托大学', en: 'University of Bristol', aliases: [], region: 'UK', band: '51-100' },
+            
+            { name: '香港理工大学', en: 'The Hong Kong Polytechnic University', aliases: ['港理工', 'PolyU', 'Hong Kong Polytechnic University'], region: 'HK', band: '51-100' },
+            { name: '香港城市大学', en: 'City University of Hong Kong', aliases: ['港城大', 'CityU'], region: 'HK', band: '51-100' },
+            { name: '国立台湾大学', en: 'National Taiwan University', aliases: ['台湾大学', '台大'], region: 'TW', band: '51-100' },
+            { name: '阿姆斯特丹大学', en: 'University of Amsterdam', aliases: ['UvA'], region: 'NL', band: '51-100' },
+            { name: '德克萨斯大学奥斯汀分校', en: 'The University of Texas at Austin', aliases: ['UT Austin', 'University of Texas at Austin'], region: 'US', band: '51-100' },
+            { name: '华威大学', en: 'The University of Warwick', aliases: ['Warwick', 'University of Warwick'], region: 'UK', band: '51-100' },
+            { name: '华盛顿大学', en: 'University of Washington', aliases: [], region: 'US', band: '51-100' },
+            { name: '伊利诺伊大学厄巴纳-香槟分校', en: 'University of Illinois Urbana-Champaign', aliases: ['UIUC'], region: 'US', band: '51-100' },
+            { name: '加州大学圣地亚哥分校', en: 'University of California, San Diego', aliases: ['UCSD'], region: 'US', band: '51-100' },
+            { name: '马来亚大学', en: 'Universiti Malaya', aliases: ['University of Malaya'], region: 'MY', band: '51-100' },
+            { name: '慕尼黑大学', en: 'LMU Munich', aliases: ['Ludwig-Maximilians-Universität München'], region: 'DE', band: '51-100' },
+            { name: '奥克兰大学', en: 'The University of Auckland', aliases: ['University of Auckland'], region: 'NZ', band: '51-100' },
+            { name: '布朗大学', en: 'Brown University', aliases: [], region: 'US', band: '51-100' },
+            { name: '大阪大学', en: 'Osaka University', aliases: [], region: 'JP', band: '51-100' },
+            { name: '东京工业大学', en: 'Tokyo Institute of Technology', aliases: ['Tokyo Tech', 'Institute of Science Tokyo'], region: 'JP', band: '51-100' },
+            { name: '延世大学', en: 'Yonsei University', aliases: [], region: 'KR', band: '51-100' },
+            { name: '高丽大学', en: 'Korea University', aliases: [], region: 'KR', band: '51-100' },
+            { name: '鲁汶大学', en: 'KU Leuven', aliases: [], region: 'BE', band: '51-100' },
+            { name: '海德堡大学', en: 'Heidelberg University', aliases: [], region: 'DE', band: '51-100' },
+            { name: '苏黎世大学', en: 'University of Zurich', aliases: [], region: 'CH', band: '51-100' },
+            { name: '隆德大学', en: 'Lund University', aliases: [], region: 'SE', band: '51-100' },
+            { name: '都柏林圣三一大学', en: 'Trinity College Dublin', aliases: [], region: 'IE', band: '51-100' },
+            { name: '格拉斯哥大学', en: 'University of Glasgow', aliases: [], region: 'UK', band: '51-100' },
+            { name: '伯明翰大学', en: 'University of Birmingham', aliases: [], region: 'UK', band: '51-100' },
+            { name: '利兹大学', en: 'University of Leeds', aliases: [], region: 'UK', band: '51-100' },
+            { name: '南安普顿大学', en: 'University of Southampton', aliases: [], region: 'UK', band: '51-100' },
+            { name: '杜伦大学', en: 'Durham University', aliases: [], region: 'UK', band: '51-100' },
+            { name: '西澳大学', en: 'The University of Western Australia', aliases: ['UWA', 'University of Western Australia'], region: 'AU', band: '51-100' },
+            { name: '阿德莱德大学', en: 'The University of Adelaide', aliases: ['University of Adelaide'], region: 'AU', band: '51-100' },
+            { name: '悉尼科技大学', en: 'University of Technology Sydney', aliases: ['UTS'], region: 'AU', band: '51-100' },
+            { name: '佐治亚理工学院', en: 'Georgia Institute of Technology', aliases: ['Georgia Tech'], region: 'US', band: '51-100' },
+            { name: '普渡大学', en: 'Purdue University', aliases: [], region: 'US', band: '51-100' },
+            { name: '哥本哈根大学', en: 'University of Copenhagen', aliases: [], region: 'DK', band: '51-100' },
+            { name: '瑞典皇家理工学院', en: 'KTH Royal Institute of Technology', aliases: ['KTH'], region: 'SE', band: '51-100' },
+            { name: '浦项科技大学', en: 'Pohang University of Science and Technology', aliases: ['POSTECH'], region: 'KR', band: '51-100' },
+            { name: '索邦大学', en: 'Sorbonne University', aliases: [], region: 'FR', band: '51-100' },
+            { name: '阿尔伯塔大学', en: 'University of Alberta', aliases: [], region: 'CA', band: '51-100' },
+            { name: '亚琛工业大学', en: 'RWTH Aachen University', aliases: ['RWTH'], region: 'DE', band: '51-100' },
+            { name: '柏林自由大学', en: 'Freie Universität Berlin', aliases: ['Free University of Berlin'], region: 'DE', band: '51-100' },
+            { name: '莫斯科国立大学', en: 'Lomonosov Moscow State University', aliases: ['Moscow State University'], region: 'RU', band: '51-100' },
+            { name: '圣保罗大学', en: 'Universidade de São Paulo', aliases: ['University of São Paulo'], region: 'BR', band: '51-100' },
+            { name: '墨西哥国立自治大学', en: 'Universidad Nacional Autónoma de México', aliases: ['UNAM'], region: 'MX', band: '51-100' },
+            { name: '智利天主教大学', en: 'Pontificia Universidad Católica de Chile', aliases: [], region: 'CL', band: '51-100' },
+            { name: '巴黎萨克雷大学', en: 'Université Paris-Saclay', aliases: ['Paris-Saclay University'], region: 'FR', band: '51-100' },
+            { name: '耶路撒冷希伯来大学', en: 'The Hebrew University of Jerusalem', aliases: ['Hebrew University of Jerusalem'], region: 'IL', band: '51-100' },
+            { name: '以色列理工学院', en: 'Technion - Israel Institute of Technology', aliases: ['Technion'], region: 'IL', band: '51-100' },
+            { name: '布宜诺斯艾利斯大学', en: 'Universidad de Buenos Aires', aliases: ['University of Buenos Aires'], region: 'AR', band: '51-100' },
+            
+            { name: '国立清华大学', en: 'National Tsing Hua University', aliases: ['新竹清华', 'NTHU'], region: 'TW', band: '101-200' },
+            { name: '谢菲尔德大学', en: 'The University of Sheffield', aliases: ['University of Sheffield'], region: 'UK', band: '101-200' },
+            { name: '诺丁汉大学', en: 'University of Nottingham', aliases: [], region: 'UK', band: '101-200' },
+            { name: '圣安德鲁斯大学', en: 'University of St Andrews', aliases: [], region: 'UK', band: '101-200' },
+            { name: '伦敦玛丽女王大学', en: 'Queen Mary University of London', aliases: ['QMUL'], region: 'UK', band: '101-200' },
+            { name: '纽卡斯尔大学', en: 'Newcastle University', aliases: [], region: 'UK', band: '101-200' },
+            { name: '兰卡斯特大学', en: 'Lancaster University', aliases: [], region: 'UK', band: '101-200' },
+            { name: '巴斯大学', en: 'University of Bath', aliases: [], region: 'UK', band: '101-200' },
+            { name: '利物浦大学', en: 'University of Liverpool', aliases: [], region: 'UK', band: '101-200' },
+            { name: '埃克塞特大学', en: 'University of Exeter', aliases: [], region: 'UK', band: '101-200' },
+            { name: '英国约克大学', en: 'University of York', aliases: [], region: 'UK', band: '101-200' },
+            { name: '卡迪夫大学', en: 'Cardiff University', aliases: [], region: 'UK', band: '101-200' },
+            { name: '雷丁大学', en: 'University of Reading', aliases: [], region: 'UK', band: '101-200' },
+            { name: '滑铁卢大学', en: 'University of Waterloo', aliases: [], region: 'CA', band: '101-200' },
+            { name: '麦克马斯特大学', en: 'McMaster University', aliases: [], region: 'CA', band: '101-200' },
+            { name: '蒙特利尔大学', en: 'Université de Montréal', aliases: ['University of Montreal'], region: 'CA', band: '101-200' },
+            { name: '西安大略大学', en: 'Western University', aliases: ['University of Western Ontario'], region: 'CA', band: '101-200' },
+            { name: '女王大学', en: "Queen's University", aliases: ["Queen's University at Kingston"], region: 'CA', band: '101-200' },
+            { name: '卡尔加里大学', en: 'University of Calgary', aliases: [], region: 'CA', band: '101-200' },
+            { name: '麦考瑞大学', en: 'Macquarie University', aliases: [], region: 'AU', band: '101-200' },
+            { name: '皇家墨尔本理工大学', en: 'RMIT University', aliases: ['RMIT'], region: 'AU', band: '101-200' },
+            { name: '迪肯大学', en: 'Deakin University', aliases: [], region: 'AU', band: '101-200' },
+            { name: '科廷大学', en: 'Curtin University', aliases: [], region: 'AU', band: '101-200' },
+            { name: '卧龙岗大学', en: 'University of Wollongong', aliases: [], region: 'AU', band: '101-200' },
+            { name: '波士顿大学', en: 'Boston University', aliases: [], region: 'US', band: '101-200' },
+            { name: '宾夕法尼亚州立大学', en: 'Pennsylvania State University', aliases: ['Penn State'], region: 'US', band: '101-200' },
+            { name: '俄亥俄州立大学', en: 'The Ohio State University', aliases: ['Ohio State University'], region: 'US', band: '101-200' },
+            { name: '加州大学戴维斯分校', en: 'University of California, Davis', aliases: ['UC Davis'], region: 'US', band: '101-200' },
+            { name: '加州大学圣塔芭芭拉分校', en: 'University of California, Santa Barbara', aliases: ['UCSB'], region: 'US', band: '101-200' },
+            { name: '莱斯大学', en: 'Rice University', aliases: [], region: 'US', band: '101-200' },
+            { name: '圣路易斯华盛顿大学', en: 'Washington University in St. Louis', aliases: ['WashU'], region: 'US', band: '101-200' },
+            { name: '南加州大学', en: 'University of Southern California', aliases: [], region: 'US', band: '101-200' },
+            { name: '威斯康星大学麦迪逊分校', en: 'University of Wisconsin-Madison', aliases: ['UW-Madison'], region: 'US', band: '101-200' },
+            { name: '北卡罗来纳大学教堂山分校', en: 'University of North Carolina at Chapel Hill', aliases: ['UNC Chapel Hill'], region: 'US', band: '101-200' },
+            { name: '德州农工大学', en: 'Texas A&M University', aliases: [], region: 'US', band: '101-200' },
+            { name: '马里兰大学帕克分校', en: 'University of Maryland, College Park', aliases: ['UMD'], region: 'US', band: '101-200' },
+            { name: '明尼苏达大学', en: 'University of Minnesota', aliases: [], region: 'US', band: '101-200' },
+            { name: '埃默里大学', en: 'Emory University', aliases: [], region: 'US', band: '101-200' },
+            { name: '密歇根州立大学', en: 'Michigan State University', aliases: [], region: 'US', band: '101-200' },
+            { name: '罗切斯特大学', en: 'University of Rochester', aliases: [], region: 'US', band: '101-200' },
+            { name: '凯斯西储大学', en: 'Case Western Reserve University', aliases: [], region: 'US', band: '101-200' },
+            { name: '佛罗里达大学', en: 'University of Florida', aliases: [], region: 'US', band: '101-200' },
+            { name: '日本东北大学', en: 'Tohoku University', aliases: [], region: 'JP', band: '101-200' },
+            { name: '名古屋大学', en: 'Nagoya University', aliases: [], region: 'JP', band: '101-200' },
+            { name: '九州大学', en: 'Kyushu University', aliases: [], region: 'JP', band: '101-200' },
+            { name: '北海道大学', en: 'Hokkaido University', aliases: [], region: 'JP', band: '101-200' },
+            { name: '早稻田大学', en: 'Waseda University', aliases: [], region: 'JP', band: '101-200' },
+            { name: '庆应义塾大学', en: 'Keio University', aliases: [], region: 'JP', band: '101-200' },
+            { name: '成均馆大学', en: 'Sungkyunkwan University', aliases: [], region: 'KR', band: '101-200' },
+            { name: '汉阳大学', en: 'Hanyang University', aliases: [], region: 'KR', band: '101-200' },
+            { name: '马来西亚国民大学', en: 'Universiti Kebangsaan Malaysia', aliases: [], region: 'MY', band: '101-200' },
+            { name: '马来西亚理科大学', en: 'Universiti Sains Malaysia', aliases: [], region: 'MY', band: '101-200' },
+            { name: '博特拉大学', en: 'Universiti Putra Malaysia', aliases: [], region: 'MY', band: '101-200' },
+            { name: '马来西亚理工大学', en: 'Universiti Teknologi Malaysia', aliases: [], region: 'MY', band: '101-200' },
+            { name: '印度理工学院孟买分校', en: 'Indian Institute of Technology Bombay', aliases: ['IIT Bombay'], region: 'IN', band: '101-200' },
+            { name: '印度理工学院德里分校', en: 'Indian Institute of Technology Delhi', aliases: ['IIT Delhi'], region: 'IN', band: '101-200' },
+            { name: '卡尔斯鲁厄理工学院', en: 'Karlsruhe Institute of Technology', aliases: ['KIT'], region: 'DE', band: '101-200' },
+            { name: '柏林工业大学', en: 'Technische Universität Berlin', aliases: ['TU Berlin'], region: 'DE', band: '101-200' },
+            { name: '柏林洪堡大学', en: 'Humboldt-Universität zu Berlin', aliases: ['Humboldt University of Berlin'], region: 'DE', band: '101-200' },
+            { name: '弗莱堡大学', en: 'University of Freiburg', aliases: [], region: 'DE', band: '101-200' },
+            { name: '维也纳大学', en: 'University of Vienna', aliases: [], region: 'AT', band: '101-200' },
+            { name: '维也纳技术大学', en: 'TU Wien', aliases: [], region: 'AT', band: '101-200' },
+            { name: '日内瓦大学', en: 'University of Geneva', aliases: [], region: 'CH', band: '101-200' },
+            { name: '格罗宁根大学', en: 'University of Groningen', aliases: [], region: 'NL', band: '101-200' },
+            { name: '埃因霍温理工大学', en: 'Eindhoven University of Technology', aliases: ['TU Eindhoven'], region: 'NL', band: '101-200' },
+            { name: '莱顿大学', en: 'Leiden University', aliases: [], region: 'NL', band: '101-200' },
+            { name: '乌得勒支大学', en: 'Utrecht University', aliases: [], region: 'NL', band: '101-200' },
+            { name: '鹿特丹伊拉斯姆斯大学', en: 'Erasmus University Rotterdam', aliases: [], region: 'NL', band: '101-200' },
+            { name: '瓦赫宁根大学', en: 'Wageningen University', aliases: [], region: 'NL', band: '101-200' },
+            { name: '都柏林大学', en: 'University College Dublin', aliases: ['UCD'], region: 'IE', band: '101-200' },
+            { name: '根特大学', en: 'Ghent University', aliases: [], region: 'BE', band: '101-200' },
+            { name: '丹麦技术大学', en: 'Technical University of Denmark', aliases: ['DTU'], region: 'DK', band: '101-200' },
+            { name: '奥胡斯大学', en: 'Aarhus University', aliases: [], region: 'DK', band: '101-200' },
+            { name: '斯德哥尔摩大学', en: 'Stockholm University', aliases: [], region: 'SE', band: '101-200' },
+            { name: '查尔姆斯理工大学', en: 'Chalmers University of Technology', aliases: [], region: 'SE', band: '101-200' },
+            { name: '乌普萨拉大学', en: 'Uppsala University', aliases: [], region: 'SE', band: '101-200' },
+            { name: '阿尔托大学', en: 'Aalto University', aliases: [], region: 'FI', band: '101-200' },
+            { name: '赫尔辛基大学', en: 'University of Helsinki', aliases: [], region: 'FI', band: '101-200' },
+            { name: '奥斯陆大学', en: 'University of Oslo', aliases: [], region: 'NO', band: '101-200' },
+            { name: '米兰理工大学', en: 'Politecnico di Milano', aliases: [], region: 'IT', band: '101-200' },
+            { name: '博洛尼亚大学', en: 'University of Bologna', aliases: [], region: 'IT', band: '101-200' },
+            { name: '罗马大学', en: 'Sapienza University of Rome', aliases: [], region: 'IT', band: '101-200' },
+            { name: '巴塞罗那大学', en: 'Universitat de Barcelona', aliases: ['University of Barcelona'], region: 'ES', band: '101-200' },
+            { name: '马德里自治大学', en: 'Universidad Autónoma de Madrid', aliases: [], region: 'ES', band: '101-200' },
+            { name: '开普敦大学', en: 'University of Cape Town', aliases: [], region: 'ZA', band: '101-200' },
+            { name: '澳大利亚纽卡斯尔大学', en: 'The University of Newcastle, Australia', aliases: [], region: 'AU', band: '101-200' },
+            { name: '里昂高等师范学院', en: 'École Normale Supérieure de Lyon', aliases: ['ENS Lyon'], region: 'FR', band: '101-200' },
+            { name: '德累斯顿工业大学', en: 'Technische Universität Dresden', aliases: ['TU Dresden'], region: 'DE', band: '101-200' },
+            { name: '汉堡大学', en: 'Universität Hamburg', aliases: ['University of Hamburg'], region: 'DE', band: '101-200' },
+            { name: '伯尔尼大学', en: 'University of Bern', aliases: [], region: 'CH', band: '101-200' },
+            { name: '巴塞尔大学', en: 'University of Basel', aliases: [], region: 'CH', band: '101-200' },
+            { name: '鲁汶天主教大学', en: 'Université catholique de Louvain', aliases: ['UCLouvain'], region: 'BE', band: '101-200' },
+            { name: '哥德堡大学', en: 'University of Gothenburg', aliases: [], region: 'SE', band: '101-200' },
+            { name: '巴塞罗那自治大学', en: 'Universitat Autònoma de Barcelona', aliases: ['Autonomous University of Barcelona'], region: 'ES', band: '101-200' },
+            { name: '马德里康普顿斯大学', en: 'Universidad Complutense de Madrid', aliases: ['Complutense University of Madrid'], region: 'ES', band: '101-200' },
+            { name: '阿卜杜勒阿齐兹国王大学', en: 'King Abdulaziz University', aliases: [], region: 'SA', band: '101-200' },
+            { name: '法赫德国王石油与矿产大学', en: 'King Fahd University of Petroleum & Minerals', aliases: ['KFUPM'], region: 'SA', band: '101-200' },
+            { name: '卡塔尔大学', en: 'Qatar University', aliases: [], region: 'QA', band: '101-200' },
+            { name: '智利大学', en: 'Universidad de Chile', aliases: ['University of Chile'], region: 'CL', band: '101-200' },
+            { name: '蒙特雷科技大学', en: 'Tecnológico de Monterrey', aliases: ['Monterrey Institute of Technology'], region: 'MX', band: '101-200' },
+            { name: '阿尔法拉比哈萨克国立大学', en: 'Al-Farabi Kazakh National University', aliases: [], region: 'KZ', band: '101-200' },
+            
+            { name: '澳门大学', en: 'University of Macau', aliases: [], region: 'MO', band: '201-350' },
+            { name: '澳门科技大学', en: 'Macau University of Science and Technology', aliases: ['澳科大'], region: 'MO', band: '201-350' },
+            { name: '香港浸会大学', en: 'Hong Kong Baptist University', aliases: ['浸会大学', '浸大', 'HKBU'], region: 'HK', band: '201-350' },
+            { name: '国立阳明交通大学', en: 'National Yang Ming Chiao Tung University', aliases: ['阳明交大', 'NYCU'], region: 'TW', band: '201-350' },
+            { name: '国立成功大学', en: 'National Cheng Kung University', aliases: ['成功大学', 'NCKU'], region: 'TW', band: '201-350' },
+            { name: '萨塞克斯大学', en: 'University of Sussex', aliases: [], region: 'UK', band: '201-350' },
+            { name: '拉夫堡大学', en: 'Loughborough University', aliases: [], region: 'UK', band: '201-350' },
+            { name: '莱斯特大学', en: 'University of Leicester', aliases: [], region: 'UK', band: '201-350' },
+            { name: '贝尔法斯特女王大学', en: "Queen's University Belfast", aliases: [], region: 'UK', band: '201-350' },
+            { name: '斯特拉斯克莱德大学', en: 'University of Strathclyde', aliases: [], region: 'UK', band: '201-350' },
+            { name: '赫瑞-瓦特大学', en: 'Heriot-Watt University', aliases: [], region: 'UK', band: '201-350' },
+            { name: '阿伯丁大学', en: 'University of Aberdeen', aliases: [], region: 'UK', band: '201-350' },
+            { name: '萨里大学', en: 'University of Surrey', aliases: [], region: 'UK', band: '201-350' },
+            { name: '伦敦大学皇家霍洛威学院', en: 'Royal Holloway, University of London', aliases: [], region: 'UK', band: '201-350' },
+            { name: '东英吉利大学', en: 'University of East Anglia', aliases: ['UEA'], region: 'UK', band: '201-350' },
+            { name: '西蒙菲莎大学', en: 'Simon Fraser University', aliases: ['SFU'], region: 'CA', band: '201-350' },
+            { name: '渥太华大学', en: 'University of Ottawa', aliases: [], region: 'CA', band: '201-350' },
+            { name: '达尔豪斯大学', en: 'Dalhousie University', aliases: [], region: 'CA', band: '201-350' },
+            { name: '昆士兰科技大学', en: 'Queensland University of Technology', aliases: ['QUT'], region: 'AU', band: '201-350' },
+            { name: '格里菲斯大学', en: 'Griffith University', aliases: [], region: 'AU', band: '201-350' },
+            { name: '拉筹伯大学', en: 'La Trobe University', aliases: [], region: 'AU', band: '201-350' },
+            { name: '斯威本科技大学', en: 'Swinburne University of Technology', aliases: [], region: 'AU', band: '201-350' },
+            { name: '塔斯马尼亚大学', en: 'University of Tasmania', aliases: [], region: 'AU', band: '201-350' },
+            { name: '惠灵顿维多利亚大学', en: 'Victoria University of Wellington', aliases: [], region: 'NZ', band: '201-350' },
+            { name: '奥塔哥大学', en: 'University of Otago', aliases: [], region: 'NZ', band: '201-350' },
+            { name: '加州大学欧文分校', en: 'University of California, Irvine', aliases: ['UC Irvine', 'UCI'], region: 'US', band: '201-350' },
+            { name: '罗格斯大学', en: 'Rutgers University', aliases: ['Rutgers'], region: 'US', band: '201-350' },
+            { name: '亚利桑那州立大学', en: 'Arizona State University', aliases: [], region: 'US', band: '201-350' },
+            { name: '匹兹堡大学', en: 'University of Pittsburgh', aliases: [], region: 'US', band: '201-350' },
+            { name: '弗吉尼亚大学', en: 'University of Virginia', aliases: [], region: 'US', band: '201-350' },
+            { name: '塔夫茨大学', en: 'Tufts University', aliases: [], region: 'US', band: '201-350' },
+            { name: '范德堡大学', en: 'Vanderbilt University', aliases: [], region: 'US', band: '201-350' },
+            { name: '乔治城大学', en: 'Georgetown University', aliases: [], region: 'US', band: '201-350' },
+            { name: '圣母大学', en: 'University of Notre Dame', aliases: [], region: 'US', band: '201-350' },
+            { name: '达特茅斯学院', en: 'Dartmouth College', aliases: [], region: 'US', band: '201-350' },
+            { name: '图宾根大学', en: 'University of Tübingen', aliases: [], region: 'DE', band: '201-350' },
+            { name: '卑尔根大学', en: 'University of Bergen', aliases: [], region: 'NO', band: '201-350' },
+            { name: '帕多瓦大学', en: 'University of Padua', aliases: ['Università di Padova'], region: 'IT', band: '201-350' },
+            { name: '都灵理工大学', en: 'Politecnico di Torino', aliases: [], region: 'IT', band: '201-350' },
+            { name: '朱拉隆功大学', en: 'Chulalongkorn University', aliases: [], region: 'TH', band: '201-350' },
+            { name: '巴黎西岱大学', en: 'Université Paris Cité', aliases: ['Paris Cité University'], region: 'FR', band: '201-350' },
+            { name: '巴黎政治学院', en: 'Sciences Po', aliases: [], region: 'FR', band: '201-350' },
+            { name: '格勒诺布尔-阿尔卑斯大学', en: 'Université Grenoble Alpes', aliases: [], region: 'FR', band: '201-350' },
+            { name: '波恩大学', en: 'University of Bonn', aliases: [], region: 'DE', band: '201-350' },
+            { name: '哥廷根大学', en: 'University of Göttingen', aliases: [], region: 'DE', band: '201-350' },
+            { name: '斯图加特大学', en: 'University of Stuttgart', aliases: [], region: 'DE', band: '201-350' },
+            { name: '达姆施塔特工业大学', en: 'Technische Universität Darmstadt', aliases: ['TU Darmstadt'], region: 'DE', band: '201-350' },
+            { name: '科隆大学', en: 'University of Cologne', aliases: [], region: 'DE', band: '201-350' },
+            { name: '埃尔朗根-纽伦堡大学', en: 'Friedrich-Alexander-Universität Erlangen-Nürnberg', aliases: ['FAU Erlangen-Nürnberg'], region: 'DE', band: '201-350' },
+            { name: '法兰克福大学', en: 'Goethe University Frankfurt', aliases: [], region: 'DE', band: '201-350' },
+            { name: '洛桑大学', en: 'University of Lausanne', aliases: [], region: 'CH', band: '201-350' },
+            { name: '因斯布鲁克大学', en: 'University of Innsbruck', aliases: [], region: 'AT', band: '201-350' },
+            { name: '特温特大学', en: 'University of Twente', aliases: [], region: 'NL', band: '201-350' },
+            { name: '拉德堡德大学', en: 'Radboud University', aliases: [], region: 'NL', band: '201-350' },
+            { name: '阿姆斯特丹自由大学', en: 'Vrije Universiteit Amsterdam', aliases: ['VU Amsterdam'], region: 'NL', band: '201-350' },
+            { name: '马斯特里赫特大学', en: 'Maastricht University', aliases: [], region: 'NL', band: '201-350' },
+            { name: '布鲁塞尔荷语自由大学', en: 'Vrije Universiteit Brussel', aliases: [], region: 'BE', band: '201-350' },
+            { name: '布鲁塞尔自由大学', en: 'Université libre de Bruxelles', aliases: [], region: 'BE', band: '201-350' },
+            { name: '安特卫普大学', en: 'University of Antwerp', aliases: [], region: 'BE', band: '201-350' },
+            { name: '奥尔堡大学', en: 'Aalborg University', aliases: [], region: 'DK', band: '201-350' },
+            { name: '林雪平大学', en: 'Linköping University', aliases: [], region: 'SE', band: '201-350' },
+            { name: '挪威科技大学', en: 'Norwegian University of Science and Technology', aliases: [], region: 'NO', band: '201-350' },
+            { name: '图尔库大学', en: 'University of Turku', aliases: [], region: 'FI', band: '201-350' },
+            { name: '爱尔兰国立高威大学', en: 'University of Galway', aliases: [], region: 'IE', band: '201-350' },
+            { name: '爱尔兰科克大学', en: 'University College Cork', aliases: [], region: 'IE', band: '201-350' },
+            { name: '米兰大学', en: 'University of Milan', aliases: ['Università degli Studi di Milano'], region: 'IT', band: '201-350' },
+            { name: '那不勒斯菲里德里克二世大学', en: 'University of Naples Federico II', aliases: [], region: 'IT', band: '201-350' },
+            { name: '比萨高等师范学校', en: 'Scuola Normale Superiore di Pisa', aliases: [], region: 'IT', band: '201-350' },
+            { name: '庞培法布拉大学', en: 'Universitat Pompeu Fabra', aliases: [], region: 'ES', band: '201-350' },
+            { name: '纳瓦拉大学', en: 'Universidad de Navarra', aliases: ['University of Navarra'], region: 'ES', band: '201-350' },
+            { name: '加泰罗尼亚理工大学', en: 'Universitat Politècnica de Catalunya', aliases: [], region: 'ES', band: '201-350' },
+            { name: '马德里理工大学', en: 'Universidad Politécnica de Madrid', aliases: [], region: 'ES', band: '201-350' },
+            { name: '里斯本大学', en: 'Universidade de Lisboa', aliases: ['University of Lisbon'], region: 'PT', band: '201-350' },
+            { name: '波尔图大学', en: 'Universidade do Porto', aliases: ['University of Porto'], region: 'PT', band: '201-350' },
+            { name: '华沙大学', en: 'University of Warsaw', aliases: [], region: 'PL', band: '201-350' },
+            { name: '雅盖隆大学', en: 'Jagiellonian University', aliases: [], region: 'PL', band: '201-350' },
+            { name: '布拉格查理大学', en: 'Charles University', aliases: [], region: 'CZ', band: '201-350' },
+            { name: '圣彼得堡国立大学', en: 'Saint Petersburg State University', aliases: [], region: 'RU', band: '201-350' },
+            { name: '鲍曼莫斯科国立技术大学', en: 'Bauman Moscow State Technical University', aliases: [], region: 'RU', band: '201-350' },
+            { name: '莫斯科物理技术学院', en: 'Moscow Institute of Physics and Technology', aliases: ['MIPT'], region: 'RU', band: '201-350' },
+            { name: '特拉维夫大学', en: 'Tel Aviv University', aliases: [], region: 'IL', band: '201-350' },
+            { name: '沙特国王大学', en: 'King Saud University', aliases: [], region: 'SA', band: '201-350' },
+            { name: '哈利法大学', en: 'Khalifa University', aliases: ['Khalifa University of Science and Technology'], region: 'AE', band: '201-350' },
+            { name: '阿联酋大学', en: 'United Arab Emirates University', aliases: [], region: 'AE', band: '201-350' },
+            { name: '沙迦美国大学', en: 'American University of Sharjah', aliases: [], region: 'AE', band: '201-350' },
+            { name: '贝鲁特美国大学', en: 'American University of Beirut', aliases: [], region: 'LB', band: '201-350' },
+            { name: '印度科学理工学院', en: 'Indian Institute of Science', aliases: ['IISc'], region: 'IN', band: '201-350' },
+            { name: '印度理工学院马德拉斯分校', en: 'Indian Institute of Technology Madras', aliases: ['IIT Madras'], region: 'IN', band: '201-350' },
+            { name: '印度理工学院卡拉格普尔分校', en: 'Indian Institute of Technology Kharagpur', aliases: ['IIT Kharagpur'], region: 'IN', band: '201-350' },
+            { name: '印度理工学院坎普尔分校', en: 'Indian Institute of Technology Kanpur', aliases: ['IIT Kanpur'], region: 'IN', band: '201-350' },
+            { name: '印度理工学院鲁尔基分校', en: 'Indian Institute of Technology Roorkee', aliases: ['IIT Roorkee'], region: 'IN', band: '201-350' },
+            { name: '印度理工学院古瓦哈提分校', en: 'Indian Institute of Technology Guwahati', aliases: ['IIT Guwahati'], region: 'IN', band: '201-350' },
+            { name: '德里大学', en: 'University of Delhi', aliases: [], region: 'IN', band: '201-350' },
+            { name: '印度尼西亚大学', en: 'Universitas Indonesia', aliases: ['University of Indonesia'], region: 'ID', band: '201-350' },
+            { name: '加查马达大学', en: 'Universitas Gadjah Mada', aliases: ['Gadjah Mada University'], region: 'ID', band: '201-350' },
+            { name: '万隆理工学院', en: 'Institut Teknologi Bandung', aliases: ['Bandung Institute of Technology'], region: 'ID', band: '201-350' },
+            { name: '艾尔朗加大学', en: 'Universitas Airlangga', aliases: ['Airlangga University'], region: 'ID', band: '201-350' },
+            { name: '马来西亚国油科技大学', en: 'Universiti Teknologi PETRONAS', aliases: [], region: 'MY', band: '201-350' },
+            { name: '泰莱大学', en: "Taylor's University", aliases: [], region: 'MY', band: '201-350' },
+            { name: '思特雅大学', en: 'UCSI University', aliases: [], region: 'MY', band: '201-350' },
+            { name: '筑波大学', en: 'University of Tsukuba', aliases: [], region: 'JP', band: '201-350' },
+            { name: '庆熙大学', en: 'Kyung Hee University', aliases: [], region: 'KR', band: '201-350' },
+            { name: '蔚山科学技术院', en: 'Ulsan National Institute of Science and Technology', aliases: ['UNIST'], region: 'KR', band: '201-350' },
+            { name: '坎特伯雷大学', en: 'University of Canterbury', aliases: [], region: 'NZ', band: '201-350' },
+            { name: '梅西大学', en: 'Massey University', aliases: [], region: 'NZ', band: '201-350' },
+            { name: '怀卡托大学', en: 'University of Waikato', aliases: [], region: 'NZ', band: '201-350' },
+            { name: '科罗拉多大学博尔德分校', en: 'University of Colorado Boulder', aliases: ['CU Boulder'], region: 'US', band: '201-350' },
+            { name: '亚利桑那大学', en: 'The University of Arizona', aliases: ['University of Arizona'], region: 'US', band: '201-350' },
+            { name: '马萨诸塞大学阿默斯特分校', en: 'University of Massachusetts Amherst', aliases: ['UMass Amherst'], region: 'US', band: '201-350' },
+            { name: '北卡罗来纳州立大学', en: 'North Carolina State University', aliases: ['NC State'], region: 'US', band: '201-350' },
+            { name: '迈阿密大学', en: 'University of Miami', aliases: [], region: 'US', band: '201-350' },
+            { name: '坎皮纳斯州立大学', en: 'Universidade Estadual de Campinas', aliases: ['Unicamp'], region: 'BR', band: '201-350' },
+            { name: '里约热内卢联邦大学', en: 'Universidade Federal do Rio de Janeiro', aliases: [], region: 'BR', band: '201-350' },
+            { name: '哥伦比亚安第斯大学', en: 'Universidad de los Andes', aliases: [], region: 'CO', band: '201-350' },
+            { name: '哥伦比亚国立大学', en: 'Universidad Nacional de Colombia', aliases: [], region: 'CO', band: '201-350' },
+            { name: '金山大学', en: 'University of the Witwatersrand', aliases: ['Wits University'], region: 'ZA', band: '201-350' },
+            { name: '斯泰伦博斯大学', en: 'Stellenbosch University', aliases: [], region: 'ZA', band: '201-350' },
+            { name: '约翰内斯堡大学', en: 'University of Johannesburg', aliases: [], region: 'ZA', band: '201-350' },
+            { name: '比勒陀利亚大学', en: 'University of Pretoria', aliases: [], region: 'ZA', band: '201-350' },
+            
+            { name: '美国东北大学', en: 'Northeastern University', aliases: [], region: 'US', band: '351-500' },
+            { name: '石溪大学', en: 'Stony Brook University', aliases: [], region: 'US', band: '351-500' },
+            { name: '雪城大学', en: 'Syracuse University', aliases: [], region: 'US', band: '351-500' },
+            { name: '伦敦城市大学', en: 'City, University of London', aliases: [], region: 'UK', band: '351-500' },
+            { name: '肯特大学', en: 'University of Kent', aliases: [], region: 'UK', band: '351-500' },
+            { name: '埃塞克斯大学', en: 'University of Essex', aliases: [], region: 'UK', band: '351-500' },
+            { name: '邓迪大学', en: 'University of Dundee', aliases: [], region: 'UK', band: '351-500' },
+            { name: '布鲁内尔大学', en: 'Brunel University London', aliases: [], region: 'UK', band: '351-500' },
+            { name: '斯旺西大学', en: 'Swansea University', aliases: [], region: 'UK', band: '351-500' },
+            { name: '西悉尼大学', en: 'Western Sydney University', aliases: [], region: 'AU', band: '351-500' },
+            { name: '加拿大约克大学', en: 'York University', aliases: [], region: 'CA', band: '351-500' },
+            { name: '明斯特大学', en: 'University of Münster', aliases: [], region: 'DE', band: '351-500' },
+            { name: '曼海姆大学', en: 'University of Mannheim', aliases: [], region: 'DE', band: '351-500' },
+            { name: '汉诺威大学', en: 'Leibniz University Hannover', aliases: [], region: 'DE', band: '351-500' },
+            { name: '维尔茨堡大学', en: 'University of Würzburg', aliases: [], region: 'DE', band: '351-500' },
+            { name: '莱比锡大学', en: 'Leipzig University', aliases: [], region: 'DE', band: '351-500' },
+            { name: '耶拿大学', en: 'Friedrich Schiller University Jena', aliases: [], region: 'DE', band: '351-500' },
+            { name: '波鸿鲁尔大学', en: 'Ruhr University Bochum', aliases: [], region: 'DE', band: '351-500' },
+            { name: '美因茨大学', en: 'Johannes Gutenberg University Mainz', aliases: [], region: 'DE', band: '351-500' },
+            { name: '格拉茨技术大学', en: 'Graz University of Technology', aliases: ['TU Graz'], region: 'AT', band: '351-500' },
+            { name: '蒂尔堡大学', en: 'Tilburg University', aliases: [], region: 'NL', band: '351-500' },
+            { name: '列日大学', en: 'University of Liège', aliases: [], region: 'BE', band: '351-500' },
+            { name: '南丹麦大学', en: 'University of Southern Denmark', aliases: [], region: 'DK', band: '351-500' },
+            { name: '于默奥大学', en: 'Umeå University', aliases: [], region: 'SE', band: '351-500' },
+            { name: '坦佩雷大学', en: 'Tampere University', aliases: [], region: 'FI', band: '351-500' },
+            { name: '奥卢大学', en: 'University of Oulu', aliases: [], region: 'FI', band: '351-500' },
+            { name: '于韦斯屈莱大学', en: 'University of Jyväskylä', aliases: [], region: 'FI', band: '351-500' },
+            { name: '都柏林城市大学', en: 'Dublin City University', aliases: [], region: 'IE', band: '351-500' },
+            { name: '利默里克大学', en: 'University of Limerick', aliases: [], region: 'IE', band: '351-500' },
+            { name: '比萨大学', en: 'University of Pisa', aliases: [], region: 'IT', band: '351-500' },
+            { name: '佛罗伦萨大学', en: 'University of Florence', aliases: [], region: 'IT', band: '351-500' },
+            { name: '都灵大学', en: 'University of Turin', aliases: [], region: 'IT', band: '351-500' },
+            { name: '特伦托大学', en: 'University of Trento', aliases: [], region: 'IT', band: '351-500' },
+            { name: '瓦伦西亚大学', en: 'Universitat de València', aliases: ['University of Valencia'], region: 'ES', band: '351-500' },
+            { name: '马德里卡洛斯三世大学', en: 'Universidad Carlos III de Madrid', aliases: [], region: 'ES', band: '351-500' },
+            { name: '科英布拉大学', en: 'Universidade de Coimbra', aliases: ['University of Coimbra'], region: 'PT', band: '351-500' },
+            { name: '华沙理工大学', en: 'Warsaw University of Technology', aliases: [], region: 'PL', band: '351-500' },
+            { name: '捷克理工大学', en: 'Czech Technical University in Prague', aliases: [], region: 'CZ', band: '351-500' },
+            { name: '雅典国立技术大学', en: 'National Technical University of Athens', aliases: [], region: 'GR', band: '351-500' },
+            { name: '俄罗斯高等经济大学', en: 'HSE University', aliases: ['National Research University Higher School of Economics'], region: 'RU', band: '351-500' },
+            { name: '中东技术大学', en: 'Middle East Technical University', aliases: ['METU'], region: 'TR', band: '351-500' },
+            { name: '科驰大学', en: 'Koç University', aliases: [], region: 'TR', band: '351-500' },
+            { name: '伊斯坦布尔技术大学', en: 'Istanbul Technical University', aliases: [], region: 'TR', band: '351-500' },
+            { name: '苏丹卡布斯大学', en: 'Sultan Qaboos University', aliases: [], region: 'OM', band: '351-500' },
+            { name: '开罗美国大学', en: 'The American University in Cairo', aliases: ['American University in Cairo'], region: 'EG', band: '351-500' },
+            { name: '开罗大学', en: 'Cairo University', aliases: [], region: 'EG', band: '351-500' },
+            { name: '安娜大学', en: 'Anna University', aliases: [], region: 'IN', band: '351-500' },
+            { name: '巴基斯坦国立科技大学', en: 'National University of Sciences and Technology', aliases: ['NUST Pakistan'], region: 'PK', band: '351-500' },
+            { name: '茂物农业大学', en: 'IPB University', aliases: [], region: 'ID', band: '351-500' },
+            { name: '玛希隆大学', en: 'Mahidol University', aliases: [], region: 'TH', band: '351-500' },
+            { name: '菲律宾大学', en: 'University of the Philippines', aliases: [], region: 'PH', band: '351-500' },
+            { name: '神户大学', en: 'Kobe University', aliases: [], region: 'JP', band: '351-500' },
+            { name: '梨花女子大学', en: 'Ewha Womans University', aliases: [], region: 'KR', band: '351-500' },
+            { name: '西江大学', en: 'Sogang University', aliases: [], region: 'KR', band: '351-500' },
+            { name: '国立台湾科技大学', en: 'National Taiwan University of Science and Technology', aliases: ['台湾科技大学', 'NTUST', 'Taiwan Tech'], region: 'TW', band: '351-500' },
+            { name: '国立中山大学', en: 'National Sun Yat-sen University', aliases: ['NSYSU'], region: 'TW', band: '351-500' },
+            { name: '国立中央大学', en: 'National Central University', aliases: [], region: 'TW', band: '351-500' },
+            { name: '国立台湾师范大学', en: 'National Taiwan Normal University', aliases: ['台湾师范大学', 'NTNU Taiwan'], region: 'TW', band: '351-500' },
+            { name: '台北医学大学', en: 'Taipei Medical University', aliases: [], region: 'TW', band: '351-500' },
+            { name: '南澳大学', en: 'University of South Australia', aliases: ['UniSA'], region: 'AU', band: '351-500' },
+            { name: '弗林德斯大学', en: 'Flinders University', aliases: [], region: 'AU', band: '351-500' },
+            { name: '詹姆斯库克大学', en: 'James Cook University', aliases: [], region: 'AU', band: '351-500' },
+            { name: '堪培拉大学', en: 'University of Canberra', aliases: [], region: 'AU', band: '351-500' },
+            { name: '邦德大学', en: 'Bond University', aliases: [], region: 'AU', band: '351-500' },
+            { name: '查尔斯达尔文大学', en: 'Charles Darwin University', aliases: [], region: 'AU', band: '351-500' },
+            { name: '新西兰林肯大学', en: 'Lincoln University', aliases: [], region: 'NZ', band: '351-500' },
+            { name: '奥克兰理工大学', en: 'Auckland University of Technology', aliases: ['AUT'], region: 'NZ', band: '351-500' },
+            { name: '拉瓦尔大学', en: 'Université Laval', aliases: ['Laval University'], region: 'CA', band: '351-500' },
+            { name: '萨斯喀彻温大学', en: 'University of Saskatchewan', aliases: [], region: 'CA', band: '351-500' },
+            { name: '加拿大维多利亚大学', en: 'University of Victoria', aliases: [], region: 'CA', band: '351-500' },
+            { name: '康考迪亚大学', en: 'Concordia University', aliases: [], region: 'CA', band: '351-500' },
+            { name: '斯特灵大学', en: 'University of Stirling', aliases: [], region: 'UK', band: '351-500' },
+            { name: '阿斯顿大学', en: 'Aston University', aliases: [], region: 'UK', band: '351-500' },
+            { name: '印第安纳大学伯明顿分校', en: 'Indiana University Bloomington', aliases: [], region: 'US', band: '351-500' },
+            { name: '弗吉尼亚理工大学', en: 'Virginia Polytechnic Institute and State University', aliases: ['Virginia Tech'], region: 'US', band: '351-500' },
+            { name: '犹他大学', en: 'The University of Utah', aliases: ['University of Utah'], region: 'US', band: '351-500' },
+            { name: '加州大学河滨分校', en: 'University of California, Riverside', aliases: ['UC Riverside'], region: 'US', band: '351-500' },
+            { name: '加州大学圣克鲁兹分校', en: 'University of California, Santa Cruz', aliases: ['UC Santa Cruz'], region: 'US', band: '351-500' },
+            { name: '爱荷华大学', en: 'The University of Iowa', aliases: ['University of Iowa'], region: 'US', band: '351-500' },
+            { name: '乔治华盛顿大学', en: 'The George Washington University', aliases: ['George Washington University'], region: 'US', band: '351-500' },
+            { name: '布兰迪斯大学', en: 'Brandeis University', aliases: [], region: 'US', band: '351-500' },
+            { name: '康涅狄格大学', en: 'University of Connecticut', aliases: ['UConn'], region: 'US', band: '351-500' },
+            { name: '纽约州立大学布法罗分校', en: 'University at Buffalo', aliases: ['University at Buffalo SUNY', 'SUNY Buffalo'], region: 'US', band: '351-500' },
+            { name: '伦斯勒理工学院', en: 'Rensselaer Polytechnic Institute', aliases: ['RPI'], region: 'US', band: '351-500' },
+            { name: '伊利诺伊大学芝加哥分校', en: 'University of Illinois Chicago', aliases: [], region: 'US', band: '351-500' },
+            { name: '波士顿学院', en: 'Boston College', aliases: [], region: 'US', band: '351-500' },
+            { name: '圣保罗州立大学', en: 'Universidade Estadual Paulista', aliases: ['Unesp'], region: 'BR', band: '351-500' },
+            { name: '智利圣地亚哥大学', en: 'Universidad de Santiago de Chile', aliases: [], region: 'CL', band: '351-500' },
+            { name: '哥伦比亚哈维里亚纳大学', en: 'Pontificia Universidad Javeriana', aliases: [], region: 'CO', band: '351-500' }
+        ];
+    }
+    
+    static tierOf(band) {
+        return this.bands[band] || 'tier3';
+    }
+    
+    // 排名说明，如“QS 2025 第21-50名”
+    static describeRanking(ranking) {
+        return ranking ? `${ranking.source} ${ranking.year} 第${ranking.band}名` : '';
+    }
+}
+
+// 导出
+window.InternationalUniversityData = InternationalUniversityData;
@@ -0,0 +1,538 @@
+// JSON Resume (jsonresume.org) 导入导出 - 导入时直接映射为评分所需的分析结构，导出时由分析结果生成 JSON Resume
+class JSONResumeAdapter {
+    static isJSONResume(data) {
+        if (!data || typeof data !== 'object' || Array.isArray(data)) return false;
+        const sections = ['basics', 'work', 'education', 'skills', 'projects', 'awards'];
+        return sections.some(key => key in data) && (!data.basics || typeof data.basics === 'object');
+    }
+    
+    static parse(jsonText) {
+        let data;
+        try {
+            data = JSON.parse(jsonText.replace(/^\uFEFF/, ''));
+        } catch (error) {
+            throw new ExtractionFailedError('json-syntax-error', {}, error);
+        }
+        
+        if (!this.isJSONResume(data)) {
+            throw new UnsupportedFormatError('json-not-resume');
+        }
+        
+        return data;
+    }
+    
+    // 生成可读文本（用于文本框显示和关键词提取），章节名使用结构化处理后的标准名称
+    static toText(resume) {
+        const basics = resume.basics || {};
+        const location = basics.location || {};
+        const lines = [];
+        const headings = [];
+        
+        const addSection = (title, entries) => {
+            if (entries.length === 0) return;
+            headings.push({ text: title, level: 1 });
+            lines.push('', title, ...entries);
+        };
+        const period = (item) => [item.startDate, item.endDate || (item.startDate ? '至今' : '')].filter(Boolean).join(' - ');
+        const highlights = (item) => (item.highlights || []).map(highlight => `- ${highlight}`);
+        
+        if (basics.name) lines.push(basics.name);
+        if (basics.label) lines.push(`求职意向：${basics.label}`);
+        
+        const contacts = [
+            basics.phone && `电话：${basics.phone}`,
+            basics.email && `邮箱：${basics.email}`,
+            [location.city, location.region, location.address].filter(Boolean).join(' '),
+            basics.url || basics.website
+        ].filter(Boolean);
+        if (contacts.length > 0) lines.push(contacts.join(' | '));
+        
+        (basics.profiles || []).forEach(profile => {
+            lines.push([profile.network, profile.url || profile.username].filter(Boolean).join('：'));
+        });
+        
+        addSection('自我评价', basics.summary ? [basics.summary] : []);
+        
+        addSection('教育背景', (resume.education || []).flatMap(item => [
+            [item.institution, item.area, item.studyType, period(item)].filter(Boolean).join(' '),
+            ...(item.score ? [`GPA：${item.score}`] : []),
+            ...(item.courses && item.courses.length > 0 ? [`主修课程：${item.courses.join('、')}`] : [])
+        ]));
+        
+        addSection('工作经验', (resume.work || []).flatMap(item => [
+            [item.name || item.company, item.position, period(item)].filter(Boolean).join(' '),
+            ...(item.summary ? [item.summary] : []),
+            ...highlights(item)
+        ]));
+        
+        addSection('项目经验', (resume.projects || []).flatMap(item => [
+            [item.name, (item.roles || []).join('、'), period(item)].filter(Boolean).join(' '),
+            ...(item.description ? [item.description] : []),
+            ...highlights(item)
+        ]));
+        
+        addSection('校园经历', (resume.volunteer || []).flatMap(item => [
+            [item.organization, item.position, period(item)].filter(Boolean).join(' '),
+            ...(item.summary ? [item.summary] : []),
+            ...highlights(item)
+        ]));
+        
+        addSection('专业技能', (resume.skills || []).map(item =>
+            [item.name, (item.keywords || []).join('、')].filter(Boolean).join('：')
+        ));
+        
+        addSection('语言能力', (resume.languages || []).map(item =>
+            [item.language, item.fluency].filter(Boolean).join(' ')
+        ));
+        
+        addSection('获奖情况', (resume.awards || []).map(item =>
+            [item.title, item.awarder, item.date].filter(Boolean).join(' ')
+        ));
+        
+        addSection('证书', (resume.certificates || []).map(item =>
+            [item.name, item.issuer, item.date].filter(Boolean).join(' ')
+        ));
+        
+        addSection('发表论文', (resume.publications || []).map(item =>
+            [item.name, item.publisher, item.releaseDate].filter(Boolean).join(' ')
+        ));
+        
+        return {
+            text: lines.join('\n').replace(/\n{3,}/g, '\n\n').trim(),
+            headings: headings
+        };
+    }
+    
+    // 将 JSON Resume 字段直接映射为 ResumeScorer.analyzeResume 的分析结构
+    static toAnalysis(resume, scorer) {
+        return {
+            basicInfo: this.mapBasicInfo(resume.basics || {}),
+            education: this.mapEducation(resume.education || [], scorer),
+            skills: this.mapSkills(resume, scorer),
+            experience: this.mapExperience(resume, scorer),
+            achievements: this.mapAchievements(resume, scorer)
+        };
+    }
+    
+    // 教育、工作、项目的起止时间直接来自 startDate / endDate 字段
+    static toTimeline(resume) {
+        const entries = [
+            ...(resume.education || []).map(item => ({
+                type: 'education',
+                title: [item.institution, item.area, item.studyType].filter(Boolean).join(' '),
+                startDate: item.startDate,
+                endDate: item.endDate
+            })),
+            ...(resume.work || []).map(item => ({
+                type: 'experience',
+                title: [item.name || item.company, item.position].filter(Boolean).join(' '),
+                startDate: item.startDate,
+                endDate: item.endDate
+            })),
+            ...(resume.projects || []).map(item => ({
+                type: 'project',
+                title: item.name || '',
+                startDate: item.startDate,
+                endDate: item.endDate
+            }))
+        ];
+        
+        return entries
+            .map(entry => ({ ...entry, range: this.parsePeriod(entry.startDate, entry.endDate) }))
+            .filter(entry => entry.range)
+            .map(entry => ({
+                type: entry.type,
+                title: entry.title,
+                start: entry.range.start,
+                end: entry.range.end,
+                ongoing: entry.range.ongoing,
+                months: entry.range.months
+            }))
+            .sort((a, b) => DateParser.toMonthIndex(a.start) - DateParser.toMonthIndex(b.start));
+    }
+    
+    // JSON Resume 的日期为 ISO 8601（2020-09、2020-09-01、2020），缺少 endDate 表示至今
+    static parsePeriod(startDate, endDate) {
+        const start = DateParser.parsePoint(startDate);
+        const end = endDate ? DateParser.parsePoint(endDate) : { present: true };
+        if (!start || !end) return null;
+        return DateParser.buildRange(start, end, `${startDate} - ${endDate || ''}`, new Date());
+    }
+    
+    static mapBasicInfo(basics) {
+        const location = basics.location || {};
+        const profiles = (basics.profiles || []).map(profile => `${profile.network || ''} ${profile.url || ''}`.toLowerCase());
+        
+        const info = {
+            name: Boolean(basics.name),
+            phone: Boolean(basics.phone),
+            email: Boolean(basics.email),
+            address: Boolean(location.city || location.region || location.address || location.countryCode),
+            intention: Boolean(basics.label),
+            website: Boolean(basics.url || basics.website) || profiles.some(profile => /github|gitlab|blog|博客|portfolio/.test(profile)),
+            social: profiles.some(profile => /linkedin|weibo|微博|zhihu|知乎|twitter/.test(profile))
+        };
+        
+        return {
+            ...info,
+            count: Math.min(Object.values(info).filter(Boolean).length, 10),
+            aiEnhanced: false
+        };
+    }
+    
+    static mapEducation(entries, scorer) {
+        // studyType 写作 "Exchange"、"Minor" 等时按交换、辅修等项目处理
+        const { degrees, programs } = scorer.splitEducationEntries(scorer.attachUniversities(scorer.attachDisciplines(entries.map(item => {
+            const text = [item.institution, item.area, item.studyType].filter(Boolean).join(' ');
+            return {
+                school: (item.institution || '').trim(),
+                degree: this.normalizeDegree(item.studyType || '', scorer),
+                major: item.area || '',
+                text: text,
+                type: scorer.getProgramType(text) || 'degree',
+                startDate: item.startDate || '',
+                endDate: item.endDate || '',
+                months: (this.parsePeriod(item.startDate, item.endDate) || {}).months || null,
+                aiExtracted: false
+            };
+        }))));
+        
+        const gpaRecord = entries.map(item => this.parseScore(item.score, scorer)).find(record => record && record.normalized > 0) || null;
+        // score 字段里也常附带排名，如 "3.8/4.0, Rank 3/120"
+        const rank = scorer.parseClassRank(entries.map(item => String(item.score || '')).join('\n'));
+        
+        return {
+            schoolLevel: scorer.calculateSchoolScore('', degrees),
+            hasGPA: Boolean(gpaRecord || rank),
+            gpa: gpaRecord ? gpaRecord.normalized : 0,
+            gpaRecord: gpaRecord,
+            rank: rank,
+            degrees: degrees,
+            programs: programs,
+            discipline: scorer.primaryDiscipline(degrees),
+            degreeScore: scorer.calculateDegreeScore(degrees),
+            programScore: scorer.scoreEducationPrograms(programs),
+            aiEnhanced: false
+        };
+    }
+    
+    static normalizeDegree(studyType, scorer) {
+        const level = scorer.getDegreeLevel(studyType);
+        if (level !== 'unknown') return level;
+        
+        const compact = studyType.toLowerCase().replace(/[\s.]/g, '');
+        if (/^(phd|dphil|edd|md)/.test(compact)) return 'phd';
+        if (/^(ms|ma|msc|meng|mba|mphil|mfa)/.test(compact)) return 'master';
+        if (/^(bs|ba|bsc|beng|bba|bfa|undergraduate)/.test(compact)) return 'bachelor';
+        return 'unknown';
+    }
+    
+    // 成绩支持 "3.8"、"3.8/4.0"、"90/100"、"3.6 (4分制)" 等写法，分制与简历正文的解析规则一致
+    static parseScore(score, scorer) {
+        if (score === undefined || score === null || score === '') return null;
+        return scorer.parseGPA(`GPA ${score}`);
+    }
+    
+    // 技能只与声明的技能名称、关键词比对，不在全文中搜索
+    // 导出 skills 时各技能类别的组名
+    static get skillGroupLabels() {
+        return {
+            programming: '编程开发',
+            design: '设计',
+            data: '数据分析',
+            engineering: '工程技术',
+            business: '商务管理',
+            arts: '文体特长'
+        };
+    }
+    
+    static mapSkills(resume, scorer) {
+        const skills = {
+            programming: [],
+            design: [],
+            data: [],
+            engineering: [],
+            languages: [],
+            business: [],
+            arts: [],
+            total: 0
+        };
+        
+        // 导出时按类别分组的组名（如“数据分析”）本身不是技能，重新导入时不计入
+        const groupLabels = Object.values(this.skillGroupLabels);
+        const declared = [];
+        (resume.skills || []).forEach(item => {
+            if (item.name && !((item.keywords || []).length > 0 && groupLabels.includes(item.name))) declared.push(item.name);
+            (item.keywords || []).forEach(keyword => declared.push(keyword));
+        });
+        
+        const normalize = (value) => String(value).toLowerCase().replace(/[\s.\-_]/g, '');
+        const matches = (name, keyword) => {
+            const tokens = String(name).split(/[\s,，/、()（）:：]+/).map(normalize);
+            return normalize(name) === normalize(keyword) || tokens.includes(normalize(keyword));
+        };
+        
+        declared.forEach(name => {
+            Object.keys(scorer.skillKeywords).forEach(category => {
+                scorer.skillKeywords[category].forEach(keyword => {
+                    if (matches(name, keyword) && !skills[category].includes(keyword)) {
+                        skills[category].push(keyword);
+                    }
+                });
+            });
+        });
+        
+        // 语言能力直接计入，语言类证书（CET-6、雅思等）按关键词归类
+        (resume.languages || []).forEach(item => {
+            if (item.language && !skills.languages.includes(item.language)) {
+                skills.languages.push(item.language);
+            }
+        });
+        (resume.certificates || []).forEach(item => {
+            scorer.skillKeywords.languages.forEach(keyword => {
+                if (item.name && matches(item.name, keyword) && !skills.languages.includes(keyword)) {
+                    skills.languages.push(keyword);
+                }
+            });
+        });
+        
+        skills.total = Object.values(skills).reduce((sum, list) => sum + (Array.isArray(list) ? list.length : 0), 0);
+        skills.aiEnhanced = false;
+        return skills;
+    }
+    
+    static mapExperience(resume, scorer) {
+        const work = resume.work || [];
+        const projects = resume.projects || [];
+        const publications = (resume.publications || [])
+            .map(item => [item.name, item.publisher, item.summary].filter(Boolean).join(' '))
+            .join('\n');
+        
+        // 每段工作/实习与文本简历一样逐条计分
+        const intention = (resume.basics || {}).label || '';
+        const internshipEntries = work.map(item => {
+            const range = this.parsePeriod(item.startDate, item.endDate);
+            const title = [item.name || item.company, item.position].filter(Boolean).join(' ');
+            return scorer.scoreInternshipEntry({
+                title: title,
+                text: [title, item.summary, ...(item.highlights || [])].filter(Boolean).join('\n'),
+                start: range ? range.start : null,
+                end: range ? range.end : null,
+                ongoing: range ? range.ongoing : false,
+                months: range ? range.months : null
+            }, intention);
+        });
+        
+        const projectEntries = projects.map(item => scorer.scoreProjectEntry({
+            title: item.name || '',
+            text: [item.name, item.description, ...(item.highlights || [])].filter(Boolean).join('\n')
+        }));
+        
+        return scorer.buildExperienceResult({
+            internshipCount: work.length,
+            projectCount: projects.length,
+            hasCompanyName: work.some(item => item.name || item.company),
+            hasAchievement: [...work, ...projects].some(item => (item.highlights || []).length > 0),
+            academicScore: publications ? scorer.calculateAcademicScore(publications) : 0,
+            internshipEntries: internshipEntries,
+            projectEntries: projectEntries
+        }, false);
+    }
+    
+    // 每条获奖、证书、任职单独判断级别，每条在同一类别中只计一次；未识别级别的按校级计
+    static mapAchievements(resume, scorer) {
+        const details = {};
+        const merge = (itemDetails) => {
+            Object.keys(itemDetails).forEach(key => {
+                details[key] = (details[key] || 0) + 1;
+            });
+        };
+        
+        (resume.awards || []).forEach(item => {
+            const text = [item.title, item.awarder, item.summary].filter(Boolean).join(' ');
+            const itemDetails = scorer.traditionalAchievementAnalysis(text);
+            if (Object.keys(itemDetails).length > 0) {
+                merge(itemDetails);
+            } else if (/竞赛|比赛|大赛|contest|competition|hackathon/i.test(text)) {
+                merge({ schoolComp: 1 });
+            } else {
+                merge({ schoolHonor: 1 });
+            }
+        });
+        
+        (resume.certificates || []).forEach(item => {
+            const text = [item.name, item.issuer].filter(Boolean).join(' ');
+            const itemDetails = scorer.traditionalAchievementAnalysis(text);
+            merge(itemDetails.advancedCert ? { advancedCert: 1 } : { generalCert: 1 });
+        });
+        
+        [...(resume.volunteer || []), ...(resume.work || [])].forEach(item => {
+            const itemDetails = scorer.traditionalAchievementAnalysis(item.position || '');
+            if (itemDetails.chairman) {
+                merge({ chairman: 1 });
+            } else if (itemDetails.minister) {
+                merge({ minister: 1 });
+            }
+        });
+        
+        return scorer.buildAchievementResult(details, false);
+    }
+    
+    // 导出：JSON Resume 导入的简历原样返回，其他来源由分析结果生成
+    static fromAnalysis(analysis, resumeDocument = null) {
+        const meta = {
+            version: 'v1.0.0',
+            lastModified: new Date().toISOString()
+        };
+        
+        if (resumeDocument && resumeDocument.jsonResume) {
+            const resume = JSON.parse(JSON.stringify(resumeDocument.jsonResume));
+            resume.meta = { ...(resume.meta || {}), ...meta };
+            return resume;
+        }
+        
+        const degreeLabels = { bachelor: '本科', master: '硕士', phd: '博士' };
+        const skillLabels = this.skillGroupLabels;
+        
+        // 文本识别的学校名可能带有日期前缀或只剩残片
+        const degrees = (analysis.education.degrees || [])
+            .map(degree => ({ ...degree, school: (degree.school || '').replace(/^[\d\s.\-~—–年月至今]+/, '') }))
+            .filter(degree => /[\u4e00-\u9fa5]{2,}|[a-zA-Z]{3,}/.test(degree.school));
+        
+        // 交换、辅修等项目单独成条，studyType 用导入时能识别的写法；辅修、双学位没写学校时记在本校
+        const programLabels = { joint: 'Joint Program', double: 'Double Degree', exchange: 'Exchange Program', minor: 'Minor' };
+        const programs = (analysis.education.programs || [])
+            .map(program => ({ ...program, school: program.school || (degrees[0] ? degrees[0].school : '') }))
+            .filter(program => program.school);
+        
+        const resume = {
+            $schema: 'https://raw.githubusercontent.com/jsonresume/resume-schema/v1.0.0/schema.json',
+            basics: this.mapBasicsFromAnalysis(analysis.basicInfo || {}),
+            education: degrees.map((degree, index) => {
+                const entry = {
+                    institution: degree.school,
+                    area: degree.major || '',
+                    studyType: degreeLabels[degree.degree] || ''
+                };
+                if (index === 0 && analysis.education.gpa > 0) {
+                    const record = analysis.education.gpaRecord;
+                    const scale = record && Number.isInteger(record.scale) && record.scale < 10 ? record.scale.toFixed(1) : String(record && record.scale);
+                    entry.score = record && !record.inferred ? `${record.value}/${scale}` : analysis.education.gpa.toFixed(2);
+                }
+                if (degree.startDate) entry.startDate = degree.startDate;
+                if (degree.endDate) entry.endDate = degree.endDate;
+                return entry;
+            }).concat(programs.map(program => {
+                const entry = {
+                    institution: program.school,
+                    area: program.subject || '',
+                    studyType: programLabels[program.type]
+                };
+                if (program.startDate) entry.startDate = program.startDate;
+                if (program.endDate) entry.endDate = program.endDate;
+                return entry;
+            })),
+            skills: Object.entries(skillLabels)
+                .filter(([category]) => (analysis.skills[category] || []).length > 0)
+                .map(([category, label]) => ({ name: label, keywords: analysis.skills[category] })),
+            languages: (analysis.skills.languages || []).map(language => ({ language })),
+            ...this.mapEntriesFromAnalysis(analysis),
+            meta: meta
+        };
+        
+        return resume;
+    }
+    
+    // 分段识别出的实习、项目条目导出为 work、projects；成就条目按类型导出为 awards、certificates，
+    // 学生干部导出为 volunteer 的 position，重新导入时按同样的规则计分
+    static mapEntriesFromAnalysis(analysis) {
+        const experienceEntries = (analysis.experience && analysis.experience.countedEntries) || [];
+        const achievementEntries = (analysis.achievements && analysis.achievements.countedEntries) || [];
+        
+        const withDates = (item, entry) => {
+            if (entry.start) item.startDate = entry.start;
+            if (entry.end) item.endDate = entry.end;
+            const highlights = this.entryHighlights(entry);
+            if (highlights.length > 0) item.highlights = highlights;
+            return item;
+        };
+        
+        const work = experienceEntries
+            .filter(entry => entry.type === 'internship')
+            .map(entry => {
+                const title = this.splitEntryTitle(entry.text);
+                return withDates({ name: title.name, position: title.rest }, entry);
+            });
+        
+        const projects = experienceEntries
+            .filter(entry => entry.type === 'project')
+            .map(entry => {
+                const title = this.splitEntryTitle(entry.text);
+                return withDates(title.rest ? { name: title.name, roles: [title.rest] } : { name: title.name }, entry);
+            });
+        
+        // 同一条文字可能同时命中多个类别（如“学生会主席、国家奖学金”拆分前），每个列表中只出现一次
+        const texts = types => [...new Set(achievementEntries
+            .filter(entry => types.includes(entry.type))
+            .map(entry => entry.text))];
+        
+        const result = {};
+        if (work.length > 0) result.work = work;
+        if (projects.length > 0) result.projects = projects;
+        
+        const volunteer = texts(['chairman', 'minister']).map(text => ({ position: text }));
+        const awards = texts(['nationalHonor', 'provincialHonor', 'schoolHonor', 'internationalComp', 'nationalComp', 'provincialComp'])
+            .map(text => ({ title: text }));
+        const certificates = texts(['advancedCert', 'generalCert']).map(text => ({ name: text }));
+        if (volunteer.length > 0) result.volunteer = volunteer;
+        if (awards.length > 0) result.awards = awards;
+        if (certificates.length > 0) result.certificates = certificates;
+        return result;
+    }
+    
+    // 条目标题去掉时间后，第一段为单位或项目名称，其余为职位、角色
+    static splitEntryTitle(title) {
+        const range = DateParser.parseRange(title || '');
+        const cleaned = (range ? title.replace(range.text, ' ') : title || '').replace(/[|｜]/g, ' ').trim();
+        const parts = cleaned.split(/\s+/).filter(Boolean);
+        return { name: parts[0] || '', rest: parts.slice(1).join(' ') };
+    }
+    
+    // 条目正文中标题以外的行，去掉列表符号
+    static entryHighlights(entry) {
+        return (entry.content || '').split('\n')
+            .map(line => line.trim())
+            .filter(line => line && !(entry.text || '').includes(line))
+            .map(line => line.replace(/^(?:[•·●▪◆■★\-*>]|\d{1,2}[.、)）](?!\d))\s*/, ''))
+            .filter(Boolean);
+    }
+    
+    // 基本信息取自 analyzeBasicInfo 记录的具体内容（表格字段、AI提取、文本匹配）
+    static mapBasicsFromAnalysis(basicInfo) {
+        const values = basicInfo.values || {};
+        const basics = {};
+        
+        if (values.name) basics.name = values.name;
+        if (values.intention) basics.label = values.intention;
+        if (values.email) basics.email = values.email;
+        if (values.phone) basics.phone = values.phone;
+        if (values.address) basics.location = { address: values.address };
+        
+        const links = values.links || [];
+        const website = values.website || (links.find(link => link.type === 'website') || {}).url;
+        if (website) basics.url = website;
+        
+        const profiles = links
+            .filter(link => link.type !== 'website' && link.url !== website)
+            .map(link => ({
+                network: (link.url.match(/^https?:\/\/(?:www\.)?([^/:?#]+)/i) || [])[1] || link.type,
+                url: link.url
+            }));
+        if (profiles.length > 0) basics.profiles = profiles;
+        
+        return basics;
+    }
+}
+
+// 导出
+window.JSONResumeAdapter = JSONResumeAdapter;
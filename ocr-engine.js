@@ -0,0 +1,298 @@
+// 本地OCR识别引擎 - 基于 tesseract.js，所有资源从应用本地加载
+class OCREngine {
+    constructor() {
+        this.worker = null;
+        this.workerPromise = null;
+        this.progressHandler = null;
+        this.debugMode = window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1';
+        
+        // 本地资源路径（不访问任何外部网络）
+        this.config = {
+            workerPath: 'vendor/tesseract/worker.min.js',
+            corePath: 'vendor/tesseract/core',
+            langPath: 'vendor/tesseract/lang-data',
+            // eng 在前：tesseract.js-core 7 先加载 chi_sim 时第二种语言会加载失败
+            languages: ['eng', 'chi_sim'],
+            renderScale: 2,
+            maxCanvasSide: 4000,
+            minImageSide: 1600,
+            maxSkewAngle: 5
+        };
+    }
+    
+    isAvailable() {
+        return typeof Tesseract !== 'undefined' && typeof Tesseract.createWorker === 'function';
+    }
+    
+    // 懒加载识别Worker，整个文件识别期间复用
+    async getWorker() {
+        if (this.worker) return this.worker;
+        
+        if (!this.workerPromise) {
+            this.workerPromise = Tesseract.createWorker(this.config.languages, 1, {
+                workerPath: this.config.workerPath,
+                corePath: this.config.corePath,
+                langPath: this.config.langPath,
+                workerBlobURL: false,
+                gzip: true,
+                logger: (message) => {
+                    if (this.progressHandler && message.status === 'recognizing text') {
+                        this.progressHandler(message.progress || 0);
+                    }
+                }
+            }).then(worker => {
+                this.worker = worker;
+                if (this.debugMode) console.log('OCR识别引擎初始化成功');
+                return worker;
+            }).catch(error => {
+                this.workerPromise = null;
+                throw error;
+            });
+        }
+        
+        return this.workerPromise;
+    }
+    
+    // 将PDF页面渲染为画布
+    async renderPageToCanvas(page, scale = this.config.renderScale) {
+        const baseViewport = page.getViewport({ scale: 1 });
+        const longestSide = Math.max(baseViewport.width, baseViewport.height);
+        const safeScale = Math.min(scale, this.config.maxCanvasSide / longestSide);
+        const viewport = page.getViewport({ scale: safeScale });
+        
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.floor(viewport.width);
+        canvas.height = Math.floor(viewport.height);
+        
+        const context = canvas.getContext('2d');
+        context.fillStyle = '#ffffff';
+        context.fillRect(0, 0, canvas.width, canvas.height);
+        
+        await page.render({ canvasContext: context, viewport }).promise;
+        return canvas;
+    }
+    
+    // 图片简历预处理：缩放到适合识别的尺寸，灰度化并拉伸对比度，再校正倾斜
+    async prepareImage(file) {
+        const image = await this.loadImage(file);
+        const width = image.width;
+        const height = image.height;
+        
+        if (!width || !height) {
+            throw new ExtractionFailedError('image-unreadable');
+        }
+        
+        // 手机截图分辨率偏低时放大，照片过大时缩小
+        const longestSide = Math.max(width, height);
+        const scale = Math.min(Math.max(1, this.config.minImageSide / longestSide), this.config.maxCanvasSide / longestSide);
+        
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(width * scale);
+        canvas.height = Math.round(height * scale);
+        
+        const context = canvas.getContext('2d');
+        context.fillStyle = '#ffffff';
+        context.fillRect(0, 0, canvas.width, canvas.height);
+        context.imageSmoothingQuality = 'high';
+        context.drawImage(image, 0, 0, canvas.width, canvas.height);
+        if (typeof image.close === 'function') image.close();
+        
+        const imageData = context.getImageData(0, 0, canvas.width, canvas.height);
+        this.enhanceContrast(imageData);
+        context.putImageData(imageData, 0, 0);
+        
+        const skewAngle = this.estimateSkew(this.downsample(canvas, 800));
+        if (Math.abs(skewAngle) < 0.3) {
+            return { canvas, skewAngle: 0 };
+        }
+        
+        const rotated = this.rotateCanvas(canvas, -skewAngle);
+        canvas.width = 0;
+        canvas.height = 0;
+        return { canvas: rotated, skewAngle };
+    }
+    
+    // 按EXIF方向读取图片（手机拍照常带旋转信息）
+    async loadImage(file) {
+        if (typeof createImageBitmap === 'function') {
+            try {
+                return await createImageBitmap(file, { imageOrientation: 'from-image' });
+            } catch (error) {
+                if (this.debugMode) console.warn('createImageBitmap失败，改用Image加载:', error);
+            }
+        }
+        
+        const url = URL.createObjectURL(file);
+        try {
+            return await new Promise((resolve, reject) => {
+                const image = new Image();
+                image.onload = () => resolve(image);
+                image.onerror = () => reject(new UnsupportedFormatError('image-unsupported'));
+                image.src = url;
+            });
+        } finally {
+            URL.revokeObjectURL(url);
+        }
+    }
+    
+    // 灰度化，并按 1%~99% 亮度分位数拉伸对比度，改善拍照偏灰、阴影的问题
+    enhanceContrast(imageData) {
+        const data = imageData.data;
+        const histogram = new Array(256).fill(0);
+        const pixelCount = data.length / 4;
+        
+        for (let i = 0; i < data.length; i += 4) {
+            const gray = Math.round(data[i] * 0.299 + data[i + 1] * 0.587 + data[i + 2] * 0.114);
+            data[i] = gray;
+            histogram[gray]++;
+        }
+        
+        const percentile = (ratio) => {
+            let accumulated = 0;
+            for (let value = 0; value < 256; value++) {
+                accumulated += histogram[value];
+                if (accumulated >= pixelCount * ratio) return value;
+            }
+            return 255;
+        };
+        const low = percentile(0.01);
+        const high = percentile(0.99);
+        const range = Math.max(high - low, 1);
+        
+        for (let i = 0; i < data.length; i += 4) {
+            const value = Math.min(255, Math.max(0, Math.round((data[i] - low) * 255 / range)));
+            data[i] = value;
+            data[i + 1] = value;
+            data[i + 2] = value;
+        }
+        
+        return imageData;
+    }
+    
+    // 缩小画布用于倾斜检测，返回像素数据
+    downsample(canvas, maxWidth) {
+        const scale = Math.min(1, maxWidth / canvas.width);
+        const small = document.createElement('canvas');
+        small.width = Math.max(1, Math.round(canvas.width * scale));
+        small.height = Math.max(1, Math.round(canvas.height * scale));
+        
+        const context = small.getContext('2d');
+        context.drawImage(canvas, 0, 0, small.width, small.height);
+        const imageData = context.getImageData(0, 0, small.width, small.height);
+        
+        small.width = 0;
+        small.height = 0;
+        return imageData;
+    }
+    
+    // 投影法估计倾斜角度（度，正值表示文字行向右下倾斜）：沿正确角度投影时各行的深色像素最集中
+    estimateSkew(imageData) {
+        const { width, height, data } = imageData;
+        const points = [];
+        const step = Math.max(1, Math.floor(Math.sqrt(width * height / 200000)));
+        
+        for (let y = 0; y < height; y += step) {
+            for (let x = 0; x < width; x += step) {
+                if (data[(y * width + x) * 4] < 128) points.push(x, y);
+            }
+        }
+        
+        if (points.length < 200) return 0;
+        
+        let bestAngle = 0;
+        let bestScore = -1;
+        for (let angle = -this.config.maxSkewAngle; angle <= this.config.maxSkewAngle; angle += 0.25) {
+            const slope = Math.tan(angle * Math.PI / 180);
+            const offset = Math.ceil(Math.abs(slope) * width);
+            const bins = new Array(height + offset * 2 + 1).fill(0);
+            
+            for (let i = 0; i < points.length; i += 2) {
+                bins[Math.round(points[i + 1] - points[i] * slope) + offset]++;
+            }
+            
+            const score = bins.reduce((sum, count) => sum + count * count, 0);
+            if (score > bestScore) {
+                bestScore = score;
+                bestAngle = angle;
+            }
+        }
+        
+        return bestAngle;
+    }
+    
+    // 旋转画布（角度单位为度），空白处填充白色
+    rotateCanvas(canvas, angle) {
+        const radians = angle * Math.PI / 180;
+        const cos = Math.abs(Math.cos(radians));
+        const sin = Math.abs(Math.sin(radians));
+        
+        const rotated = document.createElement('canvas');
+        rotated.width = Math.round(canvas.width * cos + canvas.height * sin);
+        rotated.height = Math.round(canvas.width * sin + canvas.height * cos);
+        
+        const context = rotated.getContext('2d');
+        context.fillStyle = '#ffffff';
+        context.fillRect(0, 0, rotated.width, rotated.height);
+        context.translate(rotated.width / 2, rotated.height / 2);
+        context.rotate(radians);
+        context.drawImage(canvas, -canvas.width / 2, -canvas.height / 2);
+        return rotated;
+    }
+    
+    // 识别图像，返回文本、整体置信度和逐行结果
+    async recognize(image, onProgress = null) {
+        const worker = await this.getWorker();
+        this.progressHandler = onProgress;
+        
+        try {
+            // tesseract.js v6 起默认只返回文本，逐行结果需要请求 blocks 输出
+            const { data } = await worker.recognize(image, {}, { text: true, blocks: true });
+            const recognizedLines = data.lines || (data.blocks || [])
+                .flatMap(block => block.paragraphs || [])
+                .flatMap(paragraph => paragraph.lines || []);
+            
+            const lines = recognizedLines
+                .map(line => ({
+                    text: this.cleanRecognizedText(line.text),
+                    confidence: (line.confidence || 0) / 100,
+                    bbox: line.bbox
+                }))
+                .filter(line => line.text.length > 0);
+            
+            return {
+                text: lines.length > 0 ? lines.map(line => line.text).join('\n') : this.cleanRecognizedText(data.text),
+                confidence: (data.confidence || 0) / 100,
+                lines: lines
+            };
+        } finally {
+            this.progressHandler = null;
+        }
+    }
+    
+    // 中文识别结果会在汉字间插入空格，需要合并
+    cleanRecognizedText(text) {
+        if (!text) return '';
+        return text
+            .replace(/([\u4e00-\u9fa5])[ \t]+(?=[\u4e00-\u9fa5])/g, '$1')
+            .replace(/[ \t]+/g, ' ')
+            .trim();
+    }
+    
+    // 释放Worker占用的内存
+    async release() {
+        const worker = this.worker;
+        this.worker = null;
+        this.workerPromise = null;
+        
+        if (worker) {
+            try {
+                await worker.terminate();
+            } catch (error) {
+                console.warn('OCR worker terminate error:', error);
+            }
+        }
+    }
+}
+
+// 全局实例
+window.ocrEngine = new OCREngine();
@@ -0,0 +1,284 @@
+// PDF版面分析器 - 按位置将文本项聚类为分栏、文本块和行，并按阅读顺序输出
+class PDFLayoutAnalyzer {
+    // 分析单页文本内容
+    static analyzePage(textContent, viewport) {
+        const items = this.normalizeItems(textContent.items || [], textContent.styles || {}, viewport);
+        
+        const layout = {
+            width: viewport.width,
+            height: viewport.height,
+            columnCount: 1,
+            columns: [],
+            blocks: [],
+            lines: [],
+            text: ''
+        };
+        
+        if (items.length === 0) {
+            return layout;
+        }
+        
+        const regions = this.splitColumns(items, 0, viewport.width);
+        const spanning = items.filter(item => item.spanning);
+        layout.columnCount = regions.length;
+        layout.columns = regions.map((region, index) => ({
+            index: index,
+            left: region.left,
+            right: region.right
+        }));
+        
+        // 跨栏文本（页眉、姓名等）将页面切分为若干水平带，每个带内按栏从左到右阅读
+        // 按基线划分水平带，相邻跨栏行的基线之间为一个带，每个文本项都恰好落在一个带内
+        const spanningLines = this.groupIntoLines(spanning);
+        const bandEdges = spanningLines.map(line => line.bottom);
+        
+        const bands = [];
+        for (let i = 0; i <= spanningLines.length; i++) {
+            const bandTop = i === 0 ? -Infinity : bandEdges[i - 1];
+            const bandBottom = i < bandEdges.length ? bandEdges[i] : Infinity;
+            
+            regions.forEach((region, columnIndex) => {
+                const bandItems = region.items.filter(item => item.baseline > bandTop && item.baseline <= bandBottom);
+                if (bandItems.length > 0) {
+                    this.buildBlocks(this.groupIntoLines(bandItems), columnIndex).forEach(block => {
+                        bands.push({ order: i * 2 + 1, block });
+                    });
+                }
+            });
+            
+            if (i < spanningLines.length) {
+                bands.push({
+                    order: i * 2 + 2,
+                    block: this.buildBlocks([spanningLines[i]], -1)[0]
+                });
+            }
+        }
+        
+        bands.sort((a, b) => a.order - b.order);
+        layout.blocks = bands.map(band => band.block);
+        layout.blocks.forEach((block, blockIndex) => {
+            block.index = blockIndex;
+            block.lines.forEach(line => {
+                line.block = blockIndex;
+                layout.lines.push(line);
+            });
+        });
+        
+        layout.text = layout.lines.map(line => line.text).join('\n');
+        return layout;
+    }
+    
+    // 将 pdf.js 文本项转换为页面坐标（左上角为原点）
+    static normalizeItems(rawItems, styles, viewport) {
+        return rawItems
+            .filter(item => item.str && item.str.trim())
+            .map(item => {
+                const [a, b, c, d, e, f] = item.transform;
+                const fontSize = Math.hypot(c, d) || item.height || 10;
+                const [x, baseline] = viewport.convertToViewportPoint(e, f);
+                const style = styles[item.fontName] || {};
+                const fontLabel = `${item.fontName || ''} ${style.fontFamily || ''}`;
+                
+                return {
+                    str: item.str,
+                    x: x,
+                    baseline: baseline,
+                    top: baseline - fontSize,
+                    width: item.width || item.str.length * fontSize * 0.5,
+                    fontSize: Math.round(fontSize * 10) / 10,
+                    fontName: item.fontName || '',
+                    bold: /(bold|black|heavy|semibold|demi|粗|黑体)/i.test(fontLabel),
+                    rotated: Math.abs(b) > 0.01 || Math.abs(c) > 0.01 || a < 0,
+                    spanning: false
+                };
+            });
+    }
+    
+    // 检测分栏间隙，返回从左到右的栏区域；穿过间隙的文本项标记为跨栏
+    static splitColumns(items, left, right) {
+        const candidates = items.filter(item => !item.rotated);
+        const gutter = candidates.length >= 8 ? this.findGutter(candidates, left, right) : null;
+        
+        if (!gutter) {
+            return [{ left, right, items }];
+        }
+        
+        const leftItems = [];
+        const rightItems = [];
+        items.forEach(item => {
+            if (item.x + item.width <= gutter.position + 1) {
+                leftItems.push(item);
+            } else if (item.x >= gutter.position - 1) {
+                rightItems.push(item);
+            } else {
+                item.spanning = true;
+            }
+        });
+        
+        return [
+            { left, right: gutter.position, items: leftItems },
+            { left: gutter.position, right, items: rightItems }
+        ];
+    }
+    
+    // 查找纵向空白间隙：穿过的文本项很少，两侧都有足够内容，且两侧的行不是逐行对齐的（逐行对齐说明是表格或右对齐日期）
+    static findGutter(items, left, right) {
+        const width = right - left;
+        const step = 2;
+        const minSideCount = Math.max(3, Math.ceil(items.length * 0.15));
+        const maxCrossing = Math.floor(items.length * 0.1);
+        
+        // 取穿过文本项不超过 maxCrossing 的最宽空白；同样宽时取穿过更少的
+        let best = null;
+        let run = null;
+        
+        const closeRun = () => {
+            const runWidth = run ? run.end - run.start : 0;
+            const bestWidth = best ? best.end - best.start : 0;
+            if (run && (!best || runWidth > bestWidth || (runWidth === bestWidth && run.crossing < best.crossing))) {
+                best = run;
+            }
+            run = null;
+        };
+        
+        for (let x = left + width * 0.15; x <= left + width * 0.85; x += step) {
+            let crossing = 0;
+            let leftCount = 0;
+            let rightCount = 0;
+            
+            items.forEach(item => {
+                if (item.x + item.width <= x) {
+                    leftCount++;
+                } else if (item.x >= x) {
+                    rightCount++;
+                } else {
+                    crossing++;
+                }
+            });
+            
+            const valid = crossing <= maxCrossing && leftCount >= minSideCount && rightCount >= minSideCount;
+            if (valid && run) {
+                run.end = x;
+                run.crossing = Math.max(run.crossing, crossing);
+            } else {
+                closeRun();
+                if (valid) {
+                    run = { start: x, end: x, crossing };
+                }
+            }
+        }
+        closeRun();
+        
+        if (!best || best.end - best.start < 6) {
+            return null;
+        }
+        
+        const position = (best.start + best.end) / 2;
+        if (this.isRowAligned(items, position)) {
+            return null;
+        }
+        
+        return { position, width: best.end - best.start };
+    }
+    
+    static isRowAligned(items, position) {
+        const leftBaselines = items
+            .filter(item => item.x + item.width <= position)
+            .map(item => item.baseline);
+        const rightItems = items.filter(item => item.x >= position);
+        
+        const alignedCount = rightItems.filter(item =>
+            leftBaselines.some(baseline => Math.abs(baseline - item.baseline) <= Math.max(2, item.fontSize * 0.3))
+        ).length;
+        
+        return alignedCount / rightItems.length > 0.5;
+    }
+    
+    // 按基线将文本项合并为行
+    static groupIntoLines(items) {
+        const sorted = [...items].sort((a, b) => a.baseline - b.baseline || a.x - b.x);
+        const rows = [];
+        
+        sorted.forEach(item => {
+            const row = rows[rows.length - 1];
+            const tolerance = Math.max(2, item.fontSize * 0.4);
+            if (row && Math.abs(row.baseline - item.baseline) <= tolerance) {
+                row.items.push(item);
+            } else {
+                rows.push({ baseline: item.baseline, items: [item] });
+            }
+        });
+        
+        return rows.map(row => this.createLine(row.items.sort((a, b) => a.x - b.x)));
+    }
+    
+    static createLine(items) {
+        let text = '';
+        let charCount = 0;
+        let boldChars = 0;
+        const sizeWeights = {};
+        
+        items.forEach((item, index) => {
+            if (index > 0) {
+                const previous = items[index - 1];
+                const gap = item.x - (previous.x + previous.width);
+                const bothCJK = /[\u4e00-\u9fa5]$/.test(previous.str) && /^[\u4e00-\u9fa5]/.test(item.str);
+                if (gap > item.fontSize * (bothCJK ? 1 : 0.2)) {
+                    text += ' ';
+                }
+            }
+            
+            const content = item.str.replace(/\s+/g, ' ');
+            text += content;
+            
+            const length = content.trim().length;
+            charCount += length;
+            if (item.bold) boldChars += length;
+            sizeWeights[item.fontSize] = (sizeWeights[item.fontSize] || 0) + length;
+        });
+        
+        // 以字符数最多的字号作为行字号
+        const fontSize = parseFloat(Object.entries(sizeWeights).sort((a, b) => b[1] - a[1])[0][0]);
+        const first = items[0];
+        const last = items[items.length - 1];
+        
+        return {
+            text: text.trim(),
+            x: first.x,
+            right: last.x + last.width,
+            top: Math.min(...items.map(item => item.top)),
+            bottom: Math.max(...items.map(item => item.baseline)),
+            baseline: first.baseline,
+            fontSize: fontSize,
+            bold: charCount > 0 && boldChars / charCount >= 0.5,
+            rotated: items.every(item => item.rotated),
+            fontName: first.fontName,
+            itemCount: items.length
+        };
+    }
+    
+    // 行间距明显增大时切分为新的文本块
+    static buildBlocks(lines, columnIndex) {
+        const blocks = [];
+        let current = null;
+        
+        lines.forEach((line, index) => {
+            const previous = lines[index - 1];
+            const gap = previous ? line.top - previous.bottom : 0;
+            
+            if (!current || gap > Math.max(previous.fontSize, line.fontSize) * 1.2) {
+                current = { column: columnIndex, lines: [], top: line.top, bottom: line.bottom };
+                blocks.push(current);
+            }
+            
+            line.column = columnIndex;
+            current.lines.push(line);
+            current.bottom = line.bottom;
+        });
+        
+        return blocks;
+    }
+}
+
+// 导出
+window.PDFLayoutAnalyzer = PDFLayoutAnalyzer;
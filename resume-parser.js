@@ -1,47 +1,96 @@
 // 简历解析器 - 增强版本 v3.0
 class ResumeParser {
-    static async parsePDF(file) {
+    static async parsePDF(file, options = {}) {
+        const parsed = await this.parsePDFDocument(file, options);
+        return parsed.text;
+    }
+    
+    // 解析PDF并保留版面、标题和章节结构
+    static async parsePDFDocument(file, options = {}) {
         let pdf = null;
         try {
             if (typeof pdfjsLib === 'undefined') {
-                throw new Error('PDF.js库未加载，请刷新页面重试');
+                throw new LibraryNotLoadedError('error-lib-not-loaded', { library: 'PDF.js' });
             }
             
             const arrayBuffer = await file.arrayBuffer();
             const loadingTask = pdfjsLib.getDocument({
                 data: arrayBuffer,
                 verbosity: 0,
-                maxImageSize: 1024 * 1024,
+                maxImageSize: 16 * 1024 * 1024, // 扫描件需要渲染整页图片进行OCR
                 disableFontFace: true,
                 useSystemFonts: false,
                 standardFontDataUrl: null
             });
             
-            pdf = await loadingTask.promise;
+            const passwordState = { required: false };
+            pdf = await this.openPDF(loadingTask, options.requestPassword, passwordState);
             let fullText = '';
-            const maxPages = Math.min(pdf.numPages, 10);
+            const pageLimit = this.resolvePageLimit(options.maxPages);
+            const maxPages = Math.min(pdf.numPages, pageLimit);
             
-            // 并发处理页面，但限制并发数
+            // 分批解析页面并逐批上报进度，每页解析后即释放页面资源
             const concurrentLimit = 2;
-            const pageTexts = [];
+            const pageLayouts = [];
             
             for (let i = 0; i < maxPages; i += concurrentLimit) {
+                const chunkEnd = Math.min(i + concurrentLimit, maxPages);
+                this.reportProgress(options.onProgress, i18n.t('pdf-progress-page', { page: i + 1, total: maxPages }), i / maxPages);
+                
                 const pagePromises = [];
-                for (let j = i; j < Math.min(i + concurrentLimit, maxPages); j++) {
-                    pagePromises.push(this.extractPageText(pdf, j + 1));
+                for (let j = i; j < chunkEnd; j++) {
+                    pagePromises.push(this.extractPageLayout(pdf, j + 1));
                 }
                 const chunkResults = await Promise.all(pagePromises);
-                pageTexts.push(...chunkResults);
+                pageLayouts.push(...chunkResults);
             }
+            this.reportProgress(options.onProgress, i18n.t('pdf-progress-done'), 1);
             
+            if (maxPages < pdf.numPages) {
+                console.warn(`PDF共 ${pdf.numPages} 页，已按页数上限解析前 ${maxPages} 页`);
+            }
+            
+            // 去除每页重复出现的页眉、页脚、页码和水印，避免重复计数
+            const removedElements = this.removeRepeatedElements(pageLayouts);
+            
+            const pageTexts = pageLayouts.map(layout => layout.text);
             fullText = pageTexts.join('\n');
+            let headingInfo = { title: null, headings: [] };
+            let ocrLines = null;
+            const usedOCR = this.needsOCR(pageTexts);
+            
+            // 扫描件/图片型PDF没有文本层，改用本地OCR识别
+            if (usedOCR) {
+                console.log('PDF无可提取文本，启用OCR识别');
+                const ocrResult = await this.ocrPDFPages(pdf, maxPages, options.onProgress);
+                fullText = ocrResult.text;
+                ocrLines = ocrResult.lines;
+            } else {
+                headingInfo = this.detectHeadings(pageLayouts);
+            }
             
             // 使用增强的文本处理
-            return this.enhancedTextProcessing(fullText, 'pdf');
+            const text = this.enhancedTextProcessing(fullText, 'pdf');
+            
+            return {
+                text: text,
+                pages: pageLayouts,
+                title: headingInfo.title,
+                headings: headingInfo.headings,
+                sections: this.buildSectionTree(text, headingInfo.headings),
+                hyperlinks: pageLayouts.flatMap(layout => layout.links || []),
+                removedElements: removedElements,
+                pageCount: pdf.numPages,
+                parsedPageCount: maxPages,
+                pageLimit: Number.isFinite(pageLimit) ? pageLimit : null,
+                usedOCR: usedOCR,
+                ocrLines: ocrLines,
+                passwordProtected: passwordState.required
+            };
             
         } catch (error) {
             console.error('PDF解析错误:', error);
-            throw new Error(`PDF解析失败: ${error.message}`);
+            throw ResumeError.from(error, 'error-format-parse-failed', { format: 'PDF' });
         } finally {
             if (pdf) {
                 try {
@@ -53,75 +102,751 @@ class ResumeParser {
         }
     }
     
+    // 打开PDF；加密文件通过 requestPassword 回调向用户索取密码，密码只交给 pdf.js，不做任何保存
+    static openPDF(loadingTask, requestPassword, passwordState = {}) {
+        const maxAttempts = this.maxPasswordAttempts;
+        const incorrectReason = pdfjsLib.PasswordResponses ? pdfjsLib.PasswordResponses.INCORRECT_PASSWORD : 2;
+        let attempts = 0;
+        
+        return new Promise((resolve, reject) => {
+            const fail = (key) => {
+                loadingTask.destroy();
+                reject(new EncryptedFileError(key));
+            };
+            
+            loadingTask.onPassword = async (updatePassword, reason) => {
+                passwordState.required = true;
+                
+                if (typeof requestPassword !== 'function') {
+                    fail('pdf-password-required');
+                    return;
+                }
+                
+                if (attempts >= maxAttempts) {
+                    fail('pdf-password-limit');
+                    return;
+                }
+                
+                attempts++;
+                let password = null;
+                try {
+                    password = await requestPassword({
+                        attempt: attempts,
+                        maxAttempts: maxAttempts,
+                        incorrect: reason === incorrectReason
+                    });
+                } catch (error) {
+                    console.warn('密码输入失败:', error);
+                }
+                
+                if (!password) {
+                    fail('pdf-password-cancelled');
+                    return;
+                }
+                
+                updatePassword(password);
+            };
+            
+            loadingTask.promise.then(resolve, reject);
+        });
+    }
+    
+    static get maxPasswordAttempts() {
+        return 3;
+    }
+    
+    // PDF默认最多解析的页数
+    static get defaultPageLimit() {
+        return 50;
+    }
+    
+    // 0 或 Infinity 表示不限制（界面上的“不限制”），未设置或无效时使用默认上限
+    static resolvePageLimit(maxPages) {
+        if (maxPages === 0 || maxPages === Infinity) return Infinity;
+        return maxPages > 0 ? maxPages : this.defaultPageLimit;
+    }
+    
     static async extractPageText(pdf, pageNum) {
+        const layout = await this.extractPageLayout(pdf, pageNum);
+        return layout.text;
+    }
+    
+    // 提取页面版面：按分栏和文本块重建阅读顺序，并保留字号、粗体等排版信息
+    static async extractPageLayout(pdf, pageNum) {
         try {
             const page = await pdf.getPage(pageNum);
+            const viewport = page.getViewport({ scale: 1 });
             const textContent = await page.getTextContent();
             
-            // 改进的文本提取逻辑
-            const textItems = textContent.items
-                .filter(item => item.str && item.str.trim())
-                .map(item => {
-                    let text = item.str.trim();
+            const layout = PDFLayoutAnalyzer.analyzePage(textContent, viewport);
+            layout.pageNum = pageNum;
+            layout.links = await this.extractPageLinks(page, viewport, layout);
+            
+            page.cleanup();
+            return layout;
+        } catch (error) {
+            console.warn(`页面 ${pageNum} 解析失败:`, error);
+            return { pageNum, width: 0, height: 0, columnCount: 0, columns: [], blocks: [], lines: [], links: [], text: '' };
+        }
+    }
+    
+    // 读取链接注释，锚文本取链接区域覆盖的文本行（图标链接没有文字）
+    static async extractPageLinks(page, viewport, layout) {
+        try {
+            const annotations = await page.getAnnotations();
+            
+            return annotations
+                .filter(annotation => annotation.subtype === 'Link' && (annotation.url || annotation.unsafeUrl))
+                .map(annotation => {
+                    const [x1, y1, x2, y2] = viewport.convertToViewportRectangle(annotation.rect);
+                    const left = Math.min(x1, x2);
+                    const right = Math.max(x1, x2);
+                    const top = Math.min(y1, y2);
+                    const bottom = Math.max(y1, y2);
                     
-                    // 处理换行
-                    if (item.hasEOL || this.shouldAddNewline(item, textContent.items)) {
-                        text += '\n';
-                    }
+                    const text = layout.lines
+                        .filter(line => line.bottom >= top && line.top <= bottom && line.right >= left && line.x <= right)
+                        .map(line => line.text)
+                        .join(' ');
                     
-                    return text;
+                    return {
+                        url: annotation.url || annotation.unsafeUrl,
+                        text: text,
+                        pageNum: layout.pageNum
+                    };
                 });
+        } catch (error) {
+            console.warn(`页面 ${layout.pageNum} 链接读取失败:`, error);
+            return [];
+        }
+    }
+    
+    // 识别多页中位于同一位置的重复行：页码和水印全部去除，页眉页脚保留首次出现（通常含姓名、电话）
+    static removeRepeatedElements(pageLayouts) {
+        const pages = pageLayouts.filter(layout => layout.lines.length > 0 && layout.height > 0);
+        if (pages.length < 2) return [];
+        
+        const marginRatio = 0.12;
+        const minPages = Math.max(2, Math.ceil(pages.length / 2));
+        const groups = new Map();
+        
+        pages.forEach(layout => {
+            layout.lines.forEach(line => {
+                // 含页码的行各页数字不同，数字统一替换后再比较
+                const text = /(第\s*\d+\s*页|\d+\s*\/\s*\d+|page\s*\d+)/i.test(line.text) ? line.text.replace(/\d+/g, '#') : line.text;
+                const key = `${text.replace(/\s+/g, '')}|${Math.round(line.fontSize)}`;
+                if (!groups.has(key)) groups.set(key, []);
+                groups.get(key).push({ layout, line, position: line.top / layout.height });
+            });
+        });
+        
+        const bodyFontSize = this.getBodyFontSize(pages.flatMap(layout => layout.lines));
+        const removals = new Map();
+        const removed = [];
+        
+        groups.forEach(occurrences => {
+            const repeated = this.findRepeatedOccurrences(occurrences, minPages);
+            if (!repeated) return;
+            
+            const sample = repeated[0];
+            const inMargin = sample.position < marginRatio || sample.position > 1 - marginRatio;
+            const isPageNumber = this.isPageNumberText(sample.line.text);
+            
+            let type;
+            if (isPageNumber) {
+                type = 'page-number';
+            } else if (sample.line.rotated || !inMargin) {
+                // 页面中部未旋转的重复文本需字号明显大于正文并出现在全部页面（至少三页），避免误删恰好对齐的标题
+                if (!sample.line.rotated && (sample.line.fontSize < bodyFontSize * 2 || repeated.length < 3 || repeated.length < pages.length)) return;
+                type = 'watermark';
+            } else {
+                type = sample.position < 0.5 ? 'header' : 'footer';
+            }
             
-            const pageText = textItems.join(' ')
-                .replace(/\s+/g, ' ')
-                .replace(/\n\s+/g, '\n')
-                .trim();
+            const keepFirst = type === 'header' || type === 'footer';
+            repeated.forEach((occurrence, index) => {
+                if (keepFirst && index === 0) return;
+                if (!removals.has(occurrence.layout)) removals.set(occurrence.layout, new Set());
+                removals.get(occurrence.layout).add(occurrence.line);
+            });
             
-            page.cleanup();
-            return pageText;
+            removed.push({
+                type: type,
+                text: sample.line.text,
+                pages: repeated.filter((occurrence, index) => !keepFirst || index > 0).map(occurrence => occurrence.layout.pageNum)
+            });
+        });
+        
+        removals.forEach((lines, layout) => this.removeLayoutLines(layout, lines));
+        return removed;
+    }
+    
+    // 字符数占比最大的字号视为正文字号
+    static getBodyFontSize(lines) {
+        const sizeWeights = {};
+        lines.forEach(line => {
+            sizeWeights[line.fontSize] = (sizeWeights[line.fontSize] || 0) + line.text.replace(/\s/g, '').length;
+        });
+        
+        const entries = Object.entries(sizeWeights).sort((a, b) => b[1] - a[1]);
+        return entries.length > 0 ? parseFloat(entries[0][0]) : 0;
+    }
+    
+    // 返回位置一致（纵向相差不超过页面高度的 2%）且分布在足够多页面上的一组重复行，按页码排序
+    static findRepeatedOccurrences(occurrences, minPages) {
+        if (occurrences.length < minPages) return null;
+        
+        let best = null;
+        occurrences.forEach(reference => {
+            const matched = new Map();
+            occurrences.forEach(occurrence => {
+                if (Math.abs(occurrence.position - reference.position) <= 0.02 && !matched.has(occurrence.layout)) {
+                    matched.set(occurrence.layout, occurrence);
+                }
+            });
+            if (!best || matched.size > best.length) {
+                best = Array.from(matched.values());
+            }
+        });
+        
+        if (best.length < minPages) return null;
+        return best.sort((a, b) => a.layout.pageNum - b.layout.pageNum);
+    }
+    
+    static isPageNumberText(text) {
+        const value = text.replace(/\s+/g, '');
+        return /^(第\d+页(\/?共\d+页)?|\d+\/\d+|-?\d+-?|page\d+(of\d+)?|\d+of\d+)$/i.test(value);
+    }
+    
+    // 从版面中删除指定行，重建文本块和页面文本
+    static removeLayoutLines(layout, lines) {
+        layout.lines = layout.lines.filter(line => !lines.has(line));
+        layout.blocks = layout.blocks
+            .map(block => ({ ...block, lines: block.lines.filter(line => !lines.has(line)) }))
+            .filter(block => block.lines.length > 0);
+        layout.blocks.forEach((block, blockIndex) => {
+            block.index = blockIndex;
+            block.lines.forEach(line => {
+                line.block = blockIndex;
+            });
+        });
+        layout.text = layout.lines.map(line => line.text).join('\n');
+    }
+    
+    // 所有页面都没有文本内容时判定为扫描件
+    static needsOCR(pageTexts) {
+        return pageTexts.length > 0 && pageTexts.every(text => !text || !text.trim());
+    }
+    
+    // 逐页渲染并OCR识别，识别进度同步到加载提示
+    static async ocrPDFPages(pdf, pageCount, onProgress = null) {
+        const engine = window.ocrEngine;
+        if (!engine || !engine.isAvailable()) {
+            throw new LibraryNotLoadedError('ocr-unavailable-pdf');
+        }
+        
+        const pageTexts = [];
+        const lines = [];
+        
+        try {
+            for (let pageNum = 1; pageNum <= pageCount; pageNum++) {
+                const reportProgress = (pageProgress) => {
+                    this.reportProgress(
+                        onProgress,
+                        i18n.t('ocr-progress-page', { page: pageNum, total: pageCount }),
+                        (pageNum - 1 + pageProgress) / pageCount
+                    );
+                };
+                reportProgress(0);
+                
+                const page = await pdf.getPage(pageNum);
+                try {
+                    const canvas = await engine.renderPageToCanvas(page);
+                    const result = await engine.recognize(canvas, reportProgress);
+                    pageTexts.push(result.text);
+                    lines.push(...result.lines);
+                    
+                    // 释放画布内存
+                    canvas.width = 0;
+                    canvas.height = 0;
+                } catch (error) {
+                    console.warn(`页面 ${pageNum} OCR识别失败:`, error);
+                    pageTexts.push('');
+                } finally {
+                    page.cleanup();
+                }
+            }
+        } finally {
+            await engine.release();
+        }
+        
+        this.reportProgress(onProgress, i18n.t('ocr-progress-done'), 1);
+        return { text: pageTexts.join('\n'), lines: lines };
+    }
+    
+    // 图片简历（截图、拍照）：预处理后本地OCR识别
+    static async parseImageDocument(file, options = {}) {
+        const engine = window.ocrEngine;
+        if (!engine || !engine.isAvailable()) {
+            throw new LibraryNotLoadedError('ocr-unavailable-image');
+        }
+        
+        try {
+            this.reportProgress(options.onProgress, i18n.t('ocr-progress-preprocess'), 0);
+            const { canvas, skewAngle } = await engine.prepareImage(file);
+            
+            const result = await engine.recognize(canvas, (progress) => {
+                this.reportProgress(options.onProgress, i18n.t('ocr-progress-image'), progress);
+            });
+            canvas.width = 0;
+            canvas.height = 0;
+            
+            this.reportProgress(options.onProgress, i18n.t('ocr-progress-done'), 1);
+            
+            return {
+                text: this.enhancedTextProcessing(result.text, 'image'),
+                headings: [],
+                usedOCR: true,
+                ocrLines: result.lines,
+                skewAngle: skewAngle
+            };
         } catch (error) {
-            console.warn(`页面 ${pageNum} 解析失败:`, error);
-            return '';
+            console.error('图片识别错误:', error);
+            throw ResumeError.from(error, 'error-format-parse-failed', { format: 'image' });
+        } finally {
+            await engine.release();
         }
     }
     
-    static shouldAddNewline(currentItem, allItems) {
-        // 简单的换行判断逻辑
-        const currentY = currentItem.transform[5];
-        const nextItem = allItems[allItems.indexOf(currentItem) + 1];
+    // 向调用方报告处理进度（progress 取值 0~1）
+    static reportProgress(onProgress, message, progress = null) {
+        if (typeof onProgress !== 'function') return;
         
-        if (!nextItem) return true;
+        try {
+            onProgress(message, progress);
+        } catch (error) {
+            console.warn('进度回调执行失败:', error);
+        }
+    }
+    
+    // 根据相对字号、粗细和是否独占一行识别标题，返回文档标题（通常是姓名）和章节标题列表
+    static detectHeadings(pageLayouts) {
+        const lines = [];
+        pageLayouts.forEach(layout => {
+            (layout.blocks || []).forEach(block => {
+                block.lines.forEach((line, indexInBlock) => {
+                    lines.push({
+                        ...line,
+                        pageNum: layout.pageNum,
+                        indexInBlock: indexInBlock,
+                        blockSize: block.lines.length
+                    });
+                });
+            });
+        });
         
-        const nextY = nextItem.transform[5];
-        return Math.abs(currentY - nextY) > 5; // Y坐标差异大于5认为是新行
+        if (lines.length < 3) {
+            return { title: null, headings: [] };
+        }
+        
+        // 正文字号和粗细取字符数占比最大的值
+        let boldChars = 0;
+        let totalChars = 0;
+        lines.forEach(line => {
+            const length = line.text.replace(/\s/g, '').length;
+            totalChars += length;
+            if (line.bold) boldChars += length;
+        });
+        const bodyFontSize = this.getBodyFontSize(lines);
+        const bodyIsBold = totalChars > 0 && boldChars / totalChars > 0.5;
+        
+        let candidates = lines
+            .filter(line => this.isHeadingCandidate(line.text))
+            .map(line => {
+                const sizeRatio = line.fontSize / bodyFontSize;
+                let score = 0;
+                
+                if (sizeRatio >= 1.15) score += 2;
+                else if (sizeRatio >= 1.05) score += 1;
+                else if (sizeRatio < 0.95) score -= 1;
+                
+                if (line.bold && !bodyIsBold) score += 1.5;
+                if (line.indexInBlock === 0) score += 0.5;
+                if (line.blockSize === 1) score += 0.5;
+                if (this.isKnownSectionHeading(line.text)) score += 1;
+                
+                return {
+                    text: line.text,
+                    fontSize: line.fontSize,
+                    bold: line.bold,
+                    pageNum: line.pageNum,
+                    sizeRatio: sizeRatio,
+                    score: score,
+                    isFirstLine: line.pageNum === pageLayouts[0].pageNum && lines.indexOf(line) < 3
+                };
+            })
+            .filter(candidate => candidate.score >= 2);
+        
+        // 首页顶部字号唯一最大的行视为文档标题（姓名），不作为章节
+        let title = null;
+        const maxSize = Math.max(...candidates.map(candidate => candidate.fontSize));
+        const largest = candidates.filter(candidate => candidate.fontSize === maxSize);
+        if (largest.length === 1 && largest[0].isFirstLine && candidates.length > 1) {
+            title = largest[0].text;
+            candidates = candidates.filter(candidate => candidate !== largest[0]);
+        }
+        
+        // 字号从大到小划分标题层级（相差0.5以内视为同一级）
+        const levelSizes = [];
+        [...new Set(candidates.map(candidate => candidate.fontSize))]
+            .sort((a, b) => b - a)
+            .forEach(size => {
+                if (levelSizes.length === 0 || levelSizes[levelSizes.length - 1] - size > 0.5) {
+                    levelSizes.push(size);
+                }
+            });
+        
+        const headings = candidates.map(candidate => {
+            const levelIndex = levelSizes.findIndex(size => size - candidate.fontSize <= 0.5);
+            return {
+                text: candidate.text,
+                level: Math.min(levelIndex + 1, 3),
+                fontSize: candidate.fontSize,
+                bold: candidate.bold,
+                pageNum: candidate.pageNum,
+                score: candidate.score
+            };
+        });
+        
+        return { title, headings };
+    }
+    
+    // 常见简历章节名
+    static isKnownSectionHeading(text) {
+        const knownHeading = /^(个人信息|基本信息|联系方式|教育|学习经历|工作|实习|项目|科研|研究|论文|专业技能|技能|证书|获奖|荣誉|奖励|校园|学生工作|社会实践|社团|志愿|自我评价|个人总结|求职意向|education|experience|employment|internship|projects?|research|publications?|skills|awards|honors|activities|leadership|summary|profile)/i;
+        return knownHeading.test((text || '').replace(/\s/g, ''));
+    }
+    
+    // 标题通常较短，不含联系方式、日期或句末标点
+    static isHeadingCandidate(text) {
+        const compact = text.replace(/\s/g, '');
+        if (compact.length < 2 || compact.length > 24) return false;
+        if (/[。，,；;!！?？]$/.test(compact)) return false;
+        if (/^[•·●▪\-*]/.test(compact)) return false;
+        if (/@|\d{4,}|\d{2,}[./-]\d{1,2}/.test(compact)) return false;
+        if (/[:：].+/.test(compact)) return false;
+        if (/[a-zA-Z]/.test(compact) && text.trim().split(/\s+/).length > 5) return false;
+        return true;
+    }
+    
+    // 在处理后的文本中定位标题，构建带偏移量的章节树
+    static buildSectionTree(text, headings = []) {
+        if (!text || headings.length === 0) {
+            return [];
+        }
+        
+        const wanted = headings
+            .map(heading => ({ ...heading, key: this.normalizeHeadingText(heading.text) }))
+            .filter(heading => heading.key);
+        
+        const roots = [];
+        const stack = [];
+        let nextHeading = 0;
+        
+        this.splitLinesWithOffsets(text).forEach(line => {
+            const key = this.normalizeLineKey(line.text);
+            const matchIndex = wanted.findIndex((heading, index) => index >= nextHeading && heading.key === key);
+            if (matchIndex === -1) return;
+            
+            nextHeading = matchIndex + 1;
+            const section = {
+                heading: line.text,
+                level: wanted[matchIndex].level,
+                start: line.start,
+                bodyStart: Math.min(line.end + 1, text.length),
+                end: text.length,
+                body: '',
+                children: []
+            };
+            
+            // 同级或更高级的标题结束之前打开的章节
+            while (stack.length > 0 && stack[stack.length - 1].level >= section.level) {
+                stack.pop().end = line.start;
+            }
+            
+            (stack.length > 0 ? stack[stack.length - 1].children : roots).push(section);
+            stack.push(section);
+        });
+        
+        const finalize = (section, parentEnd) => {
+            section.end = Math.min(section.end, parentEnd);
+            section.bodyStart = Math.min(section.bodyStart, section.end);
+            section.body = text.slice(section.bodyStart, section.end).trim();
+            section.children.forEach(child => finalize(child, section.end));
+        };
+        roots.forEach(section => finalize(section, text.length));
+        
+        return roots;
+    }
+    
+    // 按行切分文本并记录每行的起止偏移量（end 不含换行符）
+    static splitLinesWithOffsets(text) {
+        const lines = [];
+        let offset = 0;
+        
+        text.split('\n').forEach((lineText, index) => {
+            lines.push({
+                index: index,
+                text: lineText,
+                start: offset,
+                end: offset + lineText.length
+            });
+            offset += lineText.length + 1;
+        });
+        
+        return lines;
+    }
+    
+    // 标题文本经过与正文相同的处理流程，保证能在处理后的文本中匹配到
+    static normalizeHeadingText(text) {
+        const processed = this.finalTextCleaning(this.structuralProcessing(this.basicTextCleaning(text || '')));
+        return this.normalizeLineKey(processed.split('\n')[0] || '');
+    }
+    
+    static normalizeLineKey(text) {
+        return (text || '').replace(/[\s:：|｜\-—_·•、]/g, '').toLowerCase();
     }
     
     static async parseWord(file) {
+        const parsed = await this.parseWordDocument(file);
+        return parsed.text;
+    }
+    
+    static async parseWordDocument(file) {
+        const arrayBuffer = await file.arrayBuffer();
+        
+        // 按文件头判断真实格式：mammoth 只支持 .docx，Word 97-2003 的 .doc 使用二进制解析器
+        const format = WordBinaryParser.sniffFormat(arrayBuffer);
+        if (format === 'doc') {
+            return this.parseLegacyWordDocument(arrayBuffer);
+        }
+        
+        // WPS 和旧版Word常把RTF、网页另存为 .doc
+        if (format === 'rtf' || format === 'html') {
+            return this.parseTextFormatDocument(file, format);
+        }
+        
+        if (format !== 'docx') {
+            throw new UnsupportedFormatError('doc-unknown-format');
+        }
+        
         try {
             if (typeof mammoth === 'undefined') {
-                throw new Error('Word解析库未加载，请刷新页面重试');
+                throw new LibraryNotLoadedError('error-lib-not-loaded', { library: 'mammoth.js' });
             }
             
-            const arrayBuffer = await file.arrayBuffer();
-            
-            const result = await mammoth.extractRawText({ 
-                arrayBuffer,
+            // 转为HTML保留表格行和标题样式，图片不参与解析
+            const result = await mammoth.convertToHtml({ arrayBuffer }, {
                 includeEmbeddedStyleMap: false,
-                includeDefaultStyleMap: false
+                convertImage: mammoth.images.imgElement(() => Promise.resolve({ src: '' }))
             });
             
             if (result.messages && result.messages.length > 0) {
                 console.warn('Word解析警告:', result.messages);
             }
             
-            return this.enhancedTextProcessing(result.value, 'word');
+            const parsed = TextFormatParser.parseHTMLContent(result.value);
+            
+            return {
+                text: this.enhancedTextProcessing(parsed.text, 'word'),
+                headings: parsed.headings,
+                fields: parsed.fields,
+                hyperlinks: parsed.hyperlinks.concat(await this.extractDocxHyperlinks(arrayBuffer))
+            };
             
         } catch (error) {
             console.error('Word解析错误:', error);
-            throw new Error(`Word文档解析失败: ${error.message}`);
+            throw ResumeError.from(error, 'error-format-parse-failed', { format: 'Word' });
         }
     }
     
+    // 从 docx 各部件的关系文件读取外部超链接（含页眉页脚），锚文本取正文中对应的 w:hyperlink
+    static async extractDocxHyperlinks(arrayBuffer) {
+        if (typeof JSZip === 'undefined') {
+            console.warn('ZIP解析库未加载，跳过Word超链接读取');
+            return [];
+        }
+        
+        try {
+            const zip = await JSZip.loadAsync(arrayBuffer);
+            const parser = new DOMParser();
+            const links = [];
+            const relsFiles = zip.file(/^word\/_rels\/[^/]+\.xml\.rels$/);
+            
+            for (const relsFile of relsFiles) {
+                const targets = new Map();
+                const rels = parser.parseFromString(await relsFile.async('string'), 'application/xml');
+                Array.from(rels.getElementsByTagName('Relationship')).forEach(relationship => {
+                    if (/\/hyperlink$/.test(relationship.getAttribute('Type') || '')) {
+                        targets.set(relationship.getAttribute('Id'), relationship.getAttribute('Target'));
+                    }
+                });
+                
+                const partFile = zip.file(relsFile.name.replace('_rels/', '').replace(/\.rels$/, ''));
+                const part = partFile ? parser.parseFromString(await partFile.async('string'), 'application/xml') : null;
+                const anchored = new Set();
+                
+                if (part) {
+                    Array.from(part.getElementsByTagName('w:hyperlink')).forEach(node => {
+                        const target = targets.get(node.getAttribute('r:id'));
+                        if (!target) return;
+                        anchored.add(target);
+                        links.push({
+                            url: target,
+                            text: Array.from(node.getElementsByTagName('w:t')).map(textNode => textNode.textContent).join('')
+                        });
+                    });
+                    
+                    // HYPERLINK 域代码不经过关系文件
+                    const instructions = Array.from(part.getElementsByTagName('w:instrText')).map(node => node.textContent).join('') +
+                        Array.from(part.getElementsByTagName('w:fldSimple')).map(node => node.getAttribute('w:instr') || '').join(' ');
+                    (instructions.match(/HYPERLINK\s+"[^"]+"/g) || []).forEach(field => {
+                        links.push({ url: field.match(/"([^"]+)"/)[1], text: '' });
+                    });
+                }
+                
+                targets.forEach(target => {
+                    if (!anchored.has(target)) links.push({ url: target, text: '' });
+                });
+            }
+            
+            return links;
+        } catch (error) {
+            console.warn('Word超链接读取失败:', error);
+            return [];
+        }
+    }
+    
+    static parseLegacyWordDocument(arrayBuffer) {
+        let content;
+        try {
+            content = WordBinaryParser.extractContent(arrayBuffer);
+        } catch (error) {
+            console.error('Word 97-2003 解析错误:', error);
+            // 文件结构异常导致的读取越界等底层错误，统一提示转换格式
+            if (error instanceof RangeError || error instanceof TypeError) {
+                throw new ExtractionFailedError('doc-parse-failed', {}, error);
+            }
+            throw ResumeError.from(error, 'doc-parse-failed');
+        }
+        
+        return {
+            text: this.enhancedTextProcessing(content.text, 'word'),
+            headings: [],
+            hyperlinks: content.hyperlinks
+        };
+    }
+    
+    // 文本类格式（TXT、Markdown、RTF、ODT、HTML）：标记中的标题作为章节边界
+    static async parseTextFormatDocument(file, format) {
+        const formatNames = { txt: 'TXT', markdown: 'Markdown', rtf: 'RTF', odt: 'ODT', html: 'HTML' };
+        
+        try {
+            const arrayBuffer = await file.arrayBuffer();
+            let parsed;
+            
+            switch (format) {
+                case 'txt':
+                    parsed = TextFormatParser.parsePlainText(TextFormatParser.decodeText(arrayBuffer));
+                    break;
+                case 'markdown':
+                    parsed = TextFormatParser.parseMarkdown(TextFormatParser.decodeText(arrayBuffer));
+                    break;
+                case 'rtf':
+                    // RTF 本身是ASCII，非ASCII字符以 \'hh 或 \u 转义，由解析器按声明的代码页解码
+                    parsed = TextFormatParser.parseRTF(new TextDecoder('latin1').decode(arrayBuffer));
+                    break;
+                case 'odt':
+                    parsed = await TextFormatParser.parseODT(arrayBuffer);
+                    break;
+                case 'html':
+                    parsed = TextFormatParser.parseHTML(arrayBuffer);
+                    break;
+                default:
+                    throw new UnsupportedFormatError();
+            }
+            
+            return {
+                text: this.enhancedTextProcessing(parsed.text, format),
+                headings: parsed.headings,
+                fields: parsed.fields || [],
+                hyperlinks: parsed.hyperlinks || []
+            };
+            
+        } catch (error) {
+            console.error(`${formatNames[format] || format}解析错误:`, error);
+            throw ResumeError.from(error, 'error-format-parse-failed', { format: formatNames[format] || format });
+        }
+    }
+    
+    // JSON Resume：文本由结构化数据生成，原始数据随文档保留供评分直接使用
+    static async parseJSONResumeDocument(file) {
+        const jsonResume = JSONResumeAdapter.parse(await file.text());
+        const rendered = JSONResumeAdapter.toText(jsonResume);
+        
+        const basics = jsonResume.basics || {};
+        const hyperlinks = [basics.url || basics.website, basics.email && `mailto:${basics.email}`]
+            .concat((basics.profiles || []).map(profile => profile.url))
+            .filter(Boolean)
+            .map(url => ({ url, text: '' }));
+        
+        return {
+            text: rendered.text,
+            headings: rendered.headings,
+            hyperlinks: hyperlinks,
+            jsonResume: jsonResume
+        };
+    }
+    
+    // 根据扩展名和MIME类型确定解析器（部分浏览器对 .md 等文件不提供MIME类型）
+    static detectSourceType(fileType, fileName) {
+        const extension = (fileName.match(/\.([a-z0-9]+)$/) || [])[1] || '';
+        const byExtension = {
+            pdf: 'pdf',
+            doc: 'word',
+            docx: 'word',
+            odt: 'odt',
+            rtf: 'rtf',
+            txt: 'txt',
+            md: 'markdown',
+            markdown: 'markdown',
+            html: 'html',
+            htm: 'html',
+            json: 'json',
+            jpg: 'image',
+            jpeg: 'image',
+            png: 'image',
+            webp: 'image',
+            bmp: 'image'
+        };
+        
+        if (byExtension[extension]) {
+            return byExtension[extension];
+        }
+        
+        if (fileType === 'application/pdf') return 'pdf';
+        if (fileType === 'application/vnd.oasis.opendocument.text') return 'odt';
+        if (fileType.includes('rtf')) return 'rtf';
+        if (fileType === 'text/markdown' || fileType === 'text/x-markdown') return 'markdown';
+        if (fileType === 'text/html') return 'html';
+        if (fileType === 'application/json') return 'json';
+        if (fileType === 'text/plain') return 'txt';
+        if (/^image\/(jpeg|png|webp|bmp)$/.test(fileType)) return 'image';
+        if (fileType.includes('word') || fileType.includes('document')) return 'word';
+        
+        return null;
+    }
+    
     // 增强的文本处理
     static enhancedTextProcessing(text, sourceType = 'unknown') {
         if (!text || typeof text !== 'string') {
@@ -139,16 +864,7 @@ class ResumeParser {
         // 第三步：内容保护和恢复
         processedText = this.contentPreservation(processedText);
         
-        // 第四步：AI增强处理（如果可用）
-        if (window.aiKeywordExtractor && window.aiKeywordExtractor.isAvailable()) {
-            try {
-                processedText = this.aiEnhancedProcessing(processedText);
-            } catch (error) {
-                console.warn('AI处理失败，使用基础处理结果:', error);
-            }
-        }
-        
-        // 第五步：最终清理
+        // 第四步：最终清理。AI关键词提取在分析阶段按章节进行，这里不改写文本，章节划分、条目和OCR置信度都依赖原有的行结构
         processedText = this.finalTextCleaning(processedText);
         
         const processingTime = performance.now() - startTime;
@@ -168,8 +884,8 @@ class ResumeParser {
             .replace(/\t/g, ' ')
             .replace(/[\u00A0\u2000-\u200B\u2028\u2029]/g, ' ') // 各种空格字符
             
-            // 移除控制字符
-            .replace(/[\u0000-\u001F\u007F-\u009F]/g, '')
+            // 移除控制字符（保留换行符）
+            .replace(/[\u0000-\u0009\u000B-\u001F\u007F-\u009F]/g, '')
             
             // 标准化标点符号
             .replace(/['']/g, "'")
@@ -188,33 +904,11 @@ class ResumeParser {
     
     // 结构化处理
     static structuralProcessing(text) {
-        // 识别和标准化常见的简历结构
-        const structurePatterns = [
-            // 个人信息部分
-            { pattern: /(个人信息|基本信息|联系方式)/gi, replacement: '\n=== 个人信息 ===\n' },
-            
-            // 教育背景部分
-            { pattern: /(教育背景|教育经历|学习经历)/gi, replacement: '\n=== 教育背景 ===\n' },
-            
-            // 工作经验部分
-            { pattern: /(工作经验|工作经历|实习经历|职业经历)/gi, replacement: '\n=== 工作经验 ===\n' },
-            
-            // 项目经验部分
-            { pattern: /(项目经验|项目经历|主要项目)/gi, replacement: '\n=== 项目经验 ===\n' },
-            
-            // 技能专长部分
-            { pattern: /(专业技能|技能专长|核心技能|掌握技能)/gi, replacement: '\n=== 专业技能 ===\n' },
-            
-            // 获奖情况部分
-            { pattern: /(获奖情况|荣誉奖励|奖励荣誉|主要荣誉)/gi, replacement: '\n=== 获奖情况 ===\n' }
-        ];
-        
-        let structuredText = text;
-        structurePatterns.forEach(({ pattern, replacement }) => {
-            structuredText = structuredText.replace(pattern, replacement);
-        });
-        
-        return structuredText;
+        // 独占一行的章节标题去掉编号和装饰符号（如“【教育背景】”“一、项目经历：”），章节划分交给 SectionSegmenter
+        return text
+            .split('\n')
+            .map(line => SectionSegmenter.matchHeading(line) ? SectionSegmenter.stripHeadingDecoration(line) : line)
+            .join('\n');
     }
     
     // 内容保护
@@ -271,378 +965,247 @@ class ResumeParser {
         return protectedText;
     }
     
-    // AI增强处理
-    static aiEnhancedProcessing(text) {
-        if (!window.aiKeywordExtractor || !window.aiKeywordExtractor.isAvailable()) {
-            return text;
-        }
-        
-        try {
-            console.log('开始AI增强文本处理...');
-            
-            // 使用AI提取关键信息
-            const extraction = window.aiKeywordExtractor.extractKeywords(text);
-            
-            if (extraction.isAIEnhanced && extraction.cleanedSections) {
-                // 基于AI提取结果重构文本
-                const reconstructedText = this.reconstructFromAIExtraction(extraction, text);
-                
-                if (reconstructedText.length >= text.length * 0.4) {
-                    console.log('AI文本重构成功');
-                    return reconstructedText;
-                } else {
-                    console.log('AI重构结果过短，保留原文');
-                    return text;
-                }
-            }
-            
-        } catch (error) {
-            console.warn('AI增强处理失败:', error);
-        }
-        
-        return text;
-    }
-    
-    // 基于AI提取结果重构文本
-    static reconstructFromAIExtraction(extraction, originalText) {
-        const sections = [];
-        
-        // 个人信息部分
-        const personalInfo = this.buildPersonalSection(extraction.extractedKeywords.personal);
-        if (personalInfo) {
-            sections.push('=== 个人信息 ===');
-            sections.push(personalInfo);
-            sections.push('');
-        }
-        
-        // 教育背景部分
-        const educationInfo = this.buildEducationSection(extraction.extractedKeywords.education);
-        if (educationInfo) {
-            sections.push('=== 教育背景 ===');
-            sections.push(educationInfo);
-            sections.push('');
-        }
-        
-        // 专业技能部分
-        const skillsInfo = this.buildSkillsSection(extraction.extractedKeywords.skills);
-        if (skillsInfo) {
-            sections.push('=== 专业技能 ===');
-            sections.push(skillsInfo);
-            sections.push('');
-        }
-        
-        // 工作经验部分
-        const experienceInfo = this.buildExperienceSection(extraction.extractedKeywords.experience);
-        if (experienceInfo) {
-            sections.push('=== 工作经验 ===');
-            sections.push(experienceInfo);
-            sections.push('');
-        }
-        
-        // 获奖情况部分
-        const achievementsInfo = this.buildAchievementsSection(extraction.extractedKeywords.achievements);
-        if (achievementsInfo) {
-            sections.push('=== 获奖情况 ===');
-            sections.push(achievementsInfo);
-            sections.push('');
-        }
-        
-        const result = sections.join('\n');
-        
-        // 如果重构的内容太少，补充原文中的其他信息
-        if (result.length < originalText.length * 0.5) {
-            const additionalContent = this.extractAdditionalContent(originalText, extraction);
-            if (additionalContent) {
-                sections.push('=== 其他信息 ===');
-                sections.push(additionalContent);
-            }
-        }
-        
-        return sections.join('\n');
-    }
-    
-    // 构建各个部分的方法
-    static buildPersonalSection(personalItems) {
-        if (!personalItems || personalItems.length === 0) return '';
-        
-        const info = {};
-        personalItems.forEach(item => {
-            if (item.confidence > 0.5) {
-                if (!info[item.subcategory] || info[item.subcategory].confidence < item.confidence) {
-                    info[item.subcategory] = item;
-                }
-            }
-        });
-        
-        const lines = [];
-        const order = ['name', 'phone', 'email', 'address', 'intention'];
-        
-        order.forEach(key => {
-            if (info[key]) {
-                const label = {
-                    name: '姓名',
-                    phone: '电话',
-                    email: '邮箱',
-                    address: '地址',
-                    intention: '求职意向'
-                }[key];
-                lines.push(`${label}: ${info[key].text}`);
-            }
-        });
-        
-        return lines.join('\n');
-    }
-    
-    static buildEducationSection(educationItems) {
-        if (!educationItems || educationItems.length === 0) return '';
-        
-        const highConfidenceItems = educationItems
-            .filter(item => item.confidence > 0.5)
-            .sort((a, b) => b.confidence - a.confidence);
-        
-        const lines = [];
-        const categories = ['school', 'degree', 'major', 'gpa'];
-        
-        categories.forEach(category => {
-            const items = highConfidenceItems.filter(item => item.subcategory === category);
-            if (items.length > 0) {
-                const label = {
-                    school: '学校',
-                    degree: '学历',
-                    major: '专业',
-                    gpa: '成绩'
-                }[category];
-                
-                items.slice(0, 3).forEach(item => {
-                    lines.push(`${label}: ${item.text}`);
-                });
-            }
-        });
-        
-        return lines.join('\n');
-    }
-    
-    static buildSkillsSection(skillsItems) {
-        if (!skillsItems || skillsItems.length === 0) return '';
-        
-        const skillGroups = {};
-        skillsItems
-            .filter(item => item.confidence > 0.4)
-            .forEach(item => {
-                if (!skillGroups[item.subcategory]) {
-                    skillGroups[item.subcategory] = [];
-                }
-                skillGroups[item.subcategory].push(item.text);
-            });
-        
-        const lines = [];
-        Object.entries(skillGroups).forEach(([category, skills]) => {
-            if (skills.length > 0) {
-                const label = {
-                    programming: '编程技术',
-                    design: '设计软件',
-                    languages: '语言能力'
-                }[category] || category;
-                
-                const uniqueSkills = [...new Set(skills)];
-                lines.push(`${label}: ${uniqueSkills.slice(0, 10).join('、')}`);
-            }
-        });
-        
-        return lines.join('\n');
-    }
-    
-    static buildExperienceSection(experienceItems) {
-        if (!experienceItems || experienceItems.length === 0) return '';
-        
-        const expGroups = {};
-        experienceItems
-            .filter(item => item.confidence > 0.4)
-            .forEach(item => {
-                if (!expGroups[item.subcategory]) {
-                    expGroups[item.subcategory] = [];
-                }
-                expGroups[item.subcategory].push(item.text);
-            });
-        
-        const lines = [];
-        Object.entries(expGroups).forEach(([category, experiences]) => {
-            if (experiences.length > 0) {
-                const label = {
-                    internship: '实习经历',
-                    project: '项目经验',
-                    work: '工作经历'
-                }[category] || category;
-                
-                lines.push(`${label}:`);
-                experiences.slice(0, 5).forEach(exp => {
-                    lines.push(`• ${exp}`);
-                });
-                lines.push('');
-            }
-        });
-        
-        return lines.join('\n');
-    }
-    
-    static buildAchievementsSection(achievementItems) {
-        if (!achievementItems || achievementItems.length === 0) return '';
-        
-        const achievementGroups = {};
-        achievementItems
-            .filter(item => item.confidence > 0.4)
-            .sort((a, b) => b.confidence - a.confidence)
-            .forEach(item => {
-                const category = item.category || item.subcategory || 'other';
-                if (!achievementGroups[category]) {
-                    achievementGroups[category] = [];
-                }
-                achievementGroups[category].push(item.text);
-            });
-        
-        const lines = [];
-        const categoryOrder = ['scholarship', 'honor', 'competition', 'certificate', 'leadership'];
-        
-        categoryOrder.forEach(category => {
-            if (achievementGroups[category] && achievementGroups[category].length > 0) {
-                const label = {
-                    scholarship: '奖学金',
-                    honor: '荣誉称号',
-                    competition: '竞赛获奖',
-                    certificate: '专业证书',
-                    leadership: '学生工作'
-                }[category] || category;
-                
-                lines.push(`${label}:`);
-                achievementGroups[category].slice(0, 8).forEach(achievement => {
-                    lines.push(`• ${achievement}`);
-                });
-                lines.push('');
-            }
-        });
-        
-        // 处理其他类别
-        Object.entries(achievementGroups).forEach(([category, achievements]) => {
-            if (!categoryOrder.includes(category) && achievements.length > 0) {
-                lines.push(`${category}:`);
-                achievements.slice(0, 5).forEach(achievement => {
-                    lines.push(`• ${achievement}`);
-                });
-                lines.push('');
-            }
-        });
-        
-        return lines.join('\n');
-    }
-    
-    static extractAdditionalContent(originalText, extraction) {
-        // 找出原文中没有被AI提取到的重要信息
-        const extractedTexts = new Set();
-        
-        Object.values(extraction.extractedKeywords).forEach(items => {
-            items.forEach(item => {
-                extractedTexts.add(item.text.toLowerCase());
-                if (item.source) {
-                    extractedTexts.add(item.source.toLowerCase());
-                }
-            });
-        });
-        
-        const sentences = originalText.split(/[。；！？\n]/)
-            .map(s => s.trim())
-            .filter(s => s.length > 10 && s.length < 200);
-        
-        const additionalSentences = sentences.filter(sentence => {
-            const sentenceLower = sentence.toLowerCase();
-            return !Array.from(extractedTexts).some(extracted => 
-                sentenceLower.includes(extracted) || extracted.includes(sentenceLower)
-            );
-        });
-        
-        return additionalSentences.slice(0, 10).join('\n');
-    }
-    
     // 最终文本清理
     static finalTextCleaning(text) {
         return text
+            .replace(/={3,}/g, '') // 移除临时分隔符
             .split('\n')
             .map(line => line.trim())
             .filter(line => line.length > 0)
             .join('\n')
-            .replace(/={3,}/g, '') // 移除临时分隔符
             .replace(/\n{3,}/g, '\n\n') // 限制空行数量
             .trim();
     }
     
     // 主要解析入口
-    static async parseFile(file) {
-        if (!file || !file.type || !file.name) {
-            throw new Error('无效的文件');
+    static async parseFile(file, options = {}) {
+        const parsed = await this.parseFileStructured(file, options);
+        return parsed.text;
+    }
+    
+    // 结构化解析入口：返回 { text, pages, sections, lines, hyperlinks, metadata }
+    static async parseFileStructured(file, options = {}) {
+        if (!file || !file.name) {
+            throw new UnsupportedFormatError('error-invalid-file');
         }
         
-        const fileType = file.type.toLowerCase();
+        const fileType = (file.type || '').toLowerCase();
         const fileName = file.name.toLowerCase();
         
         if (file.size === 0) {
-            throw new Error('文件为空或损坏');
+            throw new EmptyContentError('error-empty-file');
         }
         
         if (file.size > 50 * 1024 * 1024) { // 50MB限制
-            throw new Error('文件过大，请选择小于50MB的文件');
+            throw new FileTooLargeError('error-file-too-large', { limit: '50MB' });
         }
         
         try {
             const startTime = performance.now();
-            let text = '';
-            
-            if (fileType === 'application/pdf' || fileName.endsWith('.pdf')) {
-                text = await this.parsePDF(file);
-            } else if (fileType.includes('word') || 
-                      fileType.includes('document') ||
-                      fileName.endsWith('.docx') || 
-                      fileName.endsWith('.doc')) {
-                text = await this.parseWord(file);
+            let parsed = null;
+            const sourceType = this.detectSourceType(fileType, fileName);
+            
+            if (sourceType === 'pdf') {
+                parsed = await this.parsePDFDocument(file, options);
+            } else if (sourceType === 'word') {
+                parsed = await this.parseWordDocument(file);
+            } else if (sourceType === 'json') {
+                parsed = await this.parseJSONResumeDocument(file);
+            } else if (sourceType === 'image') {
+                parsed = await this.parseImageDocument(file, options);
+            } else if (sourceType) {
+                parsed = await this.parseTextFormatDocument(file, sourceType);
             } else {
-                throw new Error('不支持的文件格式。仅支持 PDF (.pdf) 和 Word (.doc, .docx) 格式');
+                throw new UnsupportedFormatError();
             }
             
             const parseTime = performance.now() - startTime;
             console.log(`文件解析完成: ${parseTime.toFixed(2)}ms`);
             
+            const text = parsed.text;
             if (!text || text.trim().length < 50) {
-                throw new Error('无法从文件中提取有效内容，请检查文件是否正确或尝试其他格式');
-            }
-            
-            if (!this.isValidResumeContent(text)) {
-                console.warn('文件内容可能不是简历，但仍然处理');
-            }
-            
-            // 最终验证
-            if (text.length > 100000) { // 100KB文本限制
-                console.warn('文本内容过长，可能影响处理性能');
-                text = text.substring(0, 100000) + '\n\n... (内容过长，已截断)';
+                throw new EmptyContentError('error-no-content');
             }
             
-            return text;
+            return this.createDocument(parsed, {
+                fileName: file.name,
+                fileType: file.type,
+                fileSize: file.size,
+                sourceType: sourceType,
+                parseTime: parseTime
+            });
             
         } catch (error) {
             console.error('文件解析失败:', error);
             
-            // 提供更具体的错误信息
-            if (error.message.includes('password') || error.message.includes('encrypted')) {
-                throw new Error('文件已加密，请上传未加密的文件');
-            }
-            
-            if (error.message.includes('corrupted') || error.message.includes('invalid')) {
-                throw new Error('文件已损坏，请尝试重新保存后上传');
-            }
-            
-            if (error.message.includes('memory') || error.message.includes('out of memory')) {
-                throw new Error('文件过大或复杂，请尝试简化文件内容后重新上传');
+            // 各格式解析器已抛出带错误码的错误，其余异常在此归类
+            throw ResumeError.from(error);
+        }
+    }
+    
+    // 将各格式解析器的输出整理为统一的文档模型
+    static createDocument(parsed, metadata = {}) {
+        let text = parsed.text || '';
+        let truncated = false;
+        
+        const isValidResume = this.isValidResumeContent(text);
+        if (!isValidResume) {
+            console.warn('文件内容可能不是简历，但仍然处理');
+        }
+        
+        // 最终验证
+        if (text.length > 100000) { // 100KB文本限制
+            console.warn('文本内容过长，可能影响处理性能');
+            text = text.substring(0, 100000) + '\n\n... (内容过长，已截断)';
+            truncated = true;
+        }
+        
+        const headings = parsed.headings || [];
+        const sections = this.buildSectionTree(text, headings);
+        
+        // 每行记录所属的最内层章节标题
+        const flatSections = this.flattenSections(sections);
+        const ocrConfidence = this.buildOCRConfidenceLookup(parsed.ocrLines);
+        const segmentation = SectionSegmenter.segment(text, { headings });
+        const textLines = this.splitLinesWithOffsets(text);
+        const lines = textLines.map(line => {
+            const owner = flatSections
+                .filter(section => line.start >= section.start && line.start < section.end)
+                .pop();
+            return {
+                ...line,
+                section: owner ? owner.heading : null,
+                label: segmentation.lines[line.index].label,
+                confidence: ocrConfidence ? ocrConfidence(line.text, line.index, textLines.length) : null
+            };
+        });
+        const scoredLines = lines.filter(line => line.confidence !== null);
+        
+        const pages = (parsed.pages || []).map(page => ({
+            pageNum: page.pageNum,
+            width: page.width,
+            height: page.height,
+            columnCount: page.columnCount,
+            text: page.text,
+            lines: (page.lines || []).map(line => ({
+                text: line.text,
+                x: line.x,
+                top: line.top,
+                fontSize: line.fontSize,
+                bold: line.bold,
+                column: line.column,
+                block: line.block
+            }))
+        }));
+        
+        return {
+            text: text,
+            pages: pages,
+            sections: sections,
+            segmentation: segmentation,
+            lines: lines,
+            hyperlinks: HyperlinkClassifier.classifyAll(parsed.hyperlinks || []),
+            fields: parsed.fields || [],
+            jsonResume: parsed.jsonResume || null,
+            metadata: {
+                ...metadata,
+                title: parsed.title || null,
+                headings: headings,
+                pageCount: parsed.pageCount || pages.length || null,
+                parsedPageCount: parsed.parsedPageCount || parsed.pageCount || pages.length || null,
+                pageLimit: parsed.pageLimit || null,
+                removedElements: parsed.removedElements || [],
+                skippedPages: this.listSkippedPages(parsed),
+                usedOCR: Boolean(parsed.usedOCR),
+                passwordProtected: Boolean(parsed.passwordProtected),
+                ocrConfidence: scoredLines.length > 0
+                    ? Math.round(scoredLines.reduce((sum, line) => sum + line.confidence, 0) / scoredLines.length * 100) / 100
+                    : null,
+                lowConfidenceLineCount: scoredLines.filter(line => line.confidence < this.lowConfidenceThreshold).length,
+                skewAngle: parsed.skewAngle || 0,
+                characterCount: text.length,
+                lineCount: lines.length,
+                truncated: truncated,
+                isValidResume: isValidResume
             }
-            
-            throw error;
+        };
+    }
+    
+    // 低于该置信度的OCR行在评分中降权
+    static get lowConfidenceThreshold() {
+        return 0.6;
+    }
+    
+    // 按去除空白和标点后的内容精确匹配OCR行；文本整理没有改变行数时按行号对应。匹配不到时返回 null
+    static buildOCRConfidenceLookup(ocrLines) {
+        if (!ocrLines || ocrLines.length === 0) return null;
+        
+        const normalize = (value) => (value || '').replace(/[\s\p{P}]+/gu, '');
+        const byKey = new Map();
+        ocrLines.forEach(line => {
+            const key = normalize(line.text);
+            if (key && !byKey.has(key)) byKey.set(key, line.confidence);
+        });
+        
+        return (text, index, lineCount) => {
+            const key = normalize(text);
+            if (!key) return null;
+            if (byKey.has(key)) return byKey.get(key);
+            if (lineCount === ocrLines.length && ocrLines[index]) return ocrLines[index].confidence;
+            return null;
+        };
+    }
+    
+    // 行的评分权重：置信度达到阈值或不是OCR行为1，低于阈值按比例降低
+    static getLineWeight(confidence) {
+        if (confidence === null || confidence === undefined || confidence >= this.lowConfidenceThreshold) return 1;
+        return Math.max(0, confidence) / this.lowConfidenceThreshold;
+    }
+    
+    // 各章节的评分权重：章节内各行权重的平均值；没有低置信度行时返回 null
+    static getSectionWeights(resumeDocument) {
+        const lines = (resumeDocument.lines || []).filter(line => line.text.trim() && line.label);
+        if (!lines.some(line => this.getLineWeight(line.confidence) < 1)) return null;
+        
+        const totals = {};
+        lines.forEach(line => {
+            const total = totals[line.label] || (totals[line.label] = { weight: 0, count: 0 });
+            total.weight += this.getLineWeight(line.confidence);
+            total.count++;
+        });
+        
+        const weights = {};
+        Object.entries(totals).forEach(([label, total]) => {
+            weights[label] = total.weight / total.count;
+        });
+        return weights;
+    }
+    
+    // 超出页数上限未解析的页码
+    static listSkippedPages(parsed) {
+        if (!parsed.pageCount || !parsed.parsedPageCount) return [];
+        
+        const skipped = [];
+        for (let pageNum = parsed.parsedPageCount + 1; pageNum <= parsed.pageCount; pageNum++) {
+            skipped.push(pageNum);
         }
+        return skipped;
+    }
+    
+    // 按文档顺序展开章节树
+    static flattenSections(sections) {
+        const result = [];
+        const visit = (section) => {
+            result.push(section);
+            section.children.forEach(visit);
+        };
+        sections.forEach(visit);
+        return result;
+    }
+    
+    // 判断是否为结构化文档模型
+    static isStructuredDocument(input) {
+        return Boolean(input) && typeof input === 'object' && typeof input.text === 'string';
     }
     
     // 验证简历内容
@@ -714,39 +1277,38 @@ class ResumeScorer {
         
         this.debugMode = window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1';
         
-        // 学校分级体系（保持原有）
-        this.schoolRanks = {
-            topTier: ['清华大学', '北京大学', '清华', '北大'],
-            tier1A: [
-                '复旦大学', '上海交通大学', '浙江大学', '中国科学技术大学', '南京大学',
-                '中国人民大学', '北京航空航天大学', '北京理工大学',
-                '中国科学院大学', '南方科技大学',
-                '复旦', '交大', '浙大', '中科大', '南大', '人大', '北航', '北理工', '国科大', '南科大'
-            ],
-            tier1B: [
-                '西安交通大学', '哈尔滨工业大学', '华中科技大学', '同济大学',
-                '东南大学', '天津大学', '北京师范大学', '南开大学',
-                '中山大学', '西北工业大学', '华东师范大学',
-                '西交', '哈工大', '华科', '同济', '东南', '天大', '北师大', '南开',
-                '中大', '西工大', '华师大'
-            ],
-            tier2A: [
-                '中南大学', '电子科技大学', '重庆大学', '大连理工大学', '吉林大学',
-                '厦门大学', '山东大学', '华南理工大学', '湖南大学', '东北大学',
-                '兰州大学', '中国农业大学', '中国海洋大学', '西北农林科技大学',
-                '北京邮电大学', '华东理工大学', '西安电子科技大学', '北京科技大学',
-                '上海财经大学', '对外经济贸易大学', '中央财经大学',
-                '海大', '中海大', '山大', '华南理工', '湖大', '东北大学'
-            ],
-            tier2B: [
-                '北京交通大学', '北京工业大学', '北京化工大学', '中国石油大学', '中国地质大学',
-                '中国矿业大学', '河海大学', '江南大学', '南京理工大学', '南京航空航天大学',
-                '安徽大学', '合肥工业大学', '福州大学', '南昌大学', '郑州大学'
-            ],
-            tier3: [
-                '西湖大学', '上海科技大学', '深圳大学', '苏州大学',
-                '杭州电子科技大学', '宁波大学', '江苏科技大学', '南京信息工程大学'
-            ]
+        // 学校分档对应的学校水平分数，学校名单及分档见 university-data.js
+        this.schoolTierScores = {
+            topTier: 15,
+            tier1A: 13,
+            tier1B: 11,
+            tier2A: 9,
+            tier2B: 7,
+            tier3: 5
+        };
+        
+        // 交换、联合培养、双学位、辅修的识别写法和项目分；同一行符合多类时按此顺序取第一类
+        this.educationPrograms = {
+            joint: {
+                label: '联合培养',
+                pattern: /联合培养|中外合作办学|双联|(?<![\d.])[1-3]\s*\+\s*[1-3](?![\d.])|joint\s+(?:degree|program|programme|phd|training)/i,
+                score: 2
+            },
+            double: {
+                label: '双学位',
+                pattern: /双学位|第二学位|双学士|double\s+degree|dual\s+degree|second\s+degree/i,
+                score: 2
+            },
+            exchange: {
+                label: '交换',
+                pattern: /交换生|交换学习|交换项目|交流学习|访问学生|exchange\s+(?:student|program|programme|semester|study)|study\s+abroad|visiting\s+student/i,
+                score: 1
+            },
+            minor: {
+                label: '辅修',
+                pattern: /辅修|\bminor\b/i,
+                score: 1
+            }
         };
         
         // 增强的技能关键词库
@@ -791,32 +1353,101 @@ class ResumeScorer {
                 '文学创作', '诗歌', '小说', '散文', '新闻写作', '编剧', '导演'
             ]
         };
+        
+        // 实习单位分级：大型互联网/科技公司、央企国企、外企、初创公司
+        this.companyTiers = {
+            bigTech: [
+                '腾讯', '阿里巴巴', '阿里', '蚂蚁集团', '字节跳动', '字节', '百度', '美团', '京东', '华为', '小米',
+                '网易', '滴滴', '快手', '拼多多', '携程', '哔哩哔哩', 'B站', '小红书', '大疆', '商汤', '旷视', '科大讯飞',
+                'Tencent', 'Alibaba', 'ByteDance', 'Baidu', 'Meituan', 'JD.com', 'Huawei', 'Xiaomi', 'NetEase', 'DJI'
+            ],
+            stateOwned: [
+                '国家电网', '南方电网', '中国石油', '中石油', '中国石化', '中石化', '中国海油', '中国移动', '中国电信', '中国联通',
+                '工商银行', '建设银行', '农业银行', '中国银行', '交通银行', '国家开发银行', '中信', '招商局', '中金公司', '中信证券',
+                '中国建筑', '中国中车', '中国航天', '航天科技', '航天科工', '中国商飞', '中航工业', '中国电子', '中国船舶',
+                '央企', '国企', '研究所', '研究院'
+            ],
+            foreign: [
+                '谷歌', '微软', '苹果', '亚马逊', '英特尔', '甲骨文', '思科', '西门子', '宝洁', '联合利华', '欧莱雅',
+                '麦肯锡', '波士顿咨询', '贝恩', '高盛', '摩根士丹利', '摩根大通', '德勤', '普华永道', '安永', '毕马威',
+                'Google', 'Microsoft', 'Apple', 'Amazon', 'Meta', 'IBM', 'Intel', 'Oracle', 'Cisco', 'Siemens', 'SAP',
+                'P&G', 'McKinsey', 'BCG', 'Bain', 'Goldman Sachs', 'Morgan Stanley', 'J.P. Morgan', 'Deloitte', 'PwC', 'EY', 'KPMG',
+                '外企'
+            ],
+            startup: ['初创', '创业公司', '创业团队', 'startup', '天使轮', 'Pre-A', 'A轮', 'B轮']
+        };
+        
+        // 岗位方向，用于判断实习岗位是否与求职意向相关
+        this.roleKeywords = {
+            tech: ['开发', '工程师', '研发', '程序', '前端', '后端', '测试', '运维', '算法', 'developer', 'engineer', 'software'],
+            data: ['数据', '分析师', '算法', '机器学习', 'data', 'analyst'],
+            product: ['产品', 'product'],
+            design: ['设计', '交互', '视觉', 'UI', 'UX', 'designer'],
+            operations: ['运营', '市场', '营销', '品牌', '销售', '商务', 'marketing', 'sales'],
+            finance: ['金融', '投资', '投行', '证券', '会计', '审计', '财务', '风控', '行研', 'finance', 'investment', 'audit'],
+            consulting: ['咨询', 'consultant', 'consulting'],
+            research: ['研究', '科研', '实验室', 'research'],
+            hr: ['人力', '招聘', 'HR', '行政']
+        };
+        this.casualRoles = ['兼职', '家教', '服务员', '促销', '收银', '导购', '传单', '临时工', '志愿者'];
     }
     
-    // 主要分析方法（使用AI增强）
-    analyzeResume(text) {
+    // 主要分析方法（使用AI增强），可传入纯文本或 parseFileStructured 返回的文档模型
+    analyzeResume(input) {
         const startTime = performance.now();
-        let aiExtraction = null;
-        
-        // 使用AI关键词提取器进行增强分析
-        if (window.aiKeywordExtractor && window.aiKeywordExtractor.isAvailable()) {
-            try {
-                aiExtraction = window.aiKeywordExtractor.extractKeywords(text);
-                if (this.debugMode) {
-                    console.log('使用AI关键词提取进行增强分析');
-                    console.log('AI提取结果:', aiExtraction);
+        const resumeDocument = ResumeParser.isStructuredDocument(input) ? input : null;
+        const text = resumeDocument ? resumeDocument.text : (input || '');
+        const jsonResume = resumeDocument ? resumeDocument.jsonResume : null;
+        
+        // OCR识别置信度低的行可能是误识别内容，所在章节的得分按置信度降权（见 calculateScores）
+        const confidenceWeights = resumeDocument ? ResumeParser.getSectionWeights(resumeDocument) : null;
+        
+        // 按章节划分文本，各项分析只看自己的章节
+        const segmentation = resumeDocument && resumeDocument.segmentation
+            ? resumeDocument.segmentation
+            : SectionSegmenter.segment(text, { headings: resumeDocument ? resumeDocument.metadata.headings : [] });
+        const sectionText = labels => SectionSegmenter.getText(segmentation, labels, text);
+        
+        // AI关键词提取按章节进行（JSON Resume 已是结构化数据，无需提取）：各项分析只用自己章节的提取结果，
+        // 实习描述里的“项目组主席”不会算作学生干部；多组标签取到相同文本时只提取一次
+        const extractions = new Map();
+        const aiExtract = labels => {
+            if (jsonResume || !window.aiKeywordExtractor || !window.aiKeywordExtractor.isAvailable()) return null;
+            
+            const sectionInput = sectionText(labels);
+            if (!sectionInput.trim()) return null;
+            if (!extractions.has(sectionInput)) {
+                try {
+                    extractions.set(sectionInput, window.aiKeywordExtractor.extractKeywords(sectionInput));
+                } catch (error) {
+                    console.warn('AI关键词提取失败，使用传统分析:', error);
+                    extractions.set(sectionInput, null);
                 }
-            } catch (error) {
-                console.warn('AI关键词提取失败，使用传统分析:', error);
             }
+            return extractions.get(sectionInput);
+        };
+        
+        // 执行各项分析：JSON Resume 字段直接映射，其余来源从文本中识别
+        const experienceLabels = ['experience', 'project', 'publications'];
+        const achievementLabels = ['awards', 'leadership'];
+        const { basicInfo, education, skills, experience, achievements } = jsonResume
+            ? JSONResumeAdapter.toAnalysis(jsonResume, this)
+            : {
+                basicInfo: this.analyzeBasicInfo(sectionText('personal'), aiExtract('personal'), resumeDocument),
+                education: this.analyzeEducation(sectionText('education'), aiExtract('education'), segmentation),
+                skills: this.analyzeSkills(sectionText('skills'), aiExtract('skills')),
+                experience: this.analyzeExperience(sectionText(experienceLabels), aiExtract(experienceLabels), segmentation),
+                achievements: this.analyzeAchievements(sectionText(achievementLabels), aiExtract(achievementLabels))
+            };
+        
+        const aiExtractions = [...extractions.values()].filter(Boolean);
+        const aiExtraction = aiExtractions.length > 0 ? this.combineExtractions(aiExtractions) : null;
+        if (aiExtraction && this.debugMode) {
+            console.log('使用AI关键词提取进行增强分析');
+            console.log('AI提取结果:', aiExtraction);
         }
         
-        // 执行各项分析
-        const basicInfo = this.analyzeBasicInfo(text, aiExtraction);
-        const education = this.analyzeEducation(text, aiExtraction);
-        const skills = this.analyzeSkills(text, aiExtraction);
-        const experience = this.analyzeExperience(text, aiExtraction);
-        const achievements = this.analyzeAchievements(text, aiExtraction);
+        const timeline = jsonResume ? JSONResumeAdapter.toTimeline(jsonResume) : this.buildTimeline(segmentation);
         
         const analysisTime = performance.now() - startTime;
         
@@ -828,11 +1459,17 @@ class ResumeScorer {
             experience: experience,
             achievements: achievements,
             wordCount: text.length,
-            hasStructure: this.hasGoodStructure(text),
+            hasStructure: Boolean(jsonResume) || segmentation.structured || this.hasGoodStructure(text) || (resumeDocument ? resumeDocument.sections.length >= 3 : false),
+            dataSource: jsonResume ? 'json-resume' : 'text',
+            sections: resumeDocument ? resumeDocument.sections : [],
+            segmentation: SectionSegmenter.summarize(segmentation),
+            timeline: timeline,
+            documentMetadata: resumeDocument ? resumeDocument.metadata : null,
             aiEnhanced: aiExtraction ? aiExtraction.isAIEnhanced : false,
             aiConfidence: aiExtraction ? aiExtraction.confidence : 0,
             processingTime: analysisTime,
-            aiStats: aiExtraction ? aiExtraction.stats : null
+            aiStats: aiExtraction ? aiExtraction.stats : null,
+            confidenceWeights: confidenceWeights
         };
         
         if (this.debugMode) {
@@ -843,18 +1480,76 @@ class ResumeScorer {
         return result;
     }
     
+    // 教育、实习/工作、项目条目按开始时间排列的时间线（只含能识别出日期的条目）
+    buildTimeline(segmentation) {
+        return SectionSegmenter.getEntries(segmentation, ['education', 'experience', 'project'])
+            .filter(entry => entry.start)
+            .map(entry => ({
+                type: entry.label,
+                title: entry.title,
+                start: entry.start,
+                end: entry.end,
+                ongoing: entry.ongoing,
+                months: entry.months
+            }))
+            .sort((a, b) => DateParser.toMonthIndex(a.start) - DateParser.toMonthIndex(b.start));
+    }
+    
     // AI增强的基本信息分析
-    analyzeBasicInfo(text, aiExtraction = null) {
+    // 各章节的AI提取结果汇总为一份：置信度取平均，统计数相加
+    combineExtractions(extractions) {
+        const stats = {};
+        extractions.forEach(extraction => {
+            Object.entries(extraction.stats || {}).forEach(([key, value]) => {
+                if (typeof value === 'number') stats[key] = (stats[key] || 0) + value;
+            });
+        });
+        
+        return {
+            isAIEnhanced: extractions.some(extraction => extraction.isAIEnhanced),
+            confidence: extractions.reduce((sum, extraction) => sum + (extraction.confidence || 0), 0) / extractions.length,
+            stats: stats
+        };
+    }
+    
+    analyzeBasicInfo(text, aiExtraction = null, resumeDocument = null) {
         const info = {};
         let count = 0;
+        const hyperlinks = resumeDocument ? resumeDocument.hyperlinks : [];
+        
+        // 表格模板中的“标签 | 值”字段最可靠，优先采用
+        const fields = resumeDocument ? resumeDocument.fields || [] : [];
+        const fieldValidators = {
+            name: value => /^[\u4e00-\u9fa5·]{2,6}$|^[A-Za-z][A-Za-z .'-]{1,40}$/.test(value),
+            phone: value => /\d{7,}/.test(value.replace(/[\s-]/g, '')),
+            email: value => /@/.test(value),
+            address: value => value.length >= 2,
+            intention: value => value.length >= 2,
+            website: value => value.length >= 4,
+            social: value => value.length >= 2,
+            birthday: value => /\d/.test(value),
+            political: value => value.length >= 2
+        };
+        
+        fields.forEach(field => {
+            const validate = fieldValidators[field.key];
+            if (!validate || info[field.key] || !validate(field.value)) return;
+            
+            info[field.key] = true;
+            info.fieldValues = { ...info.fieldValues, [field.key]: field.value };
+            if (field.key === 'intention') info.intentionCounted = true;
+            count++;
+        });
         
         // 使用AI提取的个人信息
+        const aiValues = {};
         if (aiExtraction && aiExtraction.extractedKeywords && aiExtraction.extractedKeywords.personal) {
             const personalItems = aiExtraction.extractedKeywords.personal;
             
             personalItems.forEach(item => {
                 if (item.confidence > 0.5) {
                     const subcategory = item.subcategory || item.keyword;
+                    if (item.text && !aiValues[subcategory]) aiValues[subcategory] = item.text;
                     
                     switch (subcategory) {
                         case 'name':
@@ -927,29 +1622,63 @@ class ResumeScorer {
                 }
             }
             
-            if (/(github|gitlab|个人网站|博客|portfolio)/i.test(text)) {
+            if (!info.website && /(github|gitlab|个人网站|博客|portfolio)/i.test(text)) {
                 info.website = true;
                 count++;
             }
             
-            if (/(linkedin|微博|知乎)/i.test(text)) {
+            if (!info.social && /(linkedin|微博|知乎)/i.test(text)) {
                 info.social = true;
                 count++;
             }
             
-            if (/(出生|生日|\d{4}年\d{1,2}月)/.test(text)) {
+            if (!info.birthday && /(出生|生日|\d{4}年\d{1,2}月)/.test(text)) {
                 info.birthday = true;
                 count++;
             }
             
-            if (/(党员|团员|群众|政治面貌)/.test(text)) {
+            if (!info.political && /(党员|团员|群众|政治面貌)/.test(text)) {
                 info.political = true;
                 count++;
             }
         }
         
+        // 文档中的可点击链接：图标链接在文本中没有文字，按链接类型补充
+        if (hyperlinks && hyperlinks.length > 0) {
+            const linkTypes = new Set(hyperlinks.map(link => link.type));
+            
+            if (!info.email && linkTypes.has('email')) {
+                info.email = true;
+                count++;
+            }
+            
+            if (!info.website && ['github', 'website', 'portfolio', 'blog'].some(type => linkTypes.has(type))) {
+                info.website = true;
+                count++;
+            }
+            
+            if (!info.social && ['linkedin', 'social'].some(type => linkTypes.has(type))) {
+                info.social = true;
+                count++;
+            }
+            
+            info.links = hyperlinks.filter(link => link.type !== 'email' && link.type !== 'phone');
+        }
+        
+        // 各项的具体内容，供导出使用：表格字段优先，其次AI提取，最后从文本中匹配
+        const values = { ...this.extractBasicValues(text), ...aiValues, ...info.fieldValues };
+        values.links = HyperlinkClassifier.classifyAll([
+            ...(hyperlinks || []),
+            ...((text || '').match(/https?:\/\/[^\s)）]+/g) || []).map(url => ({ url }))
+        ]).filter(link => link.type !== 'email' && link.type !== 'phone');
+        if (!values.email) {
+            const mailto = (hyperlinks || []).find(link => link.type === 'email');
+            if (mailto) values.email = mailto.url.replace(/^mailto:/i, '');
+        }
+        
         return { 
             ...info, 
+            values: values,
             count: Math.min(count, 10),
             aiEnhanced: aiExtraction ? aiExtraction.isAIEnhanced : false
         };
@@ -1023,22 +1752,38 @@ class ResumeScorer {
     }
     
     // AI增强的教育背景分析
-    analyzeEducation(text, aiExtraction = null) {
+    analyzeEducation(text, aiExtraction = null, segmentation = null) {
         const education = {
             schoolLevel: 0,
             hasGPA: false,
             gpa: 0,
+            gpaRecord: null,
+            rank: null,
             degrees: [],
+            programs: [],
+            discipline: null,
             degreeScore: 0,
+            programScore: 0,
             aiEnhanced: aiExtraction ? aiExtraction.isAIEnhanced : false
         };
         
-        // 检测GPA
-        education.hasGPA = /GPA|绩点|平均分|成绩/.test(text);
-        education.gpa = this.extractGPA(text);
+        // 检测GPA和排名，原始写法和折算后的4分制成绩都保留
+        education.gpaRecord = this.parseGPA(text);
+        education.gpa = education.gpaRecord ? education.gpaRecord.normalized : 0;
+        education.rank = this.parseClassRank(text);
+        education.hasGPA = /GPA|绩点|平均分|成绩/.test(text) || Boolean(education.rank);
         
-        // 提取学位信息
-        education.degrees = this.extractDegrees(text, aiExtraction);
+        // 提取学位信息，并从教育章节的条目中补上起止时间
+        const entries = this.attachEducationDates(
+            this.extractDegrees(text, aiExtraction),
+            SectionSegmenter.getEntries(segmentation || SectionSegmenter.segment(text), 'education')
+        );
+        
+        // 专业映射到学科门类和专业类；交换、联合培养、双学位、辅修单独列出
+        const { degrees, programs } = this.splitEducationEntries(this.attachUniversities(this.attachDisciplines(entries, text)));
+        education.degrees = degrees;
+        education.programs = programs;
+        education.discipline = this.primaryDiscipline(education.degrees);
         
         // 计算学校水平分数
         education.schoolLevel = this.calculateSchoolScore(text, education.degrees);
@@ -1046,56 +1791,299 @@ class ResumeScorer {
         // 计算学位分数
         education.degreeScore = this.calculateDegreeScore(education.degrees);
         
+        // 计算项目分数
+        education.programScore = this.scoreEducationPrograms(education.programs);
+        
         return education;
     }
     
-    // AI增强的经验分析
-    analyzeExperience(text, aiExtraction = null) {
-        let internshipCount = 0;
-        let projectCount = 0;
-        
-        // 使用AI提取的经验信息
+    // 学位与同一学校的教育条目对应，日期格式与 JSON Resume 一致（YYYY-MM）
+    attachEducationDates(degrees, entries) {
+        return degrees.map(degree => {
+            if (degree.startDate) return degree;
+            
+            const entry = entries.find(item => item.start && (
+                (degree.school && item.text.includes(degree.school)) || degree.text.includes(item.title)
+            ));
+            if (!entry) return degree;
+            
+            return {
+                ...degree,
+                startDate: entry.start,
+                endDate: entry.end || '',
+                ongoing: entry.ongoing,
+                months: entry.months
+            };
+        });
+    }
+    
+    // AI 提取的句子可能只有学位和时间，没写专业时从原文中该学位所在的整行里找
+    attachDisciplines(degrees, text = '') {
+        const lines = text.split('\n');
+        return degrees.map(degree => {
+            const line = lines.find(item => degree.text && item.includes(degree.text.trim())) || '';
+            const major = degree.major || DisciplineTaxonomy.extractMajor(line);
+            return {
+                ...degree,
+                major: major,
+                discipline: DisciplineTaxonomy.match(major) || DisciplineTaxonomy.match(degree.text)
+            };
+        });
+    }
+    
+    // 学校在高校名单中时附上标签和分档；境外高校附上地区和排名来源
+    attachUniversities(degrees) {
+        return degrees.map(degree => {
+            const university = UniversityData.find(degree.school);
+            return {
+                ...degree,
+                university: university ? {
+                    name: university.name,
+                    en: university.en,
+                    tags: university.tags,
+                    tier: university.tier,
+                    region: university.region,
+                    ranking: university.ranking
+                } : null
+            };
+        });
+    }
+    
+    // 以最高学历的专业为准
+    primaryDiscipline(degrees) {
+        const levels = ['phd', 'master', 'bachelor', 'unknown'];
+        const withDiscipline = degrees
+            .filter(degree => degree.discipline)
+            .sort((a, b) => levels.indexOf(a.degree) - levels.indexOf(b.degree));
+        return withDiscipline.length > 0 ? withDiscipline[0].discipline : null;
+    }
+    
+    // AI增强的经验分析：实习、项目按章节内的条目计数，一段经历只算一次
+    analyzeExperience(text, aiExtraction = null, segmentation = null) {
+        const sections = segmentation || SectionSegmenter.segment(text);
+        const internshipEntries = this.selectCountedEntries(SectionSegmenter.getEntries(sections, 'experience'));
+        const projectEntries = this.selectCountedEntries(SectionSegmenter.getEntries(sections, 'project'));
+        let internshipCount = internshipEntries.length;
+        let projectCount = projectEntries.length;
+        
+        // 没有识别出条目时才使用AI提取的经验信息，AI命中的内容按所在的行计为条目并列入计分条目
+        const aiEntries = [];
         if (aiExtraction && aiExtraction.extractedKeywords && aiExtraction.extractedKeywords.experience) {
             const experienceItems = aiExtraction.extractedKeywords.experience;
+            const hitsOf = (type, items) => items.map(item => ({ type: type, text: item.text || item.keyword || '' }));
+            
+            if (internshipCount === 0) {
+                const internshipItems = experienceItems.filter(item => 
+                    item.confidence > 0.5 && 
+                    (item.subcategory === 'internship' || 
+                     (item.text || item.keyword || '').includes('实习'))
+                );
+                const located = this.locateAIEntries(hitsOf('internship', internshipItems), text);
+                internshipCount = located.length;
+                aiEntries.push(...located);
+            }
             
-            internshipCount = experienceItems.filter(item => 
-                item.confidence > 0.5 && 
-                (item.subcategory === 'internship' || 
-                 (item.text || item.keyword || '').includes('实习'))
-            ).length;
-            
-            projectCount = experienceItems.filter(item => 
-                item.confidence > 0.5 && 
-                (item.subcategory === 'project' || 
-                 (item.text || item.keyword || '').includes('项目'))
-            ).length;
+            if (projectCount === 0) {
+                const projectItems = experienceItems.filter(item => 
+                    item.confidence > 0.5 && 
+                    (item.subcategory === 'project' || 
+                     (item.text || item.keyword || '').includes('项目'))
+                );
+                const located = this.locateAIEntries(hitsOf('project', projectItems), text);
+                projectCount = located.length;
+                aiEntries.push(...located);
+            }
         }
         
-        // 传统方法补充
-        const traditionalInternshipCount = Math.max(
-            (text.match(/实习|intern/gi) || []).length, 
-            (text.match(/(公司|企业|集团|科技|有限).*?(实习|intern)/gi) || []).length
-        );
+        // 每段实习按时长、单位、岗位相关性和成果单独计分
+        const intention = this.extractIntention(SectionSegmenter.getText(sections, 'personal', ''));
+        const scoredInternships = internshipEntries.map(entry => this.scoreInternshipEntry(entry, intention));
+        const scoredProjects = projectEntries.map(entry => this.scoreProjectEntry(entry));
+        const scoredEntries = [...scoredInternships, ...scoredProjects];
+        
+        const hasCompanyName = scoredInternships.length > 0
+            ? scoredInternships.some(entry => entry.companyTier !== 'unknown')
+            : /(有限公司|股份|集团|科技|互联网|腾讯|阿里|百度|字节|美团|京东|华为|小米|网易|滴滴|快手)/i.test(text);
+        const hasAchievement = scoredEntries.length > 0
+            ? scoredEntries.some(entry => entry.impact.hasResult)
+            : /(完成|实现|提升|优化|负责|开发|设计|获得|达到)/i.test(text);
+        
+        const result = this.buildExperienceResult({
+            internshipCount,
+            projectCount,
+            hasCompanyName,
+            hasAchievement,
+            academicScore: this.calculateAcademicScore(text),
+            internshipEntries: scoredInternships,
+            projectEntries: scoredProjects
+        }, aiExtraction ? aiExtraction.isAIEnhanced : false);
+        
+        const describe = (type, entry) => ({
+            type: type,
+            text: entry.title,
+            content: entry.text,
+            start: entry.start,
+            end: entry.end,
+            ongoing: entry.ongoing,
+            months: entry.months
+        });
+        result.countedEntries = [
+            ...internshipEntries.map(entry => describe('internship', entry)),
+            ...projectEntries.map(entry => describe('project', entry)),
+            ...aiEntries
+        ];
+        return result;
+    }
+    
+    // 章节中有带时间的条目时，未写时间且没有描述的单行多为公司名、补充说明，不计入
+    selectCountedEntries(entries) {
+        if (!entries.some(entry => entry.dated)) return entries;
+        return entries.filter(entry => entry.dated || entry.lineCount > 1);
+    }
+    
+    // 求职意向所在行的内容
+    extractIntention(personalText) {
+        const match = (personalText || '').match(/(?:求职意向|意向岗位|应聘岗位|目标岗位|求职目标|objective)[:：\s]*([^\n]+)/i);
+        return match ? match[1].trim() : '';
+    }
+    
+    // 关键词命中：中文按包含判断，英文按整词判断（避免 EY、SAP 之类的短词误匹配）
+    matchesKeyword(text, keyword) {
+        if (/^[\x00-\x7f]+$/.test(keyword)) {
+            const escaped = keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            return new RegExp(`(^|[^A-Za-z])${escaped}($|[^A-Za-z])`, 'i').test(text);
+        }
+        return text.includes(keyword);
+    }
+    
+    // 岗位方向：实习条目文本命中的 roleKeywords 类别
+    detectRoleCategories(text) {
+        return Object.keys(this.roleKeywords)
+            .filter(category => this.roleKeywords[category].some(keyword => this.matchesKeyword(text, keyword)));
+    }
+    
+    // 单段实习计分（满分5分）：时长2分、单位1.5分、岗位相关性1分、量化成果0.5分
+    scoreInternshipEntry(entry, intention = '') {
+        const text = entry.text || entry.title || '';
+        const months = entry.months || null;
+        
+        let duration = 1; // 未写明时长按一个月左右计
+        if (months !== null) {
+            if (months >= 6) duration = 2;
+            else if (months >= 3) duration = 1.5;
+            else if (months >= 1) duration = 1;
+            else duration = 0.5;
+        }
+        
+        const tierScores = { bigTech: 1.5, foreign: 1.5, stateOwned: 1, startup: 0.5, general: 0.5, unknown: 0 };
+        let companyTier = 'unknown';
+        let companyName = '';
+        for (const tier of ['bigTech', 'foreign', 'stateOwned', 'startup']) {
+            const keyword = this.companyTiers[tier].find(name => this.matchesKeyword(text, name));
+            if (keyword) {
+                companyTier = tier;
+                companyName = keyword;
+                break;
+            }
+        }
+        if (companyTier === 'unknown' && /(有限公司|有限责任公司|股份|集团|科技|银行|证券|事务所|Inc\.?|Ltd\.?|Co\.|Corp)/i.test(text)) {
+            companyTier = 'general';
+        }
         
-        const traditionalProjectCount = Math.max(
-            (text.match(/项目|project/gi) || []).length,
-            (text.match(/(开发|设计|完成|负责).*?(项目|系统|网站|APP)/gi) || []).length
-        );
+        const roleCategories = this.detectRoleCategories(entry.title || text);
+        const intentionCategories = intention ? this.detectRoleCategories(intention) : [];
+        let relevance = 'unknown';
+        if (intentionCategories.length > 0 && roleCategories.some(category => intentionCategories.includes(category))) {
+            relevance = 'matched';
+        } else if (roleCategories.length > 0) {
+            relevance = 'professional';
+        } else if (this.casualRoles.some(role => text.includes(role))) {
+            relevance = 'casual';
+        }
+        const relevanceScores = { matched: 1, professional: 0.75, unknown: 0.5, casual: 0 };
         
-        // 取AI和传统方法的较大值
-        internshipCount = Math.max(internshipCount, traditionalInternshipCount);
-        projectCount = Math.max(projectCount, traditionalProjectCount);
+        // 带数字的成果（提升30%、服务10万用户）比泛泛的“完成、负责”更有说服力
+        const impact = BulletAnalyzer.analyzeEntry(text);
+        let outcome = 0;
+        if (impact.quantifiedCount > 0) {
+            outcome = 0.5;
+        } else if (impact.hasResult || impact.strongActionCount > 0) {
+            outcome = 0.25;
+        }
         
-        const hasCompanyName = /(有限公司|股份|集团|科技|互联网|腾讯|阿里|百度|字节|美团|京东|华为|小米|网易|滴滴|快手)/i.test(text);
-        const hasAchievement = /(完成|实现|提升|优化|负责|开发|设计|获得|达到)/i.test(text);
+        const scores = {
+            duration: duration,
+            company: tierScores[companyTier],
+            relevance: relevanceScores[relevance],
+            outcome: outcome
+        };
         
-        const internshipBaseScore = Math.min(internshipCount * (hasCompanyName ? 3 : 2.5), 10);
-        const projectBaseScore = Math.min(projectCount * (hasAchievement ? 3 : 2.5), 10);
-        const academicBaseScore = Math.min(this.calculateAcademicScore(text), 10);
+        return {
+            title: entry.title || '',
+            start: entry.start || null,
+            end: entry.end || null,
+            ongoing: Boolean(entry.ongoing),
+            months: months,
+            companyTier: companyTier,
+            companyName: companyName,
+            roleCategories: roleCategories,
+            relevance: relevance,
+            impact: this.summarizeImpact(impact),
+            scores: scores,
+            total: Math.round((scores.duration + scores.company + scores.relevance + scores.outcome) * 100) / 100
+        };
+    }
+    
+    // 单个项目计分（满分3分）：基础2分，量化成果0.5分、主导性动词0.25分、完整STAR描述0.25分
+    scoreProjectEntry(entry) {
+        const impact = BulletAnalyzer.analyzeEntry(entry.text || entry.title || '');
+        const scores = {
+            base: 2,
+            quantified: impact.quantifiedCount > 0 ? 0.5 : 0,
+            action: impact.strongActionCount > 0 ? 0.25 : 0,
+            star: impact.starCount > 0 ? 0.25 : 0
+        };
         
-        const internshipExtraScore = Math.max(0, internshipCount * (hasCompanyName ? 3 : 2.5) - 10);
-        const projectExtraScore = Math.max(0, projectCount * (hasAchievement ? 3 : 2.5) - 10);
-        const academicExtraScore = Math.max(0, this.calculateAcademicScore(text) - 10);
+        return {
+            title: entry.title || '',
+            start: entry.start || null,
+            end: entry.end || null,
+            months: entry.months || null,
+            impact: this.summarizeImpact(impact),
+            scores: scores,
+            total: scores.base + scores.quantified + scores.action + scores.star
+        };
+    }
+    
+    // 要点分析只保留计数，逐条明细较大，不放进评分结果
+    summarizeImpact(impact) {
+        return {
+            bulletCount: impact.bulletCount,
+            quantifiedCount: impact.quantifiedCount,
+            strongActionCount: impact.strongActionCount,
+            weakActionCount: impact.weakActionCount,
+            starCount: impact.starCount,
+            hasResult: impact.hasResult
+        };
+    }
+    
+    // 根据经历数量计算实习、项目、学术分数（超出上限的部分记为额外分）；
+    // 有逐条计分的实习、项目条目时，分数为各条目得分之和
+    buildExperienceResult({ internshipCount, projectCount, hasCompanyName, hasAchievement, academicScore, internshipEntries = [], projectEntries = [] }, aiEnhanced = false) {
+        const sumEntries = entries => entries.reduce((sum, entry) => sum + entry.total, 0);
+        const internshipRawScore = internshipEntries.length > 0
+            ? sumEntries(internshipEntries)
+            : internshipCount * (hasCompanyName ? 3 : 2.5);
+        const projectRawScore = projectEntries.length > 0
+            ? sumEntries(projectEntries)
+            : projectCount * (hasAchievement ? 3 : 2.5);
+        const internshipBaseScore = Math.min(internshipRawScore, 10);
+        const projectBaseScore = Math.min(projectRawScore, 10);
+        const academicBaseScore = Math.min(academicScore, 10);
+        
+        const internshipExtraScore = Math.max(0, internshipRawScore - 10);
+        const projectExtraScore = Math.max(0, projectRawScore - 10);
+        const academicExtraScore = Math.max(0, academicScore - 10);
         
         return {
             internshipCount: internshipCount,
@@ -1108,15 +2096,15 @@ class ResumeScorer {
             internshipExtraScore: internshipExtraScore,
             projectExtraScore: projectExtraScore,
             academicExtraScore: academicExtraScore,
-            aiEnhanced: aiExtraction ? aiExtraction.isAIEnhanced : false
+            internshipEntries: internshipEntries,
+            projectEntries: projectEntries,
+            aiEnhanced: aiEnhanced
         };
     }
     
     // AI增强的成就分析
     analyzeAchievements(text, aiExtraction = null) {
-        let totalScore = 0;
-        const details = {};
-        const extraScore = {};
+        const aiEntries = [];
         
         // 使用AI提取的成就信息
         if (aiExtraction && aiExtraction.extractedKeywords && aiExtraction.extractedKeywords.achievements) {
@@ -1131,77 +2119,88 @@ class ResumeScorer {
                 if (item.confidence > 0.4) {
                     const text = item.text || item.keyword || '';
                     const category = item.category || item.subcategory;
+                    const count = type => aiEntries.push({ type: type, text: text, aiExtracted: true });
                     
                     // 奖学金分类
                     if (category === 'scholarship' || /奖学金|助学金/.test(text)) {
                         if (/(国家.{0,10}奖学金|国家.{0,10}励志奖学金)/.test(text)) {
-                            details.nationalHonor = (details.nationalHonor || 0) + 1;
+                            count('nationalHonor');
                         } else if (/(省.{0,10}奖学金|省级.{0,10}奖学金)/.test(text)) {
-                            details.provincialHonor = (details.provincialHonor || 0) + 1;
+                            count('provincialHonor');
                         } else {
-                            details.schoolHonor = (details.schoolHonor || 0) + 1;
+                            count('schoolHonor');
                         }
                     }
                     
                     // 荣誉称号分类
                     else if (category === 'honor' || /三好学生|优秀|先进/.test(text)) {
                         if (/(国家|全国).{0,10}(优秀|先进)/.test(text)) {
-                            details.nationalHonor = (details.nationalHonor || 0) + 1;
+                            count('nationalHonor');
                         } else if (/(省|市).{0,10}(优秀|先进)/.test(text)) {
-                            details.provincialHonor = (details.provincialHonor || 0) + 1;
+                            count('provincialHonor');
                         } else {
-                            details.schoolHonor = (details.schoolHonor || 0) + 1;
+                            count('schoolHonor');
                         }
                     }
                     
                     // 竞赛获奖分类
                     else if (category === 'competition' || /竞赛|比赛|大赛|获奖/.test(text)) {
                         if (/(国际|世界).{0,15}(竞赛|比赛|大赛)|ACM|ICPC/.test(text)) {
-                            details.internationalComp = (details.internationalComp || 0) + 1;
+                            count('internationalComp');
                         } else if (/(全国|国家级).{0,15}(竞赛|比赛|大赛)/.test(text)) {
-                            details.nationalComp = (details.nationalComp || 0) + 1;
+                            count('nationalComp');
                         } else if (/(省|市).{0,15}(竞赛|比赛|大赛)/.test(text)) {
-                            details.provincialComp = (details.provincialComp || 0) + 1;
+                            count('provincialComp');
                         } else {
-                            details.schoolComp = (details.schoolComp || 0) + 1;
+                            count('schoolComp');
                         }
                     }
                     
                     // 证书认证分类
                     else if (category === 'certificate' || /证书|资格|认证/.test(text)) {
                         if (/(CPA|注册会计师|司法考试|法律职业资格|注册建筑师|注册工程师)/.test(text)) {
-                            details.advancedCert = (details.advancedCert || 0) + 1;
+                            count('advancedCert');
                         } else {
-                            details.generalCert = (details.generalCert || 0) + 1;
+                            count('generalCert');
                         }
                     }
                     
                     // 学生干部分类
                     else if (category === 'leadership' || /主席|会长|社长|部长|班长|团支书/.test(text)) {
-                        if (/(主席|会长|社长)/.test(text)) {
-                            details.chairman = (details.chairman || 0) + 1;
-                        } else if (/(部长|副主席|副会长|副社长)/.test(text)) {
-                            details.minister = (details.minister || 0) + 1;
+                        if (/(部长|副主席|副会长|副社长)/.test(text)) {
+                            count('minister');
+                        } else if (/(主席|会长|社长)/.test(text)) {
+                            count('chairman');
                         } else {
-                            details.member = (details.member || 0) + 1;
+                            count('member');
                         }
                     }
                 }
             });
         }
         
-        // 传统方法补充（如果AI没有提取到足够信息）
-        if (Object.keys(details).length === 0) {
-            details = this.traditionalAchievementAnalysis(text);
-        } else {
-            // AI提取到了一些信息，但用传统方法补充验证
-            const traditionalDetails = this.traditionalAchievementAnalysis(text);
-            Object.keys(traditionalDetails).forEach(key => {
-                if (!details[key] || details[key] < traditionalDetails[key]) {
-                    details[key] = Math.max(details[key] || 0, traditionalDetails[key] || 0);
-                }
-            });
-        }
+        // 规则识别的条目全部计入；AI命中按所在的片段归并，只补充规则没有计入的片段，计分条目与计数一致
+        const textEntries = this.collectAchievementEntries(text);
+        const countedParts = new Set(textEntries.map(entry => entry.text));
+        const countedEntries = [
+            ...textEntries,
+            ...this.locateAIEntries(aiEntries, text, /\n|[；;、]/).filter(entry => !countedParts.has(entry.text))
+        ];
+        
+        const details = {};
+        countedEntries.forEach(entry => {
+            details[entry.type] = (details[entry.type] || 0) + 1;
+        });
+        
+        const result = this.buildAchievementResult(details, aiExtraction ? aiExtraction.isAIEnhanced : false);
+        result.countedEntries = countedEntries;
+        return result;
+    }
+    
+    // 按类别计分，每类上限5分，总分上限15分，超出部分记为额外分
+    buildAchievementResult(details, aiEnhanced = false) {
+        let totalScore = 0;
+        const extraScore = {};
         
         // 计算分数（保持原有逻辑）
         let leadershipScore = 0;
@@ -1338,103 +2337,78 @@ class ResumeScorer {
             totalScore: Math.min(totalScore, 15),
             details: details,
             extraScore: extraScore,
-            aiEnhanced: aiExtraction ? aiExtraction.isAIEnhanced : false
+            aiEnhanced: aiEnhanced
         };
     }
     
     // 传统成就分析方法（作为回退和补充）
     traditionalAchievementAnalysis(text) {
         const details = {};
-        
-        // 学生干部
-        const chairmanPatterns = [
-            /(学生会|社团|协会|俱乐部).{0,10}(主席|会长|社长)/gi,
-            /(主席|会长|社长)/gi
-        ];
-        
-        let chairmanCount = 0;
-        chairmanPatterns.forEach(pattern => {
-            const matches = text.match(pattern);
-            if (matches) chairmanCount += matches.length;
-        });
-        
-        if (chairmanCount > 0) {
-            details.chairman = chairmanCount;
-        }
-        
-        const ministerPatterns = [
-            /(学生会|社团|协会|俱乐部).{0,10}(部长|副主席|副会长|副社长)/gi,
-            /(部长|副主席|副会长|副社长)/gi
-        ];
-        
-        let ministerCount = 0;
-        ministerPatterns.forEach(pattern => {
-            const matches = text.match(pattern);
-            if (matches) ministerCount += matches.length;
-        });
-        
-        if (ministerCount > 0) {
-            details.minister = ministerCount;
-        }
-        
-        // 奖学金
-        const scholarshipPatterns = [
-            /(国家.{0,10}奖学金|国家.{0,10}励志奖学金)/gi,
-            /(省.{0,10}奖学金|省级.{0,10}奖学金)/gi,
-            /(校.{0,10}奖学金|一等奖学金|二等奖学金|三等奖学金)/gi
-        ];
-        
-        scholarshipPatterns.forEach((pattern, index) => {
-            const matches = text.match(pattern);
-            if (matches) {
-                if (index === 0) {
-                    details.nationalHonor = (details.nationalHonor || 0) + matches.length;
-                } else if (index === 1) {
-                    details.provincialHonor = (details.provincialHonor || 0) + matches.length;
-                } else {
-                    details.schoolHonor = (details.schoolHonor || 0) + matches.length;
-                }
-            }
+        this.collectAchievementEntries(text).forEach(entry => {
+            details[entry.type] = (details[entry.type] || 0) + 1;
         });
-        
-        // 竞赛获奖
-        const compPatterns = [
-            /(国际.{0,15}(竞赛|比赛|大赛).{0,10}(奖|名|获奖)|ACM|ICPC)/gi,
-            /(全国.{0,15}(竞赛|比赛|大赛).{0,10}(奖|名|获奖)|国家级.{0,15}(竞赛|比赛|大赛))/gi,
-            /(省.{0,15}(竞赛|比赛|大赛).{0,10}(奖|名|获奖))/gi
+        return details;
+    }
+    
+    // 按行及“、；”拆分出的条目识别成就，同一条目在每个类别中最多计一次，避免重叠的规则重复计数
+    collectAchievementEntries(text) {
+        const rules = [
+            // 学生干部：副职也包含“主席”等字样，需先判断
+            [
+                { type: 'minister', pattern: /部长|副主席|副会长|副社长/i },
+                { type: 'chairman', pattern: /主席|会长|社长/i }
+            ],
+            // 奖学金
+            [
+                { type: 'nationalHonor', pattern: /国家.{0,10}奖学金|国家.{0,10}励志奖学金/i },
+                { type: 'provincialHonor', pattern: /省.{0,10}奖学金|省级.{0,10}奖学金/i },
+                { type: 'schoolHonor', pattern: /校.{0,10}奖学金|一等奖学金|二等奖学金|三等奖学金/i }
+            ],
+            // 竞赛获奖
+            [
+                { type: 'internationalComp', pattern: /国际.{0,15}(竞赛|比赛|大赛).{0,10}(奖|名|获奖)|ACM|ICPC/i },
+                { type: 'nationalComp', pattern: /全国.{0,15}(竞赛|比赛|大赛).{0,10}(奖|名|获奖)|国家级.{0,15}(竞赛|比赛|大赛)/i },
+                { type: 'provincialComp', pattern: /省.{0,15}(竞赛|比赛|大赛).{0,10}(奖|名|获奖)/i }
+            ],
+            // 证书
+            [
+                { type: 'advancedCert', pattern: /CPA|注册会计师|司法考试|法律职业资格/i },
+                { type: 'generalCert', pattern: /英语.*[四六]级|CET-[46]|托福|雅思|计算机.*级/i }
+            ]
         ];
         
-        compPatterns.forEach((pattern, index) => {
-            const matches = text.match(pattern);
-            if (matches) {
-                if (index === 0) {
-                    details.internationalComp = (details.internationalComp || 0) + matches.length;
-                } else if (index === 1) {
-                    details.nationalComp = (details.nationalComp || 0) + matches.length;
-                } else {
-                    details.provincialComp = (details.provincialComp || 0) + matches.length;
-                }
-            }
+        const entries = [];
+        (text || '').split(/\n|[；;、]/).forEach(part => {
+            const entryText = part.trim();
+            if (!entryText) return;
+            
+            rules.forEach(group => {
+                const matched = group.find(rule => rule.pattern.test(entryText));
+                if (matched) entries.push({ type: matched.type, text: entryText });
+            });
         });
         
-        // 证书
-        const certPatterns = [
-            /(CPA|注册会计师|司法考试|法律职业资格)/gi,
-            /(英语.*[四六]级|CET-[46]|托福|雅思|计算机.*级)/gi
-        ];
-        
-        certPatterns.forEach((pattern, index) => {
-            const matches = text.match(pattern);
-            if (matches) {
-                if (index === 0) {
-                    details.advancedCert = (details.advancedCert || 0) + matches.length;
-                } else {
-                    details.generalCert = (details.generalCert || 0) + matches.length;
-                }
+        return entries;
+    }
+    
+    // AI命中的内容按所在的行（成就还按分号、顿号分隔）归并为条目：同一片段的多处命中只算一条，
+    // 在原文中找不到所在片段的命中（如跨行的整段文字）不计入。返回 [{ type, text, aiExtracted }]
+    locateAIEntries(hits, text, separator = /\n/) {
+        const normalize = value => window.aiKeywordExtractor ? window.aiKeywordExtractor.preprocessText(value) : value.trim();
+        const parts = (text || '').split(separator)
+            .map(part => part.trim())
+            .filter(Boolean)
+            .map(part => ({ text: part, normalized: normalize(part) }));
+        
+        const entries = [];
+        hits.forEach(hit => {
+            const needle = normalize(hit.text || '');
+            const part = needle && parts.find(item => item.normalized.includes(needle));
+            if (part && !entries.some(entry => entry.type === hit.type && entry.text === part.text)) {
+                entries.push({ type: hit.type, text: part.text, aiExtracted: true });
             }
         });
-        
-        return details;
+        return entries;
     }
     
     // 其他方法保持不变...
@@ -1462,22 +2436,154 @@ class ResumeScorer {
         return namePatterns.some(pattern => pattern.test(text)) || text.length > 50;
     }
     
+    // 从个人信息文本中取姓名、电话、邮箱、地址、求职意向的具体内容，取不到的项不返回
+    extractBasicValues(text) {
+        const values = {};
+        if (!text || typeof text !== 'string') return values;
+        
+        const labelled = text.match(/姓名[：:]\s*([^\s\n]{2,4})/);
+        const nameLine = text.split('\n')
+            .map(line => line.trim())
+            .find(line => /^(?:[\u4e00-\u9fa5]{2,4}|[A-Z][a-z]+(?: [A-Z][a-z]+){1,2})$/.test(line) && !SectionSegmenter.matchHeading(line));
+        if (labelled || nameLine) values.name = labelled ? labelled[1] : nameLine;
+        
+        const phone = text.match(/1[3-9]\d{9}/);
+        if (phone) values.phone = phone[0];
+        
+        const email = text.match(/[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}/);
+        if (email) values.email = email[0];
+        
+        const address = text.match(/(?:现居地|居住地|所在地|现居|地址)[：:]\s*([^\n|｜]+)/);
+        if (address) values.address = address[1].trim();
+        
+        const intention = this.extractIntention(text);
+        if (intention) values.intention = intention;
+        
+        return values;
+    }
+    
     hasGoodStructure(text) {
         const sections = ['教育', '经历', '技能', '项目', '实习', '工作', '学习', '经验'];
         return sections.filter(section => text.includes(section)).length >= 3;
     }
     
+    // 返回折算后的4分制GPA，没有成绩时为0
     extractGPA(text) {
-        const gpaMatch = text.match(/GPA[：:\s]*([0-9.]+)/i) || 
-                        text.match(/绩点[：:\s]*([0-9.]+)/) ||
-                        text.match(/平均分[：:\s]*([0-9.]+)/);
-        if (gpaMatch) {
-            const gpa = parseFloat(gpaMatch[1]);
-            if (gpa > 5) return gpa / 25;
-            if (gpa > 4) return gpa * 0.8;
-            return gpa;
+        const record = this.parseGPA(text);
+        return record ? record.normalized : 0;
+    }
+    
+    // 解析GPA/均分及其分制：“GPA 3.8/5.0”“均分 87/100”“成绩 87/100”“绩点3.6（4分制）”“GPA 3.9 (4.3 scale)”“WES GPA 3.5”
+    // 返回 { raw, value, scale, normalized, inferred }，inferred 表示分制是按数值大小推断的
+    parseGPA(text) {
+        const keyword = '(?:(?:WES\\s*)?(?:cumulative\\s+)?C?GPA|平均绩点|绩点|加权平均分|平均分|均分|平均成绩)';
+        // “成绩”“分数”“score”含义较宽：数字须紧跟其后（“成绩排名 3/120”不算），语言考试和升学考试的分数不算
+        const generic = '(?<!托福|雅思|高考|中考|考研|四级|六级|(?:IELTS|TOEFL|GRE|GMAT|SAT|ACT|CET-?[46])\\s*)(?:成绩|分数|\\bscore)\\s*[：:]?\\s*';
+        const number = '(\\d{1,3}(?:\\.\\d+)?)';
+        const pattern = new RegExp(
+            `(?:${keyword}[^\\d\\n]{0,6}?|${generic})${number}` +
+            `(?:\\s*(?:\\/|／|out\\s+of|满分)\\s*${number}|\\s*[（(]?\\s*(?:满分\\s*|on\\s+a\\s+)?${number}\\s*(?:分制|(?:-?point\\s+)?scale)[)）]?)?`,
+            'gi'
+        );
+        
+        // 取第一处有效的成绩：数值不能超过分制；没有分制时超过100的不是成绩
+        for (const match of (text || '').matchAll(pattern)) {
+            const value = parseFloat(match[1]);
+            const explicitScale = parseFloat(match[2] || match[3]) || 0;
+            if (!value || (explicitScale && value > explicitScale) || (!explicitScale && value > 100)) continue;
+            // 只写“成绩 12”这类没有分制的数字时，像绩点（带小数且不超过5）或百分制分数（60-100）才算
+            const genericOnly = !new RegExp(`^${keyword}`, 'i').test(match[0]);
+            if (genericOnly && !explicitScale && !((/\./.test(match[1]) && value <= 5) || value >= 60)) continue;
+            
+            // WES 认证成绩已是4分制
+            const scale = explicitScale || (/WES/i.test(match[0]) ? 4 : this.inferGPAScale(value));
+            return {
+                raw: match[0].trim(),
+                value: value,
+                scale: scale,
+                normalized: Math.round(this.normalizeGPA(value, scale) * 100) / 100,
+                inferred: !explicitScale && !/WES/i.test(match[0])
+            };
+        }
+        return null;
+    }
+    
+    inferGPAScale(value) {
+        if (value > 10) return 100;
+        if (value > 5) return 10;
+        if (value > 4.3) return 5;
+        if (value > 4) return 4.3;
+        return 4;
+    }
+    
+    // 统一换算为4分制：4.3/4.5分制封顶4.0（A+ 与 A 同档），百分制按 WES 的分数段折算，其余分制按比例折算
+    normalizeGPA(gpa, scale = this.inferGPAScale(gpa)) {
+        if (!gpa || isNaN(gpa) || !scale) return 0;
+        if (scale === 4) return Math.min(gpa, 4);
+        if (scale > 4 && scale <= 4.5) return Math.min(gpa, 4);
+        if (scale === 100) {
+            const bands = [[90, 4], [85, 3.7], [82, 3.3], [78, 3], [75, 2.7], [72, 2.3], [68, 2], [64, 1.5], [60, 1]];
+            const band = bands.find(([min]) => gpa >= min);
+            return band ? band[1] : 0;
+        }
+        return Math.min(gpa / scale * 4, 4);
+    }
+    
+    // 解析排名和百分位：“专业排名 3/120”“年级排名第5（共200人）”“Rank 2 of 60”“前5%”“Top 10%”
+    // 返回 { raw, position, total, percentile }，只有百分位时 position/total 为 null
+    parseClassRank(text) {
+        const lines = (text || '').split('\n');
+        const rankPattern = /(?:专业|年级|班级|综合|学分绩)?(?:排名|排行|名次|rank(?:ing)?)[：:\s]*(?:第\s*)?(\d+)\s*名?\s*(?:\/|／|of|out\s+of|[（(]?\s*共)\s*(\d+)(?:\s*人?[)）])?/i;
+        const percentPattern = /(?:前|top\s*)(\d+(?:\.\d+)?)\s*[%％]/i;
+        // 百分位只在与成绩、排名相关的行里识别，避免把“业绩提升前5%”之类当作排名
+        const context = /排名|排行|名次|rank|GPA|绩点|均分|平均分|成绩|专业|年级|major|class|cohort/i;
+        
+        for (const line of lines) {
+            const rank = line.match(rankPattern);
+            if (rank && Number(rank[1]) > 0 && Number(rank[1]) <= Number(rank[2])) {
+                const position = Number(rank[1]);
+                const total = Number(rank[2]);
+                const stated = line.match(percentPattern);
+                return {
+                    raw: rank[0].trim(),
+                    position: position,
+                    total: total,
+                    percentile: stated ? parseFloat(stated[1]) : Math.round(position / total * 1000) / 10
+                };
+            }
         }
-        return 0;
+        
+        for (const line of lines) {
+            const percent = line.match(percentPattern);
+            if (percent && context.test(line) && parseFloat(percent[1]) > 0 && parseFloat(percent[1]) <= 100) {
+                return { raw: percent[0].trim(), position: null, total: null, percentile: parseFloat(percent[1]) };
+            }
+        }
+        return null;
+    }
+    
+    // 学业成绩取GPA和排名中更有说服力的一项
+    scoreAcademicPerformance(education) {
+        const gpa4 = education.gpa;
+        let gpaScore = 0;
+        if (gpa4 >= 3.7) gpaScore = 5;
+        else if (gpa4 >= 3.3) gpaScore = 4;
+        else if (gpa4 >= 2.7) gpaScore = 3;
+        else if (gpa4 >= 2.0) gpaScore = 2;
+        else if (education.hasGPA) gpaScore = 1;
+        
+        const percentile = education.rank ? education.rank.percentile : null;
+        let rankScore = 0;
+        if (percentile !== null) {
+            if (percentile <= 5) rankScore = 5;
+            else if (percentile <= 15) rankScore = 4;
+            else if (percentile <= 30) rankScore = 3;
+            else if (percentile <= 50) rankScore = 2;
+            else rankScore = 1;
+        }
+        
+        if (rankScore > gpaScore) return { score: rankScore, basis: 'rank' };
+        return { score: gpaScore, basis: gpaScore > 0 && education.gpaRecord ? 'gpa' : null };
     }
     
     extractDegrees(text, aiExtraction = null) {
@@ -1487,10 +2593,10 @@ class ResumeScorer {
         if (aiExtraction && aiExtraction.extractedKeywords.education) {
             const educationItems = aiExtraction.extractedKeywords.education;
             
+            // 交换、辅修等项目行在后面单独成条，不能让它们顶替本校学位而跳过传统方法
             educationItems.forEach(item => {
-                if (item.confidence > 0.5) {
-                    const sentence = item.text || item.keyword || '';
-                    
+                const sentence = item.text || item.keyword || '';
+                if (item.confidence > 0.5 && !this.getProgramType(sentence)) {
                     const schoolMatch = sentence.match(/([^\s]{2,15}(?:大学|学院|学校))/);
                     const degreeMatch = sentence.match(/(本科|硕士|博士|学士|硕士研究生|博士研究生)/);
                     const majorMatch = sentence.match(/专业[：:]?\s*([^\s\n]{2,20})/);
@@ -1499,7 +2605,7 @@ class ResumeScorer {
                         degrees.push({
                             school: this.cleanSchoolName(schoolMatch ? schoolMatch[1] : ''),
                             degree: this.getDegreeLevel(degreeMatch ? degreeMatch[1] : ''),
-                            major: majorMatch ? majorMatch[1] : '',
+                            major: majorMatch ? majorMatch[1] : DisciplineTaxonomy.extractMajor(sentence),
                             text: sentence,
                             aiExtracted: true
                         });
@@ -1519,10 +2625,12 @@ class ResumeScorer {
             patterns.forEach(pattern => {
                 let match;
                 const regex = new RegExp(pattern.source, pattern.flags);
+                // 第三个写法的第一组是入学年份，学校在第二组；学位取整段匹配中的写法
                 while ((match = regex.exec(text)) !== null) {
                     degrees.push({
-                        school: this.cleanSchoolName(match[1] || match[2] || ''),
-                        degree: this.getDegreeLevel(match[2] || match[3] || ''),
+                        school: this.cleanSchoolName(match[2] || match[1] || ''),
+                        degree: this.getDegreeLevel(match[0]),
+                        major: DisciplineTaxonomy.extractMajor(match[0]),
                         text: match[0],
                         aiExtracted: false
                     });
@@ -1530,14 +2638,98 @@ class ResumeScorer {
             });
         }
         
+        // 交换、联合培养、双学位、辅修按行识别，单独成条（type 为项目类型，普通学位为 degree）
+        // “新加坡国立大学 本科交换”这类行会被当成学位，交换的学校不算本校学位
+        const programLines = text.split('\n').map(line => line.trim()).filter(line => this.getProgramType(line));
+        const ownDegrees = degrees.filter(degree => !programLines.some(line => 
+            this.getProgramType(line) === 'exchange' && degree.school && line.includes(degree.school)
+        ));
+        const homeSchools = ownDegrees.map(degree => degree.school).filter(Boolean);
+        const programs = programLines.map(line => ({
+            school: this.findProgramSchool(line, homeSchools),
+            degree: this.getDegreeLevel(line),
+            major: DisciplineTaxonomy.extractMajor(line),
+            text: line,
+            type: this.getProgramType(line),
+            aiExtracted: false
+        }));
+        
         // 去重
-        return degrees.filter((degree, index, self) => 
-            index === self.findIndex(d => d.school === degree.school && d.degree === degree.degree)
+        return [...ownDegrees.map(degree => ({ ...degree, type: 'degree' })), ...programs].filter((degree, index, self) => 
+            index === self.findIndex(d => d.school === degree.school && d.degree === degree.degree && d.type === degree.type)
         );
     }
     
+    // 教育条目的类型：joint、double、exchange、minor；普通学位返回 null
+    getProgramType(text) {
+        const found = Object.entries(this.educationPrograms).find(([, program]) => program.pattern.test(text || ''));
+        return found ? found[0] : null;
+    }
+    
+    // 项目所在学校：联合培养、交换写的常是“本校 / 合作院校”，优先取不是本校的那一所
+    findProgramSchool(line, homeSchools) {
+        let rest = line;
+        let fallback = '';
+        for (let i = 0; i < 3; i++) {
+            const university = UniversityData.search(rest);
+            if (!university) break;
+            if (!homeSchools.includes(university.name)) return university.name;
+            
+            fallback = fallback || university.name;
+            rest = [university.name, university.en, ...university.aliases].reduce((remaining, name) => remaining.split(name).join(' '), rest);
+        }
+        
+        // 名单外的合作院校按“××大学/学院”取；都没有时就是本校的项目（如本校辅修）
+        const schoolMatch = rest.match(/([^\s，,、：:/]{2,15}(?:大学|学院))/);
+        return schoolMatch ? this.cleanSchoolName(schoolMatch[1]) : fallback;
+    }
+    
+    // 项目不参与学校水平和学位分，单独计项目分
+    splitEducationEntries(entries) {
+        const degrees = entries.filter(entry => !entry.type || entry.type === 'degree');
+        const programs = entries
+            .filter(entry => entry.type && entry.type !== 'degree')
+            .map(entry => ({
+                type: entry.type,
+                label: this.educationPrograms[entry.type].label,
+                school: entry.school,
+                university: entry.university || null,
+                subject: entry.type === 'double' || entry.type === 'minor' ? this.getProgramSubject(entry) : '',
+                startDate: entry.startDate || '',
+                endDate: entry.endDate || '',
+                text: entry.text
+            }));
+        return { degrees, programs };
+    }
+    
+    // 辅修、双学位的专业：先看关键词后面（“辅修：经济学”“Minor in Economics”），再看紧挨着的前一个词（“经济学双学位”）
+    getProgramSubject(entry) {
+        const match = entry.text.match(this.educationPrograms[entry.type].pattern);
+        if (!match) return '';
+        
+        const after = entry.text.slice(match.index + match[0].length).replace(/^\s*(?:in\b|[：:])?\s*/i, '');
+        const before = entry.text.slice(0, match.index).trim().split(/[\s，,、|]+/).pop() || '';
+        return DisciplineTaxonomy.extractMajor(after.split(/[，,;；|]/)[0]) || DisciplineTaxonomy.extractMajor(before);
+    }
+    
+    // 项目分：每类取最高一项，交换、联合培养的合作院校排名靠前（分档在 tier1B 及以上）加1分，合计不超过3分
+    scoreEducationPrograms(programs) {
+        const best = {};
+        (programs || []).forEach(program => {
+            const ranked = (program.type === 'exchange' || program.type === 'joint') &&
+                program.university && ['topTier', 'tier1A', 'tier1B'].includes(program.university.tier);
+            const score = this.educationPrograms[program.type].score + (ranked ? 1 : 0);
+            best[program.type] = Math.max(best[program.type] || 0, score);
+        });
+        return Math.min(Object.values(best).reduce((sum, score) => sum + score, 0), 3);
+    }
+    
     cleanSchoolName(schoolText) {
         if (!schoolText) return '';
+        
+        const university = UniversityData.search(schoolText);
+        if (university) return university.name;
+        
         return schoolText
             .replace(/(大学|学院|科技|理工).*/, '$1')
             .replace(/^\s*/, '')
@@ -1579,55 +2771,11 @@ class ResumeScorer {
     getSchoolRankScore(schoolName) {
         if (!schoolName) return 2;
         
-        const normalizedName = schoolName
-            .replace(/大学$/, '')
-            .replace(/学院$/, '')
-            .replace(/科技$/, '')
-            .replace(/理工$/, '');
-        
-        if (this.schoolRanks.topTier.some(school => 
-            this.matchSchoolName(schoolName, school) || 
-            this.matchSchoolName(normalizedName, school.replace(/大学$/, '').replace(/学院$/, ''))
-        )) {
-            return 15;
-        }
-        
-        if (this.schoolRanks.tier1A.some(school => 
-            this.matchSchoolName(schoolName, school) || 
-            this.matchSchoolName(normalizedName, school.replace(/大学$/, '').replace(/学院$/, ''))
-        )) {
-            return 13;
-        }
-        
-        if (this.schoolRanks.tier1B.some(school => 
-            this.matchSchoolName(schoolName, school) || 
-            this.matchSchoolName(normalizedName, school.replace(/大学$/, '').replace(/学院$/, ''))
-        )) {
-            return 11;
-        }
-        
-        if (this.schoolRanks.tier2A.some(school => 
-            this.matchSchoolName(schoolName, school) || 
-            this.matchSchoolName(normalizedName, school.replace(/大学$/, '').replace(/学院$/, ''))
-        )) {
-            return 9;
-        }
-        
-        if (this.schoolRanks.tier2B.some(school => 
-            this.matchSchoolName(schoolName, school) || 
-            this.matchSchoolName(normalizedName, school.replace(/大学$/, '').replace(/学院$/, ''))
-        )) {
-            return 7;
-        }
-        
-        if (this.schoolRanks.tier3.some(school => 
-            this.matchSchoolName(schoolName, school) || 
-            this.matchSchoolName(normalizedName, school.replace(/大学$/, '').replace(/学院$/, ''))
-        )) {
-            return 5;
-        }
+        // 名称和简称精确匹配，不做子串匹配
+        const university = UniversityData.find(schoolName);
+        if (university) return this.schoolTierScores[university.tier];
         
-        if (/(大学|学院)/i.test(schoolName)) {
+        if (/(大学|学院|university|college|institute)/i.test(schoolName)) {
             if (/(985|211|双一流|重点)/i.test(schoolName)) return 6;
             return 3;
         }
@@ -1637,25 +2785,13 @@ class ResumeScorer {
         return 2;
     }
     
-    matchSchoolName(name1, name2) {
-        if (!name1 || !name2) return false;
-        
-        if (name1.includes(name2) || name2.includes(name1)) return true;
-        
-        const simple1 = name1.replace(/[大学院科技理工]/g, '');
-        const simple2 = name2.replace(/[大学院科技理工]/g, '');
-        
-        return simple1.length >= 2 && simple2.length >= 2 && 
-               (simple1.includes(simple2) || simple2.includes(simple1));
-    }
-    
     getBasicSchoolScore(text) {
-        if (/(清华|北大)/i.test(text)) return 15;
-        if (/(复旦|交大|浙大|中科大|南大)/i.test(text)) return 13;
+        const university = UniversityData.search(text);
+        if (university) return this.schoolTierScores[university.tier];
         if (/(985)/i.test(text)) return 11;
         if (/(211|双一流)/i.test(text)) return 9;
         if (/(重点大学)/i.test(text)) return 7;
-        if (/(大学|学院)/i.test(text)) return 3;
+        if (/(大学|学院|university|college|institute)/i.test(text)) return 3;
         if (/(专科|高职)/i.test(text)) return 1;
         
         return 2;
@@ -1712,8 +2848,8 @@ class ResumeScorer {
     }
     
     // 评分相关方法...（保持原有逻辑，但增加AI增强标识）
-    scoreResume(text) {
-        const analysis = this.analyzeResume(text);
+    scoreResume(input) {
+        const analysis = this.analyzeResume(input);
         const baseScores = this.calculateScores(analysis);
         
         const specializations = this.detectSpecialization(analysis);
@@ -1733,6 +2869,7 @@ class ResumeScorer {
         
         const suggestions = this.generateSuggestions(baseScores, analysis);
         const jobRecommendations = this.recommendJobs(analysis, specializations);
+        const consistencyWarnings = this.checkTimelineConsistency(analysis.timeline || []);
         
         return {
             baseScore: Math.round(baseTotalScore),
@@ -1742,18 +2879,152 @@ class ResumeScorer {
             analysis: analysis,
             specializations: specializations,
             suggestions: suggestions,
+            consistencyWarnings: consistencyWarnings,
             jobRecommendations: jobRecommendations
         };
     }
     
+    // 时间线一致性检查：实习重叠、毕业早于入学、学制过短、超过半年的空档、未来日期
+    // 返回 [{ type, message, entries }]，type 为 overlap/reversed/short-degree/gap/future
+    checkTimelineConsistency(timeline, now = new Date()) {
+        const warnings = [];
+        const nowIndex = now.getFullYear() * 12 + now.getMonth();
+        const name = entry => {
+            const title = entry.title.replace(new RegExp(DateParser.rangePattern.source, 'gi'), '').trim() || entry.start;
+            return title.length > 20 ? `${title.slice(0, 20)}…` : title;
+        };
+        
+        // 只有年份时开始取年初、结束取年末，避免把粗略的日期误判为空档
+        const spans = timeline.map(entry => ({
+            entry: entry,
+            start: DateParser.toMonthIndex(entry.start, 1),
+            end: entry.ongoing ? nowIndex : DateParser.toMonthIndex(entry.end, 12),
+            precise: /-/.test(entry.start || '') && (entry.ongoing || /-/.test(entry.end || ''))
+        })).filter(span => span.start !== null && span.end !== null);
+        
+        // 起止颠倒
+        spans.filter(span => span.end < span.start).forEach(span => {
+            warnings.push({
+                type: 'reversed',
+                message: span.entry.type === 'education'
+                    ? `「${name(span.entry)}」的毕业时间（${span.entry.end}）早于入学时间（${span.entry.start}）`
+                    : `「${name(span.entry)}」的结束时间（${span.entry.end}）早于开始时间（${span.entry.start}）`,
+                entries: [span.entry.title]
+            });
+        });
+        const validSpans = spans.filter(span => span.end >= span.start);
+        
+        // 全职实习时间重叠（兼职、远程不算），边界月份交接不算重叠
+        const fullTime = validSpans.filter(span => span.entry.type === 'experience' && span.precise && !/兼职|part[- ]?time|远程|remote/i.test(span.entry.title));
+        fullTime.forEach((first, index) => {
+            fullTime.slice(index + 1).forEach(second => {
+                const overlap = Math.min(first.end, second.end) - Math.max(first.start, second.start) + 1;
+                if (overlap < 2) return;
+                
+                warnings.push({
+                    type: 'overlap',
+                    message: `「${name(first.entry)}」与「${name(second.entry)}」时间重叠约${overlap}个月，两段全职实习通常不会同时进行`,
+                    entries: [first.entry.title, second.entry.title]
+                });
+            });
+        });
+        
+        // 学制明显短于常规（本科约4年、硕士1-3年、博士3年以上）；仍在读、只写了毕业时间以及交换等项目不检查
+        const minMonths = { bachelor: 30, master: 9, phd: 24 };
+        validSpans.filter(span => span.entry.type === 'education' && !span.entry.ongoing && span.entry.start !== span.entry.end && !this.getProgramType(span.entry.title)).forEach(span => {
+            const level = this.getDegreeLevel(span.entry.title);
+            const months = span.end - span.start + 1;
+            if (!minMonths[level] || months >= minMonths[level]) return;
+            
+            const degreeNames = { bachelor: '本科', master: '硕士', phd: '博士' };
+            warnings.push({
+                type: 'short-degree',
+                message: `「${name(span.entry)}」的${degreeNames[level]}学制只有${DateParser.describeDuration(months)}，请核对起止时间`,
+                entries: [span.entry.title]
+            });
+        });
+        
+        // 超过6个月的空档：合并所有经历的时间段后检查相邻段之间的间隔，以及最后一段结束至今的间隔
+        const merged = [];
+        [...validSpans].sort((a, b) => a.start - b.start).forEach(span => {
+            const last = merged[merged.length - 1];
+            if (last && span.start <= last.end + 1) {
+                if (span.end > last.end) {
+                    last.end = span.end;
+                    last.entry = span.entry;
+                }
+                return;
+            }
+            merged.push({ start: span.start, end: span.end, entry: span.entry });
+        });
+        merged.forEach((span, index) => {
+            const next = merged[index + 1];
+            const gap = (next ? next.start : Math.max(nowIndex, span.end)) - span.end - 1;
+            if (gap <= 6 || (!next && span.end >= nowIndex)) return;
+            
+            warnings.push({
+                type: 'gap',
+                message: next
+                    ? `「${name(span.entry)}」结束后到「${name(next.entry)}」开始之间有${DateParser.describeDuration(gap)}空档，建议在简历中说明`
+                    : `「${name(span.entry)}」结束后至今已有${DateParser.describeDuration(gap)}没有经历记录，建议在简历中说明`,
+                entries: next ? [span.entry.title, next.entry.title] : [span.entry.title]
+            });
+        });
+        
+        // 未来日期：开始时间晚于当前；实习的结束时间晚于当前（教育经历的预计毕业时间除外）
+        spans.forEach(span => {
+            if (span.start > nowIndex) {
+                warnings.push({
+                    type: 'future',
+                    message: `「${name(span.entry)}」的开始时间（${span.entry.start}）晚于当前日期`,
+                    entries: [span.entry.title]
+                });
+            } else if (span.entry.type !== 'education' && !span.entry.ongoing && span.end > nowIndex) {
+                warnings.push({
+                    type: 'future',
+                    message: `「${name(span.entry)}」的结束时间（${span.entry.end}）晚于当前日期，仍在进行中可写作“至今”`,
+                    entries: [span.entry.title]
+                });
+            }
+        });
+        
+        return warnings;
+    }
+    
     calculateScores(analysis) {
-        return {
+        const scores = {
             basicInfo: this.scoreBasicInfoDetailed(analysis),
             education: this.scoreEducationDetailed(analysis),
             skills: this.scoreSkillsDetailed(analysis),
             experience: this.scoreExperienceDetailed(analysis),
             achievements: this.scoreAchievementsDetailed(analysis)
         };
+        return this.applyConfidenceWeights(scores, analysis.confidenceWeights);
+    }
+    
+    // OCR低置信度行所在章节的得分按章节平均权重折减（保留半分精度），明细不变
+    applyConfidenceWeights(scores, weights) {
+        if (!weights) return scores;
+        
+        const categoryLabels = {
+            basicInfo: ['personal'],
+            education: ['education'],
+            skills: ['skills'],
+            experience: ['experience', 'project', 'publications'],
+            achievements: ['awards', 'leadership']
+        };
+        Object.entries(categoryLabels).forEach(([category, labels]) => {
+            const present = labels.filter(label => weights[label] !== undefined);
+            if (present.length === 0) return;
+            
+            const weight = present.reduce((sum, label) => sum + weights[label], 0) / present.length;
+            if (weight >= 1) return;
+            scores[category].confidenceWeight = Math.round(weight * 100) / 100;
+            // 先按满分封顶再折减，否则超出满分的部分会抵消降权
+            const total = Math.min(scores[category].total, this.maxScores[category]);
+            scores[category].total = Math.round(total * weight * 2) / 2;
+        });
+        return scores;
     }
     
     scoreBasicInfoDetailed(analysis) {
@@ -1775,22 +3046,29 @@ class ResumeScorer {
         details.school = Math.min(analysis.education.schoolLevel, 15);
         total += details.school;
         
-        const gpa4 = analysis.education.gpa;
-        if (gpa4 >= 3.7) details.academic = 5;
-        else if (gpa4 >= 3.3) details.academic = 4;
-        else if (gpa4 >= 2.7) details.academic = 3;
-        else if (gpa4 >= 2.0) details.academic = 2;
-        else if (analysis.education.hasGPA) details.academic = 1;
-        else details.academic = 0;
+        const academic = this.scoreAcademicPerformance(analysis.education);
+        details.academic = academic.score;
         total += details.academic;
         
         details.degree = analysis.education.degreeScore;
         total += details.degree;
         
+        details.programs = analysis.education.programScore || 0;
+        total += details.programs;
+        
+        // 项目分补足其他分项的不足，总分不超过教育满分
         return {
-            total: total,
+            total: Math.min(total, this.maxScores.education),
             details: details,
-            maxScores: { school: 15, academic: 5, degree: 5 },
+            maxScores: { school: 15, academic: 5, degree: 5, programs: 3 },
+            programs: analysis.education.programs || [],
+            discipline: analysis.education.discipline || null,
+            universities: (analysis.education.degrees || []).map(degree => degree.university).filter(Boolean),
+            academicBasis: {
+                type: academic.basis,
+                gpa: analysis.education.gpaRecord || null,
+                rank: analysis.education.rank || null
+            },
             aiEnhanced: analysis.education.aiEnhanced
         };
     }
@@ -1850,6 +3128,9 @@ class ResumeScorer {
             total: total,
             details: details,
             maxScores: { internship: 10, project: 10, academic: 10 },
+            countedEntries: exp.countedEntries || [],
+            internshipBreakdown: exp.internshipEntries || [],
+            projectBreakdown: exp.projectEntries || [],
             aiEnhanced: analysis.experience.aiEnhanced
         };
     }
@@ -1895,6 +3176,7 @@ class ResumeScorer {
                 certificate: 5
             },
             extraScore: ach.extraScore || {},
+            countedEntries: ach.countedEntries || [],
             aiEnhanced: ach.aiEnhanced
         };
     }
@@ -2019,6 +3301,29 @@ class ResumeScorer {
             }
         }
         
+        // 专业与技能对口：技能专精与所学专业一致时额外加分
+        const discipline = analysis.education.discipline;
+        if (discipline) {
+            specializations.filter(spec => spec.category === 'skill' && discipline.skills.includes(spec.type)).forEach(spec => {
+                spec.bonus += 1;
+                spec.majorAligned = true;
+                spec.description += ` · ${discipline.major}专业对口`;
+            });
+            
+            // 非技术类专业掌握编程、数据技能，属于跨学科的复合背景
+            const technicalCount = (skills.programming || []).length + (skills.data || []).length;
+            if (!discipline.skills.includes('programming') && !discipline.skills.includes('data') && technicalCount >= 3) {
+                specializations.push({
+                    type: 'interdisciplinary',
+                    category: 'major',
+                    level: technicalCount,
+                    bonus: 2,
+                    description: `跨学科复合背景 (${discipline.categoryName}专业 + ${technicalCount}项编程/数据技能)`,
+                    aiEnhanced: skills.aiEnhanced
+                });
+            }
+        }
+        
         // 学术研究专精
         if (experience.academicExtraScore > 0) {
             const bonus = Math.min(Math.floor(experience.academicExtraScore / 2), 6);
@@ -2187,6 +3492,45 @@ class ResumeScorer {
             });
         }
         
+        // 专业对口的岗位提高匹配度，专业无关的降低匹配度：同样会 Python，计算机专业与文学专业的去向不同
+        const discipline = education.discipline;
+        if (discipline) {
+            const jobSkillTypes = {
+                '软件开发工程师': 'programming',
+                '数据分析师': 'data',
+                '产品设计师': 'design',
+                '工程技术岗位': 'engineering',
+                '商务运营': 'business',
+                '国际化业务': 'languages',
+                '文体艺术相关岗位': 'arts'
+            };
+            jobs.forEach(job => {
+                const skillType = jobSkillTypes[job.category];
+                if (!skillType) return;
+                
+                if (discipline.skills.includes(skillType)) {
+                    job.match += 5;
+                    job.reason = `${job.reason.slice(0, job.reason.length - aiFlag.length)}，${discipline.major}专业对口${aiFlag}`;
+                    job.majorAligned = true;
+                } else {
+                    job.match -= 5;
+                    job.majorAligned = false;
+                }
+            });
+            
+            // 专业本身的典型去向，技能越对口匹配度越高
+            const alignedCount = DisciplineTaxonomy.skillAlignment(discipline, skills).aligned.length;
+            discipline.jobs.forEach(category => {
+                jobs.push({
+                    category: category,
+                    match: Math.min(65 + alignedCount * 8, 88),
+                    reason: `${discipline.major}专业背景（${discipline.categoryName} · ${discipline.name}）${aiFlag}`,
+                    aiEnhanced: analysis.aiEnhanced,
+                    majorAligned: true
+                });
+            });
+        }
+        
         // 专精加成岗位推荐
         specializations.forEach(spec => {
             if (spec.type === 'programming' && spec.level >= 6) {
@@ -2299,6 +3643,26 @@ class ResumeScorer {
             }
         }
         
+        // 经历描述建议：指出具体哪段经历缺少量化结果、多用“参与”类弱动词
+        const describedEntries = [...(analysis.experience.internshipEntries || []), ...(analysis.experience.projectEntries || [])];
+        const entryName = entry => {
+            const title = entry.title.replace(new RegExp(DateParser.rangePattern.source, 'gi'), '').trim();
+            return title.length > 20 ? `${title.slice(0, 20)}…` : title;
+        };
+        const unquantified = describedEntries.filter(entry => entry.impact.quantifiedCount === 0);
+        if (unquantified.length > 0) {
+            const more = unquantified.length > 1 ? `等${unquantified.length}段经历` : '';
+            suggestions.push(`「${entryName(unquantified[0])}」${more}缺少量化成果，可补充如“接口响应时间从200ms降至50ms”“服务1万+用户”等数据${aiFlag}`);
+        }
+        const passive = describedEntries.filter(entry => entry.impact.weakActionCount > entry.impact.strongActionCount);
+        if (passive.length > 0) {
+            suggestions.push(`「${entryName(passive[0])}」多用“参与、协助”等描述，建议写明本人主导或实现的具体工作${aiFlag}`);
+        }
+        const bulletCount = describedEntries.reduce((sum, entry) => sum + entry.impact.bulletCount, 0);
+        if (bulletCount >= 3 && describedEntries.every(entry => entry.impact.starCount === 0)) {
+            suggestions.push(`经历描述可按STAR结构组织：交代背景和任务，说明本人采取的行动，再给出可衡量的结果${aiFlag}`);
+        }
+        
         // 成就建议
         if (achScore < 8) {
             suggestions.push(`积极参加各类竞赛和申请奖学金${aiFlag}`);
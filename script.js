@@ -11,7 +11,10 @@ window.addEventListener('error', function(e) {
 class ResumeScoreApp {
     constructor() {
         this.currentAnalysis = null;
+        this.currentDocument = null;
+        this.cancelPasswordRequest = null;
         this.isDarkTheme = localStorage.getItem('theme') === 'dark';
+        this.pdfPageLimit = localStorage.getItem('pdfPageLimit') || String(ResumeParser.defaultPageLimit);
         this.isProcessing = false;
         this.eventListeners = new Map();
         this.aiKeywordExtractor = window.aiKeywordExtractor;
@@ -21,6 +24,7 @@ class ResumeScoreApp {
     
     initializeApp() {
         this.setupTheme();
+        this.setupPageLimit();
         this.setupEventListeners();
         this.setupKeyboardShortcuts();
         this.updateCharacterCount();
@@ -75,6 +79,29 @@ class ResumeScoreApp {
         }
     }
     
+    // PDF页数上限设置，0 表示不限制
+    setupPageLimit() {
+        const select = document.getElementById('pageLimitSelect');
+        if (!select) return;
+        
+        if (!Array.from(select.options).some(option => option.value === this.pdfPageLimit)) {
+            this.pdfPageLimit = String(ResumeParser.defaultPageLimit);
+        }
+        select.value = this.pdfPageLimit;
+        
+        const changeHandler = () => {
+            this.pdfPageLimit = select.value;
+            localStorage.setItem('pdfPageLimit', this.pdfPageLimit);
+        };
+        select.addEventListener('change', changeHandler);
+        this.eventListeners.set('pageLimitSelect-change', { element: select, event: 'change', handler: changeHandler });
+    }
+    
+    getPageLimit() {
+        const limit = parseInt(this.pdfPageLimit, 10);
+        return limit > 0 ? limit : Infinity;
+    }
+    
     setupEventListeners() {
         const uploadArea = document.getElementById('uploadArea');
         const fileInput = document.getElementById('fileInput');
@@ -181,6 +208,12 @@ class ResumeScoreApp {
         };
     }
     
+    // 转义来自文档的文本后再插入页面
+    escapeHtml(text) {
+        const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&#39;' };
+        return String(text).replace(/[&<>"']/g, char => entities[char]);
+    }
+    
     updateCharacterCount() {
         const textarea = document.getElementById('resumeText');
         const charCount = document.getElementById('charCount');
@@ -231,12 +264,20 @@ class ResumeScoreApp {
         
         try {
             const startTime = performance.now();
-            const text = await ResumeParser.parseFile(file);
+            const parsed = await ResumeParser.parseFileStructured(file, {
+                maxPages: this.getPageLimit(),
+                requestPassword: (request) => this.requestPDFPassword(request),
+                onProgress: (message, progress) => this.updateLoadingProgress(message, progress)
+            });
+            const text = parsed.text;
             
             if (text.trim().length < 50) {
-                throw new Error('文件内容过少，请检查文件是否正确');
+                throw new EmptyContentError('error-content-too-short');
             }
             
+            // 保留结构化结果，文本未被修改时分析使用完整的文档模型
+            this.currentDocument = parsed;
+            
             document.getElementById('resumeText').value = text;
             this.updateCharacterCount();
             this.checkTextInput();
@@ -249,6 +290,10 @@ class ResumeScoreApp {
             const successMessage = isAIMode ? '文件解析成功！(AI关键词已优化)' : '文件解析成功！';
             this.showToast(successMessage, 'success');
             
+            this.getDocumentNotices(parsed.metadata).forEach(message => {
+                this.showToast(message, 'warning');
+            });
+            
             setTimeout(() => {
                 this.analyzeResume();
             }, 500);
@@ -262,27 +307,45 @@ class ResumeScoreApp {
     
     validateFile(file) {
         if (file.size > 10 * 1024 * 1024) {
-            return { valid: false, message: '文件大小超过10MB限制' };
+            return { valid: false, message: i18n.t('error-file-too-large', { limit: '10MB' }) };
         }
         
-        if (file.size < 1024) {
-            return { valid: false, message: '文件太小，可能不是有效的简历文件' };
+        const fileName = file.name.toLowerCase();
+        // 文本格式和 ODT 的简历可能不到1KB，只对PDF、Word和图片做最小体积检查；内容过少的文件在解析后另行提示
+        const isSmallFormat = /\.(txt|md|markdown|json|html?|rtf|odt)$/.test(fileName)
+            || /^(text\/|application\/(json|rtf|vnd\.oasis\.opendocument\.text)$)/.test(file.type);
+        const isImage = /\.(jpe?g|png|webp|bmp)$/.test(fileName) || /^image\/(jpeg|png|webp|bmp)$/.test(file.type);
+        
+        if (!isSmallFormat && file.size < 1024) {
+            return { valid: false, message: i18n.t('error-file-too-small') };
         }
         
         const allowedTypes = [
             'application/pdf',
             'application/msword',
-            'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+            'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+            'application/vnd.oasis.opendocument.text',
+            'application/rtf',
+            'text/rtf',
+            'text/plain',
+            'text/markdown',
+            'text/html',
+            'application/json',
+            'image/jpeg',
+            'image/png',
+            'image/webp',
+            'image/bmp'
         ];
         
-        const fileName = file.name.toLowerCase();
-        const isValidType = allowedTypes.includes(file.type) || 
-                           fileName.endsWith('.pdf') || 
-                           fileName.endsWith('.doc') || 
-                           fileName.endsWith('.docx');
+        const allowedExtensions = /\.(pdf|doc|docx|odt|rtf|txt|md|markdown|html|htm|json|jpe?g|png|webp|bmp)$/;
+        const isValidType = allowedTypes.includes(file.type) || allowedExtensions.test(fileName);
         
         if (!isValidType) {
-            return { valid: false, message: '请上传PDF或Word格式的文件' };
+            return { valid: false, message: i18n.t('error-unsupported-format') };
+        }
+        
+        if (isImage && !(window.ocrEngine && window.ocrEngine.isAvailable())) {
+            return { valid: false, message: i18n.t('ocr-unavailable-image') };
         }
         
         return { valid: true };
@@ -315,7 +378,7 @@ class ResumeScoreApp {
             
             // 使用优化后的评分器
             const scorer = new ResumeScorer();
-            const result = scorer.scoreResume(text);
+            const result = scorer.scoreResume(this.getAnalysisInput(text));
             
             const analysisTime = performance.now() - startTime;
             console.log(`Analysis time: ${analysisTime.toFixed(2)}ms`);
@@ -330,28 +393,50 @@ class ResumeScoreApp {
             
         } catch (error) {
             this.hideLoading();
-            this.handleError(error, 'analyzeResume');
+            this.handleError(error instanceof ResumeError ? error : new AnalysisFailedError('error-analysis-failed', {}, error), 'analyzeResume');
         } finally {
             this.isProcessing = false;
         }
     }
     
+    // 文本框内容与上传解析结果一致时使用文档模型，否则使用纯文本
+    getAnalysisInput(text) {
+        if (this.currentDocument && this.currentDocument.text.trim() === text) {
+            return this.currentDocument;
+        }
+        return text;
+    }
+    
     handleError(error, context = 'Unknown') {
         console.error(`Error in ${context}:`, error);
         
-        let message = '发生了一个错误，请重试';
+        let message = i18n.t('error-unknown');
+        let toastType = 'error';
         
-        if (error.name === 'NetworkError') {
-            message = '网络连接问题，请检查网络后重试';
+        if (error instanceof ResumeError) {
+            message = error.localizedMessage;
+            
+            // 文件本身的问题由用户更换文件即可解决，以警告提示
+            switch (error.code) {
+                case ErrorCodes.UNSUPPORTED_FORMAT:
+                case ErrorCodes.EMPTY_CONTENT:
+                case ErrorCodes.ENCRYPTED:
+                case ErrorCodes.TOO_LARGE:
+                    toastType = 'warning';
+                    break;
+                case ErrorCodes.ANALYSIS_FAILED:
+                    if (error.cause) console.error('分析失败原因:', error.cause);
+                    break;
+            }
+        } else if (error.name === 'NetworkError') {
+            message = i18n.t('error-network');
         } else if (error.name === 'TypeError') {
-            message = '数据处理错误，请刷新页面重试';
-        } else if (error.message.includes('memory')) {
-            message = '内存不足，请尝试上传更小的文件';
+            message = i18n.t('error-data');
         } else if (error.message) {
             message = error.message;
         }
         
-        this.showToast(message, 'error');
+        this.showToast(message, toastType);
         this.hideLoading();
         this.isProcessing = false;
     }
@@ -364,16 +449,48 @@ class ResumeScoreApp {
         resultSection.scrollIntoView({ behavior: 'smooth' });
         
         this.updateAIAnalysisBadge(result);
+        this.updateDocumentNotice(result);
         this.updateTotalScore(result);
         this.updateDetailedScores(result.categoryScores, result.specializations);
         this.updateJobRecommendations(result.jobRecommendations);
         this.updateSuggestions(result.suggestions);
+        this.updateConsistencyWarnings(result.consistencyWarnings || []);
         
         setTimeout(() => {
             this.animateScoreItems();
         }, 500);
     }
     
+    // 未参与评分的内容（超出页数上限的页面、低置信度的OCR行）需要在结果中明确提示
+    getDocumentNotices(metadata) {
+        const notices = [];
+        if (!metadata) return notices;
+        
+        if (metadata.skippedPages && metadata.skippedPages.length > 0) {
+            notices.push(i18n.t('pages-skipped', {
+                total: metadata.pageCount,
+                parsed: metadata.parsedPageCount,
+                from: metadata.skippedPages[0],
+                to: metadata.skippedPages[metadata.skippedPages.length - 1]
+            }));
+        }
+        
+        if (metadata.lowConfidenceLineCount > 0) {
+            notices.push(i18n.t('ocr-low-confidence', { count: metadata.lowConfidenceLineCount }));
+        }
+        
+        return notices;
+    }
+    
+    updateDocumentNotice(result) {
+        const notice = document.getElementById('documentNotice');
+        if (!notice) return;
+        
+        const notices = this.getDocumentNotices(result.analysis.documentMetadata);
+        notice.innerHTML = notices.map(message => `<div>⚠️ ${this.escapeHtml(message)}</div>`).join('');
+        notice.style.display = notices.length > 0 ? 'block' : 'none';
+    }
+    
     updateAIAnalysisBadge(result) {
         const aiAnalysisBadge = document.getElementById('aiAnalysisBadge');
         if (aiAnalysisBadge) {
@@ -496,7 +613,8 @@ class ResumeScoreApp {
         const categoryMap = {
             skill: '🔧 技能专精',
             experience: '💼 实践专精',
-            achievement: '🏆 荣誉专精'
+            achievement: '🏆 荣誉专精',
+            major: '🎓 专业背景'
         };
         
         const groupedSpecs = {};
@@ -799,6 +917,7 @@ class ResumeScoreApp {
         
         items.forEach(item => {
             const hasItem = details[item.key];
+            const fieldValue = details.fieldValues ? details.fieldValues[item.key] : null;
             html += `
                 <div class="subcategory-item ${hasItem ? 'completed' : 'missing'}">
                     <div class="subcategory-info">
@@ -806,6 +925,7 @@ class ResumeScoreApp {
                             ${item.icon} ${item.label}
                             ${hasAIEnhancement && hasItem ? '<span class="ai-detected">AI识别</span>' : ''}
                         </div>
+                        ${fieldValue ? `<div class="subcategory-max">表格字段：${this.escapeHtml(fieldValue)}</div>` : ''}
                     </div>
                     <div class="subcategory-status">
                         ${hasItem ? '✅ 已填写' : '❌ 缺失'}
@@ -814,6 +934,20 @@ class ResumeScoreApp {
             `;
         });
         
+        // 文档中识别到的链接
+        if (details.links && details.links.length > 0) {
+            html += '<div class="link-list"><h5>🔗 识别到的链接</h5>';
+            details.links.forEach(link => {
+                html += `
+                    <div class="link-item">
+                        <span class="link-type">${link.label}</span>
+                        <span class="link-url">${this.escapeHtml(link.text && link.text !== link.url ? `${link.text} (${link.url})` : link.url)}</span>
+                    </div>
+                `;
+            });
+            html += '</div>';
+        }
+        
         if (hasAIEnhancement) {
             html += `
                 <div class="ai-insight-box">
@@ -829,6 +963,34 @@ class ResumeScoreApp {
     generateEducationDetail(scoreData, hasAIEnhancement) {
         const details = scoreData.details || {};
         
+        // 学术成绩的评分依据：原始写法及折算结果
+        const basis = scoreData.academicBasis || {};
+        let academicNote = '';
+        if (basis.type === 'rank') {
+            academicNote = `依据排名：${basis.rank.raw}（前${basis.rank.percentile}%）`;
+        } else if (basis.type === 'gpa') {
+            academicNote = `依据成绩：${basis.gpa.raw}（折合4分制 ${basis.gpa.normalized.toFixed(2)}${basis.gpa.inferred ? '，分制按数值推断' : ''}）`;
+        }
+        const schoolNote = (scoreData.universities || [])
+            .filter((university, index, self) => self.findIndex(item => item.name === university.name) === index)
+            .map(university => {
+                // 境外高校标注地区和排名来源，如“香港大学（中国香港 · QS 2025 第1-20名）”
+                const labels = university.ranking
+                    ? [InternationalUniversityData.regionNames[university.region], InternationalUniversityData.describeRanking(university.ranking)]
+                    : university.tags;
+                return labels.length > 0 ? `${university.name}（${labels.filter(Boolean).join(' · ')}）` : university.name;
+            })
+            .join('、');
+        const discipline = scoreData.discipline;
+        const disciplineNote = discipline ? `专业：${discipline.major}（${discipline.categoryName} · ${discipline.name}）` : '';
+        // 交换、联合培养、双学位、辅修，如“交换：新加坡国立大学（2022-08 至 2022-12）”
+        const programNote = (scoreData.programs || [])
+            .map(program => {
+                const period = program.startDate ? `（${program.startDate} 至 ${program.endDate || '今'}）` : '';
+                return `${program.label}：${[program.school, program.subject].filter(Boolean).join(' · ') || '已填写'}${period}`;
+            })
+            .join('；');
+        
         let html = '<h4>教育背景详情</h4>';
         
         html += `
@@ -836,6 +998,7 @@ class ResumeScoreApp {
                 <div class="subcategory-info">
                     <div class="subcategory-name">🏫 学校水平</div>
                     <div class="subcategory-max">满分: 15分</div>
+                    ${schoolNote ? `<div class="subcategory-max">${this.escapeHtml(schoolNote)}</div>` : ''}
                 </div>
                 <div class="subcategory-progress-container">
                     <div class="subcategory-progress">
@@ -849,6 +1012,7 @@ class ResumeScoreApp {
                 <div class="subcategory-info">
                     <div class="subcategory-name">📊 学术成绩</div>
                     <div class="subcategory-max">满分: 5分</div>
+                    ${academicNote ? `<div class="subcategory-max">${this.escapeHtml(academicNote)}</div>` : ''}
                 </div>
                 <div class="subcategory-progress-container">
                     <div class="subcategory-progress">
@@ -862,6 +1026,7 @@ class ResumeScoreApp {
                 <div class="subcategory-info">
                     <div class="subcategory-name">🎓 学历层次</div>
                     <div class="subcategory-max">满分: 5分</div>
+                    ${disciplineNote ? `<div class="subcategory-max">${this.escapeHtml(disciplineNote)}</div>` : ''}
                 </div>
                 <div class="subcategory-progress-container">
                     <div class="subcategory-progress">
@@ -870,6 +1035,20 @@ class ResumeScoreApp {
                     <div class="subcategory-score">${details.degree || 0}</div>
                 </div>
             </div>
+            
+            <div class="subcategory-item">
+                <div class="subcategory-info">
+                    <div class="subcategory-name">🌏 交换与辅修</div>
+                    <div class="subcategory-max">满分: 3分</div>
+                    <div class="subcategory-max">${this.escapeHtml(programNote || '未识别到交换、联合培养、双学位或辅修经历')}</div>
+                </div>
+                <div class="subcategory-progress-container">
+                    <div class="subcategory-progress">
+                        <div class="subcategory-progress-fill" style="width: ${((details.programs || 0) / 3) * 100}%"></div>
+                    </div>
+                    <div class="subcategory-score">${details.programs || 0}</div>
+                </div>
+            </div>
         `;
         
         if (scoreData.total > 25) {
@@ -974,6 +1153,9 @@ class ResumeScoreApp {
             `;
         });
         
+        html += this.generateInternshipBreakdown(scoreData.internshipBreakdown);
+        html += this.generateCountedEntriesDetail(scoreData.countedEntries);
+        
         if (hasAIEnhancement) {
             html += `
                 <div class="ai-insight-box">
@@ -1047,6 +1229,8 @@ class ResumeScoreApp {
             html += `</div>`;
         }
         
+        html += this.generateCountedEntriesDetail(scoreData.countedEntries);
+        
         if (hasAIEnhancement) {
             html += `
                 <div class="ai-insight-box">
@@ -1059,6 +1243,80 @@ class ResumeScoreApp {
         return html;
     }
     
+    // 辅助方法：逐段实习的得分构成
+    generateInternshipBreakdown(entries) {
+        if (!entries || entries.length === 0) return '';
+        
+        const tierNames = {
+            bigTech: '大厂',
+            foreign: '外企',
+            stateOwned: '央企/国企',
+            startup: '初创公司',
+            general: '一般企业',
+            unknown: '未识别单位'
+        };
+        const relevanceNames = {
+            matched: '与求职意向相关',
+            professional: '专业岗位',
+            unknown: '岗位不明确',
+            casual: '兼职类岗位'
+        };
+        
+        return `
+            <div class="internship-breakdown">
+                <h5>💼 实习逐条评分</h5>
+                ${entries.map(entry => `
+                    <div class="internship-entry">
+                        <div class="internship-entry-header">
+                            <span class="internship-entry-title">${this.escapeHtml(entry.title)}</span>
+                            <span class="internship-entry-score">${entry.total}/5</span>
+                        </div>
+                        <div class="internship-entry-meta">
+                            时长 ${entry.months ? DateParser.describeDuration(entry.months) : '未注明'} (+${entry.scores.duration}) ·
+                            ${tierNames[entry.companyTier]}${entry.companyName ? `（${this.escapeHtml(entry.companyName)}）` : ''} (+${entry.scores.company}) ·
+                            ${relevanceNames[entry.relevance]} (+${entry.scores.relevance}) ·
+                            ${entry.scores.outcome > 0 ? '有成果描述' : '缺少成果描述'} (+${entry.scores.outcome})
+                            ${entry.impact && entry.impact.bulletCount > 0 ? ` · 量化要点 ${entry.impact.quantifiedCount}/${entry.impact.bulletCount}` : ''}
+                        </div>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
+    
+    // 辅助方法：列出计分时计入的条目，便于核对是否漏算或重复计算
+    generateCountedEntriesDetail(entries) {
+        if (!entries || entries.length === 0) return '';
+        
+        const typeNames = {
+            internship: '实习',
+            project: '项目',
+            chairman: '正职干部',
+            minister: '副职干部',
+            member: '干部',
+            nationalHonor: '国家级荣誉',
+            provincialHonor: '省级荣誉',
+            schoolHonor: '校级荣誉',
+            internationalComp: '国际竞赛',
+            nationalComp: '国家级竞赛',
+            provincialComp: '省级竞赛',
+            schoolComp: '校级竞赛',
+            advancedCert: '高级证书',
+            generalCert: '证书'
+        };
+        
+        return `
+            <details class="counted-entries">
+                <summary>计分条目（${entries.length}）</summary>
+                <ul>
+                    ${entries.map(entry => `
+                        <li><span class="counted-entry-type">${typeNames[entry.type] || entry.type}</span>${this.escapeHtml(entry.text)}${entry.aiExtracted ? '<span class="ai-detected">AI识别</span>' : ''}</li>
+                    `).join('')}
+                </ul>
+            </details>
+        `;
+    }
+    
     // 辅助方法：获取置信度等级
     getConfidenceLevel(confidence) {
         if (confidence >= 0.8) return 'high';
@@ -1103,6 +1361,32 @@ class ResumeScoreApp {
         });
     }
     
+    // 时间线检查：重叠、起止颠倒、学制过短、空档和未来日期
+    updateConsistencyWarnings(warnings) {
+        const container = document.getElementById('consistencyList');
+        container.innerHTML = '';
+        
+        if (warnings.length === 0) {
+            container.innerHTML = `<div class="consistency-item ok">✅ ${i18n.t('consistency-none')}</div>`;
+            return;
+        }
+        
+        const icons = { overlap: '🔀', reversed: '↩️', 'short-degree': '🎓', gap: '⏸️', future: '⏭️' };
+        warnings.forEach((warning, index) => {
+            const item = document.createElement('div');
+            item.className = `consistency-item ${warning.type}`;
+            item.style.animationDelay = (index * 0.1) + 's';
+            item.innerHTML = `
+                <div style="display: flex; align-items: flex-start; gap: 10px;">
+                    <span style="font-size: 1.2em; margin-top: 2px;">${icons[warning.type] || '⚠️'}</span>
+                    <span>${this.escapeHtml(warning.message)}</span>
+                </div>
+            `;
+            
+            container.appendChild(item);
+        });
+    }
+    
     updateSuggestions(suggestions) {
         const container = document.getElementById('suggestionList');
         container.innerHTML = '';
@@ -1184,10 +1468,30 @@ class ResumeScoreApp {
     showLoading(message) {
         const overlay = document.getElementById('loadingOverlay');
         const text = document.getElementById('loadingText');
+        const progress = document.getElementById('loadingProgress');
         text.textContent = message;
+        if (progress) {
+            progress.style.display = 'none';
+        }
         overlay.style.display = 'flex';
     }
     
+    // 更新加载提示文字和进度条（progress 取值 0~1）
+    updateLoadingProgress(message, progress = null) {
+        const text = document.getElementById('loadingText');
+        const progressBar = document.getElementById('loadingProgress');
+        const progressFill = document.getElementById('loadingProgressFill');
+        
+        if (message) {
+            text.textContent = message;
+        }
+        
+        if (progressBar && progressFill && typeof progress === 'number') {
+            progressBar.style.display = 'block';
+            progressFill.style.width = `${Math.round(Math.min(Math.max(progress, 0), 1) * 100)}%`;
+        }
+    }
+    
     hideLoading() {
         const overlay = document.getElementById('loadingOverlay');
         overlay.style.display = 'none';
@@ -1208,8 +1512,33 @@ class ResumeScoreApp {
         }
     }
     
-    downloadFile(content, filename) {
-        const blob = new Blob([content], { type: 'text/plain;charset=utf-8' });
+    // 导出为 JSON Resume：上传的是 JSON Resume 时原样导出，否则由分析结果生成
+    exportJSONResume() {
+        if (!this.currentAnalysis) {
+            this.showToast('没有可导出的分析结果', 'warning');
+            return;
+        }
+        
+        try {
+            const analysis = this.currentAnalysis.analysis;
+            const sourceDocument = this.currentDocument && this.currentDocument.text === analysis.originalText
+                ? this.currentDocument
+                : null;
+            const resume = JSONResumeAdapter.fromAnalysis(analysis, sourceDocument);
+            
+            this.downloadFile(
+                JSON.stringify(resume, null, 2),
+                `resume_${new Date().toISOString().slice(0, 10)}.json`,
+                'application/json;charset=utf-8'
+            );
+            this.showToast('JSON Resume 导出成功！', 'success');
+        } catch (error) {
+            this.showToast('导出失败: ' + error.message, 'error');
+        }
+    }
+    
+    downloadFile(content, filename, mimeType = 'text/plain;charset=utf-8') {
+        const blob = new Blob([content], { type: mimeType });
         const url = URL.createObjectURL(blob);
         
         const a = document.createElement('a');
@@ -1247,6 +1576,7 @@ class ResumeScoreApp {
     
     clearTextarea() {
         document.getElementById('resumeText').value = '';
+        this.currentDocument = null;
         this.updateCharacterCount();
         this.checkTextInput();
         this.showToast('内容已清空', 'info');
@@ -1291,6 +1621,46 @@ class ResumeScoreApp {
     
     closeModals() {
         document.getElementById('keyboardShortcuts').style.display = 'none';
+        if (this.cancelPasswordRequest) {
+            this.cancelPasswordRequest();
+        }
+    }
+    
+    // 弹出密码输入框，返回用户输入的密码，取消时返回 null；密码不写入任何状态或存储
+    requestPDFPassword({ attempt, maxAttempts, incorrect }) {
+        const dialog = document.getElementById('passwordDialog');
+        const form = document.getElementById('passwordForm');
+        const input = document.getElementById('passwordInput');
+        const message = document.getElementById('passwordDialogMessage');
+        const cancelButton = document.getElementById('passwordCancel');
+        
+        message.textContent = incorrect
+            ? i18n.t('pdf-password-incorrect', { remaining: maxAttempts - attempt + 1 })
+            : i18n.t('pdf-password-prompt');
+        message.classList.toggle('error', incorrect);
+        input.value = '';
+        dialog.style.display = 'flex';
+        input.focus();
+        
+        return new Promise(resolve => {
+            const finish = (password) => {
+                input.value = '';
+                dialog.style.display = 'none';
+                form.removeEventListener('submit', submitHandler);
+                cancelButton.removeEventListener('click', cancelHandler);
+                this.cancelPasswordRequest = null;
+                resolve(password);
+            };
+            const submitHandler = (e) => {
+                e.preventDefault();
+                finish(input.value || null);
+            };
+            const cancelHandler = () => finish(null);
+            
+            form.addEventListener('submit', submitHandler);
+            cancelButton.addEventListener('click', cancelHandler);
+            this.cancelPasswordRequest = cancelHandler;
+        });
     }
     
     generateReport(analysis) {
@@ -1308,6 +1678,14 @@ ${analysis.analysis.aiEnhanced ? `AI置信度: ${Math.round(analysis.analysis.ai
 评语: ${this.getScoreLevel(analysis.totalScore).summary}
 `;
         
+        const notices = this.getDocumentNotices(analysis.analysis.documentMetadata);
+        if (notices.length > 0) {
+            report += `
+⚠️ 解析提示
+${notices.map(message => `- ${message}`).join('\n')}
+`;
+        }
+        
         if (analysis.analysis.aiEnhanced) {
             report += `
 🔍 AI关键词提取洞察
@@ -1374,6 +1752,19 @@ ${analysis.analysis.aiEnhanced ? `AI置信度: ${Math.round(analysis.analysis.ai
 `;
         });
         
+        const warnings = analysis.consistencyWarnings || [];
+        report += `
+🕒 时间线检查
+`;
+        if (warnings.length === 0) {
+            report += `未发现时间线问题
+`;
+        }
+        warnings.forEach((warning, index) => {
+            report += `${index + 1}. ${warning.message}
+`;
+        });
+        
         report += `
 ---
 本报告由简历评分工具${analysis.analysis.aiEnhanced ? 'AI关键词提取版' : ''}自动生成
@@ -1442,6 +1833,12 @@ function initializeApp() {
             console.warn('Mammoth 库未加载，Word解析功能可能不可用');
         }
         
+        if (window.ocrEngine && window.ocrEngine.isAvailable()) {
+            console.log('OCR 识别组件加载成功');
+        } else {
+            console.warn('OCR 识别组件未加载，扫描件PDF将无法识别');
+        }
+        
         // 检查NLP库
         if (typeof nlp !== 'undefined') {
             console.log('Compromise.js NLP 库加载成功');
@@ -1505,6 +1902,12 @@ function exportResults() {
     }
 }
 
+function exportJSONResume() {
+    if (app) {
+        app.exportJSONResume();
+    }
+}
+
 function shareResults() {
     if (app) {
         app.shareResults();
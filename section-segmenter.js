@@ -0,0 +1,392 @@
+// 简历分段器 - 结合标题词典、行位置和内容特征，为每一行标注所属章节
+class SectionSegmenter {
+    static get labels() {
+        return ['personal', 'education', 'experience', 'project', 'skills', 'awards', 'leadership', 'publications', 'other'];
+    }
+    
+    // 各章节的标题词（整行匹配，去掉编号和装饰符号之后）
+    static get headingDictionary() {
+        return {
+            personal: [
+                '个人信息', '基本信息', '个人资料', '联系方式', '联系信息', '个人简介', '个人概况', '求职意向', '求职目标',
+                'personal information', 'personal info', 'personal details', 'personal profile', 'profile',
+                'contact', 'contact information', 'contact info', 'basic information', 'objective', 'career objective'
+            ],
+            education: [
+                '教育背景', '教育经历', '学习经历', '教育情况', '学历背景', '教育', '学历',
+                'education', 'education background', 'educational background', 'academic background'
+            ],
+            experience: [
+                '工作经历', '工作经验', '实习经历', '实习经验', '实践经历', '实践经验', '职业经历', '工作', '实习', '社会实践',
+                'experience', 'experiences', 'work experience', 'professional experience', 'internship experience',
+                'internship', 'internships', 'employment', 'employment history', 'work history'
+            ],
+            project: [
+                '项目经历', '项目经验', '主要项目', '项目', '科研经历', '科研项目', '科研', '研究经历', '学术经历',
+                'project', 'projects', 'project experience', 'research', 'research experience', 'research projects'
+            ],
+            skills: [
+                '专业技能', '技能专长', '核心技能', '掌握技能', '个人技能', '技能', '技术栈', '专业能力', '语言能力', '计算机能力',
+                'skills', 'skill', 'technical skills', 'core competencies', 'languages', 'skills and languages'
+            ],
+            awards: [
+                '获奖情况', '获奖经历', '荣誉奖励', '奖励荣誉', '主要荣誉', '所获荣誉', '荣誉', '获奖', '奖项', '奖励',
+                '证书', '资格证书', '技能证书', '证书奖项',
+                'awards', 'award', 'honors', 'honours', 'honors and awards', 'certificates', 'certifications', 'achievements'
+            ],
+            leadership: [
+                '校园经历', '学生工作', '社团经历', '社团活动', '学生干部经历', '校园活动', '组织经历', '领导经历', '志愿经历', '志愿服务',
+                'leadership', 'leadership experience', 'campus activities', 'campus experience',
+                'extracurricular activities', 'activities', 'volunteer experience'
+            ],
+            publications: [
+                '发表论文', '论文发表', '学术成果', '科研成果', '论文', '专利', '出版物',
+                'publications', 'publication', 'papers', 'patents'
+            ],
+            other: [
+                '自我评价', '个人评价', '自我介绍', '个人总结', '兴趣爱好', '爱好', '其他', '其他信息', '附加信息',
+                'self evaluation', 'summary', 'interests', 'hobbies', 'others', 'additional information'
+            ]
+        };
+    }
+    
+    // 无标题时依据内容判断行所属章节（按优先级排列，计数相同时取靠前者）
+    static get contentCues() {
+        return {
+            personal: /(?:\+86[-\s]?)?1[3-9]\d{9}|[\w.%+-]+@[\w-]+\.[\w.]+|姓名|性别|出生|民族|籍贯|政治面貌|现居|电话|邮箱|微信|求职意向|年龄/gi,
+            publications: /论文|期刊|发表|专利|SCI|EI|CSSCI|核心期刊|Journal|Conference|DOI/g,
+            awards: /奖学金|[一二三特]等奖|金奖|银奖|铜奖|获奖|荣誉称号|优秀学生|三好学生|证书|Award|Prize|Honou?r/gi,
+            leadership: /学生会|社团|协会|主席|部长|会长|社长|班长|团支书|志愿者|Volunteer|President/gi,
+            education: /大学|学院|University|College|本科|硕士|博士|研究生|学士|GPA|绩点|主修|专业排名|Bachelor|Master|Ph\.?D/gi,
+            experience: /实习|有限公司|公司|集团|Intern|Inc\.|Ltd|工作内容|职位|岗位/gi,
+            project: /项目|Project|系统设计|负责.{0,6}开发/gi,
+            skills: /熟练|掌握|精通|熟悉|Skills?|CET-?[46]|英语[四六]级|雅思|托福/gi
+        };
+    }
+    
+    // 去掉标题前后的编号、装饰符号和结尾冒号
+    static stripHeadingDecoration(text) {
+        return (text || '')
+            .trim()
+            .replace(/^[（(]?[0-9一二三四五六七八九十]+[、.．)）]\s*/, '')
+            .replace(/^[■□◆◇●○▶►▪•★☆|【\[『「#*\-—=\s]+/, '')
+            .replace(/[】\]』」:：|\-—=\s]+$/, '');
+    }
+    
+    static normalizeHeading(text) {
+        return this.stripHeadingDecoration(text).replace(/\s+/g, ' ').toLowerCase();
+    }
+    
+    static get contactPattern() {
+        return /(?:\+86[-\s]?)?1[3-9]\d{9}|[\w.%+-]+@[\w-]+\.[a-z]{2,}/i;
+    }
+    
+    // 判断一行是否为已知章节标题，返回章节标签；组合标题（如“证书与奖项”）取第一个可识别的部分
+    static matchHeading(text) {
+        const normalized = this.normalizeHeading(text);
+        if (!normalized || normalized.length > 24) return null;
+        if (/[a-z]/.test(normalized) && normalized.split(' ').length > 5) return null;
+        
+        const dictionary = this.headingDictionary;
+        const lookup = part => {
+            const compact = /[a-z]/.test(part) ? part.replace(/[&]/g, 'and').replace(/-/g, ' ') : part.replace(/\s/g, '');
+            return Object.keys(dictionary).find(label => dictionary[label].includes(compact)) || null;
+        };
+        
+        const whole = lookup(normalized);
+        if (whole) return whole;
+        
+        const parts = normalized.split(/\s*(?:与|及|和|&|\/|、|\band\b)\s*/).filter(Boolean);
+        if (parts.length < 2) return null;
+        
+        for (const part of parts) {
+            const label = lookup(part);
+            if (label) return label;
+        }
+        return null;
+    }
+    
+    // 按内容特征猜测行所属章节，没有任何特征时返回 null
+    static classifyLine(text) {
+        if (this.isSkillList(text)) return 'skills';
+        
+        const cues = this.contentCues;
+        let best = null;
+        let bestCount = 0;
+        
+        Object.keys(cues).forEach(label => {
+            const count = (text.match(cues[label]) || []).length;
+            if (count > bestCount) {
+                best = label;
+                bestCount = count;
+            }
+        });
+        
+        return best;
+    }
+    
+    // 逗号、顿号分隔的一串英文名称（“Java, Python, MySQL”“Machine Learning / PyTorch / SQL”）是技能列表
+    static isSkillList(text) {
+        const name = '[A-Za-z][\\w+#.\\-]*(?: [A-Za-z][\\w+#.\\-]*)?';
+        return new RegExp(`^\\s*${name}(?:\\s*[,，、/|]\\s*${name}){2,}\\s*$`).test(text);
+    }
+    
+    static hasCue(text, label) {
+        const cue = this.contentCues[label];
+        return Boolean(cue && text.match(cue));
+    }
+    
+    // 为文本的每一行标注章节；headings 为解析阶段识别出的标题（字号、加粗、样式等），用于识别词典之外的标题
+    static segment(text, options = {}) {
+        const knownHeadings = new Set((options.headings || [])
+            .map(heading => this.normalizeHeading(heading.text))
+            .filter(Boolean));
+        
+        let offset = 0;
+        const lines = (text || '').split('\n').map(lineText => {
+            const line = {
+                text: lineText,
+                start: offset,
+                end: offset + lineText.length,
+                label: null,
+                isHeading: false
+            };
+            offset += lineText.length + 1;
+            
+            if (!lineText.trim()) return line;
+            
+            const headingLabel = this.matchHeading(lineText);
+            if (headingLabel) {
+                line.label = headingLabel;
+                line.isHeading = true;
+            } else if (knownHeadings.has(this.normalizeHeading(lineText))) {
+                line.isHeading = true;
+            }
+            return line;
+        });
+        
+        const headingLines = lines.filter(line => line.isHeading);
+        const structured = headingLines.filter(line => line.label).length >= 2;
+        
+        if (structured) {
+            this.labelBySections(lines);
+        } else {
+            this.labelByContent(lines);
+        }
+        
+        return {
+            structured: structured,
+            lines: lines,
+            sections: this.collectSections(lines)
+        };
+    }
+    
+    // 有标题的简历：标题之下的行归入该章节，第一个标题之前为个人信息
+    static labelBySections(lines) {
+        let current = null;
+        let block = [];
+        
+        // 词典之外的标题（如“开源贡献”）按其正文的内容特征多数决定章节
+        const closeBlock = () => {
+            if (!current || current.label) return;
+            
+            const votes = {};
+            block.forEach(line => {
+                const cue = this.classifyLine(line.text);
+                if (cue) votes[cue] = (votes[cue] || 0) + 1;
+            });
+            const winner = Object.keys(votes).sort((a, b) => votes[b] - votes[a])[0];
+            current.label = winner || 'other';
+            block.forEach(line => { line.label = current.label; });
+        };
+        
+        lines.forEach(line => {
+            if (line.isHeading) {
+                closeBlock();
+                current = line;
+                block = [];
+                return;
+            }
+            if (!line.text.trim()) return;
+            
+            if (!current) {
+                // 页首的姓名、联系方式等；直接以学校等信息开头的简历按内容判断
+                line.label = this.classifyLine(line.text) || 'personal';
+            } else if (this.contactPattern.test(line.text) && !this.hasCue(line.text, current.label)) {
+                // 放在页尾或其他章节里的联系方式仍归入个人信息
+                line.label = 'personal';
+            } else if (current.label) {
+                line.label = current.label;
+            } else {
+                block.push(line);
+            }
+        });
+        closeBlock();
+    }
+    
+    // 没有可识别标题时逐行按内容判断，无特征的行沿用上一行的章节
+    static labelByContent(lines) {
+        let previous = 'personal';
+        
+        lines.forEach(line => {
+            if (!line.text.trim()) return;
+            if (line.isHeading && !line.label) {
+                line.label = 'other';
+                return;
+            }
+            
+            line.label = line.label || this.classifyLine(line.text) || previous;
+            previous = line.label;
+        });
+    }
+    
+    // 合并连续的同标签行
+    static collectSections(lines) {
+        const sections = [];
+        
+        lines.forEach(line => {
+            if (!line.label) return;
+            
+            const last = sections[sections.length - 1];
+            if (last && last.label === line.label && !line.isHeading) {
+                last.end = line.end;
+                last.lineCount++;
+                return;
+            }
+            
+            sections.push({
+                label: line.label,
+                heading: line.isHeading ? line.text.trim() : null,
+                start: line.start,
+                end: line.end,
+                lineCount: line.isHeading ? 0 : 1
+            });
+        });
+        
+        return sections;
+    }
+    
+    static isBulletLine(text) {
+        return /^\s*(?:[•·●▪◆■★\-*>]|\d{1,2}[.、)）](?!\d))/.test(text);
+    }
+    
+    // 列表项、编号行、长句属于条目的描述而不是新条目
+    static isEntryDetail(text) {
+        return this.isBulletLine(text) || text.trim().length > 40;
+    }
+    
+    // 列表之后的短行是否是未写时间的新条目：后面要紧跟带时间的行或自己的列表；
+    // 折行的列表项（上一行停在逗号、“将”“和”等词上）和“技术栈：…”这类标签行仍属于当前条目
+    static startsUndatedEntry(lines, index) {
+        const text = lines[index];
+        const previous = lines[index - 1].trim();
+        const next = lines[index + 1];
+        
+        if (this.isEntryDetail(text)) return false;
+        if (/^[^：:]{1,10}[：:]/.test(text)) return false;
+        if (/^[a-z，,、。；;）)]/.test(text) || /(?:[，,、：:（(将把和及与的在从对为并或以被由向]|\b(?:and|or|the|to|of|with|for|in|a|by))$/i.test(previous)) return false;
+        return Boolean(next) && (this.isBulletLine(next) || Boolean(DateParser.parseRange(next)));
+    }
+    
+    // 把指定章节切分为条目：有时间的章节按带时间的行（见 DateParser）切分，列表之后的短行（未写时间的条目）也开始新条目；
+    // 单独一行的单位名称或时间与相邻行是同一条目。没有时间的章节按非列表行切分
+    static getEntries(segmentation, labels) {
+        if (!segmentation) return [];
+        
+        const wanted = Array.isArray(labels) ? labels : [labels];
+        const runs = [];
+        let run = null;
+        
+        segmentation.lines.forEach(line => {
+            if (!line.text.trim()) return;
+            if (line.isHeading || !wanted.includes(line.label)) {
+                run = null;
+                return;
+            }
+            if (!run || run.label !== line.label) {
+                run = { label: line.label, lines: [] };
+                runs.push(run);
+            }
+            run.lines.push(line.text.trim());
+        });
+        
+        const entries = [];
+        runs.forEach(({ label, lines }) => {
+            const dated = lines.some(text => DateParser.parseRange(text));
+            let current = null;
+            
+            lines.forEach((text, index) => {
+                const date = dated ? DateParser.parseRange(text) : null;
+                const afterBullets = index > 0 && this.isBulletLine(lines[index - 1]) && this.startsUndatedEntry(lines, index);
+                const startsEntry = dated ? Boolean(date) || afterBullets : !this.isEntryDetail(text);
+                
+                if (!startsEntry && current) {
+                    current.lines.push(text);
+                    return;
+                }
+                
+                // “腾讯科技 / 后端实习生 2023.06-2023.09”：单独一行的单位名称与下一行带时间的行是同一条目
+                if (date && current && current.lines.length === 1 && !current.dated) {
+                    current.dated = true;
+                    current.lines.push(text);
+                    return;
+                }
+                
+                // “腾讯 后端实习生 / 2023.06-2023.09”：只有时间的行与上一行的标题是同一条目
+                const dateOnly = Boolean(date) && text.replace(date.text, '').replace(/[\s|,，]/g, '').length < 2;
+                if (dateOnly && current && current.lines.length > 1 && !this.isEntryDetail(lines[index - 1])) {
+                    const title = current.lines.pop();
+                    current = { label, dated: true, lines: [title, text] };
+                    entries.push(current);
+                    return;
+                }
+                
+                current = { label, dated: Boolean(date), lines: [text] };
+                entries.push(current);
+            });
+        });
+        
+        // 条目的起止时间取第一个带日期的行
+        return entries.map(entry => {
+            const dateIndex = entry.lines.findIndex(text => DateParser.parseRange(text));
+            const date = dateIndex === -1 ? null : DateParser.parseRange(entry.lines[dateIndex]);
+            
+            return {
+                label: entry.label,
+                dated: entry.dated,
+                title: dateIndex === 1 ? `${entry.lines[0]} ${entry.lines[1]}` : entry.lines[0],
+                text: entry.lines.join('\n'),
+                lineCount: entry.lines.length,
+                start: date ? date.start : null,
+                end: date ? date.end : null,
+                ongoing: date ? date.ongoing : false,
+                months: date ? date.months : null
+            };
+        });
+    }
+    
+    // 取出指定章节的文本（不含标题行）。没有标题的简历按各行的内容特征取（见 labelByContent），
+    // 简历缺少该章节时返回空串，避免同一段内容在多个类别重复计分；没有分段结果时返回 fallbackText
+    static getText(segmentation, labels, fallbackText = '') {
+        if (!segmentation) return fallbackText;
+        
+        const wanted = Array.isArray(labels) ? labels : [labels];
+        const sectionText = segmentation.lines
+            .filter(line => !line.isHeading && wanted.includes(line.label))
+            .map(line => line.text)
+            .join('\n');
+        return sectionText.trim() ? sectionText : '';
+    }
+    
+    // 各章节的行数，用于调试和报告
+    static summarize(segmentation) {
+        const counts = {};
+        segmentation.lines.forEach(line => {
+            if (line.label && !line.isHeading) counts[line.label] = (counts[line.label] || 0) + 1;
+        });
+        return { structured: segmentation.structured, lineCounts: counts };
+    }
+}
+
+// 导出
+window.SectionSegmenter = SectionSegmenter;
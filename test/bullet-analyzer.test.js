@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { load } = require('./load');
+
+const { BulletAnalyzer, SectionSegmenter } = load(['date-parser.js', 'bullet-analyzer.js', 'section-segmenter.js']);
+
+test('识别量化成果的类型', () => {
+    const metrics = text => Array.from(BulletAnalyzer.analyzeBullet(text).metrics);
+    assert.deepStrictEqual(metrics('接口延迟降低 40%'), ['percent']);
+    assert.deepStrictEqual(metrics('QPS 从 2k 提升到 10k'), ['transition']);
+    assert.deepStrictEqual(metrics('查询速度提升 3 倍'), ['multiple']);
+    assert.deepStrictEqual(metrics('服务 500+ 用户'), ['users']);
+    assert.deepStrictEqual(metrics('节省成本 20万元'), ['money']);
+    assert.deepStrictEqual(metrics('发表论文 2 篇'), ['count']);
+    assert.deepStrictEqual(metrics('负责后台开发'), []);
+});
+
+test('时间段不算作前后对比的量化成果', () => {
+    const result = BulletAnalyzer.analyzeBullet('2022.07-2022.09 参与数据平台建设');
+    assert.strictEqual(result.quantified, false);
+});
+
+test('以最先出现的动词区分主导和参与', () => {
+    const verb = text => {
+        const result = BulletAnalyzer.analyzeBullet(text);
+        return [result.actionVerb, result.strongAction];
+    };
+    assert.deepStrictEqual(verb('主导设计并参与测试'), ['主导', true]);
+    assert.deepStrictEqual(verb('参与后台开发'), ['参与', false]);
+    assert.deepStrictEqual(verb('Led a team of 4 engineers'), ['led', true]);
+    assert.deepStrictEqual(verb('公司年会主持人'), [null, false]);
+});
+
+test('STAR结构需要行动、结果以及情境或任务', () => {
+    const complete = BulletAnalyzer.analyzeBullet('针对首页加载慢的问题，重构缓存层，最终首屏时间降低 40%');
+    assert.deepStrictEqual({ ...complete.star }, { situation: true, task: false, action: true, result: true });
+    assert.strictEqual(complete.starComplete, true);
+    
+    const noContext = BulletAnalyzer.analyzeBullet('重构缓存层，首屏时间降低 40%');
+    assert.strictEqual(noContext.star.result, true);
+    assert.strictEqual(noContext.starComplete, false);
+});
+
+test('条目按列表符号和分号拆分要点，标题行不参与分析', () => {
+    const entry = BulletAnalyzer.analyzeEntry([
+        '2023.07-2023.09 腾讯 后端开发实习生',
+        '• 为解决接口超时问题，重构推荐服务，QPS 从 2k 提升到 10k',
+        '• 参与代码评审；协助编写测试用例'
+    ].join('\n'));
+    assert.deepStrictEqual(Array.from(entry.bullets, bullet => bullet.text), [
+        '为解决接口超时问题，重构推荐服务，QPS 从 2k 提升到 10k',
+        '参与代码评审',
+        '协助编写测试用例'
+    ]);
+    assert.strictEqual(entry.quantifiedCount, 1);
+    assert.strictEqual(entry.strongActionCount, 1);
+    assert.strictEqual(entry.weakActionCount, 2);
+    assert.strictEqual(entry.starCount, 1);
+    
+    // 没有要点时分析标题行
+    assert.strictEqual(BulletAnalyzer.analyzeEntry('独立开发简历评分工具').bulletCount, 1);
+});
+
+test('折行的要点和标签行仍属于当前条目', () => {
+    const segmentation = SectionSegmenter.segment([
+        '项目经历',
+        '简历评分系统 2023.03-2023.06',
+        '• 使用 Python 开发解析模块，将',
+        'PDF 解析耗时从 3s 降到 800ms',
+        '技术栈：Python、Django',
+        '• 部署上线并编写使用文档',
+        '校园二手交易平台',
+        '• 设计并实现商品推荐功能'
+    ].join('\n'));
+    const entries = SectionSegmenter.getEntries(segmentation, 'project');
+    assert.deepStrictEqual(Array.from(entries, entry => entry.title), ['简历评分系统 2023.03-2023.06', '校园二手交易平台']);
+    
+    const first = BulletAnalyzer.analyzeEntry(entries[0].text);
+    assert.strictEqual(first.quantifiedCount, 1);
+    assert.ok(first.bullets.some(bullet => bullet.text.includes('PDF 解析耗时')));
+});
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { load } = require('./load');
+
+const { DateParser } = load(['date-parser.js']);
+const now = new Date(2024, 5, 15);
+const rangeOf = text => {
+    const range = DateParser.parseRange(text, now);
+    return range ? { start: range.start, end: range.end, ongoing: range.ongoing, months: range.months } : null;
+};
+
+test('识别常见的时间段写法', () => {
+    assert.deepStrictEqual(rangeOf('2020.09-2024.06 浙江大学'), { start: '2020-09', end: '2024-06', ongoing: false, months: 46 });
+    assert.deepStrictEqual(rangeOf('2021年9月至2022年1月'), { start: '2021-09', end: '2022-01', ongoing: false, months: 5 });
+    assert.deepStrictEqual(rangeOf('Jul 2023 – Sep 2023 Software Intern'), { start: '2023-07', end: '2023-09', ongoing: false, months: 3 });
+    assert.deepStrictEqual(rangeOf('07/2022 - 08/2022'), { start: '2022-07', end: '2022-08', ongoing: false, months: 2 });
+    assert.deepStrictEqual(rangeOf('2018-2022 复旦大学'), { start: '2018', end: '2022', ongoing: false, months: 48 });
+});
+
+test('带日的日期只取到月', () => {
+    assert.deepStrictEqual(rangeOf('2023.07.01-2023.09.30'), { start: '2023-07', end: '2023-09', ongoing: false, months: 3 });
+    assert.deepStrictEqual(rangeOf('2021/09/01 ~ 2022/01/15'), { start: '2021-09', end: '2022-01', ongoing: false, months: 5 });
+    assert.deepStrictEqual(rangeOf('2023-07-01 至 2023-08-31'), { start: '2023-07', end: '2023-08', ongoing: false, months: 2 });
+});
+
+test('同一年内的月份简写', () => {
+    assert.deepStrictEqual(rangeOf('2023.6-9 数据分析实习'), { start: '2023-06', end: '2023-09', ongoing: false, months: 4 });
+    assert.deepStrictEqual(rangeOf('2023年6-9月'), { start: '2023-06', end: '2023-09', ongoing: false, months: 4 });
+    // 结束月份不晚于开始月份时不是简写，只取开始的月份
+    assert.deepStrictEqual(rangeOf('2023.9-6'), { start: '2023-09', end: '2023-09', ongoing: false, months: 1 });
+});
+
+test('“至今”按当前日期计算时长', () => {
+    assert.deepStrictEqual(rangeOf('2023.09-至今 字节跳动'), { start: '2023-09', end: null, ongoing: true, months: 10 });
+    assert.deepStrictEqual(rangeOf('Sep 2023 - Present'), { start: '2023-09', end: null, ongoing: true, months: 10 });
+});
+
+test('只有一个精确到月的日期时作为单点；只有年份的数字不算日期', () => {
+    assert.deepStrictEqual(rangeOf('2022.07 获得国家奖学金'), { start: '2022-07', end: '2022-07', ongoing: false, months: 1 });
+    assert.strictEqual(rangeOf('服务 2000 名用户'), null);
+    assert.strictEqual(rangeOf('QPS 从 2k 提升到 10k'), null);
+});
+
+test('不存在的月份不会被当成日期', () => {
+    assert.strictEqual(DateParser.parsePoint('2023.13').month, null);
+    assert.strictEqual(rangeOf('2023.13 某项目'), null);
+});
+
+test('结束早于开始时没有时长', () => {
+    assert.strictEqual(DateParser.durationMonths({ year: 2022, month: 6 }, { year: 2021, month: 9 }), null);
+});
+
+test('月序号和时长描述', () => {
+    assert.strictEqual(DateParser.toMonthIndex('2023-07') - DateParser.toMonthIndex('2023-01'), 6);
+    assert.strictEqual(DateParser.toMonthIndex('2023', 12) - DateParser.toMonthIndex('2023', 1), 11);
+    assert.strictEqual(DateParser.describeDuration(15), '1年3个月');
+    assert.strictEqual(DateParser.describeDuration(6), '6个月');
+});
@@ -0,0 +1,17 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { load } = require('./load');
+
+const { DisciplineTaxonomy } = load(['discipline-taxonomy.js']);
+
+test('“专业”后有冒号时按标签取专业', () => {
+    assert.strictEqual(DisciplineTaxonomy.extractMajor('专业：计算机科学与技术'), '计算机科学与技术');
+    assert.strictEqual(DisciplineTaxonomy.extractMajor('主修: 金融学 本科'), '金融学');
+    assert.strictEqual(DisciplineTaxonomy.extractMajor('B.S. in Computer Science, 2020'), 'Computer Science');
+});
+
+test('“xx专业”取“专业”前面的词，不把后面的学历当成专业', () => {
+    assert.strictEqual(DisciplineTaxonomy.extractMajor('复旦大学 汉语言文学专业 本科'), '汉语言文学');
+    assert.strictEqual(DisciplineTaxonomy.extractMajor('复旦大学汉语言文学专业 本科'), '汉语言文学');
+    assert.strictEqual(DisciplineTaxonomy.extractMajor('北京大学 专业排名前10% 本科'), '');
+});
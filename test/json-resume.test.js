@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp, textFile } = require('./load');
+
+const { ResumeParser, ResumeScorer, JSONResumeAdapter } = loadApp();
+
+const lines = [
+    '张三',
+    '电话：13812345678 邮箱：zhangsan@example.com',
+    '教育背景',
+    '2020.09-2024.06 浙江大学 计算机科学与技术 本科',
+    'GPA 3.8/4.0',
+    '专业技能',
+    'Python、Java、MySQL、Docker',
+    '实习经历',
+    '2023.07-2023.09 腾讯 后端开发实习生',
+    '• 重构推荐接口，QPS 从 2k 提升到 10k',
+    '项目经历',
+    '简历评分系统 2023.03-2023.06',
+    '• 使用 Python 开发，服务 500+ 用户',
+    '获奖情况',
+    '2022 国家奖学金'
+];
+
+const categoryTotals = result => Object.fromEntries(Object.entries(result.categoryScores).map(([category, score]) => [category, score.total]));
+
+test('文本简历导出为 JSON Resume 后再导入，分析和评分不变', async () => {
+    const scorer = new ResumeScorer();
+    const textDocument = await ResumeParser.parseFileStructured(textFile('resume.txt', lines.join('\n'), 'text/plain'));
+    const exported = JSONResumeAdapter.fromAnalysis(scorer.analyzeResume(textDocument), textDocument);
+    
+    assert.deepStrictEqual({ ...exported.basics }, { name: '张三', email: 'zhangsan@example.com', phone: '13812345678' });
+    assert.deepStrictEqual({ ...exported.education[0] }, {
+        institution: '浙江大学',
+        area: '计算机科学与技术',
+        studyType: '本科',
+        score: '3.8/4.0',
+        startDate: '2020-09',
+        endDate: '2024-06'
+    });
+    assert.deepStrictEqual(Array.from(exported.work, item => [item.name, item.position, item.startDate, item.endDate]), [
+        ['腾讯', '后端开发实习生', '2023-07', '2023-09']
+    ]);
+    assert.deepStrictEqual(Array.from(exported.work[0].highlights), ['重构推荐接口，QPS 从 2k 提升到 10k']);
+    
+    const jsonDocument = await ResumeParser.parseFileStructured(textFile('resume.json', JSON.stringify(exported), 'application/json'));
+    const imported = scorer.analyzeResume(jsonDocument);
+    assert.strictEqual(imported.dataSource, 'json-resume');
+    assert.deepStrictEqual(Array.from(imported.education.degrees, degree => [degree.school, degree.degree, degree.major]), [
+        ['浙江大学', 'bachelor', '计算机科学与技术']
+    ]);
+    assert.deepStrictEqual(Array.from(imported.timeline, entry => [entry.type, entry.start, entry.end]), [
+        ['education', '2020-09', '2024-06'],
+        ['project', '2023-03', '2023-06'],
+        ['experience', '2023-07', '2023-09']
+    ]);
+    // 导出时的技能分组名（“数据分析”）不会在导入时变成一项技能
+    assert.deepStrictEqual(categoryTotals(scorer.scoreResume(jsonDocument)), categoryTotals(scorer.scoreResume(textDocument)));
+});
+
+test('导入的 JSON Resume 原样导出，只更新 meta', async () => {
+    const scorer = new ResumeScorer();
+    const resume = {
+        basics: { name: 'Li Lei', email: 'lilei@example.com', label: '数据分析师' },
+        education: [{ institution: 'Fudan University', area: 'Statistics', studyType: 'Bachelor', startDate: '2019-09', endDate: '2023-06', score: '3.6/4.0' }],
+        skills: [{ name: 'Data', keywords: ['Python', 'SQL'] }],
+        meta: { canonical: 'https://example.com/resume.json' }
+    };
+    const resumeDocument = await ResumeParser.parseFileStructured(textFile('resume.json', JSON.stringify(resume), 'application/json'));
+    const exported = JSONResumeAdapter.fromAnalysis(scorer.analyzeResume(resumeDocument), resumeDocument);
+    
+    const { meta, ...rest } = exported;
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(rest)), { basics: resume.basics, education: resume.education, skills: resume.skills });
+    assert.strictEqual(meta.canonical, 'https://example.com/resume.json');
+    assert.strictEqual(meta.version, 'v1.0.0');
+});
+
+test('无效的 JSON 和不是 JSON Resume 的 JSON 给出不同的错误', () => {
+    assert.throws(() => JSONResumeAdapter.parse('{"basics": '), error => error.messageKey === 'json-syntax-error');
+    assert.throws(() => JSONResumeAdapter.parse('{"name": "package"}'), error => error.messageKey === 'json-not-resume');
+    assert.strictEqual(JSONResumeAdapter.parse('\uFEFF{"basics": {"name": "张三"}}').basics.name, '张三');
+});
@@ -0,0 +1,63 @@
+// 测试用加载器：应用脚本都是浏览器全局脚本，在 vm 上下文中按 index.html 的顺序执行后取出全局类
+// vm 上下文里创建的数组和对象不属于测试所在的上下文，深比较前用 Array.from 等转换
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// i18n.js 读取界面语言时用到的 localStorage，测试中只保存在内存里
+function memoryStorage() {
+    const values = new Map();
+    return {
+        getItem: key => (values.has(key) ? values.get(key) : null),
+        setItem: (key, value) => values.set(key, String(value))
+    };
+}
+
+function load(files, globals = {}) {
+    const context = { console, TextDecoder, TextEncoder, URL, localStorage: memoryStorage(), ...globals };
+    context.window = context;
+    vm.createContext(context);
+    files.forEach(file => {
+        const source = fs.readFileSync(path.join(__dirname, '..', file), 'utf8');
+        vm.runInContext(source, context, { filename: file });
+    });
+    return context;
+}
+
+// index.html 中 script.js 之前的应用脚本，按页面加载顺序排列
+const appScripts = [
+    'i18n.js', 'errors.js', 'ai-keyword-extractor.js', 'ocr-engine.js',
+    'pdf-layout-analyzer.js', 'word-binary-parser.js', 'text-format-parser.js', 'json-resume.js',
+    'hyperlink-classifier.js', 'date-parser.js', 'bullet-analyzer.js', 'section-segmenter.js',
+    'discipline-taxonomy.js', 'international-university-data.js', 'university-data.js', 'resume-parser.js'
+];
+
+// 页面环境的最小替身：页面元素都不存在，不是本机地址（不打开调试输出），耗时日志不打印
+function pageGlobals() {
+    return {
+        document: { getElementById: () => null, querySelector: () => null, querySelectorAll: () => [] },
+        location: { hostname: 'example.com', href: 'https://example.com/' },
+        performance: { now: () => Date.now() },
+        console: { ...console, log: () => {} }
+    };
+}
+
+// 加载解析和评分用到的全部脚本（AI关键词提取默认开启，与页面一致）
+function loadApp(globals = {}) {
+    return load(appScripts, { ...pageGlobals(), ...globals });
+}
+
+// 解析入口需要的文件对象：只实现 name、type、size、arrayBuffer() 和 text()
+function textFile(name, content, type = '') {
+    const bytes = typeof content === 'string' ? new TextEncoder().encode(content) : content;
+    const buffer = bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
+    return {
+        name,
+        type,
+        size: bytes.byteLength,
+        arrayBuffer: async () => buffer,
+        text: async () => new TextDecoder().decode(bytes)
+    };
+}
+
+module.exports = { load, loadApp, textFile };
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { load } = require('./load');
+
+const { PDFLayoutAnalyzer } = load(['pdf-layout-analyzer.js']);
+
+// pdf.js 的文本项：transform 的 e、f 是左下角为原点的坐标，这里直接用页面上的 x 和基线 y 构造
+const viewport = { width: 600, height: 800, convertToViewportPoint: (x, y) => [x, 800 - y] };
+const item = (str, x, y, width, size = 10) => ({ str, transform: [size, 0, 0, size, x, 800 - y], width, height: size, fontName: 'f1' });
+const column = (prefix, x, width, baselines) => baselines.map((y, index) => item(`${prefix}${index + 1}`, x, y, width));
+
+test('双栏页面按跨栏行切分水平带，每个带内先读左栏再读右栏', () => {
+    const items = [
+        item('张三 电话：13812345678 邮箱：zhangsan@example.com', 40, 60, 520, 16),
+        ...column('教育', 40, 200, [100, 115, 130, 145, 160]),
+        ...column('技能', 320, 220, [105, 120, 135, 150, 165]),
+        item('项目经历 —— 贯穿两栏的标题行', 40, 200, 520, 14),
+        ...column('项目', 40, 200, [230, 245, 260, 275]),
+        ...column('获奖', 320, 220, [235, 250, 265, 280])
+    ];
+    // 打乱顺序，阅读顺序只取决于位置
+    const layout = PDFLayoutAnalyzer.analyzePage({ items: [...items].reverse(), styles: {} }, viewport);
+    
+    assert.strictEqual(layout.columnCount, 2);
+    assert.deepStrictEqual(layout.text.split('\n'), [
+        '张三 电话：13812345678 邮箱：zhangsan@example.com',
+        '教育1', '教育2', '教育3', '教育4', '教育5',
+        '技能1', '技能2', '技能3', '技能4', '技能5',
+        '项目经历 —— 贯穿两栏的标题行',
+        '项目1', '项目2', '项目3', '项目4',
+        '获奖1', '获奖2', '获奖3', '获奖4'
+    ]);
+    assert.deepStrictEqual(Array.from(layout.blocks, block => block.column), [-1, 0, 1, -1, 0, 1]);
+});
+
+test('左右逐行对齐的内容（表格、右对齐日期）不拆成两栏', () => {
+    const baselines = [100, 115, 130, 145, 160, 175];
+    const items = [
+        ...column('浙江大学 本科 ', 40, 200, baselines),
+        ...column('2020.09-2024.06 ', 420, 120, baselines)
+    ];
+    const layout = PDFLayoutAnalyzer.analyzePage({ items, styles: {} }, viewport);
+    
+    assert.strictEqual(layout.columnCount, 1);
+    assert.deepStrictEqual(layout.text.split('\n').slice(0, 2), ['浙江大学 本科 1 2020.09-2024.06 1', '浙江大学 本科 2 2020.09-2024.06 2']);
+});
@@ -0,0 +1,247 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp, textFile } = require('./load');
+
+const { ResumeScorer, aiKeywordExtractor } = loadApp();
+
+test('AI关键词提取保留行结构', () => {
+    assert.strictEqual(aiKeywordExtractor.preprocessText('张三\n电话：138  0000\n\n教育背景'), '张三\n电话:138 0000\n\n教育背景');
+});
+
+test('AI识别的成就按所在片段计数，不重复计入规则已识别的条目', () => {
+    const text = [
+        '获奖情况',
+        '2022 国家奖学金；校一等奖学金',
+        '2021 全国大学生数学建模竞赛 一等奖',
+        '担任学生会主席，组织校园歌手大赛',
+        '三好学生',
+        '实习经历',
+        '2023.07-2023.09 腾讯 后端开发实习生',
+        '担任项目组主席'
+    ].join('\n');
+    
+    const analysis = new ResumeScorer().analyzeResume(text);
+    const entries = Array.from(analysis.achievements.countedEntries, entry => [entry.type, entry.text, Boolean(entry.aiExtracted)]);
+    
+    assert.ok(analysis.aiEnhanced);
+    assert.deepStrictEqual(entries, [
+        ['nationalHonor', '2022 国家奖学金', false],
+        ['schoolHonor', '校一等奖学金', false],
+        ['nationalComp', '2021 全国大学生数学建模竞赛 一等奖', false],
+        ['chairman', '担任学生会主席，组织校园歌手大赛', false],
+        ['schoolHonor', '三好学生', true]
+    ]);
+});
+
+test('AI命中的内容找不到所在的行时不计入', () => {
+    const scorer = new ResumeScorer();
+    const hits = [
+        { type: 'project', text: '简历评分系统' },
+        { type: 'project', text: '简历评分系统 使用 Python' },
+        { type: 'project', text: '评分系统' }
+    ];
+    const entries = scorer.locateAIEntries(hits, '简历评分系统\n使用 Python 开发');
+    assert.deepStrictEqual(Array.from(entries, entry => entry.text), ['简历评分系统']);
+});
+
+test('默认开启AI时，上传的简历仍按行划分学位和时间线条目', async () => {
+    const { ResumeParser, ResumeScorer, aiKeywordExtractor } = loadApp();
+    assert.ok(aiKeywordExtractor.isAvailable());
+    
+    const lines = [
+        '张三',
+        '电话：13812345678 邮箱：zhangsan@example.com',
+        '教育背景',
+        '2020.09-2024.06 浙江大学 计算机科学与技术 本科',
+        'GPA 3.8/4.0 专业排名 5/120',
+        '实习经历',
+        '2023.07-2023.09 腾讯科技（深圳）有限公司 后端开发实习生',
+        '负责推荐接口重构，QPS 从 2k 提升到 10k，延迟降低 40%。',
+        '项目经历',
+        '简历评分系统 2023.03-2023.06',
+        '使用 Python 和 Django 开发，服务 500+ 用户。',
+        '校园经历',
+        '学生会主席 2020.09-2021.06'
+    ];
+    const resumeDocument = await ResumeParser.parseFileStructured(textFile('resume.txt', lines.join('\n'), 'text/plain'));
+    assert.deepStrictEqual(resumeDocument.text.split('\n'), lines);
+    
+    const scorer = new ResumeScorer();
+    const analysis = scorer.analyzeResume(resumeDocument);
+    assert.deepStrictEqual(Array.from(analysis.education.degrees, degree => [degree.school, degree.degree, degree.major]), [
+        ['浙江大学', 'bachelor', '计算机科学与技术']
+    ]);
+    assert.deepStrictEqual(Array.from(analysis.timeline, entry => entry.title), [
+        '2020.09-2024.06 浙江大学 计算机科学与技术 本科',
+        '简历评分系统 2023.03-2023.06',
+        '2023.07-2023.09 腾讯科技（深圳）有限公司 后端开发实习生'
+    ]);
+    assert.deepStrictEqual(Array.from(scorer.checkTimelineConsistency(analysis.timeline, new Date(2024, 5, 30))), []);
+});
+
+test('时间线检查：空档、重叠、起止颠倒、学制过短和未来日期', () => {
+    const { ResumeScorer, DateParser } = loadApp();
+    const scorer = new ResumeScorer();
+    const now = new Date(2024, 5, 15);
+    const entry = (type, title) => Object.assign({ type, title }, DateParser.parseRange(title, now));
+    const check = timeline => Array.from(scorer.checkTimelineConsistency(timeline, now), warning => [warning.type, Array.from(warning.entries)]);
+    
+    const bachelor = entry('education', '2020.09-2024.06 浙江大学 本科');
+    const tencent = entry('experience', '2023.07-2023.09 腾讯 后端开发实习生');
+    assert.deepStrictEqual(check([bachelor, tencent]), []);
+    
+    // 两段全职实习重叠2个月；兼职与其他实习重叠不算
+    const netease = entry('experience', '2023.08-2023.12 网易 数据分析实习');
+    const partTime = entry('experience', '2023.07-2023.09 家教 兼职');
+    assert.deepStrictEqual(check([bachelor, tencent, netease, partTime]), [
+        ['overlap', [tencent.title, netease.title]]
+    ]);
+    
+    // 本科毕业后到下一段经历之间，以及最后一段结束至今
+    const earlier = entry('education', '2016.09-2020.06 复旦大学 本科');
+    const later = entry('experience', '2021.03-2021.08 字节跳动 产品实习');
+    assert.deepStrictEqual(check([earlier, later]), [
+        ['gap', [earlier.title, later.title]],
+        ['gap', [later.title]]
+    ]);
+    
+    // 起止颠倒不计入空档和学制检查
+    const reversed = Object.assign(entry('education', '2024.06-2020.09 浙江大学 本科'), { start: '2024-06', end: '2020-09' });
+    assert.deepStrictEqual(check([reversed]), [['reversed', [reversed.title]]]);
+    
+    // 本科只读了一年；交换项目不检查学制
+    const shortDegree = entry('education', '2022.09-2023.06 浙江大学 本科');
+    const exchange = entry('education', '2022.09-2023.01 新加坡国立大学 交换生');
+    const current = entry('experience', '2023.07-至今 腾讯 后端开发实习生');
+    assert.deepStrictEqual(check([shortDegree, exchange, current]), [
+        ['short-degree', [shortDegree.title]]
+    ]);
+    
+    // 实习的结束时间和任何经历的开始时间都不能晚于当前；教育经历的预计毕业时间可以
+    const master = entry('education', '2023.09-2026.06 上海交通大学 硕士');
+    const futureEnd = entry('experience', '2024.03-2024.09 阿里巴巴 算法实习');
+    const futureStart = entry('experience', '2024.07-2024.09 美团 后端实习');
+    assert.deepStrictEqual(check([bachelor, master, futureEnd, futureStart]), [
+        ['overlap', [futureEnd.title, futureStart.title]],
+        ['future', [futureEnd.title]],
+        ['future', [futureStart.title]]
+    ]);
+});
+
+test('识别交换、联合培养、双学位和辅修条目', () => {
+    const scorer = new ResumeScorer();
+    assert.strictEqual(scorer.getProgramType('新加坡国立大学 交换生'), 'exchange');
+    assert.strictEqual(scorer.getProgramType('辅修 经济学'), 'minor');
+    assert.strictEqual(scorer.getProgramType('经济学双学位'), 'double');
+    assert.strictEqual(scorer.getProgramType('中外合作办学 2+2 项目'), 'joint');
+    assert.strictEqual(scorer.getProgramType('2020.09-2024.06 浙江大学 本科'), null);
+    
+    // 合作院校优先于本校；没有其他学校时是本校的项目
+    assert.strictEqual(scorer.findProgramSchool('新加坡国立大学 交换生', ['浙江大学']), '新加坡国立大学');
+    assert.strictEqual(scorer.findProgramSchool('浙江大学 / 新加坡国立大学 交换学习', ['浙江大学']), '新加坡国立大学');
+    assert.strictEqual(scorer.findProgramSchool('辅修 经济学', ['浙江大学']), '');
+    
+    assert.strictEqual(scorer.getProgramSubject({ type: 'minor', text: '辅修 经济学' }), '经济学');
+    assert.strictEqual(scorer.getProgramSubject({ type: 'minor', text: 'Minor in Economics' }), 'Economics');
+    assert.strictEqual(scorer.getProgramSubject({ type: 'double', text: '经济学双学位' }), '经济学');
+});
+
+test('项目分每类取最高一项，合计不超过3分', () => {
+    const scorer = new ResumeScorer();
+    const nus = { tier: 'topTier' };
+    assert.strictEqual(scorer.scoreEducationPrograms([]), 0);
+    assert.strictEqual(scorer.scoreEducationPrograms([{ type: 'minor' }]), 1);
+    assert.strictEqual(scorer.scoreEducationPrograms([{ type: 'exchange', university: nus }]), 2);
+    assert.strictEqual(scorer.scoreEducationPrograms([{ type: 'exchange', university: nus }, { type: 'exchange', university: null }]), 2);
+    assert.strictEqual(scorer.scoreEducationPrograms([{ type: 'exchange', university: nus }, { type: 'minor' }, { type: 'double' }]), 3);
+});
+
+test('交换和辅修单独成条，不顶替本校学位，教育总分不超过满分', () => {
+    const scorer = new ResumeScorer();
+    const text = [
+        '教育背景',
+        '2020.09-2024.06 浙江大学 计算机科学与技术 本科',
+        '2022.09-2023.01 新加坡国立大学 交换生',
+        '辅修 经济学',
+        'GPA 3.9/4.0 专业排名 1/120',
+        '2024.09-2026.06 北京大学 计算机技术 硕士'
+    ].join('\n');
+    
+    const analysis = scorer.analyzeResume(text);
+    assert.deepStrictEqual(Array.from(analysis.education.degrees, degree => [degree.school, degree.degree]), [
+        ['浙江大学', 'bachelor'],
+        ['北京大学', 'master']
+    ]);
+    assert.deepStrictEqual(Array.from(analysis.education.programs, program => [program.type, program.school, program.subject]), [
+        ['exchange', '新加坡国立大学', ''],
+        ['minor', '', '经济学']
+    ]);
+    assert.strictEqual(analysis.education.programScore, 3);
+    
+    const education = scorer.scoreEducationDetailed(analysis);
+    assert.strictEqual(education.details.programs, 3);
+    assert.strictEqual(education.total, scorer.maxScores.education);
+    assert.ok(education.details.school + education.details.academic + education.details.degree + education.details.programs > education.total);
+});
+
+test('解析GPA的分制：显式分制优先，没有分制时按数值推断', () => {
+    const scorer = new ResumeScorer();
+    const gpa = text => {
+        const record = scorer.parseGPA(text);
+        return record ? [record.value, record.scale, record.normalized, record.inferred] : null;
+    };
+    assert.deepStrictEqual(gpa('GPA 3.8/4.0'), [3.8, 4, 3.8, false]);
+    assert.deepStrictEqual(gpa('均分：88/100'), [88, 100, 3.7, false]);
+    assert.deepStrictEqual(gpa('GPA: 4.1 / 4.3'), [4.1, 4.3, 4, false]);
+    assert.deepStrictEqual(gpa('绩点 3.9 (4.3 scale)'), [3.9, 4.3, 3.9, false]);
+    assert.deepStrictEqual(gpa('绩点3.6（4分制）'), [3.6, 4, 3.6, false]);
+    assert.deepStrictEqual(gpa('绩点 4.1/5'), [4.1, 5, 3.28, false]);
+    assert.deepStrictEqual(gpa('GPA 3.6'), [3.6, 4, 3.6, true]);
+    assert.deepStrictEqual(gpa('WES GPA 3.5'), [3.5, 4, 3.5, false]);
+    // 超过分制的数值不是成绩，继续找下一处
+    assert.deepStrictEqual(gpa('GPA 4.5/4.0\n平均分 88'), [88, 100, 3.7, true]);
+});
+
+test('“成绩”“分数”“score”后紧跟数字时才算GPA', () => {
+    const scorer = new ResumeScorer();
+    const raw = text => {
+        const record = scorer.parseGPA(text);
+        return record ? record.raw : null;
+    };
+    assert.strictEqual(raw('成绩 87/100'), '成绩 87/100');
+    assert.strictEqual(raw('分数：91'), '分数：91');
+    assert.strictEqual(raw('Score: 3.7/4.0'), 'Score: 3.7/4.0');
+    assert.strictEqual(raw('成绩排名 3/120'), null);
+    assert.strictEqual(raw('托福成绩 105'), null);
+    assert.strictEqual(raw('IELTS score 7.5'), null);
+    assert.strictEqual(raw('高考分数 650 GPA 3.6'), 'GPA 3.6');
+    // 没有分制的普通数字既不像绩点也不像百分制分数
+    assert.strictEqual(raw('成绩 12'), null);
+    assert.strictEqual(raw('成绩 650'), null);
+});
+
+test('解析排名和百分位', () => {
+    const scorer = new ResumeScorer();
+    const rank = text => {
+        const record = scorer.parseClassRank(text);
+        return record ? [record.position, record.total, record.percentile] : null;
+    };
+    assert.deepStrictEqual(rank('专业排名 5/120'), [5, 120, 4.2]);
+    assert.deepStrictEqual(rank('年级排名第5（共200人）'), [5, 200, 2.5]);
+    assert.deepStrictEqual(rank('Rank 2 of 60'), [2, 60, 3.3]);
+    assert.deepStrictEqual(rank('专业排名 12/120（前10%）'), [12, 120, 10]);
+    assert.deepStrictEqual(rank('综合排名：前5%'), [null, null, 5]);
+    assert.deepStrictEqual(rank('GPA 3.8/4.0, top 15% of major'), [null, null, 15]);
+    // 名次大于总人数、与成绩无关的百分比都不算
+    assert.strictEqual(rank('专业排名 130/120'), null);
+    assert.strictEqual(rank('推动销售额增长，业绩排进前5%'), null);
+});
+
+test('PDF页数上限：0 和 Infinity 不限制，未设置时使用默认上限', () => {
+    const { ResumeParser } = loadApp();
+    assert.strictEqual(ResumeParser.resolvePageLimit(0), Infinity);
+    assert.strictEqual(ResumeParser.resolvePageLimit(Infinity), Infinity);
+    assert.strictEqual(ResumeParser.resolvePageLimit(10), 10);
+    assert.strictEqual(ResumeParser.resolvePageLimit(undefined), ResumeParser.defaultPageLimit);
+    assert.strictEqual(ResumeParser.resolvePageLimit(-1), ResumeParser.defaultPageLimit);
+});
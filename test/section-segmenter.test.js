@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { load } = require('./load');
+
+const { SectionSegmenter } = load(['date-parser.js', 'section-segmenter.js']);
+
+const headingless = [
+    '张三',
+    '电话：13812345678 邮箱：zhangsan@example.com',
+    '2020.09-2024.06 浙江大学 计算机科学与技术 本科',
+    '2023.07-2023.09 腾讯科技（深圳）有限公司 后端开发实习生',
+    '负责推荐接口重构，QPS 从 2k 提升到 10k。',
+    '2022 国家奖学金',
+    '学生会主席',
+    'Java, Python, MySQL, Docker'
+].join('\n');
+
+test('有标题的简历按标题划分章节，缺少的章节为空', () => {
+    const segmentation = SectionSegmenter.segment('张三\n教育背景\n浙江大学 本科\n【专业技能】\nJava、Python');
+    assert.strictEqual(segmentation.structured, true);
+    assert.strictEqual(SectionSegmenter.getText(segmentation, 'education'), '浙江大学 本科');
+    assert.strictEqual(SectionSegmenter.getText(segmentation, 'skills'), 'Java、Python');
+    assert.strictEqual(SectionSegmenter.getText(segmentation, 'awards', '全文'), '');
+});
+
+test('没有标题的简历按内容特征取章节文本，不返回全文', () => {
+    const segmentation = SectionSegmenter.segment(headingless);
+    assert.strictEqual(segmentation.structured, false);
+    assert.strictEqual(SectionSegmenter.getText(segmentation, 'personal', headingless), '张三\n电话：13812345678 邮箱：zhangsan@example.com');
+    assert.strictEqual(SectionSegmenter.getText(segmentation, 'education', headingless), '2020.09-2024.06 浙江大学 计算机科学与技术 本科');
+    assert.strictEqual(
+        SectionSegmenter.getText(segmentation, ['experience', 'project'], headingless),
+        '2023.07-2023.09 腾讯科技（深圳）有限公司 后端开发实习生\n负责推荐接口重构，QPS 从 2k 提升到 10k。'
+    );
+    assert.strictEqual(SectionSegmenter.getText(segmentation, ['awards', 'leadership'], headingless), '2022 国家奖学金\n学生会主席');
+    assert.strictEqual(SectionSegmenter.getText(segmentation, 'skills', headingless), 'Java, Python, MySQL, Docker');
+    assert.strictEqual(SectionSegmenter.getText(segmentation, 'publications', headingless), '');
+});
+
+test('没有分段结果时返回传入的全文', () => {
+    assert.strictEqual(SectionSegmenter.getText(null, 'skills', '全文'), '全文');
+});
+
+test('逗号、顿号分隔的英文名称列表归为技能', () => {
+    assert.strictEqual(SectionSegmenter.classifyLine('Machine Learning / PyTorch / SQL'), 'skills');
+    assert.strictEqual(SectionSegmenter.classifyLine('使用 Python 和 Django 开发'), null);
+    assert.strictEqual(SectionSegmenter.isSkillList('Java, Python'), false);
+});
+
+test('有时间的章节按带时间的行切分条目', () => {
+    const segmentation = SectionSegmenter.segment('实习经历\n2023.07-2023.09 腾讯 后端开发实习生\n• 负责接口开发\n2022.07-2022.08 网易 数据分析实习\n项目经历\n简历评分系统');
+    const entries = Array.from(SectionSegmenter.getEntries(segmentation, 'experience'), entry => [entry.title, entry.start, entry.end, entry.lineCount]);
+    assert.deepStrictEqual(entries, [
+        ['2023.07-2023.09 腾讯 后端开发实习生', '2023-07', '2023-09', 2],
+        ['2022.07-2022.08 网易 数据分析实习', '2022-07', '2022-08', 1]
+    ]);
+});
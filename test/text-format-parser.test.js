@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { load } = require('./load');
+
+const { TextFormatParser } = load(['text-format-parser.js']);
+const headingsOf = parsed => Array.from(parsed.headings, heading => [heading.text, heading.level]);
+
+test('Markdown：ATX 和 Setext 标题、列表、表格和链接', () => {
+    const parsed = TextFormatParser.parseMarkdown([
+        '# 张三',
+        '邮箱：[zhangsan@example.com](mailto:zhangsan@example.com)',
+        '',
+        '教育背景',
+        '--------',
+        '- **浙江大学** 计算机科学与技术 本科',
+        '',
+        '## 项目经历',
+        '1) 简历评分系统，见 [GitHub](https://github.com/zhangsan/resume)',
+        '',
+        '| 技能 | 熟练度 |',
+        '|---|---|',
+        '| Python | 熟练 |'
+    ].join('\n'));
+    
+    assert.deepStrictEqual(headingsOf(parsed), [['张三', 1], ['教育背景', 2], ['项目经历', 2]]);
+    assert.deepStrictEqual(parsed.text.split('\n'), [
+        '张三',
+        '邮箱：zhangsan@example.com',
+        '',
+        '教育背景',
+        '',
+        '- 浙江大学 计算机科学与技术 本科',
+        '',
+        '项目经历',
+        '1. 简历评分系统，见 GitHub (https://github.com/zhangsan/resume)',
+        '',
+        '技能\t熟练度',
+        '',
+        'Python\t熟练'
+    ]);
+    assert.deepStrictEqual(Array.from(parsed.hyperlinks, link => link.url), ['mailto:zhangsan@example.com', 'https://github.com/zhangsan/resume']);
+});
+
+test('Markdown：代码块里的 # 不是标题', () => {
+    const parsed = TextFormatParser.parseMarkdown('```\n# 注释\n```');
+    assert.deepStrictEqual(headingsOf(parsed), []);
+    assert.ok(parsed.text.includes('# 注释'));
+});
+
+test('RTF：十六进制字节按 ansicpg 代码页解码，标题取自样式表', () => {
+    const rtf = String.raw`{\rtf1\ansi\ansicpg936{\fonttbl{\f0 SimSun;}}{\stylesheet{\s0 Normal;}{\s1\outlinelevel0 heading 1;}}
+{\s1 \'bd\'cc\'d3\'fd\'b1\'b3\'be\'b0\par}
+\pard \'d5\'e3\'bd\'ad\'b4\'f3\'d1\'a7 \u26412?\'bf\'c6\par
+}`;
+    const parsed = TextFormatParser.parseRTF(rtf);
+    assert.deepStrictEqual(parsed.text.split('\n').filter(Boolean), ['教育背景', '浙江大学 本科']);
+    assert.deepStrictEqual(headingsOf(parsed), [['教育背景', 1]]);
+});
+
+test('HTML：按出现的最高级别重新编号标题，最多三级', () => {
+    const headings = TextFormatParser.renumberHeadings([
+        { text: '张三', level: 2 },
+        { text: '教育背景', level: 3 },
+        { text: '课程', level: 6 }
+    ]);
+    assert.deepStrictEqual(Array.from(headings, heading => [heading.text, heading.level]), [['张三', 1], ['教育背景', 2], ['课程', 3]]);
+});
+
+test('没有BOM的文本先按UTF-8解码，失败时按GBK解码', () => {
+    const utf8 = new TextEncoder().encode('张三\n教育背景');
+    assert.strictEqual(TextFormatParser.decodeText(utf8.buffer), '张三\n教育背景');
+    
+    const gbk = new Uint8Array([0xd5, 0xc5, 0xc8, 0xfd, 0x0a, 0xbd, 0xcc, 0xd3, 0xfd, 0xb1, 0xb3, 0xbe, 0xb0]);
+    assert.strictEqual(TextFormatParser.decodeText(gbk.buffer), '张三\n教育背景');
+    
+    const bom = new Uint8Array([0xef, 0xbb, 0xbf, ...utf8]);
+    assert.strictEqual(TextFormatParser.decodeText(bom.buffer), '张三\n教育背景');
+});
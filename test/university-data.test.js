@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { load } = require('./load');
+
+const { UniversityData } = load(['international-university-data.js', 'university-data.js']);
+const nameOf = university => (university ? university.name : null);
+
+test('按正式名称、简称和以正式名称开头的写法查找', () => {
+    assert.strictEqual(nameOf(UniversityData.find('清华大学')), '清华大学');
+    assert.strictEqual(nameOf(UniversityData.find('清华大学计算机系')), '清华大学');
+    assert.strictEqual(nameOf(UniversityData.find('哈尔滨工业大学(深圳)')), '哈尔滨工业大学');
+});
+
+test('普通词语不会误判为学校', () => {
+    assert.strictEqual(UniversityData.search('曾服务多家中大型企业客户'), null);
+    assert.strictEqual(UniversityData.search('负责东南亚市场拓展'), null);
+    assert.strictEqual(UniversityData.find('中大型企业'), null);
+});
+
+test('独立学院和分校不算作母体高校', () => {
+    assert.strictEqual(UniversityData.find('南京大学金陵学院'), null);
+    assert.strictEqual(UniversityData.search('南京大学金陵学院 计算机科学与技术 本科'), null);
+    assert.strictEqual(UniversityData.search('南京大学 金陵学院'), null);
+    assert.strictEqual(UniversityData.find('北京师范大学珠海分校'), null);
+    assert.strictEqual(UniversityData.find('Texas A&M University-Commerce'), null);
+    assert.strictEqual(nameOf(UniversityData.search('南京大学 软件学院 本科')), '南京大学');
+});
+
+test('文本中取最长的学校名称', () => {
+    assert.strictEqual(nameOf(UniversityData.search('香港中文大学 工商管理硕士')), '香港中文大学');
+});
+
+test('按英文名称和英文简称查找境外高校', () => {
+    assert.strictEqual(nameOf(UniversityData.find('Massachusetts Institute of Technology')), '麻省理工学院');
+    assert.strictEqual(nameOf(UniversityData.find('the university of hong kong')), '香港大学');
+    assert.strictEqual(nameOf(UniversityData.find('University of Twente, Enschede')), '特温特大学');
+    assert.strictEqual(nameOf(UniversityData.search('M.S. in Computer Science, University of Toronto, 2022')), '多伦多大学');
+    assert.strictEqual(nameOf(UniversityData.search('2019-2023 UW-Madison B.S. Statistics')), '威斯康星大学麦迪逊分校');
+    assert.strictEqual(nameOf(UniversityData.search('Exchange student at KFUPM')), '法赫德国王石油与矿产大学');
+    assert.strictEqual(UniversityData.find('Universidad de Buenos Aires').ranking.band, '51-100');
+});
+
+test('英文名称相近的学校互不混淆', () => {
+    assert.strictEqual(nameOf(UniversityData.search('University of York, MSc')), '英国约克大学');
+    assert.strictEqual(nameOf(UniversityData.search('York University, BA')), '加拿大约克大学');
+    assert.strictEqual(nameOf(UniversityData.search('Indiana University Bloomington')), '印第安纳大学伯明顿分校');
+    assert.strictEqual(UniversityData.find('University of Illinois at Springfield'), null);
+    assert.strictEqual(UniversityData.search('we met at mit'), null);
+});
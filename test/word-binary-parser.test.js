@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { load } = require('./load');
+
+const { WordBinaryParser, ErrorCodes } = load(['i18n.js', 'errors.js', 'word-binary-parser.js']);
+
+// 最小的 Word 97 文件：复合文档里有 WordDocument 和 1Table 两个流，片段表包含
+// 一个 8 位文本块（含 HYPERLINK 域和表格）、一个 UTF-16 文本块，以及 ccpText 之外的页眉文本块
+// WordDocument 流从第 4 个扇区开始，FIB 位于文件偏移 (4 + 1) * 512 处
+const fixture = fs.readFileSync(path.join(__dirname, 'fixtures', 'resume.doc'));
+const fibOffset = 5 * 512;
+
+const toArrayBuffer = buffer => buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.length);
+
+test('按文件头识别 .doc', () => {
+    assert.strictEqual(WordBinaryParser.sniffFormat(toArrayBuffer(fixture)), 'doc');
+});
+
+test('按片段表还原正文，混合 8 位和 UTF-16 文本块，不含页眉', () => {
+    const content = WordBinaryParser.extractContent(toArrayBuffer(fixture));
+    assert.strictEqual(content.text, [
+        'Zhang San',
+        'zhangsan@example.com',
+        'Education\tPeking University',
+        'Skills',
+        'Java',
+        '教育背景',
+        '北京大学 计算机科学与技术 本科',
+        '项目经历',
+        ''
+    ].join('\n'));
+    assert.ok(!content.text.includes('HEADER TEXT'));
+    assert.ok(!content.text.includes('HYPERLINK'));
+});
+
+test('HYPERLINK 域中的链接单独返回', () => {
+    const content = WordBinaryParser.extractContent(toArrayBuffer(fixture));
+    assert.deepStrictEqual(Array.from(content.hyperlinks, link => link.url), ['mailto:zhangsan@example.com']);
+});
+
+test('FIB 标记加密时抛出加密错误', () => {
+    const encrypted = Buffer.from(fixture);
+    encrypted[fibOffset + 0x0B] |= 0x01;
+    assert.throws(() => WordBinaryParser.extractText(toArrayBuffer(encrypted)), error => error.code === ErrorCodes.ENCRYPTED);
+});
+
+test('Word 95 及更早版本的 FIB 不支持', () => {
+    const legacy = Buffer.from(fixture);
+    legacy.writeUInt16LE(0x65, fibOffset + 2);
+    assert.throws(() => WordBinaryParser.extractText(toArrayBuffer(legacy)), error => error.code === ErrorCodes.UNSUPPORTED_FORMAT);
+});
+
+test('复合文档结构损坏时抛出解析失败', () => {
+    const damaged = fixture.subarray(0, 16);
+    assert.throws(() => WordBinaryParser.extractText(toArrayBuffer(damaged)), error => error.code === ErrorCodes.EXTRACTION_FAILED);
+});
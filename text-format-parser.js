@@ -0,0 +1,621 @@
+// 文本类简历格式解析器 - TXT、Markdown、RTF、ODT、HTML，统一输出 { text, headings, hyperlinks }
+class TextFormatParser {
+    // 按BOM和meta声明解码；无声明时先按UTF-8严格解码，失败则视为GBK（Windows记事本、WPS常见）
+    static decodeText(arrayBuffer, declaredEncoding = null) {
+        const bytes = new Uint8Array(arrayBuffer);
+        
+        if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) {
+            return new TextDecoder('utf-8').decode(bytes.subarray(3));
+        }
+        if (bytes[0] === 0xFF && bytes[1] === 0xFE) {
+            return new TextDecoder('utf-16le').decode(bytes.subarray(2));
+        }
+        if (bytes[0] === 0xFE && bytes[1] === 0xFF) {
+            return new TextDecoder('utf-16be').decode(bytes.subarray(2));
+        }
+        
+        if (declaredEncoding) {
+            try {
+                return new TextDecoder(declaredEncoding).decode(bytes);
+            } catch (error) {
+                console.warn(`不支持的文本编码 ${declaredEncoding}，按UTF-8解码`);
+            }
+        }
+        
+        try {
+            return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+        } catch (error) {
+            return new TextDecoder('gbk').decode(bytes);
+        }
+    }
+    
+    // 纯文本：没有标记，只把独占一行的常见章节名视为标题
+    static parsePlainText(text) {
+        const headings = text
+            .split(/\r?\n/)
+            .map(line => line.trim().replace(/[:：]$/, ''))
+            .filter(line => ResumeParser.isHeadingCandidate(line) && ResumeParser.isKnownSectionHeading(line))
+            .map(line => ({ text: line, level: 1 }));
+        
+        return { text, headings };
+    }
+    
+    static parseMarkdown(markdown) {
+        const headings = [];
+        const output = [];
+        const lines = markdown.replace(/\r\n?/g, '\n').split('\n');
+        let inCodeBlock = false;
+        
+        lines.forEach((rawLine, index) => {
+            const line = rawLine.trimEnd();
+            
+            if (/^\s*(```|~~~)/.test(line)) {
+                inCodeBlock = !inCodeBlock;
+                return;
+            }
+            if (inCodeBlock) {
+                output.push(line);
+                return;
+            }
+            
+            // ATX 标题：# 标题
+            const atx = line.match(/^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/);
+            if (atx) {
+                const text = this.stripMarkdownInline(atx[2]);
+                headings.push({ text, level: Math.min(atx[1].length, 3) });
+                output.push(text);
+                return;
+            }
+            
+            // Setext 标题：下一行为 === 或 ---
+            const next = lines[index + 1] || '';
+            if (line.trim() && /^\s{0,3}(=+|-+)\s*$/.test(next) && !/^\s*([-*+]\s|\|)/.test(line)) {
+                const text = this.stripMarkdownInline(line.trim());
+                headings.push({ text, level: next.trim()[0] === '=' ? 1 : 2 });
+                output.push(text);
+                lines[index + 1] = '';
+                return;
+            }
+            
+            // 分隔线与表格对齐行
+            if (/^\s{0,3}([-*_])(\s*\1){2,}\s*$/.test(line) || /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/.test(line)) {
+                output.push('');
+                return;
+            }
+            
+            let content = line
+                .replace(/^\s*>\s?/, '')
+                .replace(/^(\s*)[-*+]\s+(\[[ xX]\]\s+)?/, '$1- ')
+                .replace(/^(\s*)(\d+)[.)]\s+/, '$1$2. ');
+            
+            if (/^\s*\|.*\|\s*$/.test(content)) {
+                content = content.trim().slice(1, -1).split('|').map(cell => cell.trim()).join('\t');
+            }
+            
+            output.push(this.stripMarkdownInline(content));
+        });
+        
+        const hyperlinks = [];
+        const linkRegex = /(!?)\[([^\]]*)\]\(([^)\s]+)[^)]*\)|<(https?:\/\/[^>]+|mailto:[^>]+)>/g;
+        let match;
+        while ((match = linkRegex.exec(markdown)) !== null) {
+            if (match[1]) continue;
+            hyperlinks.push(match[4] ? { url: match[4], text: '' } : { url: match[3], text: match[2] });
+        }
+        
+        return { text: output.join('\n'), headings, hyperlinks };
+    }
+    
+    // 去除行内标记，链接保留地址以便识别邮箱、GitHub等联系方式
+    static stripMarkdownInline(text) {
+        return text
+            .replace(/!\[[^\]]*\]\([^)]*\)/g, '')
+            .replace(/\[([^\]]+)\]\(([^)\s]+)[^)]*\)/g, (match, label, url) => this.formatLink(label, url))
+            .replace(/<(https?:\/\/[^>]+|[^@\s>]+@[^>\s]+)>/g, '$1')
+            .replace(/`([^`]+)`/g, '$1')
+            .replace(/(\*\*|__)(.+?)\1/g, '$2')
+            .replace(/(^|[^*\w])[*_]([^*_\s][^*_]*?)[*_](?=[^*\w]|$)/g, '$1$2')
+            .replace(/~~(.+?)~~/g, '$1')
+            .replace(/<\/?[a-z][^>]*>/gi, '')
+            .replace(/\\([\\`*_{}[\]()#+\-.!|])/g, '$1');
+    }
+    
+    static formatLink(label, url) {
+        const address = url.replace(/^mailto:/i, '');
+        const cleanLabel = label.trim();
+        if (!address || address.startsWith('#') || cleanLabel === address || cleanLabel.includes(address)) {
+            return cleanLabel;
+        }
+        return `${cleanLabel} (${address})`;
+    }
+    
+    // RTF：按组解析控制字，标题取自样式表名称（标题 1 / heading 1）或 \outlinelevel
+    static parseRTF(rtf) {
+        const destinations = /^(fonttbl|colortbl|stylesheet|info|pict|object|header|headerl|headerr|headerf|footer|footerl|footerr|footerf|footnote|annotation|fldinst|themedata|colorschememapping|latentstyles|datastore|xmlnstbl|listtable|listoverridetable|rsidtbl|generator|mmathPr|pgdsctbl|shp|shpinst|nonshppict|bkmkstart|bkmkend|xe|tc)$/;
+        const styleLevels = this.readRTFStyleLevels(rtf);
+        const headings = [];
+        
+        let encoding = 'windows-1252';
+        const codepage = rtf.match(/\\ansicpg(\d+)/);
+        if (codepage) {
+            encoding = { '936': 'gbk', '950': 'big5', '932': 'shift_jis', '65001': 'utf-8' }[codepage[1]] || `windows-${codepage[1]}`;
+        }
+        let decoder;
+        try {
+            decoder = new TextDecoder(encoding);
+        } catch (error) {
+            decoder = new TextDecoder('windows-1252');
+        }
+        
+        const stack = [];
+        let state = { skip: false, unicodeSkip: 1, level: null };
+        let text = '';
+        let paragraph = '';
+        let pendingBytes = [];
+        let skipChars = 0;
+        
+        const flushBytes = () => {
+            if (pendingBytes.length > 0) {
+                paragraph += decoder.decode(new Uint8Array(pendingBytes));
+                pendingBytes = [];
+            }
+        };
+        const emit = (value) => {
+            flushBytes();
+            if (!state.skip) paragraph += value;
+        };
+        const endParagraph = () => {
+            flushBytes();
+            const line = paragraph.trim();
+            if (line && state.level !== null) {
+                headings.push({ text: line, level: Math.min(state.level + 1, 3) });
+            }
+            text += paragraph + '\n';
+            paragraph = '';
+        };
+        
+        let i = 0;
+        while (i < rtf.length) {
+            const char = rtf[i];
+            
+            if (char === '{') {
+                flushBytes();
+                stack.push({ ...state });
+                i++;
+                // {\*\dest ...} 为可忽略的扩展目标
+                if (rtf.startsWith('\\*', i)) state.skip = true;
+                continue;
+            }
+            
+            if (char === '}') {
+                flushBytes();
+                state = stack.pop() || state;
+                i++;
+                continue;
+            }
+            
+            if (char === '\\') {
+                const next = rtf[i + 1];
+                
+                // \'hh 十六进制字节，多字节编码需要连续收集后一起解码
+                if (next === '\'') {
+                    const byte = parseInt(rtf.substr(i + 2, 2), 16);
+                    i += 4;
+                    if (skipChars > 0) {
+                        skipChars--;
+                    } else if (!state.skip && !isNaN(byte)) {
+                        pendingBytes.push(byte);
+                    }
+                    continue;
+                }
+                
+                if (next === '\\' || next === '{' || next === '}') {
+                    emit(next);
+                    i += 2;
+                    continue;
+                }
+                if (next === '~') {
+                    emit(' ');
+                    i += 2;
+                    continue;
+                }
+                if (next === '-' || next === '*' || next === '\n' || next === '\r') {
+                    if ((next === '\n' || next === '\r') && !state.skip) endParagraph();
+                    i += 2;
+                    continue;
+                }
+                
+                const match = /^\\([a-zA-Z]+)(-?\d+)? ?/.exec(rtf.slice(i, i + 40));
+                if (!match) {
+                    i += 2;
+                    continue;
+                }
+                i += match[0].length;
+                
+                const word = match[1];
+                const param = match[2] !== undefined ? parseInt(match[2], 10) : null;
+                
+                if (destinations.test(word)) {
+                    state.skip = true;
+                    continue;
+                }
+                if (state.skip) continue;
+                
+                switch (word) {
+                    case 'par':
+                    case 'sect':
+                    case 'row':
+                        endParagraph();
+                        break;
+                    case 'line':
+                    case 'page':
+                        emit('\n');
+                        break;
+                    case 'tab':
+                    case 'cell':
+                        emit('\t');
+                        break;
+                    case 'pard':
+                        state.level = null;
+                        break;
+                    case 's':
+                        state.level = styleLevels.has(param) ? styleLevels.get(param) : state.level;
+                        break;
+                    case 'outlinelevel':
+                        state.level = param !== null && param < 9 ? param : null;
+                        break;
+                    case 'uc':
+                        state.unicodeSkip = param || 0;
+                        break;
+                    case 'u':
+                        emit(String.fromCharCode(param < 0 ? param + 65536 : param));
+                        skipChars = state.unicodeSkip;
+                        break;
+                    case 'emdash':
+                        emit('—');
+                        break;
+                    case 'endash':
+                        emit('-');
+                        break;
+                    case 'bullet':
+                        emit('•');
+                        break;
+                    case 'lquote':
+                    case 'rquote':
+                        emit('\'');
+                        break;
+                    case 'ldblquote':
+                    case 'rdblquote':
+                        emit('"');
+                        break;
+                    default:
+                        break;
+                }
+                continue;
+            }
+            
+            if (char === '\r' || char === '\n') {
+                i++;
+                continue;
+            }
+            
+            // \u 之后的替代字符需要跳过
+            if (skipChars > 0) {
+                skipChars--;
+                i++;
+                continue;
+            }
+            
+            emit(char);
+            i++;
+        }
+        endParagraph();
+        
+        const hyperlinks = (rtf.match(/HYPERLINK\s+"[^"]+"/g) || [])
+            .map(field => ({ url: field.match(/"([^"]+)"/)[1], text: '' }));
+        
+        return { text, headings, hyperlinks };
+    }
+    
+    // 从样式表中找出标题样式：带 \outlinelevel 的段落样式，或名称为 heading 1 / 标题 1
+    static readRTFStyleLevels(rtf) {
+        const levels = new Map();
+        const start = rtf.indexOf('{\\stylesheet');
+        if (start === -1) return levels;
+        
+        const entryRegex = /\{\\s(\d+)([^{}]*)\}/g;
+        const section = rtf.slice(start, start + 50000);
+        let match;
+        while ((match = entryRegex.exec(section)) !== null) {
+            const outline = match[2].match(/\\outlinelevel(\d)/);
+            const name = match[2].match(/(?:heading|标题)\s*(\d)\s*;\s*$/i);
+            if (outline) {
+                levels.set(parseInt(match[1], 10), parseInt(outline[1], 10));
+            } else if (name) {
+                levels.set(parseInt(match[1], 10), parseInt(name[1], 10) - 1);
+            }
+        }
+        
+        return levels;
+    }
+    
+    // ODT：content.xml 中 text:h 为标题，text:p 为段落，表格按行输出
+    static async parseODT(arrayBuffer) {
+        if (typeof JSZip === 'undefined') {
+            throw new LibraryNotLoadedError('error-lib-not-loaded', { library: 'JSZip' });
+        }
+        
+        // JSZip 的异常没有专门的类型，读取失败即视为文件损坏
+        let zip;
+        try {
+            zip = await JSZip.loadAsync(arrayBuffer);
+        } catch (error) {
+            throw new ExtractionFailedError('error-file-damaged', {}, error);
+        }
+        const contentFile = zip.file('content.xml');
+        if (!contentFile) {
+            throw new ExtractionFailedError('odt-missing-content');
+        }
+        
+        const xml = new DOMParser().parseFromString(await contentFile.async('string'), 'application/xml');
+        const body = xml.getElementsByTagNameNS('urn:oasis:names:tc:opendocument:xmlns:office:1.0', 'text')[0];
+        if (!body) {
+            return { text: '', headings: [], hyperlinks: [] };
+        }
+        
+        const headings = [];
+        const lines = [];
+        const hyperlinks = [];
+        
+        const inlineText = (node) => {
+            let value = '';
+            node.childNodes.forEach(child => {
+                if (child.nodeType === 3) {
+                    value += child.nodeValue;
+                    return;
+                }
+                if (child.nodeType !== 1) return;
+                
+                switch (child.localName) {
+                    case 's':
+                        value += ' '.repeat(parseInt(child.getAttribute('text:c') || '1', 10));
+                        break;
+                    case 'tab':
+                        value += '\t';
+                        break;
+                    case 'line-break':
+                        value += '\n';
+                        break;
+                    case 'note':
+                    case 'annotation':
+                    case 'tracked-changes':
+                        break;
+                    case 'a': {
+                        const href = child.getAttribute('xlink:href') || '';
+                        const label = inlineText(child);
+                        if (href) hyperlinks.push({ url: href, text: label });
+                        value += href ? this.formatLink(label, href) : label;
+                        break;
+                    }
+                    default:
+                        value += inlineText(child);
+                }
+            });
+            return value;
+        };
+        
+        const walk = (node) => {
+            node.childNodes.forEach(child => {
+                if (child.nodeType !== 1) return;
+                
+                switch (child.localName) {
+                    case 'h': {
+                        const text = inlineText(child).trim();
+                        const level = parseInt(child.getAttribute('text:outline-level') || '1', 10);
+                        if (text) headings.push({ text, level: Math.min(level, 3) });
+                        lines.push(text);
+                        break;
+                    }
+                    case 'p':
+                        lines.push(inlineText(child));
+                        break;
+                    case 'table-row': {
+                        const cells = Array.from(child.childNodes)
+                            .filter(cell => cell.localName === 'table-cell')
+                            .map(cell => Array.from(cell.childNodes).map(inlineText).join(' ').trim());
+                        lines.push(cells.join('\t'));
+                        break;
+                    }
+                    case 'tracked-changes':
+                    case 'sequence-decls':
+                        break;
+                    default:
+                        walk(child);
+                }
+            });
+        };
+        walk(body);
+        
+        return { text: lines.join('\n'), headings, hyperlinks };
+    }
+    
+    // HTML：按块级元素换行，h1-h6 为标题；另存为网页的简历常用GBK编码
+    static parseHTML(arrayBuffer) {
+        const head = new TextDecoder('latin1').decode(new Uint8Array(arrayBuffer, 0, Math.min(arrayBuffer.byteLength, 4096)));
+        const charset = head.match(/<meta[^>]+charset=["']?\s*([\w-]+)/i);
+        return this.parseHTMLContent(this.decodeText(arrayBuffer, charset ? charset[1].toLowerCase() : null));
+    }
+    
+    // 解析HTML字符串，也用于 mammoth 转换后的 docx 内容
+    static parseHTMLContent(html) {
+        const doc = new DOMParser().parseFromString(html, 'text/html');
+        doc.querySelectorAll('script, style, noscript, template, svg, head').forEach(node => node.remove());
+        
+        const blockTags = /^(address|article|aside|blockquote|dd|div|dl|dt|fieldset|figcaption|figure|footer|form|header|hr|li|main|nav|ol|p|pre|section|table|tbody|thead|tfoot|ul)$/;
+        const rawHeadings = [];
+        const lines = [];
+        const hyperlinks = [];
+        let current = '';
+        
+        const breakLine = () => {
+            lines.push(current);
+            current = '';
+        };
+        
+        const walk = (node) => {
+            node.childNodes.forEach(child => {
+                if (child.nodeType === 3) {
+                    current += child.nodeValue.replace(/\s+/g, ' ');
+                    return;
+                }
+                if (child.nodeType !== 1) return;
+                
+                const tag = child.tagName.toLowerCase();
+                const heading = tag.match(/^h([1-6])$/);
+                
+                if (heading) {
+                    breakLine();
+                    const text = child.textContent.replace(/\s+/g, ' ').trim();
+                    if (text) rawHeadings.push({ text, level: parseInt(heading[1], 10) });
+                    current = text;
+                    breakLine();
+                } else if (tag === 'br') {
+                    breakLine();
+                } else if (tag === 'tr') {
+                    // 各单元格的第一行拼成一行（“时间 | 单位 职位”），单元格里其余的段落依次另起一行
+                    breakLine();
+                    const cells = Array.from(child.children).map(cell => this.cellLines(cell));
+                    current = cells.map(cellLines => cellLines[0] || '').join('\t');
+                    breakLine();
+                    cells.forEach(cellLines => cellLines.slice(1).forEach(line => {
+                        current = line;
+                        breakLine();
+                    }));
+                } else if (tag === 'a') {
+                    const href = child.getAttribute('href') || '';
+                    const label = child.textContent.replace(/\s+/g, ' ');
+                    if (/^(https?:|mailto:)/i.test(href)) {
+                        hyperlinks.push({ url: href, text: label.trim() });
+                        current += this.formatLink(label, href);
+                    } else {
+                        current += label;
+                    }
+                } else if (blockTags.test(tag)) {
+                    breakLine();
+                    if (tag === 'li') current = '- ';
+                    walk(child);
+                    breakLine();
+                } else {
+                    walk(child);
+                }
+            });
+        };
+        walk(doc.body || doc.documentElement);
+        breakLine();
+        
+        return {
+            text: lines.map(line => line.trim()).join('\n'),
+            headings: this.renumberHeadings(rawHeadings),
+            hyperlinks,
+            fields: this.extractTableFields(doc)
+        };
+    }
+    
+    // 许多页面只用 h2/h3 作为章节，按出现的最高级别重新编号，最多三级
+    static renumberHeadings(rawHeadings) {
+        const topLevel = Math.min(...rawHeadings.map(heading => heading.level), 6);
+        return rawHeadings.map(heading => ({
+            text: heading.text,
+            level: Math.min(heading.level - topLevel + 1, 3)
+        }));
+    }
+    
+    // 单元格内的段落和换行各占一行；mammoth 把 docx 单元格里的每个段落转成一个 <p>
+    static cellLines(cell) {
+        const lines = [];
+        let current = '';
+        const walk = (node) => {
+            node.childNodes.forEach(child => {
+                if (child.nodeType === 3) {
+                    current += child.nodeValue;
+                    return;
+                }
+                if (child.nodeType !== 1) return;
+                
+                const tag = child.tagName.toLowerCase();
+                if (tag === 'br') {
+                    lines.push(current);
+                    current = '';
+                } else if (/^(p|div|li|h[1-6])$/.test(tag)) {
+                    lines.push(current);
+                    current = '';
+                    walk(child);
+                    lines.push(current);
+                    current = '';
+                } else {
+                    walk(child);
+                }
+            });
+        };
+        walk(cell);
+        lines.push(current);
+        return lines.map(line => line.replace(/\s+/g, ' ').trim()).filter(Boolean);
+    }
+    
+    // 表格型简历模板的标签名，按个人信息字段归类
+    static get fieldLabels() {
+        return {
+            name: /^(姓名|name)$/i,
+            gender: /^(性别|gender)$/i,
+            birthday: /^(出生年月|出生日期|出生|生日|年龄|birthday|dateofbirth|age)$/i,
+            political: /^政治面貌$/,
+            phone: /^(电话|手机|手机号码?|联系电话|联系方式|mobile|phone|tel)$/i,
+            email: /^(邮箱|电子邮箱|电子邮件|e-?mail)$/i,
+            address: /^(地址|现居地|现住址|通讯地址|家庭住址|所在地|居住地|address|location)$/i,
+            intention: /^(求职意向|意向岗位|应聘岗位|应聘职位|期望职位|目标岗位|objective)$/i,
+            school: /^(毕业院校|学校|院校|school|university)$/i,
+            major: /^(专业|major)$/i,
+            degree: /^(学历|学位|degree)$/i,
+            website: /^(个人主页|个人网站|博客|github|website|homepage)$/i,
+            social: /^(微信|qq|linkedin|领英)$/i
+        };
+    }
+    
+    // 标签去除空格和冒号后匹配，无法识别时返回 null
+    static classifyFieldLabel(label) {
+        const normalized = label.replace(/[\s\u3000]+/g, '').replace(/[：:]$/, '');
+        const entry = Object.entries(this.fieldLabels).find(([key, pattern]) => pattern.test(normalized));
+        return entry ? entry[0] : null;
+    }
+    
+    // 将表格行中的“标签 | 值”单元格或“标签：值”单元格整理为字段列表 [{ key, label, value }]
+    static extractTableFields(doc) {
+        const fields = [];
+        
+        doc.querySelectorAll('tr').forEach(row => {
+            // 嵌套表格由内层的行处理
+            if (row.querySelector('table')) return;
+            
+            const cells = Array.from(row.children).map(cell => this.cellLines(cell).join('\n'));
+            for (let i = 0; i < cells.length; i++) {
+                const inline = cells[i].match(/^([^：:\n]{1,8})[：:]\s*([\s\S]+)$/);
+                if (inline && this.classifyFieldLabel(inline[1])) {
+                    fields.push({ key: this.classifyFieldLabel(inline[1]), label: inline[1].trim(), value: inline[2].trim() });
+                    continue;
+                }
+                
+                const key = this.classifyFieldLabel(cells[i]);
+                const value = cells[i + 1];
+                if (key && value && !this.classifyFieldLabel(value)) {
+                    fields.push({ key, label: cells[i].replace(/[：:]$/, ''), value });
+                    i++;
+                }
+            }
+        });
+        
+        return fields;
+    }
+}
+
+// 导出
+window.TextFormatParser = TextFormatParser;
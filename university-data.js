@@ -0,0 +1,345 @@
+// 高校数据 - 985、211 及“双一流”建设高校的正式名称、简称、英文名称和分档
+// 名单依据：教育部 985/211 工程高校名单、2022 年第二轮“双一流”建设高校名单
+class UniversityData {
+    static get version() {
+        return '2022.02';
+    }
+    
+    // 分档从高到低：topTier、tier1A、tier1B、tier2A、tier2B、tier3
+    // 未单独指定 tier 的学校按标签归档：985 → tier2A，211 → tier2B，双一流 → tier3
+    // 简称只收录没有歧义的写法（“交大”“中大”“东南”“山大”“海大”等不收录），且只做整词精确匹配
+    static get universities() {
+        return [
+            { name: '清华大学', en: 'Tsinghua University', aliases: ['清华', 'THU'], tags: ['985', '211', '双一流'], tier: 'topTier' },
+            { name: '北京大学', en: 'Peking University', aliases: ['北大', 'PKU'], tags: ['985', '211', '双一流'], tier: 'topTier' },
+            
+            { name: '复旦大学', en: 'Fudan University', aliases: ['复旦', 'FDU'], tags: ['985', '211', '双一流'], tier: 'tier1A' },
+            { name: '上海交通大学', en: 'Shanghai Jiao Tong University', aliases: ['上海交大', '上交', 'SJTU'], tags: ['985', '211', '双一流'], tier: 'tier1A' },
+            { name: '浙江大学', en: 'Zhejiang University', aliases: ['浙大', 'ZJU'], tags: ['985', '211', '双一流'], tier: 'tier1A' },
+            { name: '中国科学技术大学', en: 'University of Science and Technology of China', aliases: ['中科大', 'USTC'], tags: ['985', '211', '双一流'], tier: 'tier1A' },
+            { name: '南京大学', en: 'Nanjing University', aliases: ['NJU'], tags: ['985', '211', '双一流'], tier: 'tier1A' },
+            { name: '中国人民大学', en: 'Renmin University of China', aliases: ['人大', 'RUC'], tags: ['985', '211', '双一流'], tier: 'tier1A' },
+            { name: '北京航空航天大学', en: 'Beihang University', aliases: ['北航', 'BUAA'], tags: ['985', '211', '双一流'], tier: 'tier1A' },
+            { name: '北京理工大学', en: 'Beijing Institute of Technology', aliases: ['北理工', '北理', 'BIT'], tags: ['985', '211', '双一流'], tier: 'tier1A' },
+            { name: '中国科学院大学', en: 'University of Chinese Academy of Sciences', aliases: ['国科大', 'UCAS'], tags: ['双一流'], tier: 'tier1A' },
+            { name: '南方科技大学', en: 'Southern University of Science and Technology', aliases: ['南科大', 'SUSTech'], tags: ['双一流'], tier: 'tier1A' },
+            
+            { name: '西安交通大学', en: "Xi'an Jiaotong University", aliases: ['西安交大', '西交', 'XJTU'], tags: ['985', '211', '双一流'], tier: 'tier1B' },
+            { name: '哈尔滨工业大学', en: 'Harbin Institute of Technology', aliases: ['哈工大', 'HIT'], tags: ['985', '211', '双一流'], tier: 'tier1B' },
+            { name: '华中科技大学', en: 'Huazhong University of Science and Technology', aliases: ['华科', '华中大', 'HUST'], tags: ['985', '211', '双一流'], tier: 'tier1B' },
+            { name: '同济大学', en: 'Tongji University', aliases: ['同济'], tags: ['985', '211', '双一流'], tier: 'tier1B' },
+            { name: '东南大学', en: 'Southeast University', aliases: ['SEU'], tags: ['985', '211', '双一流'], tier: 'tier1B' },
+            { name: '天津大学', en: 'Tianjin University', aliases: ['天大', 'TJU'], tags: ['985', '211', '双一流'], tier: 'tier1B' },
+            { name: '北京师范大学', en: 'Beijing Normal University', aliases: ['北师大', 'BNU'], tags: ['985', '211', '双一流'], tier: 'tier1B' },
+            { name: '南开大学', en: 'Nankai University', aliases: ['南开', 'NKU'], tags: ['985', '211', '双一流'], tier: 'tier1B' },
+            { name: '中山大学', en: 'Sun Yat-sen University', aliases: ['SYSU'], tags: ['985', '211', '双一流'], tier: 'tier1B' },
+            { name: '西北工业大学', en: 'Northwestern Polytechnical University', aliases: ['西工大', 'NWPU'], tags: ['985', '211', '双一流'], tier: 'tier1B' },
+            { name: '华东师范大学', en: 'East China Normal University', aliases: ['华东师大', '华师大', 'ECNU'], tags: ['985', '211', '双一流'], tier: 'tier1B' },
+            { name: '武汉大学', en: 'Wuhan University', aliases: ['武大', 'WHU'], tags: ['985', '211', '双一流'], tier: 'tier1B' },
+            
+            { name: '中南大学', en: 'Central South University', aliases: [], tags: ['985', '211', '双一流'] },
+            { name: '电子科技大学', en: 'University of Electronic Science and Technology of China', aliases: ['电子科大', '成电', 'UESTC'], tags: ['985', '211', '双一流'] },
+            { name: '重庆大学', en: 'Chongqing University', aliases: ['CQU'], tags: ['985', '211', '双一流'] },
+            { name: '大连理工大学', en: 'Dalian University of Technology', aliases: ['大连理工', 'DUT'], tags: ['985', '211', '双一流'] },
+            { name: '吉林大学', en: 'Jilin University', aliases: ['吉大', 'JLU'], tags: ['985', '211', '双一流'] },
+            { name: '厦门大学', en: 'Xiamen University', aliases: ['厦大', 'XMU'], tags: ['985', '211', '双一流'] },
+            { name: '山东大学', en: 'Shandong University', aliases: ['SDU'], tags: ['985', '211', '双一流'] },
+            { name: '华南理工大学', en: 'South China University of Technology', aliases: ['华南理工', 'SCUT'], tags: ['985', '211', '双一流'] },
+            { name: '湖南大学', en: 'Hunan University', aliases: ['HNU'], tags: ['985', '211', '双一流'] },
+            { name: '东北大学', en: 'Northeastern University (China)', aliases: [], tags: ['985', '211', '双一流'] },
+            { name: '兰州大学', en: 'Lanzhou University', aliases: ['兰大', 'LZU'], tags: ['985', '211', '双一流'] },
+            { name: '中国农业大学', en: 'China Agricultural University', aliases: ['中国农大'], tags: ['985', '211', '双一流'] },
+            { name: '中国海洋大学', en: 'Ocean University of China', aliases: ['中国海大', 'OUC'], tags: ['985', '211', '双一流'] },
+            { name: '西北农林科技大学', en: 'Northwest A&F University', aliases: ['西农', 'NWAFU'], tags: ['985', '211', '双一流'] },
+            { name: '四川大学', en: 'Sichuan University', aliases: ['川大'], tags: ['985', '211', '双一流'] },
+            { name: '国防科技大学', en: 'National University of Defense Technology', aliases: ['国防科大', 'NUDT'], tags: ['985', '211', '双一流'] },
+            { name: '中央民族大学', en: 'Minzu University of China', aliases: [], tags: ['985', '211', '双一流'] },
+            
+            { name: '北京邮电大学', en: 'Beijing University of Posts and Telecommunications', aliases: ['北邮', 'BUPT'], tags: ['211', '双一流'], tier: 'tier2A' },
+            { name: '华东理工大学', en: 'East China University of Science and Technology', aliases: ['华理', 'ECUST'], tags: ['211', '双一流'], tier: 'tier2A' },
+            { name: '西安电子科技大学', en: 'Xidian University', aliases: ['西电', 'XDU'], tags: ['211', '双一流'], tier: 'tier2A' },
+            { name: '北京科技大学', en: 'University of Science and Technology Beijing', aliases: ['北科大', 'USTB'], tags: ['211', '双一流'], tier: 'tier2A' },
+            { name: '上海财经大学', en: 'Shanghai University of Finance and Economics', aliases: ['上财', 'SUFE'], tags: ['211', '双一流'], tier: 'tier2A' },
+            { name: '对外经济贸易大学', en: 'University of International Business and Economics', aliases: ['贸大', 'UIBE'], tags: ['211', '双一流'], tier: 'tier2A' },
+            { name: '中央财经大学', en: 'Central University of Finance and Economics', aliases: ['央财', 'CUFE'], tags: ['211', '双一流'], tier: 'tier2A' },
+            
+            { name: '北京交通大学', en: 'Beijing Jiaotong University', aliases: ['北交', 'BJTU'], tags: ['211', '双一流'] },
+            { name: '北京工业大学', en: 'Beijing University of Technology', aliases: ['北工大', 'BJUT'], tags: ['211', '双一流'] },
+            { name: '北京化工大学', en: 'Beijing University of Chemical Technology', aliases: ['北化', 'BUCT'], tags: ['211', '双一流'] },
+            { name: '北京林业大学', en: 'Beijing Forestry University', aliases: ['北林'], tags: ['211', '双一流'] },
+            { name: '北京中医药大学', en: 'Beijing University of Chinese Medicine', aliases: [], tags: ['211', '双一流'] },
+            { name: '北京外国语大学', en: 'Beijing Foreign Studies University', aliases: ['北外', 'BFSU'], tags: ['211', '双一流'] },
+            { name: '中国传媒大学', en: 'Communication University of China', aliases: ['中传', 'CUC'], tags: ['211', '双一流'] },
+            { name: '北京体育大学', en: 'Beijing Sport University', aliases: ['北体'], tags: ['211', '双一流'] },
+            { name: '中央音乐学院', en: 'Central Conservatory of Music', aliases: ['央音'], tags: ['211', '双一流'] },
+            { name: '中国政法大学', en: 'China University of Political Science and Law', aliases: ['CUPL'], tags: ['211', '双一流'] },
+            { name: '华北电力大学', en: 'North China Electric Power University', aliases: ['华电', 'NCEPU'], tags: ['211', '双一流'] },
+            { name: '中国石油大学（北京）', en: 'China University of Petroleum, Beijing', aliases: ['中国石油大学'], tags: ['211', '双一流'] },
+            { name: '中国石油大学（华东）', en: 'China University of Petroleum (East China)', aliases: [], tags: ['211', '双一流'] },
+            { name: '中国地质大学（北京）', en: 'China University of Geosciences, Beijing', aliases: [], tags: ['211', '双一流'] },
+            { name: '中国地质大学（武汉）', en: 'China University of Geosciences, Wuhan', aliases: ['中国地质大学'], tags: ['211', '双一流'] },
+            { name: '中国矿业大学', en: 'China University of Mining and Technology', aliases: [], tags: ['211', '双一流'] },
+            { name: '中国矿业大学（北京）', en: 'China University of Mining and Technology, Beijing', aliases: [], tags: ['211', '双一流'] },
+            { name: '天津医科大学', en: 'Tianjin Medical University', aliases: [], tags: ['211', '双一流'] },
+            { name: '河北工业大学', en: 'Hebei University of Technology', aliases: [], tags: ['211', '双一流'] },
+            { name: '太原理工大学', en: 'Taiyuan University of Technology', aliases: [], tags: ['211', '双一流'] },
+            { name: '内蒙古大学', en: 'Inner Mongolia University', aliases: [], tags: ['211', '双一流'] },
+            { name: '辽宁大学', en: 'Liaoning University', aliases: [], tags: ['211', '双一流'] },
+            { name: '大连海事大学', en: 'Dalian Maritime University', aliases: [], tags: ['211', '双一流'] },
+            { name: '延边大学', en: 'Yanbian University', aliases: [], tags: ['211', '双一流'] },
+            { name: '东北师范大学', en: 'Northeast Normal University', aliases: ['东北师大'], tags: ['211', '双一流'] },
+            { name: '哈尔滨工程大学', en: 'Harbin Engineering University', aliases: ['哈工程', 'HEU'], tags: ['211', '双一流'] },
+            { name: '东北农业大学', en: 'Northeast Agricultural University', aliases: [], tags: ['211', '双一流'] },
+            { name: '东北林业大学', en: 'Northeast Forestry University', aliases: [], tags: ['211', '双一流'] },
+            { name: '东华大学', en: 'Donghua University', aliases: [], tags: ['211', '双一流'] },
+            { name: '上海外国语大学', en: 'Shanghai International Studies University', aliases: ['上外', 'SISU'], tags: ['211', '双一流'] },
+            { name: '上海大学', en: 'Shanghai University', aliases: [], tags: ['211', '双一流'] },
+            { name: '海军军医大学', en: 'Naval Medical University', aliases: ['第二军医大学'], tags: ['211', '双一流'] },
+            { name: '苏州大学', en: 'Soochow University', aliases: ['苏大'], tags: ['211', '双一流'] },
+            { name: '南京航空航天大学', en: 'Nanjing University of Aeronautics and Astronautics', aliases: ['NUAA'], tags: ['211', '双一流'] },
+            { name: '南京理工大学', en: 'Nanjing University of Science and Technology', aliases: ['南理工', 'NJUST'], tags: ['211', '双一流'] },
+            { name: '河海大学', en: 'Hohai University', aliases: [], tags: ['211', '双一流'] },
+            { name: '江南大学', en: 'Jiangnan University', aliases: [], tags: ['211', '双一流'] },
+            { name: '南京农业大学', en: 'Nanjing Agricultural University', aliases: ['南农'], tags: ['211', '双一流'] },
+            { name: '中国药科大学', en: 'China Pharmaceutical University', aliases: [], tags: ['211', '双一流'] },
+            { name: '南京师范大学', en: 'Nanjing Normal University', aliases: ['南师大'], tags: ['211', '双一流'] },
+            { name: '安徽大学', en: 'Anhui University', aliases: [], tags: ['211', '双一流'] },
+            { name: '合肥工业大学', en: 'Hefei University of Technology', aliases: ['合工大'], tags: ['211', '双一流'] },
+            { name: '福州大学', en: 'Fuzhou University', aliases: [], tags: ['211', '双一流'] },
+            { name: '南昌大学', en: 'Nanchang University', aliases: [], tags: ['211', '双一流'] },
+            { name: '郑州大学', en: 'Zhengzhou University', aliases: [], tags: ['211', '双一流'] },
+            { name: '武汉理工大学', en: 'Wuhan University of Technology', aliases: ['武理工', 'WUT'], tags: ['211', '双一流'] },
+            { name: '华中农业大学', en: 'Huazhong Agricultural University', aliases: [], tags: ['211', '双一流'] },
+            { name: '华中师范大学', en: 'Central China Normal University', aliases: ['华中师大'], tags: ['211', '双一流'] },
+            { name: '中南财经政法大学', en: 'Zhongnan University of Economics and Law', aliases: [], tags: ['211', '双一流'] },
+            { name: '湖南师范大学', en: 'Hunan Normal University', aliases: [], tags: ['211', '双一流'] },
+            { name: '暨南大学', en: 'Jinan University', aliases: ['暨大'], tags: ['211', '双一流'] },
+            { name: '华南师范大学', en: 'South China Normal University', aliases: ['华南师大'], tags: ['211', '双一流'] },
+            { name: '广西大学', en: 'Guangxi University', aliases: [], tags: ['211', '双一流'] },
+            { name: '海南大学', en: 'Hainan University', aliases: [], tags: ['211', '双一流'] },
+            { name: '西南大学', en: 'Southwest University', aliases: [], tags: ['211', '双一流'] },
+            { name: '西南交通大学', en: 'Southwest Jiaotong University', aliases: ['西南交大', 'SWJTU'], tags: ['211', '双一流'] },
+            { name: '四川农业大学', en: 'Sichuan Agricultural University', aliases: [], tags: ['211', '双一流'] },
+            { name: '西南财经大学', en: 'Southwestern University of Finance and Economics', aliases: ['西财', 'SWUFE'], tags: ['211', '双一流'] },
+            { name: '贵州大学', en: 'Guizhou University', aliases: [], tags: ['211', '双一流'] },
+            { name: '云南大学', en: 'Yunnan University', aliases: [], tags: ['211', '双一流'] },
+            { name: '西藏大学', en: 'Tibet University', aliases: [], tags: ['211', '双一流'] },
+            { name: '西北大学', en: 'Northwest University', aliases: [], tags: ['211', '双一流'] },
+            { name: '长安大学', en: "Chang'an University", aliases: [], tags: ['211', '双一流'] },
+            { name: '陕西师范大学', en: 'Shaanxi Normal University', aliases: ['陕师大'], tags: ['211', '双一流'] },
+            { name: '空军军医大学', en: 'Air Force Medical University', aliases: ['第四军医大学'], tags: ['211', '双一流'] },
+            { name: '青海大学', en: 'Qinghai University', aliases: [], tags: ['211', '双一流'] },
+            { name: '宁夏大学', en: 'Ningxia University', aliases: [], tags: ['211', '双一流'] },
+            { name: '新疆大学', en: 'Xinjiang University', aliases: [], tags: ['211', '双一流'] },
+            { name: '石河子大学', en: 'Shihezi University', aliases: [], tags: ['211', '双一流'] },
+            
+            { name: '首都师范大学', en: 'Capital Normal University', aliases: ['首师大'], tags: ['双一流'] },
+            { name: '外交学院', en: 'China Foreign Affairs University', aliases: [], tags: ['双一流'] },
+            { name: '中国人民公安大学', en: "People's Public Security University of China", aliases: [], tags: ['双一流'] },
+            { name: '北京协和医学院', en: 'Peking Union Medical College', aliases: ['协和医学院', 'PUMC'], tags: ['双一流'] },
+            { name: '中国音乐学院', en: 'China Conservatory of Music', aliases: [], tags: ['双一流'] },
+            { name: '中央美术学院', en: 'Central Academy of Fine Arts', aliases: ['央美', 'CAFA'], tags: ['双一流'] },
+            { name: '中央戏剧学院', en: 'Central Academy of Drama', aliases: ['中戏'], tags: ['双一流'] },
+            { name: '天津工业大学', en: 'Tiangong University', aliases: [], tags: ['双一流'] },
+            { name: '天津中医药大学', en: 'Tianjin University of Traditional Chinese Medicine', aliases: [], tags: ['双一流'] },
+            { name: '山西大学', en: 'Shanxi University', aliases: [], tags: ['双一流'] },
+            { name: '上海海洋大学', en: 'Shanghai Ocean University', aliases: [], tags: ['双一流'] },
+            { name: '上海中医药大学', en: 'Shanghai University of Traditional Chinese Medicine', aliases: [], tags: ['双一流'] },
+            { name: '上海体育大学', en: 'Shanghai University of Sport', aliases: ['上海体育学院'], tags: ['双一流'] },
+            { name: '上海音乐学院', en: 'Shanghai Conservatory of Music', aliases: [], tags: ['双一流'] },
+            { name: '上海科技大学', en: 'ShanghaiTech University', aliases: ['上科大'], tags: ['双一流'] },
+            { name: '南京邮电大学', en: 'Nanjing University of Posts and Telecommunications', aliases: ['南邮', 'NJUPT'], tags: ['双一流'] },
+            { name: '南京林业大学', en: 'Nanjing Forestry University', aliases: [], tags: ['双一流'] },
+            { name: '南京信息工程大学', en: 'Nanjing University of Information Science and Technology', aliases: ['南信大', 'NUIST'], tags: ['双一流'] },
+            { name: '南京中医药大学', en: 'Nanjing University of Chinese Medicine', aliases: [], tags: ['双一流'] },
+            { name: '中国美术学院', en: 'China Academy of Art', aliases: ['国美'], tags: ['双一流'] },
+            { name: '宁波大学', en: 'Ningbo University', aliases: [], tags: ['双一流'] },
+            { name: '河南大学', en: 'Henan University', aliases: [], tags: ['双一流'] },
+            { name: '湘潭大学', en: 'Xiangtan University', aliases: [], tags: ['双一流'] },
+            { name: '华南农业大学', en: 'South China Agricultural University', aliases: ['华南农大'], tags: ['双一流'] },
+            { name: '广州医科大学', en: 'Guangzhou Medical University', aliases: [], tags: ['双一流'] },
+            { name: '广州中医药大学', en: 'Guangzhou University of Chinese Medicine', aliases: [], tags: ['双一流'] },
+            { name: '成都理工大学', en: 'Chengdu University of Technology', aliases: [], tags: ['双一流'] },
+            { name: '西南石油大学', en: 'Southwest Petroleum University', aliases: [], tags: ['双一流'] },
+            { name: '成都中医药大学', en: 'Chengdu University of Traditional Chinese Medicine', aliases: [], tags: ['双一流'] },
+            
+            // 不在上述名单中、但保留原有加分的高校
+            { name: '西湖大学', en: 'Westlake University', aliases: [], tags: [], tier: 'tier3' },
+            { name: '深圳大学', en: 'Shenzhen University', aliases: ['深大'], tags: [], tier: 'tier3' },
+            { name: '杭州电子科技大学', en: 'Hangzhou Dianzi University', aliases: ['杭电'], tags: [], tier: 'tier3' },
+            { name: '江苏科技大学', en: 'Jiangsu University of Science and Technology', aliases: [], tags: [], tier: 'tier3' }
+        ];
+    }
+    
+    // 依托公办高校举办的独立学院（含已转设的）是另一所学校，不能按母体高校计分
+    // 名单以外的写法由“独立学院”“分校”等后缀识别，见 isBranchSuffix
+    static get independentColleges() {
+        return [
+            '北京师范大学珠海分校', '北京交通大学海滨学院', '北京科技大学天津学院', '北京航空航天大学北海学院', '北京理工大学珠海学院',
+            '北京邮电大学世纪学院', '北京工业大学耿丹学院', '首都师范大学科德学院', '中国传媒大学南广学院', '华北电力大学科技学院',
+            '南开大学滨海学院', '天津大学仁爱学院', '天津师范大学津沽学院', '天津财经大学珠江学院', '河北工业大学城市学院', '燕山大学里仁学院',
+            '南京大学金陵学院', '东南大学成贤学院', '南京理工大学紫金学院', '南京理工大学泰州科技学院', '南京航空航天大学金城学院',
+            '南京邮电大学通达学院', '南京信息工程大学滨江学院', '南京师范大学泰州学院', '南京师范大学中北学院', '南京医科大学康达学院',
+            '南京中医药大学翰林学院', '南京工业大学浦江学院', '南京审计大学金审学院', '河海大学文天学院', '中国矿业大学徐海学院',
+            '苏州大学文正学院', '苏州大学应用技术学院', '扬州大学广陵学院', '江苏大学京江学院', '江南大学太湖学院',
+            '同济大学浙江学院', '上海师范大学天华学院', '浙江大学城市学院', '浙江大学宁波理工学院', '浙江工业大学之江学院',
+            '浙江师范大学行知学院', '宁波大学科学技术学院', '温州大学瓯江学院', '浙江工商大学杭州商学院', '中国计量大学现代科技学院',
+            '厦门大学嘉庚学院', '福州大学至诚学院', '安徽大学江淮学院', '南昌大学科学技术学院', '南昌大学共青学院',
+            '武汉大学珞珈学院', '华中科技大学文华学院', '华中科技大学武昌分校', '武汉理工大学华夏学院', '中国地质大学江城学院',
+            '中南财经政法大学武汉学院', '华中师范大学武汉传媒学院', '湖南师范大学树达学院', '中山大学南方学院', '中山大学新华学院',
+            '华南理工大学广州学院', '华南师范大学增城学院', '华南农业大学珠江学院', '广东工业大学华立学院', '吉林大学珠海学院',
+            '电子科技大学成都学院', '电子科技大学中山学院', '四川大学锦城学院', '四川大学锦江学院', '西南交通大学希望学院',
+            '西南财经大学天府学院', '重庆大学城市科技学院', '西北工业大学明德学院', '西安交通大学城市学院', '西北大学现代学院',
+            '大连理工大学城市学院', '郑州大学西亚斯国际学院', '河南大学民生学院', '云南大学滇池学院', '贵州大学明德学院',
+            '广西大学行健学院'
+        ];
+    }
+    
+    static tierOf(university) {
+        if (university.tier) return university.tier;
+        if (university.tags.includes('985')) return 'tier2A';
+        if (university.tags.includes('211')) return 'tier2B';
+        return 'tier3';
+    }
+    
+    // 统一全角括号、去掉空白，英文转小写
+    static normalize(name) {
+        return (name || '')
+            .replace(/（/g, '(')
+            .replace(/）/g, ')')
+            .replace(/\s+/g, ' ')
+            .trim()
+            .toLowerCase()
+            .replace(/ ?\( ?/g, '(')
+            .replace(/ ?\) ?/g, ')')
+            .replace(/(?<=[^\x00-\x7f]) (?=[^\x00-\x7f])/g, '');
+    }
+    
+    // 英文缩写（THU、HIT、BIT）区分大小写，避免与普通英文单词混淆
+    static key(name) {
+        return /^[A-Za-z&]{2,8}$/.test(name) && name !== name.toLowerCase() ? name : this.normalize(name);
+    }
+    
+    // 内地高校与境外高校（见 international-university-data.js）合并后的名单
+    // 境外高校按排名区间归档，并记录排名来源和年份，供教育详情展示
+    static get records() {
+        if (!this._records) {
+            const source = InternationalUniversityData.source;
+            this._records = [
+                ...this.universities.map(university => ({
+                    ...university, tier: this.tierOf(university), region: 'CN', ranking: null
+                })),
+                ...InternationalUniversityData.universities.map(university => ({
+                    name: university.name,
+                    en: university.en,
+                    aliases: university.aliases,
+                    tags: [],
+                    tier: InternationalUniversityData.tierOf(university.band),
+                    region: university.region,
+                    ranking: { source: source.short, year: source.year, band: university.band }
+                }))
+            ];
+        }
+        return this._records;
+    }
+    
+    // 名称索引：正式名称、简称、英文名称 → 学校；名单只构建一次
+    static get index() {
+        if (!this._index) {
+            this._index = new Map();
+            this.records.forEach(record => {
+                [record.name, record.en, ...record.aliases].forEach(name => {
+                    const key = this.key(name);
+                    if (!this._index.has(key)) this._index.set(key, record);
+                });
+            });
+        }
+        return this._index;
+    }
+    
+    // 学校名称后面的内容是否表示另一所学校：独立学院（南京大学金陵学院）、分校，
+    // 以及英文名称后紧跟的分校后缀（Texas A&M University-Commerce、University of Illinois at Springfield）
+    // 院系、校区的写法（清华大学计算机系、哈尔滨工业大学(深圳)）不受影响
+    static isBranchSuffix(official, rest) {
+        if (/^[-–—][a-z]/.test(rest) || /^ at [a-z]/.test(rest)) return true;
+        if (/^\(?[\u4e00-\u9fa5]{0,8}?(?:独立学院|分校)/.test(rest)) return true;
+        
+        const full = official + rest;
+        return this.independentCollegeKeys.some(key => full.startsWith(key));
+    }
+    
+    static get independentCollegeKeys() {
+        if (!this._independentCollegeKeys) {
+            this._independentCollegeKeys = this.independentColleges.map(name => this.normalize(name));
+        }
+        return this._independentCollegeKeys;
+    }
+    
+    static lookup(name) {
+        const trimmed = (name || '').trim();
+        return this.index.get(trimmed) || this.index.get(this.normalize(trimmed)) || null;
+    }
+    
+    // 按学校名称查找：先精确匹配名称和简称，再匹配以正式名称开头的写法（如“清华大学计算机系”）
+    // 不做子串匹配，“中大型企业”“东南亚”不会误判为学校；独立学院和分校不算作母体高校
+    static find(name) {
+        const key = this.normalize(name);
+        if (!key) return null;
+        
+        const exact = this.lookup(name);
+        if (exact) return exact;
+        
+        let best = null;
+        this.records.forEach(record => {
+            [record.name, record.en].forEach(name => {
+                const official = this.normalize(name);
+                if (key.startsWith(official) && !this.isBranchSuffix(official, key.slice(official.length))
+                    && (!best || official.length > best.key.length)) {
+                    best = { key: official, record };
+                }
+            });
+        });
+        return best ? best.record : null;
+    }
+    
+    // 在一段文本中找学校：正式名称、英文名称和多词、带连字符的英文简称（UC Berkeley、UW-Madison）可以出现在任意位置，其余简称必须是独立的词
+    // 取最长的匹配，“香港中文大学”不会被当成“香港大学”，“国立清华大学”不会被当成“清华大学”；独立学院和分校跳过
+    static search(text) {
+        const normalized = this.normalize(text);
+        if (!normalized) return null;
+        
+        let best = null;
+        this.records.forEach(record => {
+            [record.name, record.en, ...record.aliases.filter(alias => /[ -]/.test(alias))].forEach(name => {
+                const key = this.normalize(name);
+                if (this.containsSchool(normalized, key) && (!best || key.length > best.key.length)) {
+                    best = { key, record };
+                }
+            });
+        });
+        if (best) return best.record;
+        
+        const tokens = (text || '').split(/[\s,，、。;；:：|/()（）·•\-–—]+/).filter(Boolean);
+        for (let i = 0; i < tokens.length; i++) {
+            const university = this.lookup(tokens[i]);
+            if (!university) continue;
+            
+            const rest = this.normalize(tokens.slice(i + 1).join(' '));
+            if (!this.isBranchSuffix(this.normalize(university.name), rest)) return university;
+        }
+        return null;
+    }
+    
+    // 文本中是否有一处该名称不是独立学院或分校的一部分
+    static containsSchool(normalized, key) {
+        let index = normalized.indexOf(key);
+        while (index !== -1) {
+            if (!this.isBranchSuffix(key, normalized.slice(index + key.length))) return true;
+            index = normalized.indexOf(key, index + 1);
+        }
+        return false;
+    }
+}
+
+// 导出
+window.UniversityData = UniversityData;
@@ -0,0 +1,341 @@
+// Word 97-2003 (.doc) 解析器 - 读取OLE复合文档中的WordDocument流，按片段表(piece table)还原正文
+class WordBinaryParser {
+    // 根据文件头判断Word文件的真实格式（扩展名经常与内容不符）
+    static sniffFormat(arrayBuffer) {
+        const bytes = new Uint8Array(arrayBuffer, 0, Math.min(arrayBuffer.byteLength, 512));
+        const cfbSignature = [0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1];
+        
+        if (cfbSignature.every((value, index) => bytes[index] === value)) {
+            return 'doc';
+        }
+        
+        if (bytes[0] === 0x50 && bytes[1] === 0x4B && bytes[2] === 0x03 && bytes[3] === 0x04) {
+            return 'docx';
+        }
+        
+        const head = String.fromCharCode(...bytes).replace(/^(\uFEFF|\u00EF\u00BB\u00BF)/, '').trimStart();
+        if (head.startsWith('{\\rtf')) {
+            return 'rtf';
+        }
+        
+        if (/^<(\?xml|!doctype|html|head|body|meta)/i.test(head)) {
+            return 'html';
+        }
+        
+        return 'unknown';
+    }
+    
+    static extractText(arrayBuffer) {
+        return this.extractContent(arrayBuffer).text;
+    }
+    
+    // 提取正文文本和 HYPERLINK 域中的链接
+    static extractContent(arrayBuffer) {
+        const compound = this.readCompoundFile(arrayBuffer);
+        
+        // 加密的 .docx 同样使用复合文档容器
+        if (compound.hasStream('EncryptedPackage')) {
+            throw new EncryptedFileError('doc-protected');
+        }
+        
+        if (!compound.hasStream('WordDocument')) {
+            throw new UnsupportedFormatError('doc-not-word');
+        }
+        
+        const wordDocument = compound.readStream('WordDocument');
+        const fib = this.readFib(wordDocument);
+        
+        if (fib.encrypted) {
+            throw new EncryptedFileError('doc-protected');
+        }
+        
+        if (fib.nFib < 0x00C1) {
+            throw new UnsupportedFormatError('doc-legacy-version');
+        }
+        
+        const tableName = fib.whichTable ? '1Table' : '0Table';
+        if (!compound.hasStream(tableName)) {
+            throw new ExtractionFailedError('doc-parse-failed');
+        }
+        
+        const tableStream = compound.readStream(tableName);
+        const pieces = this.readPieceTable(tableStream, fib);
+        const rawText = this.readPieces(wordDocument, pieces, fib.ccpText);
+        
+        return this.cleanSpecialCharacters(rawText);
+    }
+    
+    // 解析OLE复合文档（CFB）的扇区分配表与目录
+    static readCompoundFile(arrayBuffer) {
+        const view = new DataView(arrayBuffer);
+        if (arrayBuffer.byteLength < 512) {
+            throw new ExtractionFailedError('doc-parse-failed');
+        }
+        
+        const sectorShift = view.getUint16(0x1E, true);
+        const miniSectorShift = view.getUint16(0x20, true);
+        const sectorSize = 1 << sectorShift;
+        const miniSectorSize = 1 << miniSectorShift;
+        const miniStreamCutoff = view.getUint32(0x38, true);
+        const totalSectors = Math.floor((arrayBuffer.byteLength - sectorSize) / sectorSize) + 1;
+        
+        if (sectorShift !== 9 && sectorShift !== 12) {
+            throw new ExtractionFailedError('doc-parse-failed');
+        }
+        
+        const END_OF_CHAIN = 0xFFFFFFFE;
+        const FREE_SECTOR = 0xFFFFFFFF;
+        const sectorOffset = (sector) => (sector + 1) * sectorSize;
+        
+        // 头部DIFAT最多记录109个FAT扇区，其余通过DIFAT扇区链表记录
+        const fatSectors = [];
+        for (let i = 0; i < 109; i++) {
+            const sector = view.getUint32(0x4C + i * 4, true);
+            if (sector < totalSectors) fatSectors.push(sector);
+        }
+        
+        let difatSector = view.getUint32(0x44, true);
+        const entriesPerSector = sectorSize / 4;
+        let guard = 0;
+        while (difatSector < totalSectors && guard++ < totalSectors) {
+            const base = sectorOffset(difatSector);
+            for (let i = 0; i < entriesPerSector - 1; i++) {
+                const sector = view.getUint32(base + i * 4, true);
+                if (sector < totalSectors) fatSectors.push(sector);
+            }
+            difatSector = view.getUint32(base + (entriesPerSector - 1) * 4, true);
+        }
+        
+        const fat = new Uint32Array(fatSectors.length * entriesPerSector);
+        fatSectors.forEach((sector, index) => {
+            const base = sectorOffset(sector);
+            for (let i = 0; i < entriesPerSector && base + i * 4 + 4 <= arrayBuffer.byteLength; i++) {
+                fat[index * entriesPerSector + i] = view.getUint32(base + i * 4, true);
+            }
+        });
+        
+        const readChain = (startSector, table, unitSize, readUnit) => {
+            const chunks = [];
+            let sector = startSector;
+            let count = 0;
+            while (sector !== END_OF_CHAIN && sector !== FREE_SECTOR) {
+                if (sector >= table.length || count++ > table.length) {
+                    throw new ExtractionFailedError('doc-parse-failed');
+                }
+                chunks.push(readUnit(sector));
+                sector = table[sector];
+            }
+            
+            const data = new Uint8Array(chunks.length * unitSize);
+            chunks.forEach((chunk, index) => data.set(chunk, index * unitSize));
+            return data;
+        };
+        
+        const readSector = (sector) => {
+            const start = sectorOffset(sector);
+            return new Uint8Array(arrayBuffer, start, Math.max(0, Math.min(sectorSize, arrayBuffer.byteLength - start)));
+        };
+        
+        const readRegularChain = (startSector) => readChain(startSector, fat, sectorSize, readSector);
+        
+        // 目录：每个条目128字节，名称为UTF-16LE
+        const directoryData = readRegularChain(view.getUint32(0x30, true));
+        const directoryView = new DataView(directoryData.buffer);
+        const entries = [];
+        for (let offset = 0; offset + 128 <= directoryData.length; offset += 128) {
+            const nameLength = directoryView.getUint16(offset + 0x40, true);
+            const type = directoryData[offset + 0x42];
+            if (type === 0 || nameLength < 2 || nameLength > 64) continue;
+            
+            let name = '';
+            for (let i = 0; i < nameLength / 2 - 1; i++) {
+                name += String.fromCharCode(directoryView.getUint16(offset + i * 2, true));
+            }
+            
+            entries.push({
+                name: name,
+                type: type,
+                startSector: directoryView.getUint32(offset + 0x74, true),
+                size: directoryView.getUint32(offset + 0x78, true)
+            });
+        }
+        
+        const root = entries.find(entry => entry.type === 5);
+        if (!root) {
+            throw new ExtractionFailedError('doc-parse-failed');
+        }
+        
+        // 小于阈值的流存放在迷你流中，由迷你FAT管理
+        let miniFat = null;
+        let miniStream = null;
+        const loadMiniStream = () => {
+            if (miniStream) return;
+            const miniFatData = readRegularChain(view.getUint32(0x3C, true));
+            miniFat = new Uint32Array(miniFatData.buffer, 0, Math.floor(miniFatData.length / 4));
+            miniStream = readRegularChain(root.startSector).subarray(0, root.size);
+        };
+        
+        const streams = entries.filter(entry => entry.type === 2);
+        const findStream = (name) => streams.find(entry => entry.name === name);
+        
+        return {
+            hasStream: (name) => Boolean(findStream(name)),
+            readStream: (name) => {
+                const entry = findStream(name);
+                if (!entry || entry.startSector === FREE_SECTOR) {
+                    return new Uint8Array(0);
+                }
+                
+                if (entry.size < miniStreamCutoff) {
+                    loadMiniStream();
+                    const readMiniSector = (sector) => miniStream.subarray(sector * miniSectorSize, (sector + 1) * miniSectorSize);
+                    return readChain(entry.startSector, miniFat, miniSectorSize, readMiniSector).subarray(0, entry.size);
+                }
+                
+                return readRegularChain(entry.startSector).subarray(0, entry.size);
+            }
+        };
+    }
+    
+    // 读取文件信息块（FIB）中需要的字段
+    static readFib(wordDocument) {
+        if (wordDocument.length < 0x01AA) {
+            throw new ExtractionFailedError('doc-parse-failed');
+        }
+        
+        const view = new DataView(wordDocument.buffer, wordDocument.byteOffset, wordDocument.byteLength);
+        if (view.getUint16(0x00, true) !== 0xA5EC) {
+            throw new UnsupportedFormatError('doc-not-word');
+        }
+        
+        const flags = view.getUint16(0x0A, true);
+        
+        return {
+            nFib: view.getUint16(0x02, true),
+            encrypted: (flags & 0x0100) !== 0,
+            whichTable: (flags & 0x0200) !== 0,
+            ccpText: view.getInt32(0x4C, true),
+            fcClx: view.getUint32(0x01A2, true),
+            lcbClx: view.getUint32(0x01A6, true)
+        };
+    }
+    
+    // 片段表：Clx 由若干 Prc（格式修改）和一个 Pcdt（片段描述）组成
+    static readPieceTable(tableStream, fib) {
+        const view = new DataView(tableStream.buffer, tableStream.byteOffset, tableStream.byteLength);
+        const end = Math.min(fib.fcClx + fib.lcbClx, tableStream.length);
+        let offset = fib.fcClx;
+        
+        while (offset < end && tableStream[offset] === 0x01) {
+            offset += 3 + view.getInt16(offset + 1, true);
+        }
+        
+        if (offset + 5 > end || tableStream[offset] !== 0x02) {
+            throw new ExtractionFailedError('doc-parse-failed');
+        }
+        
+        const lcb = view.getUint32(offset + 1, true);
+        const plcStart = offset + 5;
+        const count = Math.floor((lcb - 4) / 12);
+        if (count <= 0 || plcStart + lcb > tableStream.length) {
+            throw new ExtractionFailedError('doc-parse-failed');
+        }
+        
+        const pieces = [];
+        const descriptorStart = plcStart + (count + 1) * 4;
+        for (let i = 0; i < count; i++) {
+            const fcValue = view.getUint32(descriptorStart + i * 8 + 2, true);
+            const compressed = (fcValue & 0x40000000) !== 0;
+            const fc = fcValue & 0x3FFFFFFF;
+            
+            pieces.push({
+                cpStart: view.getUint32(plcStart + i * 4, true),
+                cpEnd: view.getUint32(plcStart + (i + 1) * 4, true),
+                compressed: compressed,
+                offset: compressed ? fc / 2 : fc
+            });
+        }
+        
+        return pieces;
+    }
+    
+    // 按字符位置顺序拼接片段，只保留正文部分（不含页眉页脚、脚注等）
+    static readPieces(wordDocument, pieces, ccpText) {
+        const ansiDecoder = new TextDecoder('windows-1252');
+        const unicodeDecoder = new TextDecoder('utf-16le');
+        const limit = ccpText > 0 ? ccpText : Infinity;
+        let text = '';
+        
+        pieces.forEach(piece => {
+            if (piece.cpStart >= limit) return;
+            
+            const charCount = Math.min(piece.cpEnd, limit) - piece.cpStart;
+            const byteLength = charCount * (piece.compressed ? 1 : 2);
+            if (charCount <= 0 || piece.offset + byteLength > wordDocument.length) return;
+            
+            const bytes = wordDocument.subarray(piece.offset, piece.offset + byteLength);
+            text += (piece.compressed ? ansiDecoder : unicodeDecoder).decode(bytes);
+        });
+        
+        return text;
+    }
+    
+    // 处理Word特殊字符：段落/换行/表格标记、域代码和嵌入对象占位符
+    static cleanSpecialCharacters(text) {
+        let result = '';
+        const fieldStack = [];
+        const hyperlinks = [];
+        
+        for (const char of text) {
+            const code = char.charCodeAt(0);
+            
+            // 域代码：0x13 开始，0x14 分隔（之前为指令），0x15 结束（之间为显示结果）
+            if (code === 0x13) {
+                fieldStack.push({ state: 'instruction', instruction: '', resultStart: 0 });
+                continue;
+            }
+            if (code === 0x14) {
+                if (fieldStack.length > 0) {
+                    fieldStack[fieldStack.length - 1].state = 'result';
+                    fieldStack[fieldStack.length - 1].resultStart = result.length;
+                }
+                continue;
+            }
+            if (code === 0x15) {
+                const field = fieldStack.pop();
+                const link = field && field.instruction.match(/^\s*HYPERLINK\s+"([^"]+)"/);
+                if (link) {
+                    hyperlinks.push({ url: link[1], text: field.state === 'result' ? result.slice(field.resultStart).trim() : '' });
+                }
+                continue;
+            }
+            
+            const openField = fieldStack.find(field => field.state === 'instruction');
+            if (openField) {
+                openField.instruction += char;
+                continue;
+            }
+            
+            if (code === 0x0D || code === 0x0B || code === 0x0C) {
+                result += '\n';
+            } else if (code === 0x07) {
+                result += '\t';
+            } else if (code === 0x1E) {
+                result += '-';
+            } else if (code === 0x09 || code >= 0x20) {
+                result += char;
+            }
+        }
+        
+        // 表格单元格以0x07结尾，行尾再多一个0x07
+        return {
+            text: result
+                .replace(/\t\t/g, '\n')
+                .replace(/\t\n/g, '\n'),
+            hyperlinks: hyperlinks
+        };
+    }
+}
+
+// 导出
+window.WordBinaryParser = WordBinaryParser;